@@ -18,6 +18,23 @@ export const env = {
   RETELL_AGENT_OUT: process.env.RETELL_AGENT_OUT,
   CONVERSATION_FLOW_ID: process.env.CONVERSATION_FLOW_ID,
 
+  // Outbound call caps, shared by the dial queue and the call governor
+  DIAL_MAX_CONCURRENT_PER_OWNER: parseInt(process.env.DIAL_MAX_CONCURRENT_PER_OWNER || '3', 10), // users.max_concurrent_calls overrides
+  DIAL_MAX_CONCURRENT_PER_NUMBER: parseInt(process.env.DIAL_MAX_CONCURRENT_PER_NUMBER || '2', 10),
+  CALL_MAX_CONCURRENT_GLOBAL: parseInt(process.env.CALL_MAX_CONCURRENT_GLOBAL || '20', 10), // Retell account concurrency
+  CALL_MAX_CPS_PER_NUMBER: parseFloat(process.env.CALL_MAX_CPS_PER_NUMBER || '1'), // new calls per second per caller ID
+  CALL_RESERVATION_SECONDS: parseInt(process.env.CALL_RESERVATION_SECONDS || '120', 10), // slot kept until call_started arrives
+  CALL_AVG_DURATION_SECONDS: parseInt(process.env.CALL_AVG_DURATION_SECONDS || '180', 10), // ETA estimate when no history
+  // Dial queue leases
+  DIAL_BATCH_SIZE: parseInt(process.env.DIAL_BATCH_SIZE || '10', 10),
+  DIAL_LEASE_SECONDS: parseInt(process.env.DIAL_LEASE_SECONDS || '120', 10),
+  DIAL_CALL_TIMEOUT_MINUTES: parseInt(process.env.DIAL_CALL_TIMEOUT_MINUTES || '30', 10), // slot held while a call is live
+  CAMPAIGN_FEED_SIZE: parseInt(process.env.CAMPAIGN_FEED_SIZE || '20', 10), // campaign leads waiting for a first call at once
+  LEAD_IMPORT_MAX_ROWS: parseInt(process.env.LEAD_IMPORT_MAX_ROWS || '20000', 10),
+  LEAD_IMPORT_MAX_UNZIPPED_BYTES: parseInt(process.env.LEAD_IMPORT_MAX_UNZIPPED_BYTES || String(100 * 1024 * 1024), 10), // XLSX parts read, uncompressed
+  // Proxy hops in front of the app, so req.ip is the client for per-IP form limits
+  TRUST_PROXY: parseInt(process.env.TRUST_PROXY || '0', 10),
+
   GOOGLE_PROJECT_ID: process.env.GOOGLE_PROJECT_ID,
   GOOGLE_CLIENT_EMAIL: process.env.GOOGLE_CLIENT_EMAIL,
   GOOGLE_PRIVATE_KEY: process.env.GOOGLE_PRIVATE_KEY,
@@ -29,6 +46,9 @@ export const env = {
   FRONTEND_URL: process.env.FRONTEND_URL || 'http://localhost:5173',
 
   MINDEE_API_KEY: process.env.MINDEE_API_KEY,
+  RECEIPT_PARSER: process.env.RECEIPT_PARSER, // mindee | stub (tests only); defaults to mindee when MINDEE_API_KEY is set
+  RECEIPT_AMOUNT_TOLERANCE: parseFloat(process.env.RECEIPT_AMOUNT_TOLERANCE || '1'),
+  RECEIPT_MAX_AGE_HOURS: parseInt(process.env.RECEIPT_MAX_AGE_HOURS || '72', 10), // older receipts go to review
   STRIPE_SECRET_KEY: process.env.STRIPE_SECRET_KEY,
   STRIPE_WEBHOOK_SECRET: process.env.STRIPE_WEBHOOK_SECRET,
   CURRENCY: (process.env.CURRENCY || 'BRL').toLowerCase(),
@@ -36,6 +56,13 @@ export const env = {
   // WhatsApp Business API
   WHATSAPP_WEBHOOK_VERIFY_TOKEN: process.env.WHATSAPP_WEBHOOK_VERIFY_TOKEN || 'geniumed-whatsapp-verify-token',
   WHATSAPP_APP_SECRET: process.env.WHATSAPP_APP_SECRET,
+  // Approved template used to reply once the 24h customer-service window has closed
+  WHATSAPP_FALLBACK_TEMPLATE: process.env.WHATSAPP_FALLBACK_TEMPLATE,
+  WHATSAPP_FALLBACK_TEMPLATE_LANGUAGE: process.env.WHATSAPP_FALLBACK_TEMPLATE_LANGUAGE || 'pt_BR',
+
+  // Meta Lead Ads webhook (usually the same Meta app as WhatsApp)
+  META_APP_SECRET: process.env.META_APP_SECRET || process.env.WHATSAPP_APP_SECRET,
+  META_LEADS_VERIFY_TOKEN: process.env.META_LEADS_VERIFY_TOKEN,
 
   // Authentication
   JWT_SECRET: process.env.JWT_SECRET || 'geniumed-secret-key-change-in-production'
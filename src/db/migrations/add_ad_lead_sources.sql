@@ -0,0 +1,62 @@
+-- Migration: Meta Lead Ads and Google Ads lead form webhooks
+-- A source connects one owner to a Facebook/Instagram page or a Google Ads
+-- lead form webhook. Every delivery is stored as an event first, so a lead is
+-- created once per platform lead id and failed ones are retried by the scheduler.
+
+CREATE TABLE IF NOT EXISTS ad_lead_sources (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  owner_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  provider TEXT NOT NULL CHECK (provider IN ('meta', 'google')),
+  name TEXT NOT NULL,
+  page_id TEXT, -- meta: Facebook page the lead forms belong to
+  form_ids TEXT[] NOT NULL DEFAULT '{}', -- only these forms; empty = every form of the page / webhook
+  access_token TEXT, -- meta: page access token with leads_retrieval
+  webhook_key TEXT, -- google: the "key" configured on the lead form webhook
+  field_mapping JSONB NOT NULL DEFAULT '{}'::jsonb, -- {"specialty":"qual_especialidade","custom_fields.plano":"plano"}
+  defaults JSONB NOT NULL DEFAULT '{}'::jsonb, -- values for fields the form doesn't ask, e.g. {"specialty":"Dermatologia"}
+  auto_dial BOOLEAN NOT NULL DEFAULT true,
+  enabled BOOLEAN NOT NULL DEFAULT true,
+  last_lead_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  CHECK (provider <> 'meta' OR page_id IS NOT NULL),
+  CHECK (provider <> 'google' OR webhook_key IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ad_lead_sources_owner ON ad_lead_sources(owner_id);
+CREATE INDEX IF NOT EXISTS idx_ad_lead_sources_page ON ad_lead_sources(page_id) WHERE provider = 'meta';
+
+COMMENT ON COLUMN ad_lead_sources.field_mapping IS 'Lead field -> form field key, on top of the built-in mapping of the standard name/phone/email/city questions';
+
+CREATE TABLE IF NOT EXISTS ad_lead_events (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  provider TEXT NOT NULL CHECK (provider IN ('meta', 'google')),
+  external_lead_id TEXT NOT NULL, -- Meta leadgen_id / Google lead_id
+  source_id UUID REFERENCES ad_lead_sources(id) ON DELETE SET NULL,
+  owner_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  payload JSONB NOT NULL, -- webhook body (meta: the leadgen change value)
+  status TEXT NOT NULL DEFAULT 'received' CHECK (status IN ('received', 'processing', 'processed', 'duplicate', 'invalid', 'ignored', 'failed')),
+  error TEXT,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  lead_id UUID REFERENCES leads(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  processed_at TIMESTAMPTZ,
+  UNIQUE (provider, external_lead_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ad_lead_events_source ON ad_lead_events(source_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_ad_lead_events_pending ON ad_lead_events(created_at) WHERE status IN ('received', 'processing', 'failed');
+
+-- Where an ad lead came from
+ALTER TABLE leads
+ADD COLUMN IF NOT EXISTS ad_lead_source_id UUID REFERENCES ad_lead_sources(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS ad_platform TEXT, -- facebook, instagram, google
+ADD COLUMN IF NOT EXISTS ad_lead_id TEXT,
+ADD COLUMN IF NOT EXISTS ad_form_id TEXT,
+ADD COLUMN IF NOT EXISTS ad_campaign_id TEXT,
+ADD COLUMN IF NOT EXISTS ad_adset_id TEXT, -- Meta ad set / Google ad group
+ADD COLUMN IF NOT EXISTS ad_id TEXT, -- Meta ad / Google creative
+ADD COLUMN IF NOT EXISTS gclid TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_leads_ad_campaign ON leads(owner_id, ad_campaign_id) WHERE ad_campaign_id IS NOT NULL;
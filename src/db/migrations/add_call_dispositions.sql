@@ -0,0 +1,19 @@
+-- Migration: call dispositions
+-- call_ended / call_analyzed classify each call (services/callOutcome.js) and the
+-- lead's next status follows from it. Two new lead statuses: patients who refused
+-- (not_interested) and numbers that reached someone else (wrong_number).
+
+COMMENT ON COLUMN call_attempts.disposition IS 'booked, interested, callback_requested, not_interested, wrong_number, voicemail, no_answer, busy, technical_failure';
+
+ALTER TABLE call_attempts
+ADD COLUMN IF NOT EXISTS disposition_signal TEXT;
+
+COMMENT ON COLUMN call_attempts.disposition_signal IS 'What decided the disposition, e.g. disconnection_reason:dial_busy, custom_analysis_data.disposition, call_successful, early_hangup';
+
+ALTER TABLE leads DROP CONSTRAINT IF EXISTS leads_status_known;
+ALTER TABLE leads ADD CONSTRAINT leads_status_known CHECK (status IN (
+  'new', 'calling', 'no_answer', 'reschedule', 'call_failed', 'retry_failed', 'assignment_failed',
+  'campaign_queued', 'whatsapp_outreach', 'waiting_preference', 'whatsapp_conversation', 'needs_human',
+  'unreachable', 'qualified', 'divergent', 'not_interested', 'wrong_number',
+  'appointment_scheduled', 'consultation_scheduled', 'merged'
+)) NOT VALID;
@@ -0,0 +1,41 @@
+-- Migration: post-call extraction into lead fields
+-- Each agent maps Retell custom_analysis_data / collected_dynamic_variables keys
+-- to lead fields; call_analyzed applies them and records where every value came
+-- from. Mapped values are also copied into leads.agent_variables for the next call.
+
+ALTER TABLE agents
+ADD COLUMN IF NOT EXISTS extraction_mappings JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+COMMENT ON COLUMN agents.extraction_mappings IS 'e.g. [{"from": "custom_analysis_data.especialidade", "to": "specialty", "overwrite": true}, {"from": "collected_dynamic_variables.convenio", "to": "insurance", "variable": "convenio"}]';
+
+ALTER TABLE leads
+ADD COLUMN IF NOT EXISTS symptoms TEXT,
+ADD COLUMN IF NOT EXISTS preferred_time TEXT,
+ADD COLUMN IF NOT EXISTS insurance TEXT,
+ADD COLUMN IF NOT EXISTS objections TEXT,
+ADD COLUMN IF NOT EXISTS agreed_to_book BOOLEAN;
+
+COMMENT ON COLUMN leads.preferred_time IS 'When the patient said they prefer to be called or seen, as said on the call (e.g. "depois das 18h")';
+COMMENT ON COLUMN leads.agreed_to_book IS 'Whether the patient agreed to book on the last analyzed call';
+
+-- One row per value a call set (or tried to set) on a lead
+CREATE TABLE IF NOT EXISTS lead_field_extractions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  lead_id UUID NOT NULL REFERENCES leads(id) ON DELETE CASCADE,
+  owner_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  agent_id UUID REFERENCES agents(id) ON DELETE SET NULL,
+  call_attempt_id UUID REFERENCES call_attempts(id) ON DELETE SET NULL,
+  retell_call_id TEXT,
+  field TEXT NOT NULL, -- Lead column, or custom_fields.<key>
+  source_path TEXT NOT NULL, -- custom_analysis_data.<key> or collected_dynamic_variables.<key>
+  raw_value JSONB, -- As Retell sent it
+  previous_value JSONB,
+  value JSONB, -- As written to the lead
+  status TEXT NOT NULL CHECK (status IN ('applied', 'invalid')),
+  error TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_lead_field_extractions_lead ON lead_field_extractions(lead_id, created_at DESC);
+
+-- merge_leads() moves extracted values too; its one definition is in add_suppression_consent.sql
@@ -0,0 +1,76 @@
+-- Migration: outbound call governor
+-- Every outbound call takes a slot first. Slots are 'reserved' when granted,
+-- 'live' on Retell's call_started and 'ended' on call_ended; reserved/live
+-- slots past expires_at are treated as gone (lost webhooks).
+
+CREATE TABLE IF NOT EXISTS call_slots (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  owner_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  from_number TEXT,
+  retell_call_id TEXT,
+  status TEXT NOT NULL DEFAULT 'reserved' CHECK (status IN ('reserved', 'live', 'ended')),
+  granted_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  started_at TIMESTAMPTZ,
+  ended_at TIMESTAMPTZ,
+  expires_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_call_slots_active ON call_slots(owner_id, from_number) WHERE status IN ('reserved', 'live');
+CREATE INDEX IF NOT EXISTS idx_call_slots_number_granted ON call_slots(from_number, granted_at DESC);
+CREATE INDEX IF NOT EXISTS idx_call_slots_retell_call ON call_slots(retell_call_id);
+
+-- Grant a slot when the global, owner and from-number caps and the
+-- per-number pacing allow it. Serialized with an advisory lock.
+-- Returns granted=false with the blocking reason, and retry_at for pacing.
+CREATE OR REPLACE FUNCTION acquire_call_slot(
+  p_owner UUID,
+  p_from_number TEXT,
+  p_owner_cap INTEGER DEFAULT 3,
+  p_number_cap INTEGER DEFAULT 2,
+  p_global_cap INTEGER DEFAULT 20,
+  p_min_interval_ms INTEGER DEFAULT 1000,
+  p_reserve_seconds INTEGER DEFAULT 120
+)
+RETURNS TABLE (granted BOOLEAN, slot_id UUID, reason TEXT, retry_at TIMESTAMPTZ) AS $$
+DECLARE
+  owner_limit INTEGER := p_owner_cap;
+  last_grant TIMESTAMPTZ;
+  new_id UUID;
+BEGIN
+  PERFORM pg_advisory_xact_lock(hashtext('acquire_call_slot'));
+
+  IF (SELECT COUNT(*) FROM call_slots WHERE status IN ('reserved', 'live') AND expires_at > NOW()) >= p_global_cap THEN
+    RETURN QUERY SELECT false, NULL::uuid, 'global_cap'::text, NULL::timestamptz;
+    RETURN;
+  END IF;
+
+  IF p_owner IS NOT NULL THEN
+    SELECT COALESCE(max_concurrent_calls, p_owner_cap) INTO owner_limit FROM users WHERE id = p_owner;
+    IF (SELECT COUNT(*) FROM call_slots
+        WHERE owner_id = p_owner AND status IN ('reserved', 'live') AND expires_at > NOW()) >= COALESCE(owner_limit, p_owner_cap) THEN
+      RETURN QUERY SELECT false, NULL::uuid, 'owner_cap'::text, NULL::timestamptz;
+      RETURN;
+    END IF;
+  END IF;
+
+  IF p_from_number IS NOT NULL THEN
+    IF (SELECT COUNT(*) FROM call_slots
+        WHERE from_number = p_from_number AND status IN ('reserved', 'live') AND expires_at > NOW()) >= p_number_cap THEN
+      RETURN QUERY SELECT false, NULL::uuid, 'number_cap'::text, NULL::timestamptz;
+      RETURN;
+    END IF;
+
+    SELECT MAX(granted_at) INTO last_grant FROM call_slots WHERE from_number = p_from_number;
+    IF last_grant IS NOT NULL AND last_grant + make_interval(secs => p_min_interval_ms / 1000.0) > NOW() THEN
+      RETURN QUERY SELECT false, NULL::uuid, 'pacing'::text, last_grant + make_interval(secs => p_min_interval_ms / 1000.0);
+      RETURN;
+    END IF;
+  END IF;
+
+  INSERT INTO call_slots (owner_id, from_number, expires_at)
+  VALUES (p_owner, p_from_number, NOW() + make_interval(secs => p_reserve_seconds))
+  RETURNING id INTO new_id;
+
+  RETURN QUERY SELECT true, new_id, NULL::text, NULL::timestamptz;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,10 @@
+-- Migration: per-owner calling window
+-- Leads are only dialed inside these hours, evaluated in the lead's timezone.
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS calling_hours JSONB, -- {"monday":{"enabled":true,"timeSlots":[{"start":"08:00","end":"20:00"}]},...}; NULL = Mon-Sat 08:00-20:00
+ADD COLUMN IF NOT EXISTS holiday_calendars TEXT[] DEFAULT ARRAY['br_national'],
+ADD COLUMN IF NOT EXISTS custom_holidays JSONB DEFAULT '[]'::jsonb;
+
+COMMENT ON COLUMN users.holiday_calendars IS 'Built-in calendars whose days are never dialed: br_national, br_optional';
+COMMENT ON COLUMN users.custom_holidays IS 'Owner closed days: [{"date":"2025-12-26","name":"Recesso","type":"closed"|"modified_hours","start":"09:00","end":"12:00"}]';
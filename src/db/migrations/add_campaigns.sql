@@ -0,0 +1,57 @@
+-- Migration: outbound calling campaigns
+-- A campaign snapshots a lead segment into campaign_leads when started and
+-- feeds those leads into the dial queue in batches, with its own agent and
+-- retry policy, between starts_at and ends_at.
+
+CREATE TABLE IF NOT EXISTS campaigns (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  owner_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  description TEXT,
+  agent_id UUID NOT NULL REFERENCES agents(id),
+  retry_policy_id UUID REFERENCES retry_policies(id) ON DELETE SET NULL, -- NULL = agent/owner policy
+  segment JSONB NOT NULL DEFAULT '{}'::jsonb,
+  status TEXT NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'scheduled', 'running', 'paused', 'stopped', 'completed')),
+  starts_at TIMESTAMPTZ,
+  ends_at TIMESTAMPTZ,
+  leads_total INTEGER NOT NULL DEFAULT 0,
+  started_at TIMESTAMPTZ,
+  paused_at TIMESTAMPTZ,
+  finished_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_campaigns_owner ON campaigns(owner_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_campaigns_active ON campaigns(status) WHERE status IN ('scheduled', 'running');
+
+COMMENT ON COLUMN campaigns.segment IS 'Lead filter: {"statuses":["new"],"specialties":["Cardiologia"],"sources":["website"],"created_from":"2025-01-01","created_to":"2025-01-31"}';
+
+CREATE TABLE IF NOT EXISTS campaign_leads (
+  campaign_id UUID NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
+  lead_id UUID NOT NULL REFERENCES leads(id) ON DELETE CASCADE,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'enrolled', 'skipped')),
+  previous_status TEXT, -- lead status before enrollment, restored if never dialed
+  skip_reason TEXT,
+  added_at TIMESTAMPTZ DEFAULT NOW(),
+  enrolled_at TIMESTAMPTZ,
+  PRIMARY KEY (campaign_id, lead_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_campaign_leads_pending ON campaign_leads(campaign_id, added_at) WHERE status = 'pending';
+
+-- Campaign a lead is currently being dialed for; its retries follow the campaign
+ALTER TABLE leads
+ADD COLUMN IF NOT EXISTS campaign_id UUID REFERENCES campaigns(id) ON DELETE SET NULL;
+
+COMMENT ON COLUMN leads.campaign_id IS 'Active outbound campaign (unrelated to the free-text campaign/utm_campaign attribution)';
+
+CREATE INDEX IF NOT EXISTS idx_leads_campaign ON leads(campaign_id) WHERE campaign_id IS NOT NULL;
+
+ALTER TABLE call_attempts
+ADD COLUMN IF NOT EXISTS campaign_id UUID REFERENCES campaigns(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_call_attempts_campaign ON call_attempts(campaign_id) WHERE campaign_id IS NOT NULL;
+
+ALTER TABLE dial_jobs
+ADD COLUMN IF NOT EXISTS campaign_id UUID REFERENCES campaigns(id) ON DELETE SET NULL;
@@ -0,0 +1,115 @@
+-- Migration: dial queue with leases
+-- Due leads become dial_jobs; workers (any number of processes) claim jobs
+-- through claim_dial_jobs(), which hands out time-limited leases while
+-- respecting per-owner and per-from-number concurrency caps.
+
+CREATE TABLE IF NOT EXISTS dial_jobs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  owner_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  lead_id UUID NOT NULL REFERENCES leads(id) ON DELETE CASCADE,
+  agent_id UUID REFERENCES agents(id) ON DELETE SET NULL,
+  from_number TEXT, -- owner's outbound number at enqueue time; caps are counted per number
+  status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'leased', 'dialing', 'completed', 'failed', 'cancelled', 'expired')),
+  priority INTEGER NOT NULL DEFAULT 0, -- higher first
+  run_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  leased_by TEXT,
+  lease_expires_at TIMESTAMPTZ,
+  claims INTEGER NOT NULL DEFAULT 0, -- times a worker leased this job
+  call_attempt_id UUID REFERENCES call_attempts(id) ON DELETE SET NULL,
+  retell_call_id TEXT,
+  outcome TEXT, -- voicemail | busy | no_answer | dial_failed | answered | skipped reason | error
+  last_error TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  completed_at TIMESTAMPTZ
+);
+
+-- At most one open job per lead, so overlapping enqueues can't double dial
+CREATE UNIQUE INDEX IF NOT EXISTS idx_dial_jobs_open_lead ON dial_jobs(lead_id)
+  WHERE status IN ('queued', 'leased', 'dialing');
+CREATE INDEX IF NOT EXISTS idx_dial_jobs_claimable ON dial_jobs(priority DESC, run_at)
+  WHERE status IN ('queued', 'leased');
+CREATE INDEX IF NOT EXISTS idx_dial_jobs_active ON dial_jobs(owner_id, from_number)
+  WHERE status IN ('leased', 'dialing');
+CREATE INDEX IF NOT EXISTS idx_dial_jobs_retell_call ON dial_jobs(retell_call_id);
+
+COMMENT ON COLUMN dial_jobs.lease_expires_at IS 'Leased jobs past this are claimable again (worker died before dialing); dialing jobs past this are expired by the reaper';
+
+ALTER TABLE call_attempts
+ADD COLUMN IF NOT EXISTS dial_job_id UUID REFERENCES dial_jobs(id) ON DELETE SET NULL;
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS max_concurrent_calls INTEGER CHECK (max_concurrent_calls > 0);
+
+COMMENT ON COLUMN users.max_concurrent_calls IS 'Calls this owner may have in flight at once; NULL uses DIAL_MAX_CONCURRENT_PER_OWNER';
+
+-- Lease up to p_limit due jobs to p_worker. Claims are serialized with an
+-- advisory lock so two workers can't both fill the last free slot.
+CREATE OR REPLACE FUNCTION claim_dial_jobs(
+  p_worker TEXT,
+  p_limit INTEGER DEFAULT 10,
+  p_lease_seconds INTEGER DEFAULT 120,
+  p_owner_cap INTEGER DEFAULT 3,
+  p_number_cap INTEGER DEFAULT 2
+)
+RETURNS SETOF dial_jobs AS $$
+DECLARE
+  job dial_jobs;
+  owner_active JSONB := '{}'::jsonb;
+  number_active JSONB := '{}'::jsonb;
+  owner_limit INTEGER;
+  claimed INTEGER := 0;
+BEGIN
+  PERFORM pg_advisory_xact_lock(hashtext('claim_dial_jobs'));
+
+  SELECT COALESCE(jsonb_object_agg(k, n), '{}'::jsonb) INTO owner_active
+  FROM (
+    SELECT owner_id::text AS k, COUNT(*) AS n FROM dial_jobs
+    WHERE status IN ('leased', 'dialing') AND lease_expires_at > NOW() AND owner_id IS NOT NULL
+    GROUP BY owner_id
+  ) s;
+  SELECT COALESCE(jsonb_object_agg(k, n), '{}'::jsonb) INTO number_active
+  FROM (
+    SELECT from_number AS k, COUNT(*) AS n FROM dial_jobs
+    WHERE status IN ('leased', 'dialing') AND lease_expires_at > NOW() AND from_number IS NOT NULL
+    GROUP BY from_number
+  ) s;
+
+  FOR job IN
+    SELECT * FROM dial_jobs
+    WHERE run_at <= NOW()
+      AND (status = 'queued' OR (status = 'leased' AND lease_expires_at <= NOW()))
+    ORDER BY priority DESC, run_at
+    FOR UPDATE SKIP LOCKED
+  LOOP
+    EXIT WHEN claimed >= p_limit;
+
+    IF job.owner_id IS NOT NULL THEN
+      SELECT COALESCE(max_concurrent_calls, p_owner_cap) INTO owner_limit FROM users WHERE id = job.owner_id;
+      CONTINUE WHEN COALESCE((owner_active ->> job.owner_id::text)::int, 0) >= COALESCE(owner_limit, p_owner_cap);
+    END IF;
+    IF job.from_number IS NOT NULL THEN
+      CONTINUE WHEN COALESCE((number_active ->> job.from_number)::int, 0) >= p_number_cap;
+    END IF;
+
+    UPDATE dial_jobs
+    SET status = 'leased',
+        leased_by = p_worker,
+        lease_expires_at = NOW() + make_interval(secs => p_lease_seconds),
+        claims = claims + 1,
+        updated_at = NOW()
+    WHERE id = job.id
+    RETURNING * INTO job;
+
+    IF job.owner_id IS NOT NULL THEN
+      owner_active := owner_active || jsonb_build_object(job.owner_id::text, COALESCE((owner_active ->> job.owner_id::text)::int, 0) + 1);
+    END IF;
+    IF job.from_number IS NOT NULL THEN
+      number_active := number_active || jsonb_build_object(job.from_number, COALESCE((number_active ->> job.from_number)::int, 0) + 1);
+    END IF;
+
+    claimed := claimed + 1;
+    RETURN NEXT job;
+  END LOOP;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,16 @@
+-- Migration: Identity verification for Retell calls
+-- The voice agent calls /fn/check-identity to confirm the patient's data;
+-- the verdict is stored on the call attempt so the call_ended webhook can act on it.
+
+-- Birthdate used as an identity factor (older leads may still carry it in custom_fields.birthdate)
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS birth_date DATE;
+
+ALTER TABLE call_attempts
+ADD COLUMN IF NOT EXISTS identity_status TEXT CHECK (identity_status IN ('match', 'partial', 'mismatch')),
+ADD COLUMN IF NOT EXISTS identity_verification JSONB,
+ADD COLUMN IF NOT EXISTS identity_checked_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN call_attempts.identity_status IS 'Verdict of the last /fn/check-identity call during this attempt';
+COMMENT ON COLUMN call_attempts.identity_verification IS 'Per-field checks and reason: {"checks": {"name": "match", "phone_last4": "mismatch", "birthdate": "skipped"}, "reason": "..."}';
+
+CREATE INDEX IF NOT EXISTS idx_call_attempts_retell_call ON call_attempts(retell_call_id);
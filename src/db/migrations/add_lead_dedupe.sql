@@ -0,0 +1,110 @@
+-- Migration: duplicate lead detection and merge
+-- A submission matching a recent lead of the same owner (by phone or email,
+-- per users.duplicate_rules) is stored as a touch on that lead instead of a
+-- new lead. Owners can merge two leads; the merged one keeps pointing at the
+-- survivor through merged_into_id.
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS duplicate_rules JSONB; -- NULL = match phone or email within 168 hours
+
+COMMENT ON COLUMN users.duplicate_rules IS '{"enabled":true,"match_phone":true,"match_email":true,"window_hours":168}';
+
+ALTER TABLE leads
+ADD COLUMN IF NOT EXISTS merged_into_id UUID REFERENCES leads(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS touch_count INTEGER NOT NULL DEFAULT 1,
+ADD COLUMN IF NOT EXISTS last_touch_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_leads_owner_email ON leads(owner_id, lower(email)) WHERE email IS NOT NULL;
+
+-- Every submission of a lead after the first, and every merge into it
+CREATE TABLE IF NOT EXISTS lead_touches (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  lead_id UUID NOT NULL REFERENCES leads(id) ON DELETE CASCADE,
+  owner_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  kind TEXT NOT NULL CHECK (kind IN ('submission', 'merge')),
+  source TEXT,
+  campaign TEXT,
+  utm_source TEXT,
+  utm_medium TEXT,
+  utm_campaign TEXT,
+  data JSONB NOT NULL DEFAULT '{}'::jsonb, -- submitted fields, or the merged lead's row
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_lead_touches_lead ON lead_touches(lead_id, created_at);
+
+-- Move everything of p_merge onto p_keep in one transaction: call history,
+-- appointments, payments, messages, touches and queue/campaign entries.
+-- Blank fields of p_keep are filled from p_merge; p_merge becomes 'merged'.
+-- Replaced by add_suppression_consent.sql, which also moves the tables added after this one.
+CREATE OR REPLACE FUNCTION merge_leads(p_keep UUID, p_merge UUID)
+RETURNS leads AS $$
+DECLARE
+  keep leads;
+  merge leads;
+BEGIN
+  IF p_keep = p_merge THEN
+    RAISE EXCEPTION 'Cannot merge a lead into itself';
+  END IF;
+
+  SELECT * INTO keep FROM leads WHERE id = p_keep FOR UPDATE;
+  SELECT * INTO merge FROM leads WHERE id = p_merge FOR UPDATE;
+  IF keep.id IS NULL OR merge.id IS NULL THEN
+    RAISE EXCEPTION 'Lead not found';
+  END IF;
+  IF merge.status = 'merged' THEN
+    RAISE EXCEPTION 'Lead % was already merged', p_merge;
+  END IF;
+
+  UPDATE call_attempts SET lead_id = p_keep WHERE lead_id = p_merge;
+  UPDATE appointments SET lead_id = p_keep WHERE lead_id = p_merge;
+  UPDATE payments SET lead_id = p_keep WHERE lead_id = p_merge;
+  UPDATE payment_receipts SET lead_id = p_keep WHERE lead_id = p_merge;
+  UPDATE whatsapp_messages SET lead_id = p_keep WHERE lead_id = p_merge;
+  UPDATE lead_preference_transitions SET lead_id = p_keep WHERE lead_id = p_merge;
+  UPDATE lead_touches SET lead_id = p_keep WHERE lead_id = p_merge;
+  UPDATE lead_import_rows SET lead_id = p_keep WHERE lead_id = p_merge;
+
+  -- Only one open dial job per lead; the merged lead's open ones are dropped
+  UPDATE dial_jobs SET status = 'cancelled', outcome = 'merged', updated_at = NOW()
+  WHERE lead_id = p_merge AND status IN ('queued', 'leased');
+  UPDATE dial_jobs SET lead_id = p_keep WHERE lead_id = p_merge AND status NOT IN ('queued', 'leased');
+
+  DELETE FROM campaign_leads cl
+  WHERE cl.lead_id = p_merge
+    AND EXISTS (SELECT 1 FROM campaign_leads k WHERE k.campaign_id = cl.campaign_id AND k.lead_id = p_keep);
+  UPDATE campaign_leads SET lead_id = p_keep WHERE lead_id = p_merge;
+
+  INSERT INTO lead_touches (lead_id, owner_id, kind, source, campaign, utm_source, utm_medium, utm_campaign, data)
+  VALUES (p_keep, keep.owner_id, 'merge', merge.source, merge.campaign, merge.utm_source, merge.utm_medium, merge.utm_campaign, to_jsonb(merge));
+
+  UPDATE leads SET
+    email = COALESCE(keep.email, merge.email),
+    whatsapp = COALESCE(keep.whatsapp, merge.whatsapp),
+    whatsapp_id = COALESCE(keep.whatsapp_id, merge.whatsapp_id),
+    city = COALESCE(keep.city, merge.city),
+    specialty = COALESCE(keep.specialty, merge.specialty),
+    reason = COALESCE(keep.reason, merge.reason),
+    notes = CASE
+      WHEN merge.notes IS NULL THEN keep.notes
+      WHEN keep.notes IS NULL THEN merge.notes
+      ELSE keep.notes || E'\n' || merge.notes
+    END,
+    custom_fields = COALESCE(merge.custom_fields, '{}'::jsonb) || COALESCE(keep.custom_fields, '{}'::jsonb),
+    touch_count = keep.touch_count + merge.touch_count,
+    last_touch_at = GREATEST(keep.last_touch_at, merge.last_touch_at, merge.created_at)
+  WHERE id = p_keep
+  RETURNING * INTO keep;
+
+  UPDATE leads SET
+    status = 'merged',
+    merged_into_id = p_keep,
+    next_retry_at = NULL,
+    campaign_id = NULL
+  WHERE id = p_merge;
+  -- Leads merged earlier into p_merge now point at the survivor
+  UPDATE leads SET merged_into_id = p_keep WHERE merged_into_id = p_merge;
+
+  RETURN keep;
+END;
+$$ LANGUAGE plpgsql;
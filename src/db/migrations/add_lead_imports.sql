@@ -0,0 +1,42 @@
+-- Migration: bulk lead import (CSV/XLSX)
+-- An upload is stored as one row per spreadsheet line; the import job then
+-- validates, dedupes and inserts them, recording the result on each row.
+
+CREATE TABLE IF NOT EXISTS lead_imports (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  owner_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  filename TEXT,
+  file_type TEXT CHECK (file_type IN ('csv', 'xlsx')),
+  headers TEXT[] NOT NULL DEFAULT '{}',
+  mapping JSONB, -- {"name":"Nome","phone":"Celular","custom_fields.plano":"Plano"}
+  defaults JSONB NOT NULL DEFAULT '{}'::jsonb, -- values for fields not in the file, e.g. {"source":"feira"}
+  dial_mode TEXT NOT NULL DEFAULT 'hold' CHECK (dial_mode IN ('hold', 'enqueue')),
+  status TEXT NOT NULL DEFAULT 'uploaded' CHECK (status IN ('uploaded', 'queued', 'processing', 'completed', 'failed', 'cancelled')),
+  total_rows INTEGER NOT NULL DEFAULT 0,
+  processed_rows INTEGER NOT NULL DEFAULT 0,
+  imported_rows INTEGER NOT NULL DEFAULT 0,
+  duplicate_rows INTEGER NOT NULL DEFAULT 0,
+  invalid_rows INTEGER NOT NULL DEFAULT 0,
+  error TEXT,
+  started_at TIMESTAMPTZ,
+  finished_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_lead_imports_owner ON lead_imports(owner_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS lead_import_rows (
+  import_id UUID NOT NULL REFERENCES lead_imports(id) ON DELETE CASCADE,
+  row_no INTEGER NOT NULL, -- spreadsheet line, header is line 1
+  data JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'imported', 'duplicate', 'invalid', 'failed')),
+  errors TEXT[],
+  lead_id UUID REFERENCES leads(id) ON DELETE SET NULL,
+  PRIMARY KEY (import_id, row_no)
+);
+
+CREATE INDEX IF NOT EXISTS idx_lead_import_rows_pending ON lead_import_rows(import_id, row_no) WHERE status = 'pending';
+
+ALTER TABLE leads
+ADD COLUMN IF NOT EXISTS import_id UUID REFERENCES lead_imports(id) ON DELETE SET NULL;
@@ -0,0 +1,74 @@
+-- Migration: authenticated lead intake
+-- /lead/submit takes a per-owner API key instead of trusting owner_id from the
+-- body; public web forms are addressed by slug and resolve the owner server-side.
+
+CREATE TABLE IF NOT EXISTS intake_api_keys (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  owner_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  key_prefix TEXT NOT NULL, -- first characters of the key, to tell keys apart
+  key_hash TEXT NOT NULL UNIQUE, -- sha256 of the key; the key itself is only shown once
+  scopes TEXT[] NOT NULL DEFAULT ARRAY['leads:submit', 'leads:dial'],
+  rate_limit_per_minute INTEGER NOT NULL DEFAULT 60 CHECK (rate_limit_per_minute > 0),
+  expires_at TIMESTAMPTZ, -- set on the old key when it is rotated
+  revoked_at TIMESTAMPTZ,
+  rotated_from_id UUID REFERENCES intake_api_keys(id) ON DELETE SET NULL,
+  last_used_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_intake_api_keys_owner ON intake_api_keys(owner_id, created_at DESC);
+
+COMMENT ON COLUMN intake_api_keys.scopes IS 'leads:submit = create leads; leads:dial = submitted leads are called right away (otherwise held as new)';
+
+CREATE TABLE IF NOT EXISTS intake_forms (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  owner_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  slug TEXT NOT NULL UNIQUE CHECK (slug ~ '^[a-z0-9][a-z0-9-]{2,62}$'),
+  name TEXT NOT NULL,
+  enabled BOOLEAN NOT NULL DEFAULT true,
+  allowed_origins TEXT[] NOT NULL DEFAULT '{}', -- empty = any origin
+  defaults JSONB NOT NULL DEFAULT '{}'::jsonb, -- lead fields the page doesn't send, e.g. {"source":"site","specialty":"Cardiologia"}
+  auto_dial BOOLEAN NOT NULL DEFAULT true,
+  honeypot_field TEXT DEFAULT 'website', -- hidden input bots fill in; NULL disables
+  captcha_provider TEXT NOT NULL DEFAULT 'none' CHECK (captcha_provider IN ('none', 'turnstile', 'hcaptcha', 'recaptcha')),
+  captcha_site_key TEXT,
+  captcha_secret TEXT,
+  rate_limit_per_minute INTEGER NOT NULL DEFAULT 10 CHECK (rate_limit_per_minute > 0), -- per client IP
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_intake_forms_owner ON intake_forms(owner_id);
+
+ALTER TABLE leads
+ADD COLUMN IF NOT EXISTS intake_key_id UUID REFERENCES intake_api_keys(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS intake_form_id UUID REFERENCES intake_forms(id) ON DELETE SET NULL;
+
+-- Fixed-window counters shared by every process
+CREATE TABLE IF NOT EXISTS intake_rate_limits (
+  bucket TEXT NOT NULL, -- key:<id> or form:<id>:<ip>
+  window_start TIMESTAMPTZ NOT NULL,
+  hits INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (bucket, window_start)
+);
+
+-- Count one request against p_bucket; allowed is false once p_limit is passed
+CREATE OR REPLACE FUNCTION hit_rate_limit(
+  p_bucket TEXT,
+  p_limit INTEGER,
+  p_window_seconds INTEGER DEFAULT 60
+)
+RETURNS TABLE (allowed BOOLEAN, used INTEGER, reset_at TIMESTAMPTZ) AS $$
+DECLARE
+  current_window TIMESTAMPTZ := to_timestamp(floor(extract(epoch FROM NOW()) / p_window_seconds) * p_window_seconds);
+  n INTEGER;
+BEGIN
+  INSERT INTO intake_rate_limits AS r (bucket, window_start, hits)
+  VALUES (p_bucket, current_window, 1)
+  ON CONFLICT (bucket, window_start) DO UPDATE SET hits = r.hits + 1
+  RETURNING r.hits INTO n;
+
+  RETURN QUERY SELECT n <= p_limit, n, current_window + make_interval(secs => p_window_seconds);
+END;
+$$ LANGUAGE plpgsql;
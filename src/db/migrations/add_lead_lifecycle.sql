@@ -0,0 +1,35 @@
+-- Migration: lead lifecycle
+-- leads.status only changes through services/leadLifecycle.js, which checks the
+-- transition and writes one lead_events row per change (who, why, from, to and
+-- the call or message behind it).
+
+CREATE TABLE IF NOT EXISTS lead_events (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  lead_id UUID NOT NULL REFERENCES leads(id) ON DELETE CASCADE,
+  owner_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  from_status TEXT, -- NULL when the lead was created
+  to_status TEXT NOT NULL,
+  reason TEXT,
+  source TEXT NOT NULL, -- lead_submit, lead_import, retell_webhook, dial_queue, scheduler, preference_capture, campaigns, lead_routes, appointments, ...
+  actor_type TEXT NOT NULL DEFAULT 'system' CHECK (actor_type IN ('system', 'user', 'patient', 'voice_agent', 'integration')),
+  actor_id UUID, -- users.id when actor_type = 'user'
+  call_attempt_id UUID REFERENCES call_attempts(id) ON DELETE SET NULL,
+  message_id TEXT, -- WhatsApp/SMS message behind the change (wamid or Twilio SID)
+  metadata JSONB,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_lead_events_lead ON lead_events(lead_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_lead_events_owner ON lead_events(owner_id, created_at DESC);
+
+-- Only known statuses from now on; existing rows aren't re-checked
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'leads_status_known') THEN
+    ALTER TABLE leads ADD CONSTRAINT leads_status_known CHECK (status IN (
+      'new', 'calling', 'no_answer', 'reschedule', 'call_failed', 'retry_failed', 'assignment_failed',
+      'campaign_queued', 'whatsapp_outreach', 'waiting_preference', 'whatsapp_conversation', 'needs_human',
+      'unreachable', 'qualified', 'divergent', 'appointment_scheduled', 'consultation_scheduled', 'merged'
+    )) NOT VALID;
+  END IF;
+END $$;
@@ -0,0 +1,35 @@
+-- Migration: canonical phone numbers on leads
+-- New leads store phone as E.164 (+5511999998888), parsed by src/lib/phone.js,
+-- with the number type and the WhatsApp ID (E.164 digits) next to it.
+
+ALTER TABLE leads
+ADD COLUMN IF NOT EXISTS phone_type TEXT CHECK (phone_type IN ('mobile', 'landline', 'international')),
+ADD COLUMN IF NOT EXISTS whatsapp_id TEXT;
+
+COMMENT ON COLUMN leads.phone IS 'E.164, e.g. +5511999998888 (older rows may hold the number as submitted)';
+COMMENT ON COLUMN leads.whatsapp_id IS 'WhatsApp Cloud API recipient: E.164 digits without +, from whatsapp or else phone';
+
+CREATE INDEX IF NOT EXISTS idx_leads_owner_phone ON leads(owner_id, phone);
+CREATE INDEX IF NOT EXISTS idx_leads_whatsapp_id ON leads(whatsapp_id) WHERE whatsapp_id IS NOT NULL;
+
+-- Backfill the unambiguous Brazilian formats: DDD + 8/9 digits, with or without 55.
+-- Anything else is left as is and normalised the next time the lead is written.
+WITH parsed AS (
+  SELECT id, regexp_replace(regexp_replace(phone, '^whatsapp:', ''), '\D', '', 'g') AS digits
+  FROM leads
+  WHERE phone IS NOT NULL AND phone_type IS NULL
+), national AS (
+  SELECT id,
+    CASE
+      WHEN length(digits) IN (12, 13) AND digits LIKE '55%' THEN substr(digits, 3)
+      WHEN length(digits) IN (10, 11) THEN digits
+    END AS n
+  FROM parsed
+)
+UPDATE leads l
+SET phone = '+55' || national.n,
+    phone_type = CASE WHEN length(national.n) = 11 THEN 'mobile' ELSE 'landline' END,
+    whatsapp_id = COALESCE(l.whatsapp_id, '55' || national.n)
+FROM national
+WHERE l.id = national.id
+  AND national.n ~ '^[1-9][1-9](9\d{8}|[2-5]\d{7})$';
@@ -0,0 +1,41 @@
+-- Migration: lead activity timeline
+-- SMS and Twilio WhatsApp messages were only sent, never stored; notes were a
+-- single free-text column on the lead. Both get their own rows so the timeline
+-- (GET /lead/:id/timeline) can show them next to calls, WhatsApp Cloud API
+-- messages, status changes, appointments and payments.
+
+CREATE TABLE IF NOT EXISTS twilio_messages (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  owner_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  lead_id UUID REFERENCES leads(id) ON DELETE SET NULL,
+  message_sid TEXT, -- Twilio SM/MM sid; NULL when the send failed before Twilio accepted it
+  channel TEXT NOT NULL CHECK (channel IN ('sms', 'whatsapp')),
+  direction TEXT NOT NULL CHECK (direction IN ('inbound', 'outbound')),
+  contact_phone TEXT NOT NULL, -- Patient's number, E.164
+  body TEXT,
+  media_url TEXT, -- First attachment of an inbound message
+  status TEXT NOT NULL DEFAULT 'received', -- inbound: received; outbound: accepted, failed
+  error TEXT,
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_twilio_messages_sid ON twilio_messages(message_sid); -- NULLs do not conflict
+CREATE INDEX IF NOT EXISTS idx_twilio_messages_lead ON twilio_messages(lead_id, created_at);
+
+CREATE TABLE IF NOT EXISTS lead_notes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  lead_id UUID NOT NULL REFERENCES leads(id) ON DELETE CASCADE,
+  owner_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  author_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  body TEXT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_lead_notes_lead ON lead_notes(lead_id, created_at);
+
+COMMENT ON COLUMN leads.notes IS 'Notes given when the lead was submitted or imported; notes added later are rows in lead_notes';
+
+-- Timeline lookups by lead
+CREATE INDEX IF NOT EXISTS idx_appointments_lead ON appointments(lead_id);
+
+-- merge_leads() moves SMS and notes too; its one definition is in add_suppression_consent.sql
@@ -0,0 +1,22 @@
+-- Migration: payment deadlines for appointments booked with a payment link
+-- Appointments in status 'pending' wait for payment; the scheduler reminds the
+-- patient and cancels the booking once the agent's deadline passes.
+
+ALTER TABLE agents
+ADD COLUMN IF NOT EXISTS payment_deadline_hours INTEGER DEFAULT 24 CHECK (payment_deadline_hours > 0),
+ADD COLUMN IF NOT EXISTS payment_reminder_hours_before INTEGER DEFAULT 4 CHECK (payment_reminder_hours_before >= 0);
+
+COMMENT ON COLUMN agents.payment_deadline_hours IS 'Hours after booking before an unpaid appointment is cancelled (never later than the appointment start)';
+COMMENT ON COLUMN agents.payment_reminder_hours_before IS 'Hours before the payment deadline to remind the patient; 0 disables the reminder';
+
+ALTER TABLE appointments
+ADD COLUMN IF NOT EXISTS payment_reminder_sent_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS cancellation_reason TEXT;
+
+COMMENT ON COLUMN appointments.cancellation_reason IS 'e.g. payment_deadline, patient_request';
+
+CREATE INDEX IF NOT EXISTS idx_appointments_status ON appointments(status);
+
+-- Payments that arrive after the deadline cancelled their appointment wait for a refund
+COMMENT ON COLUMN payments.status IS 'pending, approved, needs_refund (paid after its appointment was cancelled), expired, failed, refunded, partially_refunded';
@@ -0,0 +1,42 @@
+-- Migration: PIX receipts sent by patients over WhatsApp
+-- Each image/PDF is parsed (amount, payer, date, end-to-end id) and reconciled
+-- against the sender's pending payment.
+
+CREATE TABLE IF NOT EXISTS payment_receipts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  owner_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  lead_id UUID REFERENCES leads(id) ON DELETE SET NULL,
+  payment_id UUID REFERENCES payments(id) ON DELETE SET NULL,
+  source TEXT DEFAULT 'whatsapp',
+  from_phone TEXT,
+  media_url TEXT,
+  content_type TEXT,
+  parser TEXT, -- Adapter that read the document: mindee, stub
+  amount NUMERIC(10,2),
+  expected_amount NUMERIC(10,2),
+  payer_name TEXT,
+  paid_at TIMESTAMPTZ,
+  end_to_end_id TEXT, -- PIX E2E id (E + 31 chars), unique per real transfer
+  raw_text TEXT,
+  raw JSONB,
+  status TEXT NOT NULL CHECK (status IN ('approved', 'needs_review', 'unreadable', 'no_pending_payment', 'duplicate', 'rejected')),
+  review_reason TEXT,
+  reviewed_at TIMESTAMPTZ,
+  reviewed_by UUID REFERENCES users(id),
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payment_receipts_e2e ON payment_receipts(end_to_end_id) WHERE end_to_end_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_payment_receipts_payment ON payment_receipts(payment_id);
+CREATE INDEX IF NOT EXISTS idx_payment_receipts_owner_status ON payment_receipts(owner_id, status);
+
+ALTER TABLE payments
+ADD COLUMN IF NOT EXISTS receipt_id UUID REFERENCES payment_receipts(id) ON DELETE SET NULL;
+
+COMMENT ON COLUMN payments.receipt_id IS 'PIX receipt that approved this payment when paid outside Stripe';
+
+-- PIX receipts are only approved automatically when they name this key as payee
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS pix_key TEXT;
+
+COMMENT ON COLUMN users.pix_key IS 'Clinic PIX key (CPF/CNPJ, e-mail, phone or random key) receipts must show as payee';
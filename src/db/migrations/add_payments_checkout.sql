@@ -0,0 +1,21 @@
+-- Migration: Stripe Checkout links in the payments ledger
+-- /fn/create-payment-link stores one row per generated link; the Stripe webhook
+-- reconciles it by checkout session id.
+
+ALTER TABLE payments
+ADD COLUMN IF NOT EXISTS agent_id UUID REFERENCES agents(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS stripe_checkout_session_id TEXT,
+ADD COLUMN IF NOT EXISTS checkout_url TEXT,
+ADD COLUMN IF NOT EXISTS base_amount NUMERIC(10,2),
+ADD COLUMN IF NOT EXISTS discount_percentage INTEGER DEFAULT 0,
+ADD COLUMN IF NOT EXISTS max_installments INTEGER,
+ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS description TEXT;
+
+COMMENT ON COLUMN payments.base_amount IS 'Consultation price before any PIX discount; expected_amount is what the patient must pay';
+COMMENT ON COLUMN payments.payment_method IS 'Method the link was created for: pix, credit_card, or NULL when the patient may choose';
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payments_checkout_session ON payments(stripe_checkout_session_id);
+CREATE INDEX IF NOT EXISTS idx_payments_lead ON payments(lead_id);
+CREATE INDEX IF NOT EXISTS idx_payments_appointment ON payments(appointment_id);
+CREATE INDEX IF NOT EXISTS idx_payments_status ON payments(status);
@@ -0,0 +1,25 @@
+-- Migration: preference capture after the WhatsApp fallback question
+-- leads.preference_state tracks where the lead is in the "ligar ou WhatsApp?"
+-- flow; every move is audited in lead_preference_transitions.
+
+ALTER TABLE leads
+ADD COLUMN IF NOT EXISTS preference_state TEXT CHECK (preference_state IN ('awaiting_reply', 'clarifying', 'call_scheduled', 'whatsapp_selected', 'needs_human')),
+ADD COLUMN IF NOT EXISTS preference_clarifications INTEGER DEFAULT 0,
+ADD COLUMN IF NOT EXISTS preference_context JSONB DEFAULT '{}'::jsonb;
+
+COMMENT ON COLUMN leads.preference_context IS 'Partial answer kept between replies, e.g. {"dateKey":"2025-09-16"} after "ligar amanhã"';
+
+CREATE TABLE IF NOT EXISTS lead_preference_transitions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  lead_id UUID REFERENCES leads(id) ON DELETE CASCADE,
+  owner_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  from_state TEXT,
+  to_state TEXT NOT NULL,
+  event TEXT NOT NULL, -- question_sent, chose_call, chose_whatsapp, call_time_missing, unclear_reply, too_many_unclear_replies
+  channel TEXT, -- twilio_whatsapp, meta_whatsapp
+  message TEXT, -- Patient reply that triggered the transition
+  parsed JSONB,
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_lead_preference_transitions_lead ON lead_preference_transitions(lead_id, created_at);
@@ -0,0 +1,34 @@
+-- Migration: configurable retry cadence per agent
+-- Agents point at a policy; without one the owner's default policy applies,
+-- and without that the built-in cadence (3 attempts, then WhatsApp).
+
+CREATE TABLE IF NOT EXISTS retry_policies (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  owner_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  max_attempts INTEGER NOT NULL DEFAULT 3 CHECK (max_attempts BETWEEN 1 AND 20),
+  backoff JSONB NOT NULL DEFAULT '{"voicemail":15,"busy":120,"no_answer":120,"dial_failed":15}'::jsonb,
+  jitter_minutes INTEGER NOT NULL DEFAULT 10 CHECK (jitter_minutes >= 0),
+  min_gap_minutes INTEGER NOT NULL DEFAULT 15 CHECK (min_gap_minutes >= 0),
+  retry_error_minutes INTEGER NOT NULL DEFAULT 30 CHECK (retry_error_minutes >= 0),
+  fallback_channel TEXT NOT NULL DEFAULT 'whatsapp' CHECK (fallback_channel IN ('whatsapp', 'sms', 'none')),
+  is_default BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_retry_policies_owner ON retry_policies(owner_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_retry_policies_owner_default ON retry_policies(owner_id) WHERE is_default;
+
+COMMENT ON COLUMN retry_policies.backoff IS 'Minutes to wait per outcome (voicemail, busy, no_answer, dial_failed): a number, or a list indexed by attempt number whose last entry repeats';
+COMMENT ON COLUMN retry_policies.fallback_channel IS 'What happens once max_attempts is reached: whatsapp or sms outreach, or none (lead marked unreachable)';
+
+ALTER TABLE agents
+ADD COLUMN IF NOT EXISTS retry_policy_id UUID REFERENCES retry_policies(id) ON DELETE SET NULL;
+
+-- leads.max_attempts becomes a per-lead override; NULL follows the policy.
+-- Rows still holding the old default of 3 are reset so the policy applies to them.
+ALTER TABLE leads ALTER COLUMN max_attempts DROP DEFAULT;
+UPDATE leads SET max_attempts = NULL WHERE max_attempts = 3;
+
+COMMENT ON COLUMN leads.max_attempts IS 'Per-lead override of the retry policy max_attempts; NULL uses the policy';
@@ -0,0 +1,27 @@
+-- Migration: Stripe webhook reconciliation
+-- Every delivered event id is recorded so retries and duplicate deliveries are no-ops.
+
+CREATE TABLE IF NOT EXISTS stripe_events (
+  id TEXT PRIMARY KEY, -- Stripe event id (evt_...)
+  type TEXT NOT NULL,
+  payload JSONB,
+  received_at TIMESTAMPTZ DEFAULT now(),
+  processed_at TIMESTAMPTZ, -- NULL until handled successfully; a redelivery then reprocesses it
+  claimed_at TIMESTAMPTZ, -- Set by the delivery handling it; a stale claim may be taken over
+  error TEXT
+);
+
+ALTER TABLE stripe_events
+ADD COLUMN IF NOT EXISTS claimed_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_stripe_events_type ON stripe_events(type);
+
+ALTER TABLE payments
+ADD COLUMN IF NOT EXISTS paid_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS refunded_amount NUMERIC(10,2),
+ADD COLUMN IF NOT EXISTS refunded_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS failure_reason TEXT;
+
+COMMENT ON COLUMN payments.status IS 'pending, approved, expired, failed, refunded, partially_refunded';
+
+CREATE INDEX IF NOT EXISTS idx_payments_payment_intent ON payments(stripe_payment_intent_id);
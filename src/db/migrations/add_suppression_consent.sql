@@ -0,0 +1,142 @@
+-- Migration: do-not-contact lists and consent records (LGPD)
+-- suppression_list blocks calls and messages to a phone, for one owner or for
+-- everyone (owner_id NULL). Entries come from a do_not_call call disposition,
+-- WhatsApp/SMS opt-out keywords ("parar", "sair") and manual entry.
+-- lead_consents records the consent given when a lead came in.
+
+CREATE TABLE IF NOT EXISTS suppression_list (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  owner_id UUID REFERENCES users(id) ON DELETE CASCADE, -- NULL: applies to every owner
+  phone TEXT NOT NULL, -- E.164
+  source TEXT NOT NULL CHECK (source IN ('call_disposition', 'whatsapp_keyword', 'sms_keyword', 'manual')),
+  reason TEXT,
+  lead_id UUID REFERENCES leads(id) ON DELETE SET NULL,
+  call_attempt_id UUID REFERENCES call_attempts(id) ON DELETE SET NULL,
+  message_id TEXT, -- WhatsApp message id / Twilio MessageSid of the opt-out
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_suppression_list_global ON suppression_list(phone) WHERE owner_id IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_suppression_list_owner ON suppression_list(owner_id, phone) WHERE owner_id IS NOT NULL;
+
+COMMENT ON TABLE suppression_list IS 'Phones that must not be called or messaged; checked by makeOutboundCall and every message sender';
+
+CREATE TABLE IF NOT EXISTS lead_consents (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  lead_id UUID NOT NULL REFERENCES leads(id) ON DELETE CASCADE,
+  owner_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  phone TEXT, -- E.164, as submitted
+  granted BOOLEAN NOT NULL,
+  source TEXT NOT NULL, -- lead_submit, lead_form, meta_lead_ads, google_lead_ads, manual
+  text_version TEXT, -- Version of the consent text the patient saw
+  consent_text TEXT,
+  ip TEXT,
+  user_agent TEXT,
+  intake_key_id UUID,
+  intake_form_id UUID,
+  recorded_by UUID REFERENCES users(id) ON DELETE SET NULL, -- Manual records
+  captured_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_lead_consents_lead ON lead_consents(lead_id, captured_at DESC);
+
+-- Forms with a consent_version only take submissions that accept it
+ALTER TABLE intake_forms
+ADD COLUMN IF NOT EXISTS consent_text TEXT,
+ADD COLUMN IF NOT EXISTS consent_version TEXT;
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS require_contact_consent BOOLEAN NOT NULL DEFAULT false;
+
+COMMENT ON COLUMN users.require_contact_consent IS 'Only call or message leads with a granted lead_consents row';
+
+COMMENT ON COLUMN call_attempts.disposition IS 'booked, interested, callback_requested, not_interested, do_not_call, wrong_number, voicemail, no_answer, busy, technical_failure';
+
+ALTER TABLE leads DROP CONSTRAINT IF EXISTS leads_status_known;
+ALTER TABLE leads ADD CONSTRAINT leads_status_known CHECK (status IN (
+  'new', 'calling', 'no_answer', 'reschedule', 'call_failed', 'retry_failed', 'assignment_failed',
+  'campaign_queued', 'whatsapp_outreach', 'waiting_preference', 'whatsapp_conversation', 'needs_human',
+  'unreachable', 'qualified', 'divergent', 'not_interested', 'wrong_number', 'do_not_contact',
+  'appointment_scheduled', 'consultation_scheduled', 'merged'
+)) NOT VALID;
+
+-- The current merge_leads(): add_lead_dedupe.sql's plus the lead tables added since
+-- (twilio_messages, lead_notes, lead_field_extractions, lead_consents), all moved
+-- in the same transaction. Earlier migrations only add their tables.
+CREATE OR REPLACE FUNCTION merge_leads(p_keep UUID, p_merge UUID)
+RETURNS leads AS $$
+DECLARE
+  keep leads;
+  merge leads;
+BEGIN
+  IF p_keep = p_merge THEN
+    RAISE EXCEPTION 'Cannot merge a lead into itself';
+  END IF;
+
+  SELECT * INTO keep FROM leads WHERE id = p_keep FOR UPDATE;
+  SELECT * INTO merge FROM leads WHERE id = p_merge FOR UPDATE;
+  IF keep.id IS NULL OR merge.id IS NULL THEN
+    RAISE EXCEPTION 'Lead not found';
+  END IF;
+  IF merge.status = 'merged' THEN
+    RAISE EXCEPTION 'Lead % was already merged', p_merge;
+  END IF;
+
+  UPDATE call_attempts SET lead_id = p_keep WHERE lead_id = p_merge;
+  UPDATE appointments SET lead_id = p_keep WHERE lead_id = p_merge;
+  UPDATE payments SET lead_id = p_keep WHERE lead_id = p_merge;
+  UPDATE payment_receipts SET lead_id = p_keep WHERE lead_id = p_merge;
+  UPDATE whatsapp_messages SET lead_id = p_keep WHERE lead_id = p_merge;
+  UPDATE lead_preference_transitions SET lead_id = p_keep WHERE lead_id = p_merge;
+  UPDATE lead_touches SET lead_id = p_keep WHERE lead_id = p_merge;
+  UPDATE lead_import_rows SET lead_id = p_keep WHERE lead_id = p_merge;
+  UPDATE twilio_messages SET lead_id = p_keep WHERE lead_id = p_merge;
+  UPDATE lead_notes SET lead_id = p_keep WHERE lead_id = p_merge;
+  UPDATE lead_field_extractions SET lead_id = p_keep WHERE lead_id = p_merge;
+  UPDATE lead_consents SET lead_id = p_keep WHERE lead_id = p_merge;
+
+  -- Only one open dial job per lead; the merged lead's open ones are dropped
+  UPDATE dial_jobs SET status = 'cancelled', outcome = 'merged', updated_at = NOW()
+  WHERE lead_id = p_merge AND status IN ('queued', 'leased');
+  UPDATE dial_jobs SET lead_id = p_keep WHERE lead_id = p_merge AND status NOT IN ('queued', 'leased');
+
+  DELETE FROM campaign_leads cl
+  WHERE cl.lead_id = p_merge
+    AND EXISTS (SELECT 1 FROM campaign_leads k WHERE k.campaign_id = cl.campaign_id AND k.lead_id = p_keep);
+  UPDATE campaign_leads SET lead_id = p_keep WHERE lead_id = p_merge;
+
+  INSERT INTO lead_touches (lead_id, owner_id, kind, source, campaign, utm_source, utm_medium, utm_campaign, data)
+  VALUES (p_keep, keep.owner_id, 'merge', merge.source, merge.campaign, merge.utm_source, merge.utm_medium, merge.utm_campaign, to_jsonb(merge));
+
+  UPDATE leads SET
+    email = COALESCE(keep.email, merge.email),
+    whatsapp = COALESCE(keep.whatsapp, merge.whatsapp),
+    whatsapp_id = COALESCE(keep.whatsapp_id, merge.whatsapp_id),
+    city = COALESCE(keep.city, merge.city),
+    specialty = COALESCE(keep.specialty, merge.specialty),
+    reason = COALESCE(keep.reason, merge.reason),
+    notes = CASE
+      WHEN merge.notes IS NULL THEN keep.notes
+      WHEN keep.notes IS NULL THEN merge.notes
+      ELSE keep.notes || E'\n' || merge.notes
+    END,
+    custom_fields = COALESCE(merge.custom_fields, '{}'::jsonb) || COALESCE(keep.custom_fields, '{}'::jsonb),
+    touch_count = keep.touch_count + merge.touch_count,
+    last_touch_at = GREATEST(keep.last_touch_at, merge.last_touch_at, merge.created_at)
+  WHERE id = p_keep
+  RETURNING * INTO keep;
+
+  UPDATE leads SET
+    status = 'merged',
+    merged_into_id = p_keep,
+    next_retry_at = NULL,
+    campaign_id = NULL
+  WHERE id = p_merge;
+  -- Leads merged earlier into p_merge now point at the survivor
+  UPDATE leads SET merged_into_id = p_keep WHERE merged_into_id = p_merge;
+
+  RETURN keep;
+END;
+$$ LANGUAGE plpgsql;
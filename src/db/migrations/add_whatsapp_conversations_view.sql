@@ -0,0 +1,21 @@
+-- Migration: owner inbox over whatsapp_messages
+-- One row per (owner, contact) with the last message and unread inbound count.
+
+CREATE OR REPLACE VIEW whatsapp_conversations AS
+SELECT
+  m.owner_id,
+  m.contact_phone,
+  (array_agg(m.lead_id ORDER BY m.created_at DESC) FILTER (WHERE m.lead_id IS NOT NULL))[1] AS lead_id,
+  (array_agg(m.contact_name ORDER BY m.created_at DESC) FILTER (WHERE m.contact_name IS NOT NULL))[1] AS contact_name,
+  max(m.created_at) AS last_message_at,
+  (array_agg(m.body ORDER BY m.created_at DESC))[1] AS last_message_body,
+  (array_agg(m.type ORDER BY m.created_at DESC))[1] AS last_message_type,
+  (array_agg(m.direction ORDER BY m.created_at DESC))[1] AS last_message_direction,
+  (array_agg(m.status ORDER BY m.created_at DESC))[1] AS last_message_status,
+  max(m.created_at) FILTER (WHERE m.direction = 'inbound') AS last_inbound_at,
+  count(*) FILTER (WHERE m.direction = 'inbound' AND m.read_at IS NULL) AS unread_count
+FROM whatsapp_messages m
+WHERE m.owner_id IS NOT NULL
+GROUP BY m.owner_id, m.contact_phone;
+
+CREATE INDEX IF NOT EXISTS idx_whatsapp_messages_unread ON whatsapp_messages(owner_id, contact_phone) WHERE direction = 'inbound' AND read_at IS NULL;
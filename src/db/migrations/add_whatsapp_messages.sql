@@ -0,0 +1,32 @@
+-- Migration: WhatsApp Cloud API message store
+-- One row per inbound or outbound message on an owner's WhatsApp Business number,
+-- with Meta's delivery statuses tracked per message id.
+
+CREATE TABLE IF NOT EXISTS whatsapp_messages (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  owner_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  lead_id UUID REFERENCES leads(id) ON DELETE SET NULL,
+  wa_message_id TEXT, -- Meta message id (wamid...); NULL when the send failed before Meta accepted it
+  phone_number_id TEXT, -- Owner's Meta phone number id
+  contact_phone TEXT NOT NULL, -- Patient's number, digits only (E.164 without +)
+  contact_name TEXT, -- Profile name Meta reports for inbound messages
+  direction TEXT NOT NULL CHECK (direction IN ('inbound', 'outbound')),
+  type TEXT NOT NULL, -- text, image, document, audio, video, sticker, location, contacts, interactive, button, reaction, template
+  body TEXT, -- Text, caption, button/list reply title or template name
+  media_id TEXT,
+  media_mime_type TEXT,
+  template_name TEXT,
+  context_message_id TEXT, -- Message being replied to
+  payload JSONB, -- Raw message object as sent/received
+  status TEXT NOT NULL DEFAULT 'received', -- inbound: received, read; outbound: accepted, sent, delivered, read, failed
+  error TEXT,
+  sent_at TIMESTAMPTZ,
+  delivered_at TIMESTAMPTZ,
+  read_at TIMESTAMPTZ,
+  failed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT now() -- Message time (Meta timestamp for inbound)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_whatsapp_messages_wa_id ON whatsapp_messages(wa_message_id); -- NULLs do not conflict
+CREATE INDEX IF NOT EXISTS idx_whatsapp_messages_thread ON whatsapp_messages(owner_id, contact_phone, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_whatsapp_messages_lead ON whatsapp_messages(lead_id);
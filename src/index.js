@@ -17,10 +17,19 @@ import users from './routes/users.js';
 import googleCalendar from './routes/google-calendar.js';
 import appointments from './routes/appointments.js';
 import whatsapp from './routes/whatsapp.js';
+import settings from './routes/settings.js';
+import campaigns from './routes/campaigns.js';
+import leadImports from './routes/leadImports.js';
+import intake from './routes/intake.js';
+import adLeads from './routes/adLeads.js';
+import suppressions from './routes/suppressions.js';
 import './scheduler.js';
 import { rawBodySaver } from './middleware/rawBody.js';
 
 const app = express();
+if (env.TRUST_PROXY > 0) app.set('trust proxy', env.TRUST_PROXY);
+// Lead import uploads are the raw CSV/XLSX file, not JSON
+app.post('/leads/imports', express.raw({ type: () => true, limit: '20mb' }));
 app.use(bodyParser.urlencoded({ extended: false, limit: '1mb' }));
 app.use(bodyParser.json({ type: '*/*', verify: rawBodySaver, limit: '1mb' }));
 app.use(cors());
@@ -29,6 +38,10 @@ app.use(health);
 app.use(auth);
 app.use(users);
 app.use(leads);
+app.use(leadImports);
+app.use(intake);
+app.use(adLeads);
+app.use(suppressions);
 app.use(doctors);
 app.use('/agents', agents);
 app.use(retell);
@@ -38,6 +51,8 @@ app.use(functions);
 app.use('/google-calendar', googleCalendar);
 app.use('/appointments', appointments);
 app.use('/whatsapp', whatsapp);
+app.use('/settings', settings);
+app.use('/campaigns', campaigns);
 
 app.use((err, _req, res, _next) => {
   log.error(err);
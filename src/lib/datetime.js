@@ -0,0 +1,90 @@
+// Timezone helpers built on Intl (no tz library in the stack).
+export const DEFAULT_TIMEZONE = 'America/Sao_Paulo';
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const partsFormatters = new Map();
+function partsFormatter(timeZone){
+  if (!partsFormatters.has(timeZone)) {
+    partsFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit', weekday: 'long'
+    }));
+  }
+  return partsFormatters.get(timeZone);
+}
+
+/**
+ * Wall-clock parts of an instant in a timezone:
+ * { year, month, day, hour, minute, second, weekday ('monday'...), dateKey ('YYYY-MM-DD'), time ('HH:MM') }
+ */
+export function zonedParts(date, timeZone = DEFAULT_TIMEZONE){
+  const p = {};
+  for (const { type, value } of partsFormatter(timeZone).formatToParts(new Date(date))) p[type] = value;
+  const out = {
+    year: Number(p.year), month: Number(p.month), day: Number(p.day),
+    hour: Number(p.hour), minute: Number(p.minute), second: Number(p.second),
+    weekday: String(p.weekday).toLowerCase()
+  };
+  out.dateKey = `${p.year}-${p.month}-${p.day}`;
+  out.time = `${p.hour}:${p.minute}`;
+  return out;
+}
+
+/** Offset of the timezone from UTC at the given instant, in minutes (e.g. -180 for São Paulo) */
+export function tzOffsetMinutes(date, timeZone = DEFAULT_TIMEZONE){
+  const d = new Date(date);
+  const p = zonedParts(d, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((asUtc - (d.getTime() - d.getMilliseconds())) / 60000);
+}
+
+/** Instant for a wall-clock date ('YYYY-MM-DD') and time ('HH:MM') in a timezone */
+export function zonedTimeToUtc(dateKey, time, timeZone = DEFAULT_TIMEZONE){
+  const [y, m, d] = dateKey.split('-').map(Number);
+  const [hh, mm] = String(time || '00:00').split(':').map(Number);
+  const guess = Date.UTC(y, m - 1, d, hh, mm || 0);
+  // Two passes so the offset is taken at the target instant (DST edges)
+  let ts = guess - tzOffsetMinutes(guess, timeZone) * 60000;
+  ts = guess - tzOffsetMinutes(ts, timeZone) * 60000;
+  return new Date(ts);
+}
+
+/** ISO-8601 string with the timezone's offset, e.g. 2025-09-08T14:00:00-03:00 */
+export function toZonedIso(date, timeZone = DEFAULT_TIMEZONE){
+  const p = zonedParts(date, timeZone);
+  const off = tzOffsetMinutes(date, timeZone);
+  const sign = off < 0 ? '-' : '+';
+  const abs = Math.abs(off);
+  const pad = n => String(n).padStart(2, '0');
+  return `${p.dateKey}T${p.time}:${pad(p.second)}${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+}
+
+/** Add whole days to a 'YYYY-MM-DD' key */
+export function addDaysToKey(dateKey, days){
+  const [y, m, d] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+}
+
+export function weekdayOfKey(dateKey){
+  const [y, m, d] = dateKey.split('-').map(Number);
+  return WEEKDAYS[new Date(Date.UTC(y, m - 1, d)).getUTCDay()];
+}
+
+/**
+ * Spoken PT-BR form of an instant, relative to now when close:
+ * "amanhã, terça-feira, 9 de setembro, às 14 horas" / "hoje às 9 e 30"
+ */
+export function formatSpokenPtBr(date, timeZone = DEFAULT_TIMEZONE, now = new Date()){
+  const p = zonedParts(date, timeZone);
+  const today = zonedParts(now, timeZone).dateKey;
+  const time = p.minute ? `${p.hour} e ${p.minute}` : `${p.hour} ${p.hour === 1 ? 'hora' : 'horas'}`;
+  const longDate = new Date(date).toLocaleDateString('pt-BR', {
+    timeZone, weekday: 'long', day: 'numeric', month: 'long'
+  });
+
+  if (p.dateKey === today) return `hoje, às ${time}`;
+  if (p.dateKey === addDaysToKey(today, 1)) return `amanhã, ${longDate}, às ${time}`;
+  return `${longDate}, às ${time}`;
+}
@@ -1,2 +1,146 @@
-// plug Mindee/Google Vision later
-export async function ocrReceiptAmount(_imageBytes){ return null; }
+// PIX receipt parsing. Adapters turn an image/PDF into
+// { amount, payerName, paidAt, endToEndId, text, raw }; any field may be null.
+import { env } from '../config/env.js';
+import { log } from '../config/logger.js';
+
+const MINDEE_URL = 'https://api.mindee.net/v1/products/mindee/financial_document/v1/predict';
+
+// E + ISPB (8) + yyyyMMddHHmm (12) + 11 alphanumerics
+const END_TO_END_RE = /\b(E\d{8}\d{12}[A-Za-z0-9]{11})\b/;
+const AMOUNT_RE = /R\$\s*([\d.]+,\d{2})/;
+const DATE_RE = /(\d{2})\/(\d{2})\/(\d{4})(?:\D{1,6}(\d{2}):(\d{2}))?/;
+const PAYER_LABEL_RE = /^(?:nome\s+do\s+pagador|pagador|dados\s+do\s+pagador|de|origem|quem\s+pagou)\b\s*:?\s*(.*)$/i;
+
+function brlToNumber(s){
+  const n = Number(String(s).replace(/\./g, '').replace(',', '.'));
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+/** Extract receipt fields from the text of a PIX comprovante (any bank layout) */
+export function parsePixReceiptText(text){
+  const lines = String(text || '').split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+  const joined = lines.join('\n');
+
+  const valorLine = lines.find(l => /\bvalor\b/i.test(l) && AMOUNT_RE.test(l));
+  const amountMatch = (valorLine || joined).match(AMOUNT_RE);
+
+  let paidAt = null;
+  const dateMatch = joined.match(DATE_RE);
+  if (dateMatch) {
+    const [, dd, mm, yyyy, hh = '00', mi = '00'] = dateMatch;
+    // Receipts print Brasília time
+    paidAt = `${yyyy}-${mm}-${dd}T${hh}:${mi}:00-03:00`;
+  }
+
+  let payerName = null;
+  for (let i = 0; i < lines.length && !payerName; i++) {
+    const m = lines[i].match(PAYER_LABEL_RE);
+    if (!m) continue;
+    const candidate = [m[1], lines[i + 1], lines[i + 2]]
+      .map(l => String(l || '').replace(/^nome\s*:?\s*/i, '').trim())
+      .find(Boolean);
+    if (candidate && /[a-zà-ú]{2,}/i.test(candidate) && !/\d{3}/.test(candidate)) payerName = candidate;
+  }
+
+  return {
+    amount: amountMatch ? brlToNumber(amountMatch[1]) : null,
+    payerName,
+    paidAt,
+    endToEndId: joined.match(END_TO_END_RE)?.[1] || null
+  };
+}
+
+/** Mindee financial document API, plus its full-page OCR for the PIX specific fields */
+export const mindeeReceiptParser = {
+  name: 'mindee',
+  async parse(bytes, { contentType = 'image/jpeg', filename = 'receipt' } = {}){
+    if (!env.MINDEE_API_KEY) throw new Error('MINDEE_API_KEY is not configured');
+
+    const form = new FormData();
+    form.append('document', new Blob([bytes], { type: contentType }), filename);
+    const response = await fetch(`${MINDEE_URL}?include_mvision=true`, {
+      method: 'POST',
+      headers: { 'Authorization': `Token ${env.MINDEE_API_KEY}` },
+      body: form
+    });
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(`Mindee error: ${result.api_request?.error?.message || response.statusText}`);
+    }
+
+    const doc = result.document || {};
+    const prediction = doc.inference?.prediction || {};
+    const text = (doc.ocr?.['mvision-v1']?.pages || [])
+      .map(page => page.all_words
+        ? page.all_words.map(w => w.text).join(' ')
+        : '')
+      .join('\n');
+    const fromText = parsePixReceiptText(text);
+
+    return {
+      amount: prediction.total_amount?.value ?? fromText.amount,
+      payerName: prediction.customer_name?.value || fromText.payerName,
+      paidAt: fromText.paidAt || prediction.date?.value || null,
+      endToEndId: fromText.endToEndId,
+      text,
+      raw: prediction
+    };
+  }
+};
+
+/**
+ * Local adapter with no external calls: reads the document as text (text
+ * fixtures, uncompressed PDFs). Tests only: it must be named with
+ * RECEIPT_PARSER=stub and is refused in production, since any text file
+ * saying "R$ 150,00" would read as a receipt.
+ */
+export const stubReceiptParser = {
+  name: 'stub',
+  async parse(bytes){
+    const text = Buffer.from(bytes).toString('utf8').replace(/[^\x20-\x7E\nÀ-ÿ]/g, ' ');
+    return { ...parsePixReceiptText(text), text, raw: null };
+  }
+};
+
+const parsers = {
+  [mindeeReceiptParser.name]: mindeeReceiptParser,
+  [stubReceiptParser.name]: stubReceiptParser
+};
+
+/** Register another adapter (e.g. Google Vision) under its name */
+export function registerReceiptParser(parser){
+  parsers[parser.name] = parser;
+}
+
+/**
+ * RECEIPT_PARSER selects the adapter; defaults to Mindee when its key is set.
+ * Returns null when no parser may be used.
+ */
+export function getReceiptParser(name = env.RECEIPT_PARSER){
+  const key = name || (env.MINDEE_API_KEY ? 'mindee' : null);
+  if (!key) return null;
+  if (key === stubReceiptParser.name && process.env.NODE_ENV === 'production') {
+    log.warn('RECEIPT_PARSER=stub is ignored in production');
+    return null;
+  }
+  const parser = parsers[key];
+  if (!parser) throw new Error(`Unknown receipt parser: ${key}`);
+  return parser;
+}
+
+/**
+ * Parse a receipt with the configured adapter. Without one nothing is read
+ * (parser: null) and reconcilePixReceipt() leaves the receipt for review.
+ */
+export async function parseReceipt(bytes, options = {}){
+  const parser = getReceiptParser(options.parser);
+  if (!parser) {
+    return { parser: null, amount: null, payerName: null, paidAt: null, endToEndId: null, text: null, raw: null };
+  }
+  try {
+    return { parser: parser.name, ...(await parser.parse(bytes, options)) };
+  } catch (e) {
+    log.error(`Receipt parser ${parser.name} failed:`, e.message);
+    throw e;
+  }
+}
@@ -0,0 +1,132 @@
+// Plain text PDF documents (lead timeline export), without external dependencies.
+// A4 pages, Helvetica / Helvetica-Bold with WinAnsi encoding, so Portuguese
+// accents print as is; characters outside it (emoji) become '?'.
+
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+const MARGIN = 50;
+const FOOTER_SIZE = 8;
+
+// WinAnsi code points for the characters outside Latin-1 that show up in messages
+const WIN_ANSI = {
+  '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94,
+  '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99
+};
+
+function toWinAnsi(text){
+  let out = '';
+  for (const ch of String(text ?? '')) {
+    const code = ch.codePointAt(0);
+    if (ch === '\t') out += '    ';
+    else if (code >= 0x20 && code <= 0x7e) out += ch;
+    else if (code >= 0xa0 && code <= 0xff) out += ch;
+    else if (WIN_ANSI[ch]) out += String.fromCharCode(WIN_ANSI[ch]);
+    else if (code >= 0xfe00 && code <= 0xfe0f) continue; // emoji variation selectors
+    else out += '?';
+  }
+  return out;
+}
+
+const escapeText = (s) => s.replace(/[\\()]/g, m => `\\${m}`);
+
+// Approximate Helvetica glyph widths (per 1pt of font size); wrapping errs on the narrow side
+const NARROW = /[ iljtfrI.,:;'|!()[\]]/;
+const WIDE = /[mwMW@%]/;
+const CAPITAL = /[A-Z]/;
+
+function textWidth(text, size, bold){
+  let units = 0;
+  for (const ch of text) {
+    units += NARROW.test(ch) ? 0.3 : WIDE.test(ch) ? 0.89 : CAPITAL.test(ch) ? 0.7 : 0.56;
+  }
+  return units * size * (bold ? 1.06 : 1);
+}
+
+function wrap(text, size, bold, width){
+  const lines = [];
+  for (const paragraph of text.split(/\r?\n/)) {
+    let line = '';
+    for (let word of paragraph.split(' ')) {
+      // Words wider than the line (URLs, ids) are cut
+      while (textWidth(word, size, bold) > width) {
+        let cut = word.length - 1;
+        while (cut > 1 && textWidth(word.slice(0, cut), size, bold) > width) cut--;
+        if (line) { lines.push(line); line = ''; }
+        lines.push(word.slice(0, cut));
+        word = word.slice(cut);
+      }
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && textWidth(candidate, size, bold) > width) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+/**
+ * Lay out `blocks` on as many pages as needed and return the PDF as a Buffer.
+ * Each block is { text, size = 10, bold = false, indent = 0, spaceBefore = 0 };
+ * text wraps to the page width and may contain line breaks.
+ * `footer` is printed on every page next to the page number.
+ */
+export function renderTextPdf(blocks, { title = '', footer = '' } = {}){
+  const pages = [];
+  let ops = [];
+  let y = PAGE_HEIGHT - MARGIN;
+
+  const newPage = () => {
+    if (ops.length) pages.push(ops);
+    ops = [];
+    y = PAGE_HEIGHT - MARGIN;
+  };
+
+  for (const block of blocks) {
+    const size = block.size || 10;
+    const bold = !!block.bold;
+    const indent = block.indent || 0;
+    const leading = size * 1.3;
+    y -= block.spaceBefore || 0;
+    for (const line of wrap(toWinAnsi(block.text), size, bold, PAGE_WIDTH - 2 * MARGIN - indent)) {
+      if (y - leading < MARGIN + FOOTER_SIZE * 2) newPage();
+      y -= leading;
+      if (line) ops.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${(MARGIN + indent).toFixed(2)} ${y.toFixed(2)} Td (${escapeText(line)}) Tj ET`);
+    }
+  }
+  pages.push(ops);
+
+  // Objects 1-4: catalog, page tree, fonts, info; then a page and its content per page
+  const objects = [];
+  const pageIds = pages.map((_, i) => 5 + i * 2);
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+  objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+  objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+
+  pages.forEach((pageOps, i) => {
+    const footerText = escapeText(toWinAnsi(`${footer ? `${footer}  -  ` : ''}${i + 1}/${pages.length}`));
+    const content = [...pageOps, `BT /F1 ${FOOTER_SIZE} Tf ${MARGIN} ${MARGIN - FOOTER_SIZE} Td (${footerText}) Tj ET`].join('\n');
+    objects[pageIds[i]] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[i] + 1} 0 R >>`;
+    objects[pageIds[i] + 1] = `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`;
+  });
+
+  const infoId = objects.length;
+  objects[infoId] = `<< /Title (${escapeText(toWinAnsi(title))}) /Producer (Geniumed) /CreationDate (D:${new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z) >>`;
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = [];
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = Buffer.byteLength(pdf, 'latin1');
+    pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+  const xref = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) pdf += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+  pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info ${infoId} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'latin1');
+}
@@ -0,0 +1,117 @@
+// Brazilian phone numbers: parsing, validation and the canonical forms we
+// store and send to (E.164 for calls/SMS, WhatsApp ID for WhatsApp).
+
+// Area codes (DDD) in use, per Anatel
+const AREA_CODES = new Set([
+  11, 12, 13, 14, 15, 16, 17, 18, 19,
+  21, 22, 24, 27, 28,
+  31, 32, 33, 34, 35, 37, 38,
+  41, 42, 43, 44, 45, 46, 47, 48, 49,
+  51, 53, 54, 55,
+  61, 62, 63, 64, 65, 66, 67, 68, 69,
+  71, 73, 74, 75, 77, 79,
+  81, 82, 83, 84, 85, 86, 87, 88, 89,
+  91, 92, 93, 94, 95, 96, 97, 98, 99
+]);
+
+/**
+ * Parse a phone number as typed by a patient, a form or a spreadsheet:
+ * "(11) 99999-8888", "11 9999-8888" (mobile before the ninth digit),
+ * "+55 11 99999-8888", "0 15 11 99999-8888" / "0xx11..." (trunk and carrier prefixes), "whatsapp:+55...".
+ * Numbers with another country code (+1..., +351...) are accepted as international.
+ *
+ * Returns { valid: true, e164, whatsappId, type: 'mobile'|'landline'|'international', areaCode, national }
+ * or { valid: false, reason }.
+ */
+export function parsePhone(input, { defaultAreaCode = null } = {}){
+  const raw = String(input ?? '').trim()
+    .replace(/^whatsapp:/i, '')
+    .replace(/^0\s*xx\s*/i, '0')
+    // An extension ("ramal 21", "ext. 3") is not dialed
+    .replace(/\s*(ext\.?|ramal|r\.)\s*\d+$/i, '');
+  if (!raw) return { valid: false, reason: 'empty' };
+  if (/[a-z]/i.test(raw)) return { valid: false, reason: 'not_a_number' };
+
+  let digits = raw.replace(/\D/g, '');
+  const international = raw.startsWith('+') || raw.startsWith('00');
+  if (raw.startsWith('00')) digits = digits.slice(2);
+
+  if (international) {
+    if (!digits.startsWith('55')) {
+      return digits.length >= 8 && digits.length <= 15
+        ? { valid: true, e164: `+${digits}`, whatsappId: digits, type: 'international', areaCode: null, national: digits }
+        : { valid: false, reason: 'invalid_length' };
+    }
+    digits = digits.slice(2);
+  } else if (digits.startsWith('0')) {
+    // Trunk prefix 0, optionally followed by a two-digit carrier code
+    digits = digits.slice(1);
+    if (digits.length === 12 || digits.length === 13) digits = digits.slice(2);
+  } else if ((digits.length === 12 || digits.length === 13) && digits.startsWith('55')) {
+    digits = digits.slice(2);
+  }
+
+  if (digits.length === 8 || digits.length === 9) {
+    if (!defaultAreaCode) return { valid: false, reason: 'missing_area_code' };
+    digits = `${defaultAreaCode}${digits}`;
+  }
+  if (digits.length !== 10 && digits.length !== 11) return { valid: false, reason: 'invalid_length' };
+
+  const areaCode = Number(digits.slice(0, 2));
+  if (!AREA_CODES.has(areaCode)) return { valid: false, reason: 'invalid_area_code' };
+
+  let subscriber = digits.slice(2);
+  let type;
+  if (subscriber.length === 9) {
+    if (subscriber[0] !== '9') return { valid: false, reason: 'invalid_mobile' };
+    type = 'mobile';
+  } else if (/^[2-5]/.test(subscriber)) {
+    type = 'landline';
+  } else if (/^[6-9]/.test(subscriber)) {
+    // Mobile written without the ninth digit
+    subscriber = `9${subscriber}`;
+    type = 'mobile';
+  } else {
+    return { valid: false, reason: 'invalid_number' };
+  }
+  if (/^(\d)\1+$/.test(subscriber.slice(type === 'mobile' ? 1 : 0))) return { valid: false, reason: 'invalid_number' };
+
+  const national = `${areaCode}${subscriber}`;
+  return { valid: true, e164: `+55${national}`, whatsappId: `55${national}`, type, areaCode: String(areaCode), national };
+}
+
+/** Canonical E.164 ("+5511999998888"), or null when the number is invalid */
+export function toE164(input, options){
+  const parsed = parsePhone(input, options);
+  return parsed.valid ? parsed.e164 : null;
+}
+
+/** WhatsApp ID as the Cloud API uses it (E.164 digits, no "+"), or null */
+export function toWhatsAppId(input, options){
+  const parsed = parsePhone(input, options);
+  return parsed.valid ? parsed.whatsappId : null;
+}
+
+/** Twilio WhatsApp address ("whatsapp:+55..."), or null */
+export function toTwilioWhatsApp(input, options){
+  const e164 = toE164(input, options);
+  return e164 ? `whatsapp:${e164}` : null;
+}
+
+/** Last four digits of the subscriber number, as the voice agent reads them back */
+export function phoneLast4(input){
+  const parsed = parsePhone(input);
+  const digits = parsed.valid ? parsed.national : String(input ?? '').replace(/\D/g, '');
+  return digits.slice(-4);
+}
+
+// Readable messages for parsePhone() reasons, for API errors
+export const PHONE_ERRORS = {
+  empty: 'Phone number is empty',
+  not_a_number: 'Phone number contains letters',
+  invalid_length: 'Phone number has the wrong number of digits',
+  missing_area_code: 'Phone number is missing the area code (DDD)',
+  invalid_area_code: 'Phone number has an invalid area code (DDD)',
+  invalid_mobile: 'Mobile numbers must start with 9',
+  invalid_number: 'Phone number is not valid'
+};
@@ -0,0 +1,192 @@
+// CSV and XLSX reading for lead imports, without external dependencies.
+// Both return { headers, rows } where each row maps header -> string value.
+import zlib from 'zlib';
+
+// Uncompressed bytes an XLSX may expand to (the parts that are read, together)
+export const XLSX_MAX_UNZIPPED_BYTES = 100 * 1024 * 1024;
+
+/** The file is not a readable spreadsheet, or is too large to read */
+export class SpreadsheetError extends Error {}
+
+/** RFC 4180 CSV. The delimiter (`,` or `;`, as Excel in pt-BR exports) is detected from the header line */
+export function parseCsv(text){
+  const src = String(text || '').replace(/^\uFEFF/, '');
+  const firstLine = src.slice(0, src.search(/\r?\n|$/));
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      record.push(field); field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      record.push(field); field = '';
+      records.push(record); record = [];
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || record.length) { record.push(field); records.push(record); }
+
+  return toObjects(records.filter(r => r.some(v => v.trim() !== '')));
+}
+
+function toObjects(records){
+  const headers = (records[0] || []).map((h, i) => String(h).trim() || `column_${i + 1}`);
+  const rows = records.slice(1).map(values =>
+    Object.fromEntries(headers.map((h, i) => [h, String(values[i] ?? '').trim()]))
+  );
+  return { headers, rows };
+}
+
+/**
+ * Entries of a ZIP archive, by name. Nothing is inflated until read(name), and
+ * everything read together may expand to at most `maxBytes`, so a zip bomb
+ * fails fast instead of filling the memory.
+ */
+function openZip(buffer, maxBytes){
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) { eocd = i; break; }
+  }
+  if (eocd < 0) throw new SpreadsheetError('Not a valid XLSX file');
+
+  const entries = new Map();
+  const count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  for (let n = 0; n < count; n++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== 0x02014b50) throw new SpreadsheetError('Corrupt XLSX central directory');
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    entries.set(buffer.toString('utf8', offset + 46, offset + 46 + nameLength), {
+      method: buffer.readUInt16LE(offset + 10),
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      localOffset: buffer.readUInt32LE(offset + 42)
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  let budget = maxBytes;
+  const tooLarge = () => new SpreadsheetError(`The XLSX file expands to more than ${Math.round(maxBytes / 1024 / 1024)} MB`);
+  return {
+    read(name){
+      const entry = entries.get(name);
+      if (!entry) return undefined;
+      const { method, compressedSize, localOffset } = entry;
+      if (localOffset + 30 > buffer.length) throw new SpreadsheetError('Corrupt XLSX file');
+      const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+      const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+      let bytes;
+      if (method === 0) {
+        bytes = data;
+      } else if (method === 8) {
+        try {
+          bytes = zlib.inflateRawSync(data, { maxOutputLength: Math.max(budget, 1) });
+        } catch (e) {
+          if (e.code === 'ERR_BUFFER_TOO_LARGE' || e instanceof RangeError) throw tooLarge();
+          throw new SpreadsheetError(`Corrupt XLSX file (${name})`);
+        }
+      } else {
+        throw new SpreadsheetError(`Unsupported XLSX compression method ${method}`);
+      }
+      if (bytes.length > budget) throw tooLarge();
+      budget -= bytes.length;
+      return bytes.toString('utf8');
+    }
+  };
+}
+
+function decodeXml(s){
+  return s
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+    .replace(/&#x([0-9a-f]+);/gi, (_, h) => String.fromCodePoint(parseInt(h, 16)))
+    .replace(/&#(\d+);/g, (_, d) => String.fromCodePoint(Number(d)))
+    .replace(/&amp;/g, '&');
+}
+
+// Text of every <t> inside an element (rich text runs included)
+function textOf(xml){
+  return [...xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)].map(m => decodeXml(m[1])).join('');
+}
+
+function columnIndex(ref){
+  const letters = ref.replace(/\d+$/, '');
+  let index = 0;
+  for (const ch of letters) index = index * 26 + (ch.charCodeAt(0) - 64);
+  return index - 1;
+}
+
+/** First worksheet of an XLSX workbook; only the parts needed for it are inflated */
+export function parseXlsx(buffer, { maxBytes = XLSX_MAX_UNZIPPED_BYTES } = {}){
+  const { read } = openZip(buffer, maxBytes);
+
+  // First sheet in workbook order
+  let sheetPath = 'xl/worksheets/sheet1.xml';
+  const workbook = read('xl/workbook.xml');
+  const rels = read('xl/_rels/workbook.xml.rels');
+  const firstSheetRel = workbook?.match(/<sheet\b[^>]*\br:id="([^"]+)"/)?.[1];
+  if (firstSheetRel && rels) {
+    const target = rels.match(new RegExp(`<Relationship\\b[^>]*Id="${firstSheetRel}"[^>]*Target="([^"]+)"`))?.[1]
+      || rels.match(new RegExp(`<Relationship\\b[^>]*Target="([^"]+)"[^>]*Id="${firstSheetRel}"`))?.[1];
+    if (target) sheetPath = target.startsWith('/') ? target.slice(1) : `xl/${target.replace(/^\.\//, '')}`;
+  }
+  const sheet = read(sheetPath);
+  if (!sheet) throw new SpreadsheetError('XLSX has no worksheet');
+
+  const shared = [...(read('xl/sharedStrings.xml') || '').matchAll(/<si>([\s\S]*?)<\/si>/g)].map(m => textOf(m[1]));
+
+  const records = [];
+  for (const rowMatch of sheet.matchAll(/<row\b[^>]*>([\s\S]*?)<\/row>/g)) {
+    const values = [];
+    for (const cell of rowMatch[1].matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const attrs = cell[1];
+      const body = cell[2] || '';
+      const ref = attrs.match(/\br="([A-Z]+\d+)"/)?.[1];
+      const type = attrs.match(/\bt="([^"]+)"/)?.[1];
+      const raw = body.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+
+      let value = '';
+      if (type === 's') value = shared[Number(raw)] ?? '';
+      else if (type === 'inlineStr') value = textOf(body);
+      else if (type === 'b') value = raw === '1' ? 'TRUE' : 'FALSE';
+      else if (raw !== undefined) value = decodeXml(raw);
+
+      values[ref ? columnIndex(ref) : values.length] = value;
+    }
+    records.push(Array.from(values, v => v ?? ''));
+  }
+
+  return toObjects(records.filter(r => r.some(v => String(v).trim() !== '')));
+}
+
+/** Parse an upload by its extension or content type. Throws SpreadsheetError for unreadable files */
+export function readSpreadsheet(buffer, { filename = '', contentType = '', maxBytes } = {}){
+  const isXlsx = /\.xlsx$/i.test(filename)
+    || /spreadsheetml/.test(contentType)
+    || (buffer.length > 4 && buffer.readUInt32LE(0) === 0x04034b50);
+  if (isXlsx) return { type: 'xlsx', ...parseXlsx(buffer, { maxBytes }) };
+  return { type: 'csv', ...parseCsv(buffer.toString('utf8')) };
+}
+
+/** Rows (objects) to CSV text with the given columns */
+export function toCsv(columns, rows){
+  const escape = v => {
+    const s = v === null || v === undefined ? '' : String(v);
+    return /[",\n\r;]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return [columns, ...rows.map(r => columns.map(c => r[c]))]
+    .map(line => line.map(escape).join(','))
+    .join('\r\n');
+}
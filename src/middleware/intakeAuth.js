@@ -0,0 +1,109 @@
+import { log } from '../config/logger.js';
+import {
+  findActiveApiKey,
+  hitRateLimit,
+  findFormBySlug,
+  originAllowed,
+  captchaToken,
+  verifyCaptcha
+} from '../services/intake.js';
+
+function rateLimited(res, limit){
+  const retryAfter = limit.reset_at ? Math.max(1, Math.ceil((new Date(limit.reset_at) - Date.now()) / 1000)) : 60;
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    ok: false,
+    error: 'Too many requests',
+    retry_after_seconds: retryAfter
+  });
+}
+
+/**
+ * Lead intake with an owner's API key, sent as `X-Api-Key` or
+ * `Authorization: Bearer <key>`. Sets req.intake = { ownerId, keyId, dial, ip, userAgent }.
+ */
+export const requireIntakeKey = (scope) => async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization || '';
+    const key = req.get('x-api-key') || (authHeader.startsWith('Bearer ') ? authHeader.substring(7) : null);
+    if (!key) {
+      return res.status(401).json({ ok: false, error: 'API key required' });
+    }
+
+    const apiKey = await findActiveApiKey(key);
+    if (!apiKey) {
+      return res.status(401).json({ ok: false, error: 'Invalid or revoked API key' });
+    }
+    if (!apiKey.scopes.includes(scope)) {
+      return res.status(403).json({ ok: false, error: `API key lacks the ${scope} scope` });
+    }
+
+    const limit = await hitRateLimit(`key:${apiKey.id}`, apiKey.rate_limit_per_minute);
+    if (!limit.allowed) return rateLimited(res, limit);
+
+    req.intake = {
+      ownerId: apiKey.owner_id,
+      keyId: apiKey.id,
+      dial: apiKey.scopes.includes('leads:dial'),
+      defaults: {},
+      ip: req.ip,
+      userAgent: req.get('user-agent') || null
+    };
+    next();
+  } catch (error) {
+    log.error('Intake key middleware error:', error);
+    return res.status(500).json({
+      ok: false,
+      error: 'Authentication error'
+    });
+  }
+};
+
+/**
+ * Public form submission by slug: checks origin, per-IP rate limit, honeypot
+ * and CAPTCHA, then sets req.intake from the form (the owner never comes from
+ * the browser). Honeypot hits get a fake success so bots don't adapt.
+ */
+export const resolveIntakeForm = async (req, res, next) => {
+  try {
+    const form = await findFormBySlug(req.params.slug);
+    if (!form || !form.enabled) {
+      return res.status(404).json({ ok: false, error: 'Form not found' });
+    }
+
+    const origin = req.get('origin') || req.get('referer');
+    if (!originAllowed(form, origin)) {
+      return res.status(403).json({ ok: false, error: 'Origin not allowed for this form' });
+    }
+
+    const limit = await hitRateLimit(`form:${form.id}:${req.ip}`, form.rate_limit_per_minute);
+    if (!limit.allowed) return rateLimited(res, limit);
+
+    if (form.honeypot_field && String(req.body?.[form.honeypot_field] ?? '').trim() !== '') {
+      log.info(`Form ${form.slug}: honeypot filled from ${req.ip}, submission dropped`);
+      return res.status(201).json({ ok: true, message: 'Lead submitted successfully' });
+    }
+
+    if (!(await verifyCaptcha(form, captchaToken(form, req.body), req.ip))) {
+      return res.status(400).json({ ok: false, error: 'CAPTCHA verification failed' });
+    }
+
+    req.intake = {
+      ownerId: form.owner_id,
+      formId: form.id,
+      dial: form.auto_dial,
+      defaults: form.defaults || {},
+      ip: req.ip,
+      userAgent: req.get('user-agent') || null,
+      consentVersion: form.consent_version || null,
+      consentText: form.consent_text || null
+    };
+    next();
+  } catch (error) {
+    log.error('Intake form middleware error:', error);
+    return res.status(500).json({
+      ok: false,
+      error: 'Failed to submit form'
+    });
+  }
+};
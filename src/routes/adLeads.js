@@ -0,0 +1,353 @@
+import { Router } from 'express';
+import { verifyJWT } from '../middleware/verifyJWT.js';
+import { getRawBody } from '../middleware/rawBody.js';
+import { supa } from '../lib/supabase.js';
+import { env } from '../config/env.js';
+import { log } from '../config/logger.js';
+import { IMPORT_FIELDS } from '../services/leadImports.js';
+import {
+  AD_PROVIDERS,
+  verifyMetaSignature,
+  googleKeyMatches,
+  generateWebhookKey,
+  validateFieldMapping,
+  findMetaSource,
+  getAdLeadSource,
+  subscribeMetaPage,
+  recordAdLeadEvent,
+  processAdLeadEvent
+} from '../services/adLeads.js';
+
+const router = Router();
+
+const SOURCE_FIELDS = ['name', 'page_id', 'form_ids', 'access_token', 'field_mapping', 'defaults', 'auto_dial', 'enabled'];
+
+// Sources are returned without the page token; Google sources get their webhook URL
+function publicSource({ access_token, ...source }){
+  return {
+    ...source,
+    has_access_token: Boolean(access_token),
+    webhook_url: source.provider === 'google'
+      ? `${env.APP_BASE_URL}/webhook/google-leads/${source.id}`
+      : `${env.APP_BASE_URL}/webhook/meta-leads`
+  };
+}
+
+function validateSourceFields(fields){
+  if (fields.form_ids !== undefined && (!Array.isArray(fields.form_ids) || fields.form_ids.some(id => typeof id !== 'string' || !id.trim()))) {
+    return 'form_ids must be an array of form ids';
+  }
+  if (fields.field_mapping !== undefined) {
+    const invalid = validateFieldMapping(fields.field_mapping);
+    if (invalid) return invalid;
+  }
+  if (fields.defaults !== undefined) {
+    if (typeof fields.defaults !== 'object' || Array.isArray(fields.defaults) || fields.defaults === null) return 'defaults must be an object';
+    const unknown = Object.keys(fields.defaults).filter(f => f !== 'custom_fields' && !IMPORT_FIELDS.includes(f));
+    if (unknown.length) return `Unknown lead field in defaults: ${unknown.join(', ')}`;
+  }
+  return null;
+}
+
+function processInBackground(event){
+  processAdLeadEvent(event).catch(error => log.error(`Ad lead event ${event.id} processing error:`, error.message));
+}
+
+/**
+ * Meta webhook verification
+ * GET /webhook/meta-leads
+ */
+router.get('/webhook/meta-leads', (req, res) => {
+  const mode = req.query['hub.mode'];
+  const token = req.query['hub.verify_token'];
+  if (mode === 'subscribe' && token && env.META_LEADS_VERIFY_TOKEN && token === env.META_LEADS_VERIFY_TOKEN) {
+    log.info('Meta leads webhook verified successfully');
+    return res.status(200).send(req.query['hub.challenge']);
+  }
+  log.warn('Meta leads webhook verification failed');
+  res.sendStatus(403);
+});
+
+/**
+ * Meta Lead Ads (Facebook/Instagram) leadgen notifications, signed with the app secret
+ * POST /webhook/meta-leads
+ */
+router.post('/webhook/meta-leads', async (req, res) => {
+  if (!verifyMetaSignature(getRawBody(req), req.headers['x-hub-signature-256'])) {
+    log.warn('Meta leads webhook signature verification failed');
+    return res.sendStatus(401);
+  }
+
+  try {
+    const events = [];
+    if (req.body.object === 'page') {
+      for (const entry of req.body.entry || []) {
+        for (const change of entry.changes || []) {
+          if (change.field !== 'leadgen' || !change.value?.leadgen_id) continue;
+
+          const value = change.value;
+          const source = await findMetaSource(value.page_id || entry.id, value.form_id);
+          const event = await recordAdLeadEvent({
+            provider: 'meta',
+            externalLeadId: value.leadgen_id,
+            source,
+            payload: value,
+            ...(source ? {} : { status: 'ignored', error: `No lead source for page ${value.page_id || entry.id}` })
+          });
+          if (event && source) events.push(event);
+          if (!source) log.warn(`Meta lead ${value.leadgen_id}: no lead source for page ${value.page_id || entry.id} form ${value.form_id}`);
+        }
+      }
+    }
+
+    res.sendStatus(200);
+    events.forEach(processInBackground);
+
+  } catch (error) {
+    log.error('Meta leads webhook error:', error);
+    res.sendStatus(500);
+  }
+});
+
+/**
+ * Google Ads lead form webhook; the form's webhook key comes in the body
+ * POST /webhook/google-leads/:sourceId
+ */
+router.post('/webhook/google-leads/:sourceId', async (req, res) => {
+  try {
+    const source = /^[0-9a-f-]{36}$/i.test(req.params.sourceId) ? await getAdLeadSource(req.params.sourceId) : null;
+    if (!source || source.provider !== 'google' || !googleKeyMatches(source, req.body.google_key)) {
+      log.warn(`Google leads webhook rejected for source ${req.params.sourceId}`);
+      return res.sendStatus(401);
+    }
+    if (!req.body.lead_id) {
+      return res.status(400).json({ ok: false, error: 'lead_id is required' });
+    }
+
+    const { google_key, ...payload } = req.body;
+    const skip = payload.is_test ? 'Test lead from Google Ads'
+      : !source.enabled ? 'Lead source disabled'
+      : source.form_ids?.length && !source.form_ids.includes(String(payload.form_id)) ? `Form ${payload.form_id} is not connected`
+      : null;
+    const event = await recordAdLeadEvent({
+      provider: 'google',
+      externalLeadId: payload.lead_id,
+      source,
+      payload,
+      ...(skip ? { status: 'ignored', error: skip } : {})
+    });
+
+    res.status(200).json({});
+    if (event && !skip) processInBackground(event);
+
+  } catch (error) {
+    log.error('Google leads webhook error:', error);
+    res.sendStatus(500);
+  }
+});
+
+/**
+ * List the owner's lead ads sources
+ * GET /ad-lead-sources
+ */
+router.get('/ad-lead-sources', verifyJWT, async (req, res) => {
+  try {
+    const { data: sources, error } = await supa
+      .from('ad_lead_sources')
+      .select('*')
+      .eq('owner_id', req.user.id)
+      .order('created_at', { ascending: false });
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    res.json({ ok: true, sources: (sources || []).map(publicSource) });
+
+  } catch (error) {
+    log.error('List ad lead sources error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to fetch lead sources'
+    });
+  }
+});
+
+/**
+ * Connect a Facebook page (subscribes it to leadgen) or create a Google Ads lead form webhook
+ * POST /ad-lead-sources
+ *
+ * Body (meta): { provider: "meta", name: "Página Clínica", page_id: "1234", access_token: "EAAG...",
+ *                form_ids: [], field_mapping: { specialty: "qual_especialidade" }, defaults: { specialty: "Dermatologia" } }
+ * Body (google): { provider: "google", name: "Google Ads", defaults: { specialty: "Cardiologia" } }
+ *   -> configure the returned webhook_url and webhook_key on the Google Ads lead form
+ */
+router.post('/ad-lead-sources', verifyJWT, async (req, res) => {
+  try {
+    const { provider } = req.body;
+    if (!AD_PROVIDERS.includes(provider)) {
+      return res.status(400).json({ ok: false, error: `provider must be one of ${AD_PROVIDERS.join(', ')}` });
+    }
+    const fields = Object.fromEntries(SOURCE_FIELDS.filter(f => req.body[f] !== undefined).map(f => [f, req.body[f]]));
+    if (!fields.name) {
+      return res.status(400).json({ ok: false, error: 'name is required' });
+    }
+    const invalid = validateSourceFields(fields);
+    if (invalid) return res.status(400).json({ ok: false, error: invalid });
+
+    if (provider === 'meta') {
+      if (!fields.page_id || !fields.access_token) {
+        return res.status(400).json({ ok: false, error: 'page_id and access_token are required for Meta' });
+      }
+      try {
+        await subscribeMetaPage(fields.page_id, fields.access_token);
+      } catch (subscribeError) {
+        return res.status(400).json({ ok: false, error: `Could not subscribe the page to lead webhooks: ${subscribeError.message}` });
+      }
+    } else {
+      delete fields.page_id;
+      delete fields.access_token;
+      fields.webhook_key = generateWebhookKey();
+    }
+
+    const { data: source, error } = await supa
+      .from('ad_lead_sources')
+      .insert({ ...fields, provider, owner_id: req.user.id })
+      .select()
+      .single();
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    res.status(201).json({ ok: true, message: 'Lead source created successfully', source: publicSource(source) });
+
+  } catch (error) {
+    log.error('Create ad lead source error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to create lead source'
+    });
+  }
+});
+
+/**
+ * Update a lead source (mapping, defaults, forms, page token, on/off)
+ * PUT /ad-lead-sources/:id
+ */
+router.put('/ad-lead-sources/:id', verifyJWT, async (req, res) => {
+  try {
+    const { data: source, error: fetchError } = await supa
+      .from('ad_lead_sources')
+      .select('*')
+      .eq('id', req.params.id)
+      .eq('owner_id', req.user.id)
+      .maybeSingle();
+    if (fetchError) {
+      throw new Error(fetchError.message);
+    }
+    if (!source) {
+      return res.status(404).json({ ok: false, error: 'Lead source not found' });
+    }
+
+    const allowed = source.provider === 'meta' ? SOURCE_FIELDS.filter(f => f !== 'page_id') : SOURCE_FIELDS.filter(f => !['page_id', 'access_token'].includes(f));
+    const updates = Object.fromEntries(allowed.filter(f => req.body[f] !== undefined).map(f => [f, req.body[f]]));
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        ok: false,
+        error: 'No valid fields to update'
+      });
+    }
+    const invalid = validateSourceFields(updates);
+    if (invalid) return res.status(400).json({ ok: false, error: invalid });
+
+    if (updates.access_token) {
+      try {
+        await subscribeMetaPage(source.page_id, updates.access_token);
+      } catch (subscribeError) {
+        return res.status(400).json({ ok: false, error: `Could not subscribe the page to lead webhooks: ${subscribeError.message}` });
+      }
+    }
+
+    const { data: updated, error } = await supa
+      .from('ad_lead_sources')
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('id', source.id)
+      .select()
+      .single();
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    res.json({ ok: true, message: 'Lead source updated successfully', source: publicSource(updated) });
+
+  } catch (error) {
+    log.error('Update ad lead source error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to update lead source'
+    });
+  }
+});
+
+/**
+ * Delete a lead source (its leads keep their ad ids)
+ * DELETE /ad-lead-sources/:id
+ */
+router.delete('/ad-lead-sources/:id', verifyJWT, async (req, res) => {
+  try {
+    const { data: deleted, error } = await supa
+      .from('ad_lead_sources')
+      .delete()
+      .eq('id', req.params.id)
+      .eq('owner_id', req.user.id)
+      .select('id');
+    if (error) {
+      throw new Error(error.message);
+    }
+    if (!deleted?.length) {
+      return res.status(404).json({ ok: false, error: 'Lead source not found' });
+    }
+
+    res.json({ ok: true, message: 'Lead source deleted successfully' });
+
+  } catch (error) {
+    log.error('Delete ad lead source error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to delete lead source'
+    });
+  }
+});
+
+/**
+ * Recent webhook deliveries of a source, with their outcome
+ * GET /ad-lead-sources/:id/events?status=failed&limit=50
+ */
+router.get('/ad-lead-sources/:id/events', verifyJWT, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    let query = supa
+      .from('ad_lead_events')
+      .select('id, provider, external_lead_id, status, error, attempts, lead_id, created_at, processed_at')
+      .eq('source_id', req.params.id)
+      .eq('owner_id', req.user.id)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+    if (req.query.status) query = query.eq('status', req.query.status);
+
+    const { data: events, error } = await query;
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    res.json({ ok: true, events: events || [] });
+
+  } catch (error) {
+    log.error('List ad lead events error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to fetch lead events'
+    });
+  }
+});
+
+export default router;
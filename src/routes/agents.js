@@ -6,6 +6,7 @@ import { retellDeleteAgent } from '../lib/retell.js';
 import Retell from 'retell-sdk';
 import { env } from '../config/env.js';
 import { agentManager } from '../services/agentManager.js';
+import { EXTRACTION_FIELDS, validateExtractionMappings } from '../services/callExtraction.js';
 
 const client = new Retell({ apiKey: env.RETELL_API_KEY });
 
@@ -36,6 +37,9 @@ router.post('/', verifyJWT, async (req, res) => {
         sent_paymentlink: newAgent.sent_paymentlink,
         apply_discount_consultancy_pix: newAgent.apply_discount_consultancy_pix,
         discount_percentage_pix: newAgent.discount_percentage_pix,
+        payment_deadline_hours: newAgent.payment_deadline_hours,
+        payment_reminder_hours_before: newAgent.payment_reminder_hours_before,
+        retry_policy_id: newAgent.retry_policy_id,
         created_at: newAgent.created_at,
         updated_at: newAgent.updated_at
       }
@@ -428,12 +432,68 @@ router.delete('/default', verifyJWT, async (req, res) => {
 });
 
 
+/**
+ * Post-call extraction mappings of an agent (Retell custom_analysis_data /
+ * collected_dynamic_variables -> lead fields)
+ * GET /agents/:id/extraction-mappings
+ */
+router.get('/:id/extraction-mappings', verifyJWT, async (req, res) => {
+  try {
+    const { data: agent } = await supa
+      .from('agents')
+      .select('id, extraction_mappings')
+      .eq('id', req.params.id)
+      .eq('owner_id', req.user.id)
+      .maybeSingle();
+    if (!agent) return res.status(404).json({ ok: false, error: 'Agent not found' });
+
+    res.json({ ok: true, mappings: agent.extraction_mappings || [], fields: Object.keys(EXTRACTION_FIELDS) });
+  } catch (error) {
+    log.error('Get extraction mappings error:', error);
+    res.status(500).json({ ok: false, error: 'Failed to fetch extraction mappings' });
+  }
+});
+
+/**
+ * Replace an agent's extraction mappings
+ * PUT /agents/:id/extraction-mappings
+ *
+ * Body: { mappings: [{ from: "custom_analysis_data.convenio", to: "insurance", overwrite: true, variable: "convenio" }] }
+ */
+router.put('/:id/extraction-mappings', verifyJWT, async (req, res) => {
+  try {
+    const checked = validateExtractionMappings(req.body?.mappings);
+    if (!checked.ok) return res.status(400).json({ ok: false, error: checked.error });
+
+    const { data: agent, error } = await supa
+      .from('agents')
+      .update({ extraction_mappings: checked.mappings })
+      .eq('id', req.params.id)
+      .eq('owner_id', req.user.id)
+      .select('id, extraction_mappings')
+      .maybeSingle();
+    if (error) throw new Error(error.message);
+    if (!agent) return res.status(404).json({ ok: false, error: 'Agent not found' });
+
+    res.json({ ok: true, mappings: agent.extraction_mappings });
+  } catch (error) {
+    log.error('Update extraction mappings error:', error);
+    res.status(500).json({ ok: false, error: 'Failed to update extraction mappings' });
+  }
+});
+
 // Update an agent
 router.patch('/:id', verifyJWT, async (req, res) => {
   try {
     const { id } = req.params;
     const updateData = req.body;
 
+    if (updateData.extraction_mappings !== undefined) {
+      const checked = validateExtractionMappings(updateData.extraction_mappings);
+      if (!checked.ok) return res.status(400).json({ error: checked.error });
+      updateData.extraction_mappings = checked.mappings;
+    }
+
     // First get the current agent to check if it has a retell_agent_id
     const { data: currentAgent, error: fetchError } = await supa
       .from('agents')
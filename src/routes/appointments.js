@@ -2,7 +2,9 @@ import { Router } from 'express';
 import { supa } from '../lib/supabase.js';
 import { log } from '../config/logger.js';
 import { verifyJWT } from '../middleware/verifyJWT.js';
-import { googleCalendarService } from '../services/googleCalendar.js';
+import { getDoctorForBooking, checkSlotAvailability, createAppointmentRecord } from '../services/appointments.js';
+import { findLeadsByPhone, leadPhoneFields } from '../services/leads.js';
+import { transitionLeadIfAllowed, recordLeadsCreated } from '../services/leadLifecycle.js';
 
 const router = Router();
 
@@ -104,95 +106,35 @@ router.post('/', verifyJWT, async (req, res) => {
       });
     }
 
+    // Stored as canonical E.164, like every other lead
+    const phoneFields = patient_phone && !lead_id ? leadPhoneFields(patient_phone) : null;
+    if (phoneFields?.error) {
+      return res.status(400).json({ ok: false, error: phoneFields.error, reason: phoneFields.reason });
+    }
+
     // Verify doctor belongs to this user
-    const { data: doctor, error: doctorError } = await supa
-      .from('doctors')
-      .select('id, name, google_calendar_id, google_refresh_token')
-      .eq('id', doctor_id)
-      .eq('owner_id', userId)
-      .single();
+    const doctor = await getDoctorForBooking(doctor_id, userId);
 
-    if (doctorError || !doctor) {
+    if (!doctor) {
       return res.status(404).json({
         ok: false,
         error: 'Doctor not found or does not belong to you'
       });
     }
 
-    // Validate appointment time is in the future
-    const appointmentStart = new Date(start_time);
-    const now = new Date();
-    if (appointmentStart <= now) {
-      return res.status(400).json({
+    // Future time, conflicts (our appointments + Google Calendar) and working hours
+    const availability = await checkSlotAvailability(doctor, start_time, end_time);
+    if (!availability.ok) {
+      return res.status(availability.status).json({
         ok: false,
-        error: 'Appointment time must be in the future'
+        error: availability.error,
+        availableSlots: availability.availableSlots
       });
     }
 
-    // Check availability if Google Calendar is connected
-    if (doctor.google_calendar_id && doctor.google_refresh_token) {
-      try {
-        const endTime = new Date(end_time);
-        const availability = await googleCalendarService.getAvailableSlots(
-          doctor_id,
-          start_time,
-          endTime.toISOString()
-        );
-
-        // Check if the requested time slot conflicts with busy times
-        const requestedStart = new Date(start_time);
-        const requestedEnd = new Date(end_time);
-        
-        const hasConflict = availability.busySlots.some(busySlot => {
-          const busyStart = new Date(busySlot.start);
-          const busyEnd = new Date(busySlot.end);
-          return (requestedStart < busyEnd && requestedEnd > busyStart);
-        });
-
-        if (hasConflict) {
-          return res.status(409).json({
-            ok: false,
-            error: 'The requested time slot conflicts with existing appointments',
-            availableSlots: availability.availableSlots.slice(0, 10) // Return first 10 available slots
-          });
-        }
-
-        // Check if the requested time is within doctor's working hours
-        const dayName = requestedStart.toLocaleDateString('en-US', { weekday: 'lowercase' });
-        const workingHours = availability.workingHours[dayName];
-        
-        if (!workingHours || !workingHours.enabled) {
-          return res.status(400).json({
-            ok: false,
-            error: `Doctor is not available on ${dayName}`,
-            availableSlots: availability.availableSlots.slice(0, 10)
-          });
-        }
-
-        // Check if requested time falls within any working time slot
-        const requestedTimeStr = requestedStart.toTimeString().slice(0, 5); // HH:MM format
-        const requestedEndTimeStr = requestedEnd.toTimeString().slice(0, 5);
-        
-        const isWithinWorkingHours = workingHours.timeSlots?.some(timeSlot => {
-          return requestedTimeStr >= timeSlot.start && requestedEndTimeStr <= timeSlot.end;
-        });
-
-        if (!isWithinWorkingHours) {
-          return res.status(400).json({
-            ok: false,
-            error: 'The requested time is outside doctor\'s working hours',
-            availableSlots: availability.availableSlots.slice(0, 10)
-          });
-        }
-
-      } catch (availabilityError) {
-        log.warn(`Failed to check availability for appointment:`, availabilityError);
-        // Continue with appointment creation if availability check fails
-      }
-    }
-
     // If lead_id is not provided but we have patient info, try to find or create lead
     let finalLeadId = lead_id;
+    let createdLead = false;
     if (!lead_id && patient_name) {
       // Try to find existing lead by email or phone
       let existingLead = null;
@@ -206,14 +148,10 @@ router.post('/', verifyJWT, async (req, res) => {
         existingLead = leadByEmail;
       }
       
+      // Any format of the patient's number matches the stored E.164
       if (!existingLead && patient_phone) {
-        const { data: leadByPhone } = await supa
-          .from('leads')
-          .select('id')
-          .eq('phone', patient_phone)
-          .eq('owner_id', userId)
-          .single();
-        existingLead = leadByPhone;
+        const [leadByPhone] = await findLeadsByPhone(patient_phone, { ownerId: userId, fields: 'id' });
+        existingLead = leadByPhone || null;
       }
 
       if (existingLead) {
@@ -226,98 +164,61 @@ router.post('/', verifyJWT, async (req, res) => {
             owner_id: userId,
             name: patient_name,
             email: patient_email,
-            phone: patient_phone,
+            ...phoneFields?.fields,
             status: 'appointment_scheduled'
           })
-          .select('id')
+          .select('id, owner_id, status')
           .single();
 
         if (leadError) {
           log.warn('Failed to create lead for appointment:', leadError);
         } else {
           finalLeadId = newLead.id;
+          createdLead = true;
+          await recordLeadsCreated([newLead], { source: 'appointments', reason: 'booked_by_owner', actorType: 'user', actorId: userId });
         }
       }
     }
 
-    // Create appointment in database
-    const { data: appointment, error: appointmentError } = await supa
-      .from('appointments')
-      .insert({
-        owner_id: userId,
-        lead_id: finalLeadId,
-        doctor_id,
-        appointment_type,
-        start_at: start_time,
-        end_at: end_time,
-        timezone,
-        status: 'scheduled',
-        is_telemedicine,
-        meeting_link,
-        office_address,
-        price: price ? parseFloat(price) : null,
-        notes: description
-      })
-      .select()
-      .single();
-
-    if (appointmentError) {
-      throw new Error(appointmentError.message);
-    }
+    // Create appointment in database and in the doctor's Google Calendar
+    const { appointment, googleEvent } = await createAppointmentRecord({
+      ownerId: userId,
+      doctor,
+      leadId: finalLeadId,
+      startTime: start_time,
+      endTime: end_time,
+      timezone,
+      appointmentType: appointment_type,
+      isTelemedicine: is_telemedicine,
+      meetingLink: meeting_link,
+      officeAddress: office_address,
+      price,
+      notes: description,
+      title,
+      patientName: patient_name,
+      patientEmail: patient_email
+    });
 
-    // Create Google Calendar event if doctor has calendar connected
-    let googleEventId = null;
-    let googleEventLink = null;
-    
-    if (doctor.google_calendar_id && doctor.google_refresh_token) {
-      try {
-        const appointmentData = {
-          summary: title || `${appointment_type} - ${patient_name}`,
-          description: description || `Appointment with ${patient_name}`,
-          start: {
-            dateTime: start_time,
-            timeZone: timezone
-          },
-          end: {
-            dateTime: end_time,
-            timeZone: timezone
-          },
-          attendees: patient_email ? [{ email: patient_email }] : [],
-          location: office_address || undefined,
-          conferenceData: is_telemedicine && meeting_link ? {
-            createRequest: {
-              requestId: `appointment-${appointment.id}`,
-              conferenceSolutionKey: { type: 'hangoutsMeet' }
-            }
-          } : undefined
-        };
-
-        const googleEvent = await googleCalendarService.createAppointment(doctor_id, appointmentData);
-        googleEventId = googleEvent.id;
-        googleEventLink = googleEvent.htmlLink;
-
-        // Update appointment with Google Calendar event ID
-        await supa
-          .from('appointments')
-          .update({ gcal_event_id: googleEventId })
-          .eq('id', appointment.id);
-
-        log.info(`Google Calendar event created: ${googleEventId} for appointment ${appointment.id}`);
-      } catch (calendarError) {
-        log.warn(`Failed to create Google Calendar event for appointment ${appointment.id}:`, calendarError);
-        // Don't fail the entire appointment creation if Google Calendar fails
-      }
+    const { data: bookedLead } = finalLeadId && !createdLead
+      ? await supa.from('leads').select('id, owner_id, status').eq('id', finalLeadId).eq('owner_id', userId).maybeSingle()
+      : { data: null };
+    if (bookedLead) {
+      await transitionLeadIfAllowed(bookedLead, 'appointment_scheduled', {
+        source: 'appointments',
+        reason: 'booked_by_owner',
+        actorType: 'user',
+        actorId: userId,
+        metadata: { appointment_id: appointment.id }
+      });
     }
-
-    log.info(`Appointment created: ${appointment.id} for doctor ${doctor_id}`);
     
     res.status(201).json({
       ok: true,
       message: 'Appointment created successfully',
       appointment: {
         ...appointment,
-        google_event_id: googleEventId,
-        google_event_link: googleEventLink
+        google_event_id: googleEvent?.id || null,
+        google_event_link: googleEvent?.htmlLink || null
       }
     });
 
@@ -0,0 +1,303 @@
+import { Router } from 'express';
+import { verifyJWT } from '../middleware/verifyJWT.js';
+import { supa } from '../lib/supabase.js';
+import { log } from '../config/logger.js';
+import {
+  validateSegment,
+  previewSegment,
+  startCampaign,
+  pauseCampaign,
+  resumeCampaign,
+  finishCampaign,
+  campaignStats
+} from '../services/campaigns.js';
+
+const router = Router();
+
+const EDITABLE_FIELDS = ['name', 'description', 'agent_id', 'retry_policy_id', 'segment', 'starts_at', 'ends_at'];
+
+async function loadCampaign(id, ownerId){
+  const { data, error } = await supa
+    .from('campaigns')
+    .select('*')
+    .eq('id', id)
+    .eq('owner_id', ownerId)
+    .maybeSingle();
+  if (error) throw new Error(error.message);
+  return data;
+}
+
+// Validates fields and that the agent/policy belong to the owner; returns an error message or null
+async function validateCampaignFields(fields, ownerId){
+  if (fields.segment !== undefined) {
+    const invalid = validateSegment(fields.segment);
+    if (invalid) return invalid;
+  }
+  for (const field of ['starts_at', 'ends_at']) {
+    if (fields[field] && isNaN(new Date(fields[field]).getTime())) return `Invalid ${field}`;
+  }
+  if (fields.starts_at && fields.ends_at && new Date(fields.ends_at) <= new Date(fields.starts_at)) {
+    return 'ends_at must be after starts_at';
+  }
+  if (fields.agent_id) {
+    const { data: agent } = await supa.from('agents').select('id').eq('id', fields.agent_id).eq('owner_id', ownerId).maybeSingle();
+    if (!agent) return 'Agent not found';
+  }
+  if (fields.retry_policy_id) {
+    const { data: policy } = await supa.from('retry_policies').select('id').eq('id', fields.retry_policy_id).eq('owner_id', ownerId).maybeSingle();
+    if (!policy) return 'Retry policy not found';
+  }
+  return null;
+}
+
+/**
+ * List the owner's campaigns
+ * GET /campaigns?status=running
+ */
+router.get('/', verifyJWT, async (req, res) => {
+  try {
+    let query = supa
+      .from('campaigns')
+      .select('*, agents(id, agent_name), retry_policies(id, name)')
+      .eq('owner_id', req.user.id)
+      .order('created_at', { ascending: false });
+    if (req.query.status) query = query.eq('status', req.query.status);
+
+    const { data: campaigns, error } = await query;
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    res.json({ ok: true, campaigns: campaigns || [] });
+
+  } catch (error) {
+    log.error('List campaigns error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to fetch campaigns'
+    });
+  }
+});
+
+/**
+ * Count the leads a segment matches before creating a campaign
+ * POST /campaigns/preview
+ *
+ * Body: { segment: { statuses: ["new"], specialties: ["Cardiologia"], sources: ["website"], created_from, created_to } }
+ */
+router.post('/preview', verifyJWT, async (req, res) => {
+  try {
+    const segment = req.body.segment || {};
+    const invalid = validateSegment(segment);
+    if (invalid) return res.status(400).json({ ok: false, error: invalid });
+
+    res.json({ ok: true, ...(await previewSegment(req.user.id, segment)) });
+
+  } catch (error) {
+    log.error('Preview campaign segment error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to preview segment'
+    });
+  }
+});
+
+/**
+ * Create a campaign (draft)
+ * POST /campaigns
+ *
+ * Body: {
+ *   name: "Reativação março",
+ *   agent_id: "uuid",
+ *   retry_policy_id: "uuid",        // optional, defaults to the agent's policy
+ *   segment: { statuses: ["no_answer", "unreachable"], created_from: "2025-03-01" },
+ *   starts_at: "2025-03-10T09:00:00-03:00",
+ *   ends_at: "2025-03-14T18:00:00-03:00"
+ * }
+ */
+router.post('/', verifyJWT, async (req, res) => {
+  try {
+    const fields = Object.fromEntries(EDITABLE_FIELDS.filter(f => req.body[f] !== undefined).map(f => [f, req.body[f]]));
+    if (!fields.name || !fields.agent_id) {
+      return res.status(400).json({ ok: false, error: 'name and agent_id are required' });
+    }
+    const invalid = await validateCampaignFields(fields, req.user.id);
+    if (invalid) return res.status(400).json({ ok: false, error: invalid });
+
+    const { data: campaign, error } = await supa
+      .from('campaigns')
+      .insert({ ...fields, segment: fields.segment || {}, owner_id: req.user.id })
+      .select()
+      .single();
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    const preview = await previewSegment(req.user.id, campaign.segment);
+    res.status(201).json({
+      ok: true,
+      message: 'Campaign created successfully',
+      campaign,
+      matching_leads: preview.count
+    });
+
+  } catch (error) {
+    log.error('Create campaign error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to create campaign'
+    });
+  }
+});
+
+/**
+ * Campaign with its progress stats
+ * GET /campaigns/:id
+ */
+router.get('/:id', verifyJWT, async (req, res) => {
+  try {
+    const campaign = await loadCampaign(req.params.id, req.user.id);
+    if (!campaign) {
+      return res.status(404).json({ ok: false, error: 'Campaign not found' });
+    }
+
+    res.json({
+      ok: true,
+      campaign,
+      stats: await campaignStats(campaign.id)
+    });
+
+  } catch (error) {
+    log.error('Get campaign error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to fetch campaign'
+    });
+  }
+});
+
+/**
+ * Update a campaign; once started only name, description and ends_at
+ * PUT /campaigns/:id
+ */
+router.put('/:id', verifyJWT, async (req, res) => {
+  try {
+    const campaign = await loadCampaign(req.params.id, req.user.id);
+    if (!campaign) {
+      return res.status(404).json({ ok: false, error: 'Campaign not found' });
+    }
+
+    const updates = Object.fromEntries(EDITABLE_FIELDS.filter(f => req.body[f] !== undefined).map(f => [f, req.body[f]]));
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        ok: false,
+        error: 'No valid fields to update'
+      });
+    }
+    // The lead snapshot is taken at start; afterwards only the name, description and end can change
+    const locked = Object.keys(updates).filter(f => !['name', 'description', 'ends_at'].includes(f));
+    if (campaign.status !== 'draft' && locked.length) {
+      return res.status(409).json({ ok: false, error: `Cannot change ${locked.join(', ')} once the campaign has started` });
+    }
+    const invalid = await validateCampaignFields({ starts_at: campaign.starts_at, ...updates }, req.user.id);
+    if (invalid) return res.status(400).json({ ok: false, error: invalid });
+
+    const { data: updated, error } = await supa
+      .from('campaigns')
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('id', campaign.id)
+      .select()
+      .single();
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    res.json({
+      ok: true,
+      message: 'Campaign updated successfully',
+      campaign: updated
+    });
+
+  } catch (error) {
+    log.error('Update campaign error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to update campaign'
+    });
+  }
+});
+
+/**
+ * Delete a draft campaign
+ * DELETE /campaigns/:id
+ */
+router.delete('/:id', verifyJWT, async (req, res) => {
+  try {
+    const campaign = await loadCampaign(req.params.id, req.user.id);
+    if (!campaign) {
+      return res.status(404).json({ ok: false, error: 'Campaign not found' });
+    }
+    if (campaign.status !== 'draft') {
+      return res.status(409).json({ ok: false, error: 'Only draft campaigns can be deleted; stop it instead' });
+    }
+
+    const { error } = await supa.from('campaigns').delete().eq('id', campaign.id);
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    res.json({ ok: true, message: 'Campaign deleted successfully' });
+
+  } catch (error) {
+    log.error('Delete campaign error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to delete campaign'
+    });
+  }
+});
+
+// Lifecycle actions: which statuses each one may start from
+const ACTIONS = {
+  start: { from: ['draft'], run: startCampaign },
+  pause: { from: ['running'], run: pauseCampaign },
+  resume: { from: ['paused'], run: resumeCampaign },
+  stop: { from: ['draft', 'scheduled', 'running', 'paused'], run: campaign => finishCampaign(campaign, 'stopped') }
+};
+
+/**
+ * Start, pause, resume or stop a campaign
+ * POST /campaigns/:id/start | /pause | /resume | /stop
+ */
+router.post('/:id/:action(start|pause|resume|stop)', verifyJWT, async (req, res) => {
+  try {
+    const campaign = await loadCampaign(req.params.id, req.user.id);
+    if (!campaign) {
+      return res.status(404).json({ ok: false, error: 'Campaign not found' });
+    }
+
+    const action = ACTIONS[req.params.action];
+    if (!action.from.includes(campaign.status)) {
+      return res.status(409).json({ ok: false, error: `Cannot ${req.params.action} a ${campaign.status} campaign` });
+    }
+    if (req.params.action === 'start' && campaign.ends_at && new Date(campaign.ends_at) <= new Date()) {
+      return res.status(400).json({ ok: false, error: 'Campaign end date has already passed' });
+    }
+
+    const updated = await action.run(campaign);
+    res.json({
+      ok: true,
+      message: `Campaign ${updated.status}`,
+      campaign: updated
+    });
+
+  } catch (error) {
+    log.error(`Campaign ${req.params.action} error:`, error);
+    res.status(500).json({
+      ok: false,
+      error: `Failed to ${req.params.action} campaign`
+    });
+  }
+});
+
+export default router;
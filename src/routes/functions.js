@@ -1,9 +1,19 @@
 import { Router } from 'express';
-import { bookAppointment } from '../services/appointments.js';
-import { stripe, currency } from '../lib/stripe.js';
+import {
+  getNextAvailableSlots,
+  getDoctorForBooking,
+  checkSlotAvailability,
+  createAppointmentRecord
+} from '../services/appointments.js';
+import { createCheckoutLink, parseAmount } from '../services/payments.js';
+import { DEFAULT_TIMEZONE, toZonedIso, formatSpokenPtBr, zonedTimeToUtc } from '../lib/datetime.js';
+import { currency } from '../lib/stripe.js';
 import { twilio } from '../lib/twilio.js';
 import { supa } from '../lib/supabase.js';
 import { env } from '../config/env.js';
+import { log } from '../config/logger.js';
+import { verifyLeadIdentity, recordIdentityCheck } from '../services/identity.js';
+import { transitionLeadIfAllowed } from '../services/leadLifecycle.js';
 import Retell from 'retell-sdk';
 
 const r = Router();
@@ -51,25 +61,103 @@ r.post('/fn/create-agent', async (req,res)=>{
 });
 
 r.post('/fn/check-identity', async (req,res)=>{
-  const { lead_id, mismatched_reason } = req.body.args || {};
-  // TODO: compare with DB; return real result later
-  console.log('check-identity', { lead_id, mismatched_reason });
-  res.json({ result: 'ok' });
+  const { lead_id, name, phone_last4, birthdate, mismatched_reason } = req.body.args || {};
+  if(!lead_id) return res.status(400).json({ error:'lead_id required' });
+
+  const { data: lead, error } = await supa
+    .from('leads')
+    .select('id,name,phone,birth_date,custom_fields')
+    .eq('id', lead_id)
+    .single();
+  if(error || !lead) return res.status(404).json({ error:'lead not found' });
+
+  const verification = verifyLeadIdentity(lead, { name, phone_last4, birthdate, mismatched_reason });
+  try {
+    await recordIdentityCheck({
+      leadId: lead.id,
+      callId: req.body.call?.call_id,
+      verification,
+      mismatchedReason: mismatched_reason
+    });
+  } catch (e) {
+    log.error('check-identity record error', e.message);
+  }
+
+  log.info('check-identity', { lead_id, verdict: verification.verdict, reason: verification.reason });
+  // `result` drives the conversation flow edge (result == "ok"); only a mismatch stops it
+  res.json({
+    result: verification.verdict === 'mismatch' ? 'mismatch' : 'ok',
+    verdict: verification.verdict,
+    reason: verification.reason,
+    checks: verification.checks
+  });
 });
 
 r.post('/fn/create-payment-link', async (req,res)=>{
-  const { lead_id, amount, description } = req.body.args || {};
-  if (!amount) return res.status(400).json({ error: 'amount required' });
-  // const unitAmount = Math.round(Number(amount)*100);
-  // const session = await stripe.checkout.sessions.create({
-  //   mode:'payment',
-  //   line_items:[{ price_data:{ currency, product_data:{ name: description || 'Consulta médica - Geniumed' }, unit_amount: unitAmount }, quantity:1 }],
-  //   metadata:{ lead_id: String(lead_id || '') },
-  //   success_url: `${process.env.APP_BASE_URL}/pay/success?session_id={CHECKOUT_SESSION_ID}`,
-  //   cancel_url: `${process.env.APP_BASE_URL}/pay/cancel`
-  // });
-  // res.json({ url: session.url, amount, currency });
-  res.json({ url: 'https://checkout.stripe.com/c/pay/cs_live_a1234567890', amount, currency });
+  const { lead_id, appointment_id, amount, description, payment_method } = req.body.args || {};
+  if(!lead_id) return res.status(400).json({ error:'lead_id required' });
+
+  const { data: lead, error: leadErr } = await supa
+    .from('leads')
+    .select('id,name,email,owner_id,assigned_doctor_id,assigned_agent_id')
+    .eq('id', lead_id)
+    .single();
+  if(leadErr || !lead) return res.status(404).json({ error:'lead not found' });
+
+  // Explicit appointment, else the lead's latest one still awaiting payment
+  let apptQuery = supa.from('appointments').select('id,price,doctor_id,status,payment_status');
+  apptQuery = appointment_id
+    ? apptQuery.eq('id', appointment_id)
+    : apptQuery.eq('lead_id', lead.id).eq('payment_status', 'pending').neq('status', 'cancelled').order('created_at', { ascending:false });
+  const { data: appts } = await apptQuery.limit(1);
+  const appointment = appts?.[0] || null;
+
+  let doctorPrice = null;
+  const doctorId = appointment?.doctor_id || lead.assigned_doctor_id;
+  if (doctorId) {
+    const { data: doc } = await supa.from('doctors').select('consultation_price').eq('id', doctorId).single();
+    doctorPrice = doc?.consultation_price;
+  }
+  const baseAmount = parseAmount(appointment?.price) || parseAmount(doctorPrice) || parseAmount(amount);
+  if (!baseAmount) return res.status(400).json({ error: 'amount required' });
+
+  let agent = null;
+  if (lead.assigned_agent_id) {
+    const { data } = await supa
+      .from('agents')
+      .select('id,payment_methods,apply_discount_consultancy_pix,discount_percentage_pix')
+      .eq('id', lead.assigned_agent_id)
+      .single();
+    agent = data || null;
+  }
+
+  const method = /pix/i.test(payment_method || '') ? 'pix'
+    : /card|cart[aã]o|cr[eé]dito/i.test(payment_method || '') ? 'credit_card'
+    : undefined;
+
+  try {
+    const { payment, session, pricing } = await createCheckoutLink({
+      lead,
+      appointment,
+      agent,
+      baseAmount,
+      description: description || 'Consulta médica - Geniumed',
+      method
+    });
+    res.json({
+      url: session.url,
+      payment_id: payment.id,
+      amount: pricing.amount,
+      original_amount: baseAmount,
+      discount_percentage: pricing.discountPercentage,
+      max_installments: pricing.maxInstallments,
+      payment_method: pricing.method || 'any',
+      currency
+    });
+  } catch (e) {
+    log.error('create-payment-link error', e.message);
+    res.status(500).json({ error: e.message });
+  }
 });
 
 r.post('/fn/send-payment-link', async (req,res)=>{
@@ -80,20 +168,134 @@ r.post('/fn/send-payment-link', async (req,res)=>{
   res.json({ sent:true });
 });
 
-r.post('/fn/check-availability', async (_req,res)=>{
-  res.json({ ok:true, next_slots:['2025-09-08T14:00:00-03:00','2025-09-08T16:00:00-03:00'] });
+r.post('/fn/check-availability', async (req,res)=>{
+  const { lead_id, doctor_id, count, days } = req.body.args || {};
+
+  let doctorId = doctor_id;
+  if (!doctorId && lead_id) {
+    const { data } = await supa.from('leads').select('assigned_doctor_id').eq('id', lead_id).limit(1);
+    doctorId = data?.[0]?.assigned_doctor_id;
+  }
+  if(!doctorId) return res.status(400).json({ ok:false, error:'lead has no assigned doctor' });
+
+  try {
+    const { slots, timezone, source } = await getNextAvailableSlots(doctorId, {
+      count: Math.min(parseInt(count) || 3, 10),
+      days: Math.min(parseInt(days) || 14, 60)
+    });
+    if (!slots.length) {
+      return res.json({ ok:false, reason:'no_slots', next_slots:[], spoken:'Não encontrei horários livres nas próximas semanas.' });
+    }
+    res.json({
+      ok:true,
+      timezone,
+      source,
+      next_slots: slots.map(s => s.start),
+      slots,
+      spoken: slots.map(s => s.spoken).join('; ou ')
+    });
+  } catch (e) {
+    log.error('check-availability error', e.message);
+    res.status(500).json({ ok:false, error:e.message });
+  }
 });
 
+function isTimeZone(tz){
+  if (!tz) return false;
+  try { new Intl.DateTimeFormat('en-US', { timeZone: tz }); return true; } catch { return false; }
+}
+
+// "2025-03-10T14:00" without an offset (as the agent usually sends it) is wall-clock time in timeZone; null when unreadable
+function parseAppointmentStart(value, timeZone){
+  const s = String(value ?? '').trim();
+  const local = s.match(/^(\d{4}-\d{2}-\d{2})[T ](\d{2}:\d{2})(?::\d{2}(?:\.\d+)?)?$/);
+  if (local) return zonedTimeToUtc(local[1], local[2], timeZone);
+  if (!/^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}/.test(s)) return null;
+  const date = new Date(s);
+  return isNaN(date.getTime()) ? null : date;
+}
+
 r.post('/fn/book-appointment', async (req,res)=>{
-  const { doctor_id, start, duration_min, timezone } = req.body.args || {};
-  if(!start) return res.status(400).json({ error:'start required' });
-  let doctorName = '';
-  if (doctor_id) {
-    const { data } = await supa.from('doctors').select('name').eq('id', doctor_id).limit(1);
-    doctorName = data?.[0]?.name || '';
+  const { lead_id, doctor_id, start, duration_min, timezone } = req.body.args || {};
+  if(!lead_id || !start) return res.status(400).json({ error:'lead_id and start required' });
+
+  const { data: lead, error: leadErr } = await supa
+    .from('leads')
+    .select('id,name,email,status,owner_id,assigned_doctor_id,assigned_agent_id')
+    .eq('id', lead_id)
+    .single();
+  if(leadErr || !lead) return res.status(404).json({ error:'lead not found' });
+
+  // Only the lead's own clinic's doctors can be booked
+  const doctor = await getDoctorForBooking(doctor_id || lead.assigned_doctor_id, lead.owner_id);
+  if(!doctor) return res.status(400).json({ ok:false, error:'lead has no assigned doctor' });
+
+  const durationMin = parseInt(duration_min) || doctor.consultation_duration || 90;
+  const tz = [timezone, doctor.timezone].find(isTimeZone) || DEFAULT_TIMEZONE;
+  const startAt = parseAppointmentStart(start, tz);
+  if (!startAt) return res.status(400).json({ ok:false, error:'start must be a date and time like 2025-03-10T14:00' });
+  const endAt = new Date(startAt.getTime() + durationMin*60000);
+
+  try {
+    const availability = await checkSlotAvailability(doctor, startAt.toISOString(), endAt.toISOString());
+    if (!availability.ok) {
+      // 200 so the agent can read the alternatives back instead of failing the tool call
+      const alternatives = (availability.availableSlots || []).slice(0, 3);
+      return res.json({
+        ok:false,
+        reason: availability.status === 409 ? 'slot_taken' : 'slot_unavailable',
+        error: availability.error,
+        next_slots: alternatives.map(s => s.start),
+        spoken: alternatives.length
+          ? `Esse horário não está disponível. Tenho ${alternatives.map(s => s.spoken).join('; ou ')}.`
+          : 'Esse horário não está disponível.'
+      });
+    }
+
+    // When the agent sends a payment link, the slot is held until payment comes in
+    let requiresPayment = false;
+    if (lead.assigned_agent_id) {
+      const { data: agent } = await supa.from('agents').select('sent_paymentlink').eq('id', lead.assigned_agent_id).single();
+      requiresPayment = Boolean(agent?.sent_paymentlink);
+    }
+
+    const { appointment, googleEvent } = await createAppointmentRecord({
+      ownerId: lead.owner_id || doctor.owner_id,
+      doctor,
+      leadId: lead.id,
+      startTime: startAt.toISOString(),
+      endTime: endAt.toISOString(),
+      timezone: tz,
+      status: requiresPayment ? 'pending' : 'scheduled',
+      officeAddress: doctor.office_address,
+      price: doctor.consultation_price,
+      notes: 'Agendado pelo assistente virtual',
+      title: `Consulta - ${lead.name}`,
+      patientName: lead.name,
+      patientEmail: lead.email
+    });
+
+    await transitionLeadIfAllowed(lead, 'appointment_scheduled', {
+      source: 'voice_agent',
+      actorType: 'voice_agent',
+      reason: 'booked_during_call',
+      metadata: { appointment_id: appointment.id, retell_call_id: req.body.call?.call_id || null }
+    });
+
+    const when = formatSpokenPtBr(startAt, tz);
+    res.json({
+      ok:true,
+      appointment_id: appointment.id,
+      start: toZonedIso(startAt, tz),
+      end: toZonedIso(endAt, tz),
+      status: appointment.status,
+      gcal_event_id: googleEvent?.id || null,
+      spoken: `Sua consulta com ${doctor.name} está marcada para ${when}.`
+    });
+  } catch (e) {
+    log.error('book-appointment error', e.message);
+    res.status(500).json({ ok:false, error:e.message });
   }
-  const ev = await bookAppointment({ start, durationMin: duration_min, timezone, doctorName });
-  res.json({ ok:true, gcal_event_id: ev.id, gcal_link: ev.htmlLink });
 });
 
 r.post('/fn/set-communication-preference', async (req,res)=>{
@@ -5,6 +5,8 @@ import { log } from '../config/logger.js';
 import { env } from '../config/env.js';
 import { verifyJWT } from '../middleware/verifyJWT.js';
 import { googleCalendarService } from '../services/googleCalendar.js';
+import { recordLeadsCreated } from '../services/leadLifecycle.js';
+import { findLeadsByPhone, leadPhoneFields } from '../services/leads.js';
 
 const router = Router();
 
@@ -424,6 +426,12 @@ router.post('/consultation/:doctorId', verifyJWT, async (req, res) => {
       });
     }
 
+    // Stored as canonical E.164, like every other lead
+    const phoneFields = patient_phone ? leadPhoneFields(patient_phone) : null;
+    if (phoneFields?.error) {
+      return res.status(400).json({ ok: false, error: phoneFields.error, reason: phoneFields.reason });
+    }
+
     // Verify doctor belongs to this user and has Google Calendar connected
     const { data: doctor, error: doctorError } = await supa
       .from('doctors')
@@ -497,14 +505,10 @@ router.post('/consultation/:doctorId', verifyJWT, async (req, res) => {
           existingLead = leadByEmail;
         }
         
+        // Any format of the patient's number matches the stored E.164
         if (!existingLead && patient_phone) {
-          const { data: leadByPhone } = await supa
-            .from('leads')
-            .select('id')
-            .eq('phone', patient_phone)
-            .eq('owner_id', userId)
-            .single();
-          existingLead = leadByPhone;
+          const [leadByPhone] = await findLeadsByPhone(patient_phone, { ownerId: userId, fields: 'id' });
+          existingLead = leadByPhone || null;
         }
 
         if (existingLead) {
@@ -517,15 +521,16 @@ router.post('/consultation/:doctorId', verifyJWT, async (req, res) => {
               owner_id: userId,
               name: patient_name,
               email: patient_email,
-              phone: patient_phone,
+              ...phoneFields?.fields,
               status: 'consultation_scheduled',
               assigned_doctor_id: doctorId
             })
-            .select('id')
+            .select('id, owner_id, status')
             .single();
 
           if (!leadError && newLead) {
             leadId = newLead.id;
+            await recordLeadsCreated([newLead], { source: 'google_calendar', reason: 'booked_by_owner', actorType: 'user', actorId: userId });
           }
         }
       } catch (leadError) {
@@ -0,0 +1,443 @@
+import { Router } from 'express';
+import { verifyJWT } from '../middleware/verifyJWT.js';
+import { supa } from '../lib/supabase.js';
+import { log } from '../config/logger.js';
+import {
+  INTAKE_SCOPES,
+  CAPTCHA_PROVIDERS,
+  ROTATION_GRACE_HOURS,
+  createApiKey,
+  rotateApiKey,
+  findFormBySlug,
+  publicFormConfig
+} from '../services/intake.js';
+import { IMPORT_FIELDS } from '../services/leadImports.js';
+
+const router = Router();
+
+const KEY_COLUMNS = 'id, name, key_prefix, scopes, rate_limit_per_minute, expires_at, revoked_at, rotated_from_id, last_used_at, created_at';
+const FORM_FIELDS = ['slug', 'name', 'enabled', 'allowed_origins', 'defaults', 'auto_dial', 'honeypot_field', 'captcha_provider', 'captcha_site_key', 'captcha_secret', 'rate_limit_per_minute', 'consent_text', 'consent_version'];
+
+// Forms are returned without the CAPTCHA secret
+function withoutSecret({ captcha_secret, ...form }){
+  return { ...form, has_captcha_secret: Boolean(captcha_secret) };
+}
+
+function validateKeyFields({ name, scopes, rate_limit_per_minute }, { partial = false } = {}){
+  if (!partial && !name) return 'name is required';
+  if (scopes !== undefined) {
+    if (!Array.isArray(scopes) || !scopes.length) return 'scopes must be a non-empty array';
+    const unknown = scopes.filter(s => !INTAKE_SCOPES.includes(s));
+    if (unknown.length) return `Unknown scopes: ${unknown.join(', ')}`;
+    if (!scopes.includes('leads:submit')) return 'scopes must include leads:submit';
+  }
+  if (rate_limit_per_minute !== undefined && (!Number.isInteger(rate_limit_per_minute) || rate_limit_per_minute < 1 || rate_limit_per_minute > 10000)) {
+    return 'rate_limit_per_minute must be between 1 and 10000';
+  }
+  return null;
+}
+
+function validateFormFields(fields){
+  if (fields.slug !== undefined && !/^[a-z0-9][a-z0-9-]{2,62}$/.test(fields.slug)) {
+    return 'slug must be 3-63 lowercase letters, digits or dashes';
+  }
+  if (fields.allowed_origins !== undefined) {
+    if (!Array.isArray(fields.allowed_origins)) return 'allowed_origins must be an array';
+    for (const origin of fields.allowed_origins) {
+      try {
+        if (new URL(origin).origin !== origin.replace(/\/+$/, '')) return `allowed_origins entries must be bare origins: ${origin}`;
+      } catch {
+        return `Invalid origin: ${origin}`;
+      }
+    }
+  }
+  if (fields.defaults !== undefined) {
+    if (typeof fields.defaults !== 'object' || Array.isArray(fields.defaults) || fields.defaults === null) return 'defaults must be an object';
+    const unknown = Object.keys(fields.defaults).filter(f => f !== 'custom_fields' && !IMPORT_FIELDS.includes(f));
+    if (unknown.length) return `Unknown lead field in defaults: ${unknown.join(', ')}`;
+  }
+  if (fields.consent_version !== undefined && fields.consent_version !== null && !/^[A-Za-z0-9._-]{1,64}$/.test(String(fields.consent_version))) {
+    return 'consent_version must be 1-64 letters, digits, dots, dashes or underscores';
+  }
+  if (fields.captcha_provider !== undefined && !CAPTCHA_PROVIDERS.includes(fields.captcha_provider)) {
+    return `captcha_provider must be one of ${CAPTCHA_PROVIDERS.join(', ')}`;
+  }
+  if (fields.rate_limit_per_minute !== undefined && (!Number.isInteger(fields.rate_limit_per_minute) || fields.rate_limit_per_minute < 1)) {
+    return 'rate_limit_per_minute must be a positive whole number';
+  }
+  return null;
+}
+
+async function loadKey(id, ownerId){
+  const { data, error } = await supa
+    .from('intake_api_keys')
+    .select('*')
+    .eq('id', id)
+    .eq('owner_id', ownerId)
+    .maybeSingle();
+  if (error) throw new Error(error.message);
+  return data;
+}
+
+async function loadForm(id, ownerId){
+  const { data, error } = await supa
+    .from('intake_forms')
+    .select('*')
+    .eq('id', id)
+    .eq('owner_id', ownerId)
+    .maybeSingle();
+  if (error) throw new Error(error.message);
+  return data;
+}
+
+/**
+ * List the owner's intake API keys (never the keys themselves)
+ * GET /intake/keys
+ */
+router.get('/intake/keys', verifyJWT, async (req, res) => {
+  try {
+    const { data: keys, error } = await supa
+      .from('intake_api_keys')
+      .select(KEY_COLUMNS)
+      .eq('owner_id', req.user.id)
+      .order('created_at', { ascending: false });
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    res.json({ ok: true, keys: keys || [], available_scopes: INTAKE_SCOPES });
+
+  } catch (error) {
+    log.error('List intake keys error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to fetch API keys'
+    });
+  }
+});
+
+/**
+ * Create an intake API key; the key is only returned in this response
+ * POST /intake/keys
+ *
+ * Body: { name: "Site institucional", scopes: ["leads:submit", "leads:dial"], rate_limit_per_minute: 60 }
+ */
+router.post('/intake/keys', verifyJWT, async (req, res) => {
+  try {
+    const invalid = validateKeyFields(req.body);
+    if (invalid) return res.status(400).json({ ok: false, error: invalid });
+
+    const { apiKey, key } = await createApiKey(req.user.id, {
+      name: req.body.name,
+      scopes: req.body.scopes,
+      rate_limit_per_minute: req.body.rate_limit_per_minute
+    });
+
+    res.status(201).json({
+      ok: true,
+      message: 'API key created; store it now, it will not be shown again',
+      key,
+      api_key: apiKey
+    });
+
+  } catch (error) {
+    log.error('Create intake key error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to create API key'
+    });
+  }
+});
+
+/**
+ * Change a key's name, scopes or rate limit
+ * PUT /intake/keys/:id
+ */
+router.put('/intake/keys/:id', verifyJWT, async (req, res) => {
+  try {
+    const apiKey = await loadKey(req.params.id, req.user.id);
+    if (!apiKey) {
+      return res.status(404).json({ ok: false, error: 'API key not found' });
+    }
+
+    const updates = Object.fromEntries(['name', 'scopes', 'rate_limit_per_minute'].filter(f => req.body[f] !== undefined).map(f => [f, req.body[f]]));
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        ok: false,
+        error: 'No valid fields to update'
+      });
+    }
+    const invalid = validateKeyFields(updates, { partial: true });
+    if (invalid) return res.status(400).json({ ok: false, error: invalid });
+
+    const { data: updated, error } = await supa
+      .from('intake_api_keys')
+      .update(updates)
+      .eq('id', apiKey.id)
+      .select(KEY_COLUMNS)
+      .single();
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    res.json({ ok: true, message: 'API key updated successfully', api_key: updated });
+
+  } catch (error) {
+    log.error('Update intake key error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to update API key'
+    });
+  }
+});
+
+/**
+ * Replace a key: returns a new key with the same settings; the old one keeps
+ * working for grace_hours (default 24, 0 = stop now)
+ * POST /intake/keys/:id/rotate
+ *
+ * Body: { grace_hours: 24 }
+ */
+router.post('/intake/keys/:id/rotate', verifyJWT, async (req, res) => {
+  try {
+    const apiKey = await loadKey(req.params.id, req.user.id);
+    if (!apiKey) {
+      return res.status(404).json({ ok: false, error: 'API key not found' });
+    }
+    if (apiKey.revoked_at || (apiKey.expires_at && new Date(apiKey.expires_at) <= new Date())) {
+      return res.status(409).json({ ok: false, error: 'Cannot rotate a revoked or expired key' });
+    }
+
+    const graceHours = req.body.grace_hours ?? ROTATION_GRACE_HOURS;
+    if (typeof graceHours !== 'number' || graceHours < 0 || graceHours > 24 * 30) {
+      return res.status(400).json({ ok: false, error: 'grace_hours must be between 0 and 720' });
+    }
+
+    const { apiKey: created, key } = await rotateApiKey(apiKey, { graceHours });
+    res.status(201).json({
+      ok: true,
+      message: 'API key rotated; store the new key now, it will not be shown again',
+      key,
+      api_key: created
+    });
+
+  } catch (error) {
+    log.error('Rotate intake key error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to rotate API key'
+    });
+  }
+});
+
+/**
+ * Revoke a key immediately
+ * DELETE /intake/keys/:id
+ */
+router.delete('/intake/keys/:id', verifyJWT, async (req, res) => {
+  try {
+    const apiKey = await loadKey(req.params.id, req.user.id);
+    if (!apiKey) {
+      return res.status(404).json({ ok: false, error: 'API key not found' });
+    }
+
+    const { error } = await supa
+      .from('intake_api_keys')
+      .update({ revoked_at: apiKey.revoked_at || new Date().toISOString() })
+      .eq('id', apiKey.id);
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    res.json({ ok: true, message: 'API key revoked' });
+
+  } catch (error) {
+    log.error('Revoke intake key error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to revoke API key'
+    });
+  }
+});
+
+/**
+ * List the owner's web forms
+ * GET /intake/forms
+ */
+router.get('/intake/forms', verifyJWT, async (req, res) => {
+  try {
+    const { data: forms, error } = await supa
+      .from('intake_forms')
+      .select('*')
+      .eq('owner_id', req.user.id)
+      .order('created_at', { ascending: false });
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    res.json({ ok: true, forms: (forms || []).map(withoutSecret) });
+
+  } catch (error) {
+    log.error('List intake forms error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to fetch forms'
+    });
+  }
+});
+
+/**
+ * Create a web form
+ * POST /intake/forms
+ *
+ * Body: {
+ *   slug: "clinica-centro",
+ *   name: "Formulário do site",
+ *   allowed_origins: ["https://www.clinicacentro.com.br"],
+ *   defaults: { source: "site", specialty: "Cardiologia" },
+ *   captcha_provider: "turnstile", captcha_site_key: "...", captcha_secret: "...",
+ *   honeypot_field: "website",
+ *   consent_version: "2025-01", consent_text: "Autorizo o contato por telefone e WhatsApp...",
+ *   auto_dial: true
+ * }
+ */
+router.post('/intake/forms', verifyJWT, async (req, res) => {
+  try {
+    const fields = Object.fromEntries(FORM_FIELDS.filter(f => req.body[f] !== undefined).map(f => [f, req.body[f]]));
+    if (!fields.slug || !fields.name) {
+      return res.status(400).json({ ok: false, error: 'slug and name are required' });
+    }
+    const invalid = validateFormFields(fields);
+    if (invalid) return res.status(400).json({ ok: false, error: invalid });
+    if (fields.captcha_provider && fields.captcha_provider !== 'none' && !fields.captcha_secret) {
+      return res.status(400).json({ ok: false, error: 'captcha_secret is required for the CAPTCHA provider' });
+    }
+    if (fields.consent_version && !fields.consent_text) {
+      return res.status(400).json({ ok: false, error: 'consent_text is required with consent_version' });
+    }
+
+    const { data: form, error } = await supa
+      .from('intake_forms')
+      .insert({ ...fields, owner_id: req.user.id })
+      .select()
+      .single();
+    if (error?.code === '23505') {
+      return res.status(409).json({ ok: false, error: 'Slug is already taken' });
+    }
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    res.status(201).json({ ok: true, message: 'Form created successfully', form: withoutSecret(form) });
+
+  } catch (error) {
+    log.error('Create intake form error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to create form'
+    });
+  }
+});
+
+/**
+ * Update a web form
+ * PUT /intake/forms/:id
+ */
+router.put('/intake/forms/:id', verifyJWT, async (req, res) => {
+  try {
+    const form = await loadForm(req.params.id, req.user.id);
+    if (!form) {
+      return res.status(404).json({ ok: false, error: 'Form not found' });
+    }
+
+    const updates = Object.fromEntries(FORM_FIELDS.filter(f => req.body[f] !== undefined).map(f => [f, req.body[f]]));
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        ok: false,
+        error: 'No valid fields to update'
+      });
+    }
+    const invalid = validateFormFields(updates);
+    if (invalid) return res.status(400).json({ ok: false, error: invalid });
+    const provider = updates.captcha_provider ?? form.captcha_provider;
+    if (provider !== 'none' && !(updates.captcha_secret ?? form.captcha_secret)) {
+      return res.status(400).json({ ok: false, error: 'captcha_secret is required for the CAPTCHA provider' });
+    }
+    if ((updates.consent_version ?? form.consent_version) && !(updates.consent_text ?? form.consent_text)) {
+      return res.status(400).json({ ok: false, error: 'consent_text is required with consent_version' });
+    }
+
+    const { data: updated, error } = await supa
+      .from('intake_forms')
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('id', form.id)
+      .select()
+      .single();
+    if (error?.code === '23505') {
+      return res.status(409).json({ ok: false, error: 'Slug is already taken' });
+    }
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    res.json({ ok: true, message: 'Form updated successfully', form: withoutSecret(updated) });
+
+  } catch (error) {
+    log.error('Update intake form error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to update form'
+    });
+  }
+});
+
+/**
+ * Delete a web form
+ * DELETE /intake/forms/:id
+ */
+router.delete('/intake/forms/:id', verifyJWT, async (req, res) => {
+  try {
+    const form = await loadForm(req.params.id, req.user.id);
+    if (!form) {
+      return res.status(404).json({ ok: false, error: 'Form not found' });
+    }
+
+    const { error } = await supa.from('intake_forms').delete().eq('id', form.id);
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    res.json({ ok: true, message: 'Form deleted successfully' });
+
+  } catch (error) {
+    log.error('Delete intake form error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to delete form'
+    });
+  }
+});
+
+/**
+ * Public settings a page needs to render a form (CAPTCHA site key, honeypot field)
+ * GET /forms/:slug
+ */
+router.get('/forms/:slug', async (req, res) => {
+  try {
+    const form = await findFormBySlug(req.params.slug);
+    if (!form || !form.enabled) {
+      return res.status(404).json({ ok: false, error: 'Form not found' });
+    }
+
+    res.json({ ok: true, form: publicFormConfig(form) });
+
+  } catch (error) {
+    log.error('Get public form error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to fetch form'
+    });
+  }
+});
+
+export default router;
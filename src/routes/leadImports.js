@@ -0,0 +1,272 @@
+import { Router } from 'express';
+import { verifyJWT } from '../middleware/verifyJWT.js';
+import { supa } from '../lib/supabase.js';
+import { log } from '../config/logger.js';
+import {
+  IMPORT_FIELDS,
+  ImportError,
+  validateMapping,
+  createImport,
+  previewImport,
+  startImport,
+  cancelImport,
+  processImport,
+  importErrorReport
+} from '../services/leadImports.js';
+
+const router = Router();
+
+const DIAL_MODES = ['hold', 'enqueue'];
+
+async function loadImport(id, ownerId){
+  const { data, error } = await supa
+    .from('lead_imports')
+    .select('*')
+    .eq('id', id)
+    .eq('owner_id', ownerId)
+    .maybeSingle();
+  if (error) throw new Error(error.message);
+  return data;
+}
+
+// Mapping/defaults/dial from the request body; returns an error message or null
+function validateImportSettings(body, imp){
+  const invalid = validateMapping(body.mapping, imp.headers);
+  if (invalid) return invalid;
+  const defaults = body.defaults || {};
+  if (typeof defaults !== 'object' || Array.isArray(defaults)) return 'defaults must be an object';
+  const unknown = Object.keys(defaults).filter(f => f !== 'custom_fields' && !IMPORT_FIELDS.includes(f));
+  if (unknown.length) return `Unknown lead field in defaults: ${unknown.join(', ')}`;
+  if (body.dial !== undefined && !DIAL_MODES.includes(body.dial)) return `dial must be one of ${DIAL_MODES.join(', ')}`;
+  return null;
+}
+
+/**
+ * Upload a CSV or XLSX file of leads. The body is the raw file.
+ * POST /leads/imports?filename=leads.xlsx
+ *
+ * Returns the import id, the file's headers, a suggested column mapping and a sample of rows.
+ */
+router.post('/leads/imports', verifyJWT, async (req, res) => {
+  try {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ ok: false, error: 'Send the CSV or XLSX file as the request body' });
+    }
+
+    const result = await createImport(req.user.id, req.body, {
+      filename: req.query.filename || req.get('x-filename') || null,
+      contentType: req.get('content-type') || ''
+    });
+
+    res.status(201).json({
+      ok: true,
+      message: 'File uploaded; confirm the column mapping to start the import',
+      import: result.import,
+      headers: result.import.headers,
+      suggested_mapping: result.suggested_mapping,
+      sample: result.sample,
+      fields: IMPORT_FIELDS
+    });
+
+  } catch (error) {
+    if (error instanceof ImportError) {
+      return res.status(400).json({ ok: false, error: error.message });
+    }
+    log.error('Upload lead import error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to read the uploaded file'
+    });
+  }
+});
+
+/**
+ * List the owner's imports
+ * GET /leads/imports
+ */
+router.get('/leads/imports', verifyJWT, async (req, res) => {
+  try {
+    const { data: imports, error } = await supa
+      .from('lead_imports')
+      .select('*')
+      .eq('owner_id', req.user.id)
+      .order('created_at', { ascending: false })
+      .limit(50);
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    res.json({ ok: true, imports: imports || [] });
+
+  } catch (error) {
+    log.error('List lead imports error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to fetch imports'
+    });
+  }
+});
+
+/**
+ * Import status and progress
+ * GET /leads/imports/:id
+ */
+router.get('/leads/imports/:id', verifyJWT, async (req, res) => {
+  try {
+    const imp = await loadImport(req.params.id, req.user.id);
+    if (!imp) {
+      return res.status(404).json({ ok: false, error: 'Import not found' });
+    }
+
+    res.json({
+      ok: true,
+      import: imp,
+      progress: imp.total_rows ? Math.round((imp.processed_rows / imp.total_rows) * 100) : 0
+    });
+
+  } catch (error) {
+    log.error('Get lead import error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to fetch import'
+    });
+  }
+});
+
+/**
+ * Dry run: validate and dedupe every row with a mapping, without creating leads
+ * POST /leads/imports/:id/preview
+ *
+ * Body: {
+ *   mapping: { name: "Nome", phone: "Celular", email: "E-mail", "custom_fields.plano": "Plano" },
+ *   defaults: { source: "feira-saude", specialty: "Cardiologia" }   // optional
+ * }
+ */
+router.post('/leads/imports/:id/preview', verifyJWT, async (req, res) => {
+  try {
+    const imp = await loadImport(req.params.id, req.user.id);
+    if (!imp) {
+      return res.status(404).json({ ok: false, error: 'Import not found' });
+    }
+    if (imp.status !== 'uploaded') {
+      return res.status(409).json({ ok: false, error: `Import is already ${imp.status}` });
+    }
+    const invalid = validateImportSettings(req.body, imp);
+    if (invalid) return res.status(400).json({ ok: false, error: invalid });
+
+    res.json({
+      ok: true,
+      total_rows: imp.total_rows,
+      ...(await previewImport(imp, { mapping: req.body.mapping, defaults: req.body.defaults || {} }))
+    });
+
+  } catch (error) {
+    log.error('Preview lead import error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to preview import'
+    });
+  }
+});
+
+/**
+ * Start the import in the background
+ * POST /leads/imports/:id/start
+ *
+ * Body: {
+ *   mapping: { name: "Nome", phone: "Celular" },
+ *   defaults: { source: "feira-saude" },   // optional
+ *   dial: "hold"                           // hold (default): leads stay 'new'; enqueue: assign an agent and queue the first call
+ * }
+ */
+router.post('/leads/imports/:id/start', verifyJWT, async (req, res) => {
+  try {
+    const imp = await loadImport(req.params.id, req.user.id);
+    if (!imp) {
+      return res.status(404).json({ ok: false, error: 'Import not found' });
+    }
+    const invalid = validateImportSettings(req.body, imp);
+    if (invalid) return res.status(400).json({ ok: false, error: invalid });
+
+    const queued = await startImport(imp, {
+      mapping: req.body.mapping,
+      defaults: req.body.defaults || {},
+      dial: req.body.dial || 'hold'
+    });
+    if (!queued) {
+      return res.status(409).json({ ok: false, error: `Import is already ${imp.status}` });
+    }
+
+    // The scheduler also resumes queued imports, so a failure here only delays it
+    setImmediate(() => processImport(queued).catch(error => log.error(`Lead import ${queued.id} error:`, error)));
+
+    res.status(202).json({
+      ok: true,
+      message: 'Import started',
+      import: queued
+    });
+
+  } catch (error) {
+    log.error('Start lead import error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to start import'
+    });
+  }
+});
+
+/**
+ * Cancel an import; leads already created are kept
+ * POST /leads/imports/:id/cancel
+ */
+router.post('/leads/imports/:id/cancel', verifyJWT, async (req, res) => {
+  try {
+    const imp = await loadImport(req.params.id, req.user.id);
+    if (!imp) {
+      return res.status(404).json({ ok: false, error: 'Import not found' });
+    }
+
+    const cancelled = await cancelImport(imp);
+    if (!cancelled) {
+      return res.status(409).json({ ok: false, error: `Cannot cancel a ${imp.status} import` });
+    }
+
+    res.json({ ok: true, message: 'Import cancelled', import: cancelled });
+
+  } catch (error) {
+    log.error('Cancel lead import error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to cancel import'
+    });
+  }
+});
+
+/**
+ * Rows that were not imported (invalid, duplicate or failed) as CSV
+ * GET /leads/imports/:id/errors.csv
+ */
+router.get('/leads/imports/:id/errors.csv', verifyJWT, async (req, res) => {
+  try {
+    const imp = await loadImport(req.params.id, req.user.id);
+    if (!imp) {
+      return res.status(404).json({ ok: false, error: 'Import not found' });
+    }
+
+    const csv = await importErrorReport(imp);
+    const name = String(imp.filename || 'leads').replace(/\.[^.]+$/, '').replace(/[^\w.-]+/g, '_');
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${name}-erros.csv"`);
+    // BOM so Excel opens the accents correctly
+    res.send(`\uFEFF${csv}`);
+
+  } catch (error) {
+    log.error('Lead import error report error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to build error report'
+    });
+  }
+});
+
+export default router;
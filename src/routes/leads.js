@@ -1,233 +1,27 @@
 import { Router } from 'express';
+import { verifyJWT } from '../middleware/verifyJWT.js';
+import { requireIntakeKey, resolveIntakeForm } from '../middleware/intakeAuth.js';
 import { supa } from '../lib/supabase.js';
 import { log } from '../config/logger.js';
 import { agentManager } from '../services/agentManager.js';
+import { retryPolicyForLead, countPolicyAttempts, maxAttemptsFor } from '../services/retryPolicy.js';
+import { CallThrottledError } from '../services/callGovernor.js';
+import { ContactSuppressedError, recordLeadConsent } from '../services/suppression.js';
+import { enqueueDial } from '../services/dialQueue.js';
+import { leadPhoneFields } from '../services/leads.js';
+import { listSuspectedDuplicates, mergeLeads } from '../services/leadDuplicates.js';
+import { submitLead } from '../services/leadSubmission.js';
+import { TIMELINE_TYPES, MAX_PAGE_SIZE, decodeCursor, listLeadTimeline, leadTimelinePdf } from '../services/leadTimeline.js';
+import { LEAD_STATUSES, LeadTransitionError, canTransition, transitionLead, recordLeadEvent } from '../services/leadLifecycle.js';
 
 const router = Router();
 
-// Enhanced Lead Submission with Multi-Agent Routing for Business Owner Model
-router.post('/lead/submit', async (req, res) => {
+// Enhanced Lead Submission with Multi-Agent Routing for Business Owner Model.
+// The owner comes from the intake API key or form (req.intake), never from the body.
+async function submitLeadHandler(req, res){
   try {
-    const {
-      name,
-      phone,
-      email,
-      city,
-      specialty,
-      reason,
-      urgency_level = 1,
-      whatsapp,
-      preferred_channel = 'call',
-      preferred_language = 'Português',
-      timezone = 'America/Sao_Paulo',
-      // Business routing
-      owner_id, // Optional: target specific business owner
-      source,
-      campaign,
-      utm_source,
-      utm_medium,
-      utm_campaign,
-      notes,
-      custom_fields = {},
-      // Test mode
-      test_mode = false
-    } = req.body;
-
-    // Validation
-    if (!name || !phone) {
-      return res.status(400).json({
-        ok: false,
-        error: 'Name and phone are required'
-      });
-    }
-
-    // Clean phone number (remove spaces, dashes, etc.)
-    const cleanPhone = phone.replace(/[\s\-\(\)]/g, '');
-
-    // Check for duplicate leads (same phone number in last 24 hours)
-    const yesterday = new Date();
-    yesterday.setDate(yesterday.getDate() - 1);
-
-    // const { data: existingLead } = await supa
-    //   .from('leads')
-    //   .select('id, name, phone, created_at')
-    //   .eq('phone', cleanPhone)
-    //   .gte('created_at', yesterday.toISOString())
-    //   .order('created_at', { ascending: false })
-    //   .limit(1)
-    //   .single();
-
-    // if (existingLead) {
-    //   log.info(`Duplicate lead detected: ${existingLead.id} for phone ${cleanPhone}`);
-    //   return res.status(409).json({
-    //     ok: false,
-    //     error: 'A lead with this phone number was already submitted recently',
-    //     existing_lead_id: existingLead.id
-    //   });
-    // }
-
-    // Create lead record
-    const { data: newLead, error: leadError } = await supa
-      .from('leads')
-      .insert({
-        owner_id, // Can be null if not targeting specific business
-        name: name.trim(),
-        phone: cleanPhone,
-        email: email?.trim(),
-        city: city?.trim(),
-        specialty: specialty?.trim(),
-        reason: reason?.trim(),
-        urgency_level: parseInt(urgency_level),
-        whatsapp: whatsapp?.trim(),
-        preferred_channel,
-        preferred_language,
-        timezone,
-        source,
-        campaign,
-        utm_source,
-        utm_medium,
-        utm_campaign,
-        notes,
-        custom_fields,
-        status: 'new',
-      })
-      .select()
-      .single();
-
-    if (leadError) {
-      log.error('Lead creation error:', leadError);
-      return res.status(500).json({
-        ok: false,
-        error: 'Failed to create lead'
-      });
-    }
-
-    log.info(`Lead created: ${newLead.id} - ${name} (${cleanPhone})`);
-
-    try {
-      let assignment;
-      
-      // Find appropriate doctor and agent based on owner_id
-      assignment = await agentManager.findDoctorAndAgentForLead(newLead);
-      
-      // Assign doctor and agent to lead
-      const updatedLead = await agentManager.assignDoctorAndAgentToLead(
-        newLead.id,
-        assignment.doctor,
-        assignment.agent
-      );
-
-
-      log.info(`Lead ${newLead.id} assigned to doctor ${assignment.doctor.id} (${assignment.doctor.name}) with agent ${assignment.agent.id}`);
-
-      // Attempt immediate outbound call
-      try {
-        const callResponse = await agentManager.makeOutboundCall(updatedLead);
-        
-        // Record call attempt
-        await supa
-          .from('call_attempts')
-          .insert({
-            lead_id: newLead.id,
-            doctor_id: assignment.doctor.id,
-            agent_id: assignment.agent.id,
-            owner_id: assignment.doctor.owner_id,
-            direction: 'outbound',
-            attempt_no: 1,
-            scheduled_at: new Date().toISOString(),
-            started_at: new Date().toISOString(),
-            retell_call_id: callResponse.call_id,
-            meta: {
-              agent_assignment: {
-                doctor_id: assignment.doctor.id,
-                doctor_name: assignment.doctor.name,
-                doctor_specialty: assignment.doctor.specialty,
-                agent_id: assignment.agent.id,
-                agent_name: assignment.agent.name,
-                business_owner: assignment.doctor.owner_id
-              }
-            }
-          });
-
-        log.info(`Outbound call initiated for lead ${newLead.id}: ${callResponse.call_id}`);
-
-        return res.status(201).json({
-          ok: true,
-          message: 'Lead submitted successfully and call initiated',
-          lead: {
-            id: newLead.id,
-            name: newLead.name,
-            phone: newLead.phone,
-            status: newLead.status,
-            assigned_to: {
-              doctor_name: assignment.doctor.name,
-              doctor_specialty: assignment.doctor.specialty,
-              agent_name: assignment.agent.name,
-              business_owner: assignment.doctor.owner_id
-            }
-          },
-          call: {
-            call_id: callResponse.call_id,
-            status: 'initiated'
-          }
-        });
-
-      } catch (callError) {
-        log.error(`Failed to initiate call for lead ${newLead.id}:`, callError);
-        
-        // Update lead status to indicate call failure
-        await supa
-          .from('leads')
-          .update({ 
-            status: 'call_failed',
-            next_retry_at: new Date(Date.now() + 15 * 60 * 1000).toISOString() // Retry in 15 minutes
-          })
-          .eq('id', newLead.id);
-
-        return res.status(201).json({
-          ok: true,
-          message: 'Lead submitted successfully but call initiation failed',
-          lead: {
-            id: newLead.id,
-            name: newLead.name,
-            phone: newLead.phone,
-            status: 'call_failed',
-            assigned_to: {
-              doctor_name: assignment.doctor.name,
-              doctor_specialty: assignment.doctor.specialty,
-              agent_name: assignment.agent.name,
-              business_owner: assignment.doctor.owner_id
-            }
-          },
-          error: 'Call initiation failed - will retry later'
-        });
-      }
-
-    } catch (assignmentError) {
-      log.error(`Failed to assign doctor/agent for lead ${newLead.id}:`, assignmentError);
-      
-      // Update lead status to indicate assignment failure
-      await supa
-        .from('leads')
-        .update({ 
-          status: 'assignment_failed',
-          next_retry_at: new Date(Date.now() + 30 * 60 * 1000).toISOString() // Retry in 30 minutes
-        })
-        .eq('id', newLead.id);
-
-      return res.status(201).json({
-        ok: true,
-        message: 'Lead submitted but doctor/agent assignment failed',
-        lead: {
-          id: newLead.id,
-          name: newLead.name,
-          phone: newLead.phone,
-          status: 'assignment_failed'
-        },
-        error: 'No available doctor/agent for this specialty - will retry later'
-      });
-    }
-
+    const { status, body } = await submitLead(req.intake, req.body);
+    res.status(status).json(body);
   } catch (error) {
     log.error('Lead submission error:', error);
     res.status(500).json({
@@ -235,10 +29,27 @@ router.post('/lead/submit', async (req, res) => {
       error: 'Internal server error'
     });
   }
-});
+}
+
+/**
+ * Submit a lead with an owner's intake API key
+ * POST /lead/submit
+ *
+ * Headers: X-Api-Key: gmk_...
+ * Body: { name: "Maria Silva", phone: "(11) 99999-8888", email, specialty, reason, utm_source, ... }
+ */
+router.post('/lead/submit', requireIntakeKey('leads:submit'), submitLeadHandler);
+
+/**
+ * Submit a lead from a public web form
+ * POST /forms/:slug/submit
+ *
+ * Body: same fields as /lead/submit, plus the CAPTCHA token (captcha_token or the widget's field)
+ */
+router.post('/forms/:slug/submit', resolveIntakeForm, submitLeadHandler);
 
 // Get Lead Status
-router.get('/lead/:id', async (req, res) => {
+router.get('/lead/:id', verifyJWT, async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -261,7 +72,8 @@ router.get('/lead/:id', async (req, res) => {
         )
       `)
       .eq('id', id)
-      .single();
+      .eq('owner_id', req.user.id)
+      .maybeSingle();
 
     if (error || !lead) {
       return res.status(404).json({
@@ -284,11 +96,245 @@ router.get('/lead/:id', async (req, res) => {
   }
 });
 
+function parseTimelineTypes(value){
+  if (!value) return { types: TIMELINE_TYPES };
+  const types = String(value).split(',').map(t => t.trim()).filter(Boolean);
+  const unknown = types.filter(t => !TIMELINE_TYPES.includes(t));
+  if (unknown.length) return { error: `Unknown timeline types: ${unknown.join(', ')}. Use ${TIMELINE_TYPES.join(', ')}` };
+  return { types };
+}
+
+/**
+ * Activity timeline of a lead: calls, WhatsApp and SMS messages, status
+ * changes, appointments, payments and notes, newest first
+ * GET /lead/:id/timeline?types=call,whatsapp&limit=50&cursor=...
+ *
+ * Pass next_cursor from the previous page as cursor to continue.
+ */
+router.get('/lead/:id/timeline', verifyJWT, async (req, res) => {
+  try {
+    const { types, error: typesError } = parseTimelineTypes(req.query.types);
+    if (typesError) return res.status(400).json({ ok: false, error: typesError });
+    if (req.query.cursor && !decodeCursor(req.query.cursor)) {
+      return res.status(400).json({ ok: false, error: 'Invalid cursor' });
+    }
+
+    const { data: lead } = await supa
+      .from('leads')
+      .select('id')
+      .eq('id', req.params.id)
+      .eq('owner_id', req.user.id)
+      .maybeSingle();
+    if (!lead) {
+      return res.status(404).json({
+        ok: false,
+        error: 'Lead not found'
+      });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), MAX_PAGE_SIZE);
+    const { entries, next_cursor } = await listLeadTimeline(lead.id, { types, limit, cursor: req.query.cursor || null });
+
+    res.json({ ok: true, entries, next_cursor });
+
+  } catch (error) {
+    log.error('Lead timeline error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to fetch lead timeline'
+    });
+  }
+});
+
+/**
+ * The lead's whole timeline as a PDF for the doctor's record
+ * GET /lead/:id/timeline/pdf?types=call,appointment
+ */
+router.get('/lead/:id/timeline/pdf', verifyJWT, async (req, res) => {
+  try {
+    const { types, error: typesError } = parseTimelineTypes(req.query.types);
+    if (typesError) return res.status(400).json({ ok: false, error: typesError });
+
+    const { data: lead } = await supa
+      .from('leads')
+      .select('*, doctors(name)')
+      .eq('id', req.params.id)
+      .eq('owner_id', req.user.id)
+      .maybeSingle();
+    if (!lead) {
+      return res.status(404).json({
+        ok: false,
+        error: 'Lead not found'
+      });
+    }
+
+    const pdf = await leadTimelinePdf(lead, { types });
+    const filename = `historico-${String(lead.name || 'lead').normalize('NFD').replace(/[^\w]+/g, '-').replace(/^-|-$/g, '').toLowerCase()}-${lead.id.slice(0, 8)}.pdf`;
+    res
+      .type('application/pdf')
+      .set('Content-Disposition', `attachment; filename="${filename}"`)
+      .send(pdf);
+
+  } catch (error) {
+    log.error('Lead timeline export error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to export lead timeline'
+    });
+  }
+});
+
+/**
+ * Add a note to the lead's timeline
+ * POST /lead/:id/notes
+ *
+ * Body: { body: "Paciente pediu retorno após as 18h" }
+ */
+router.post('/lead/:id/notes', verifyJWT, async (req, res) => {
+  try {
+    const body = typeof req.body?.body === 'string' ? req.body.body.trim() : '';
+    if (!body) {
+      return res.status(400).json({ ok: false, error: 'body is required' });
+    }
+    if (body.length > 5000) {
+      return res.status(400).json({ ok: false, error: 'body must be at most 5000 characters' });
+    }
+
+    const { data: lead } = await supa
+      .from('leads')
+      .select('id, owner_id')
+      .eq('id', req.params.id)
+      .eq('owner_id', req.user.id)
+      .maybeSingle();
+    if (!lead) {
+      return res.status(404).json({
+        ok: false,
+        error: 'Lead not found'
+      });
+    }
+
+    const { data: note, error } = await supa
+      .from('lead_notes')
+      .insert({ lead_id: lead.id, owner_id: lead.owner_id, author_id: req.user.id, body })
+      .select()
+      .single();
+    if (error) throw new Error(error.message);
+
+    res.status(201).json({ ok: true, note });
+
+  } catch (error) {
+    log.error('Add lead note error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to add note'
+    });
+  }
+});
+
+/**
+ * Lead fields set from calls, with the call and Retell key each value came from
+ * GET /lead/:id/extractions?field=insurance
+ */
+router.get('/lead/:id/extractions', verifyJWT, async (req, res) => {
+  try {
+    let query = supa
+      .from('lead_field_extractions')
+      .select('id, field, source_path, raw_value, previous_value, value, status, error, agent_id, call_attempt_id, retell_call_id, created_at')
+      .eq('lead_id', req.params.id)
+      .eq('owner_id', req.user.id)
+      .order('created_at', { ascending: false })
+      .limit(Math.min(parseInt(req.query.limit) || 100, 500));
+    if (req.query.field) query = query.eq('field', req.query.field);
+
+    const { data: extractions, error } = await query;
+    if (error) throw new Error(error.message);
+
+    res.json({ ok: true, extractions });
+
+  } catch (error) {
+    log.error('Lead extractions error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to fetch lead extractions'
+    });
+  }
+});
+
+/**
+ * Consent records of a lead, latest first (the latest one is in force)
+ * GET /lead/:id/consents
+ */
+router.get('/lead/:id/consents', verifyJWT, async (req, res) => {
+  try {
+    const { data: consents, error } = await supa
+      .from('lead_consents')
+      .select('id, granted, source, text_version, consent_text, ip, user_agent, intake_key_id, intake_form_id, recorded_by, captured_at')
+      .eq('lead_id', req.params.id)
+      .eq('owner_id', req.user.id)
+      .order('captured_at', { ascending: false });
+    if (error) throw new Error(error.message);
+
+    res.json({ ok: true, consents });
+
+  } catch (error) {
+    log.error('Lead consents error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to fetch lead consents'
+    });
+  }
+});
+
+/**
+ * Record consent given (or withdrawn) outside the intake, e.g. on the phone
+ * POST /lead/:id/consents
+ *
+ * Body: { granted: true, text_version: "2025-01", text: "Autorizo o contato..." }
+ */
+router.post('/lead/:id/consents', verifyJWT, async (req, res) => {
+  try {
+    const { granted, text_version, text, captured_at } = req.body;
+    if (typeof granted !== 'boolean') {
+      return res.status(400).json({ ok: false, error: 'granted must be true or false' });
+    }
+
+    const { data: lead, error } = await supa
+      .from('leads')
+      .select('id, owner_id, phone')
+      .eq('id', req.params.id)
+      .eq('owner_id', req.user.id)
+      .maybeSingle();
+    if (error) throw new Error(error.message);
+    if (!lead) {
+      return res.status(404).json({ ok: false, error: 'Lead not found' });
+    }
+
+    await recordLeadConsent(lead, { granted, text_version, text, captured_at }, {
+      source: 'manual',
+      ip: req.ip,
+      userAgent: req.get('user-agent') || null,
+      recordedBy: req.user.id
+    });
+
+    res.status(201).json({ ok: true, message: 'Consent recorded' });
+
+  } catch (error) {
+    log.error('Record lead consent error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to record consent'
+    });
+  }
+});
+
 // Get Leads for a Business Owner
-router.get('/leads/owner/:ownerId', async (req, res) => {
+router.get('/leads/owner/:ownerId', verifyJWT, async (req, res) => {
   try {
     const { ownerId } = req.params;
     const { page = 1, limit = 20, status, doctor_id, specialty, source } = req.query;
+    if (ownerId !== req.user.id) {
+      return res.status(403).json({ ok: false, error: 'You can only list your own leads' });
+    }
 
     const offset = (page - 1) * limit;
 
@@ -361,11 +407,24 @@ router.get('/leads/owner/:ownerId', async (req, res) => {
 });
 
 // Get Leads for a Specific Doctor
-router.get('/leads/doctor/:doctorId', async (req, res) => {
+router.get('/leads/doctor/:doctorId', verifyJWT, async (req, res) => {
   try {
     const { doctorId } = req.params;
     const { page = 1, limit = 20, status } = req.query;
 
+    const { data: doctor } = await supa
+      .from('doctors')
+      .select('id')
+      .eq('id', doctorId)
+      .eq('owner_id', req.user.id)
+      .maybeSingle();
+    if (!doctor) {
+      return res.status(404).json({
+        ok: false,
+        error: 'Doctor not found'
+      });
+    }
+
     const offset = (page - 1) * limit;
 
     let query = supa
@@ -383,6 +442,7 @@ router.get('/leads/doctor/:doctorId', async (req, res) => {
         )
       `)
       .eq('assigned_doctor_id', doctorId)
+      .eq('owner_id', req.user.id)
       .order('created_at', { ascending: false })
       .range(offset, offset + limit - 1);
 
@@ -404,7 +464,8 @@ router.get('/leads/doctor/:doctorId', async (req, res) => {
     let countQuery = supa
       .from('leads')
       .select('id', { count: 'exact' })
-      .eq('assigned_doctor_id', doctorId);
+      .eq('assigned_doctor_id', doctorId)
+      .eq('owner_id', req.user.id);
 
     if (status) {
       countQuery = countQuery.eq('status', status);
@@ -432,8 +493,88 @@ router.get('/leads/doctor/:doctorId', async (req, res) => {
   }
 });
 
+/**
+ * Suspected duplicates among the owner's leads: groups sharing a phone or email
+ * GET /leads/duplicates?limit=50
+ */
+router.get('/leads/duplicates', verifyJWT, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const groups = await listSuspectedDuplicates(req.user.id, { limit });
+
+    res.json({ ok: true, groups });
+
+  } catch (error) {
+    log.error('List duplicate leads error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to fetch duplicate leads'
+    });
+  }
+});
+
+/**
+ * Merge one lead into another; call attempts, appointments, payments and
+ * messages move to the kept lead, and the merged one is marked 'merged'
+ * POST /leads/merge
+ *
+ * Body: { keep_lead_id: "uuid", merge_lead_id: "uuid" }
+ */
+router.post('/leads/merge', verifyJWT, async (req, res) => {
+  try {
+    const { keep_lead_id, merge_lead_id } = req.body;
+    if (!keep_lead_id || !merge_lead_id || keep_lead_id === merge_lead_id) {
+      return res.status(400).json({ ok: false, error: 'keep_lead_id and merge_lead_id must be two different leads' });
+    }
+
+    const { data: leads, error } = await supa
+      .from('leads')
+      .select('id, status')
+      .in('id', [keep_lead_id, merge_lead_id])
+      .eq('owner_id', req.user.id);
+    if (error) {
+      throw new Error(error.message);
+    }
+    if ((leads || []).length !== 2) {
+      return res.status(404).json({ ok: false, error: 'Lead not found' });
+    }
+    if (leads.some(l => l.status === 'merged')) {
+      return res.status(409).json({ ok: false, error: 'Lead was already merged' });
+    }
+    // A live call would report its outcome to a lead that no longer exists
+    if (leads.some(l => l.status === 'calling')) {
+      return res.status(409).json({ ok: false, error: 'Cannot merge a lead while it is on a call' });
+    }
+
+    const lead = await mergeLeads(keep_lead_id, merge_lead_id);
+    // merge_leads() sets the status itself; the history still gets its event
+    await recordLeadEvent({ id: merge_lead_id, owner_id: req.user.id }, {
+      from: leads.find(l => l.id === merge_lead_id).status,
+      to: 'merged',
+      reason: `Merged into ${keep_lead_id}`,
+      source: 'lead_routes',
+      actorType: 'user',
+      actorId: req.user.id
+    });
+    log.info(`Lead ${merge_lead_id} merged into ${keep_lead_id}`);
+
+    res.json({
+      ok: true,
+      message: 'Leads merged successfully',
+      lead
+    });
+
+  } catch (error) {
+    log.error('Merge leads error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to merge leads'
+    });
+  }
+});
+
 // Retry Lead Call
-router.post('/lead/:id/retry', async (req, res) => {
+router.post('/lead/:id/retry', verifyJWT, async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -442,7 +583,8 @@ router.post('/lead/:id/retry', async (req, res) => {
       .from('leads')
       .select('*')
       .eq('id', id)
-      .single();
+      .eq('owner_id', req.user.id)
+      .maybeSingle();
 
     if (leadError || !lead) {
       return res.status(404).json({
@@ -451,6 +593,14 @@ router.post('/lead/:id/retry', async (req, res) => {
       });
     }
 
+    if (!canTransition(lead.status, 'calling')) {
+      return res.status(409).json({
+        ok: false,
+        error: `Cannot call a lead in status ${lead.status}`
+      });
+    }
+    const retryEvent = { source: 'lead_routes', reason: 'manual_retry', actorType: 'user', actorId: req.user.id };
+
     if (!lead.assigned_agent_id || !lead.assigned_doctor_id) {
       // Try to assign doctor and agent first
       try {
@@ -481,7 +631,8 @@ router.post('/lead/:id/retry', async (req, res) => {
 
     const nextAttemptNo = (attempts?.[0]?.attempt_no || 0) + 1;
 
-    if (nextAttemptNo > (lead.max_attempts || 3)) {
+    const policy = await retryPolicyForLead(lead);
+    if ((await countPolicyAttempts(lead)) + 1 > maxAttemptsFor(policy, lead)) {
       return res.status(400).json({
         ok: false,
         error: 'Maximum retry attempts reached'
@@ -493,7 +644,7 @@ router.post('/lead/:id/retry', async (req, res) => {
       const callResponse = await agentManager.makeOutboundCall(lead);
       
       // Record call attempt
-      await supa
+      const { data: attempt } = await supa
         .from('call_attempts')
         .insert({
           lead_id: id,
@@ -504,17 +655,19 @@ router.post('/lead/:id/retry', async (req, res) => {
           attempt_no: nextAttemptNo,
           scheduled_at: new Date().toISOString(),
           started_at: new Date().toISOString(),
-          retell_call_id: callResponse.call_id
-        });
+          retell_call_id: callResponse.call_id,
+          outcome: 'initiated',
+          campaign_id: lead.campaign_id || null
+        })
+        .select('id')
+        .single();
 
       // Update lead status
-      await supa
-        .from('leads')
-        .update({ 
-          status: 'calling',
-          next_retry_at: null
-        })
-        .eq('id', id);
+      await transitionLead(lead, 'calling', {
+        ...retryEvent,
+        callAttemptId: attempt?.id || null,
+        updates: { next_retry_at: null }
+      });
 
       res.json({
         ok: true,
@@ -526,6 +679,32 @@ router.post('/lead/:id/retry', async (req, res) => {
       });
 
     } catch (callError) {
+      if (callError instanceof CallThrottledError) {
+        await transitionLead(lead, 'reschedule', {
+          ...retryEvent,
+          reason: `manual_retry, call_throttled: ${callError.reason}`,
+          updates: { next_retry_at: callError.eta.toISOString() }
+        });
+        await enqueueDial(lead, { runAt: callError.eta, priority: 10 });
+        return res.status(202).json({
+          ok: true,
+          message: 'Retry call queued',
+          call: {
+            status: 'queued',
+            eta: callError.eta.toISOString(),
+            reason: callError.reason,
+            attempt_no: nextAttemptNo
+          }
+        });
+      }
+      if (callError instanceof ContactSuppressedError) {
+        await transitionLead(lead, callError.leadStatus, { ...retryEvent, reason: callError.message });
+        return res.status(409).json({
+          ok: false,
+          error: callError.message,
+          reason: callError.reason
+        });
+      }
       log.error(`Retry call failed for lead ${id}:`, callError);
       res.status(500).json({
         ok: false,
@@ -543,7 +722,7 @@ router.post('/lead/:id/retry', async (req, res) => {
 });
 
 // Update Lead
-router.put('/lead/:id', async (req, res) => {
+router.put('/lead/:id', verifyJWT, async (req, res) => {
   try {
     const { id } = req.params;
     const updates = req.body;
@@ -552,14 +731,68 @@ router.put('/lead/:id', async (req, res) => {
     delete updates.id;
     delete updates.owner_id;
     delete updates.created_at;
+    delete updates.phone_type;
+    delete updates.whatsapp_id;
+    delete updates.merged_into_id;
+
+    // Status changes go through the lead lifecycle
+    const { status, status_reason } = updates;
+    delete updates.status;
+    delete updates.status_reason;
+    if (status !== undefined && !LEAD_STATUSES.includes(status)) {
+      return res.status(400).json({ ok: false, error: `status must be one of ${LEAD_STATUSES.join(', ')}` });
+    }
 
-    // Update lead
-    const { data: updatedLead, error } = await supa
+    const { data: current } = await supa
       .from('leads')
-      .update(updates)
+      .select('id, owner_id, status, phone, whatsapp')
       .eq('id', id)
-      .select()
-      .single();
+      .eq('owner_id', req.user.id)
+      .maybeSingle();
+    if (!current) {
+      return res.status(404).json({
+        ok: false,
+        error: 'Lead not found'
+      });
+    }
+
+    // Phone changes go through the same normalization as /lead/submit
+    if (updates.phone !== undefined || updates.whatsapp !== undefined) {
+      let { phone, whatsapp } = updates;
+      if (phone === undefined) phone = current.phone;
+      if (whatsapp === undefined) whatsapp = current.whatsapp;
+      const phoneFields = leadPhoneFields(phone, whatsapp);
+      if (phoneFields.error) {
+        return res.status(400).json({ ok: false, error: phoneFields.error, reason: phoneFields.reason });
+      }
+      Object.assign(updates, phoneFields.fields);
+    }
+
+    if (status !== undefined) {
+      try {
+        await transitionLead(current, status, {
+          source: 'lead_routes',
+          reason: status_reason || 'manual_update',
+          actorType: 'user',
+          actorId: req.user.id,
+          updates
+        });
+      } catch (transitionError) {
+        if (!(transitionError instanceof LeadTransitionError)) throw transitionError;
+        return res.status(409).json({ ok: false, error: transitionError.message });
+      }
+    }
+
+    // Update lead (a status change already wrote the other fields)
+    const { data: updatedLead, error } = status !== undefined || Object.keys(updates).length === 0
+      ? await supa.from('leads').select().eq('id', id).eq('owner_id', req.user.id).maybeSingle()
+      : await supa
+        .from('leads')
+        .update(updates)
+        .eq('id', id)
+        .eq('owner_id', req.user.id)
+        .select()
+        .maybeSingle();
 
     if (error) {
       log.error('Lead update error:', error);
@@ -592,10 +825,13 @@ router.put('/lead/:id', async (req, res) => {
 });
 
 // Lead Analytics for Business Owner
-router.get('/analytics/leads/:ownerId', async (req, res) => {
+router.get('/analytics/leads/:ownerId', verifyJWT, async (req, res) => {
   try {
     const { ownerId } = req.params;
     const { timeframe = '30d' } = req.query;
+    if (ownerId !== req.user.id) {
+      return res.status(403).json({ ok: false, error: 'You can only see your own analytics' });
+    }
 
     // Calculate date filter
     let dateFilter = new Date();
@@ -4,103 +4,64 @@ import { supa } from '../lib/supabase.js';
 import { log } from '../config/logger.js';
 import { Retell } from 'retell-sdk';
 import { env } from '../config/env.js';
+import { nextCallingTime } from '../services/callingWindow.js';
+import { retryContextForLead, planNextAttempt, countPolicyAttempts } from '../services/retryPolicy.js';
+import { classifyCallOutcome, RETRY_REASON_BY_DISPOSITION } from '../services/callOutcome.js';
+import { completeDialJob } from '../services/dialQueue.js';
+import { transitionLeadIfAllowed, BOOKED_STATUSES } from '../services/leadLifecycle.js';
+import { applyCallExtraction } from '../services/callExtraction.js';
+import { addSuppression } from '../services/suppression.js';
+import { markCallLive, markCallEnded } from '../services/callGovernor.js';
+import { DEFAULT_TIMEZONE, zonedParts, zonedTimeToUtc, addDaysToKey } from '../lib/datetime.js';
 
 const r = Router();
 // const nextRetryAt = () => { const n=new Date(); n.setHours(n.getHours()+4); return n.toISOString(); };
 
-async function computeNextRetry(attemptNo, { inVoicemail = false, leadId = null } = {}) {
+/**
+ * Next step after attempt `attemptNo` ended without a person, from the lead's
+ * retry policy: { action: 'retry', at } or { action: 'fallback', channel }.
+ */
+async function computeNextRetry(attemptNo, { reason, lead }) {
   const now = new Date();
+  const timeZone = lead.timezone || DEFAULT_TIMEZONE;
+  const { policy, window } = await retryContextForLead(lead);
 
-  // If voicemail, try again soon (15–25 min) to catch them shortly after
-  if (inVoicemail) {
-    const minutes = 15 + Math.floor(Math.random() * 11); // 15..25
-    const d = new Date(now.getTime() + minutes * 60 * 1000);
-    return d.toISOString();
-  }
+  const plan = planNextAttempt(policy, { reason, attemptNo, lead, from: now, window });
+  if (plan.action !== 'retry') return plan;
 
-  // Get appointment information for this lead if leadId is provided
+  // Get appointment information for this lead
   let appointmentTime = null;
-  if (leadId) {
-    try {
-      const { data: appointments } = await supa
-        .from('appointments')
-        .select('start_at')
-        .eq('lead_id', leadId)
-        .gte('start_at', now.toISOString()) // Only future appointments
-        .order('start_at', { ascending: true })
-        .limit(1);
-      
-      if (appointments && appointments.length > 0) {
-        appointmentTime = new Date(appointments[0].start_at);
-      }
-    } catch (error) {
-      // If there's an error querying appointments, continue with original logic
-      console.error('Error querying appointments:', error);
+  try {
+    const { data: appointments } = await supa
+      .from('appointments')
+      .select('start_at')
+      .eq('lead_id', lead.id)
+      .gte('start_at', now.toISOString()) // Only future appointments
+      .order('start_at', { ascending: true })
+      .limit(1);
+    
+    if (appointments && appointments.length > 0) {
+      appointmentTime = new Date(appointments[0].start_at);
     }
+  } catch (error) {
+    // If there's an error querying appointments, continue with original logic
+    console.error('Error querying appointments:', error);
   }
 
-  // Calculate next available time slot (Monday to Saturday, 8 AM to 8 PM)
-  const calculateNextSlot = (fromTime) => {
-    const d = new Date(fromTime);
-    const currentHour = d.getHours();
-    const currentMinute = d.getMinutes();
-    const currentDay = d.getDay(); // 0 = Sunday, 1 = Monday, ..., 6 = Saturday
-    
-    // Add 2 hours to current time
-    d.setTime(d.getTime() + 2 * 60 * 60 * 1000);
-    
-    // Check if the new time is within business hours (8 AM to 8 PM)
-    if (d.getHours() >= 8 && d.getHours() < 20) {
-      // Check if it's a valid day (Monday to Saturday)
-      if (d.getDay() >= 1 && d.getDay() <= 6) {
-        return d;
-      } else {
-        // If it's Sunday, move to Monday 8 AM
-        const daysUntilMonday = 8 - d.getDay(); // 8 - 0 = 8 days
-        d.setDate(d.getDate() + daysUntilMonday);
-        d.setHours(8, 0, 0, 0);
-        return d;
-      }
-    } else {
-      // If outside business hours, move to next business day 8 AM
-      if (d.getHours() >= 20) {
-        // If it's after 8 PM, move to next day
-        d.setDate(d.getDate() + 1);
-      }
-      
-      // Find next valid business day (Monday to Saturday)
-      while (d.getDay() === 0) { // Skip Sundays
-        d.setDate(d.getDate() + 1);
-      }
-      
-      d.setHours(8, 0, 0, 0);
-      return d;
-    }
-  };
-  
-  let nextRetryTime = calculateNextSlot(now);
-  
   // If there's an appointment, check if we need to adjust the retry time
   if (appointmentTime) {
-    const timeDiffMs = Math.abs(appointmentTime.getTime() - nextRetryTime.getTime());
+    const timeDiffMs = Math.abs(appointmentTime.getTime() - plan.at.getTime());
     const timeDiffHours = timeDiffMs / (1000 * 60 * 60);
     
     // If the difference between next retry time and appointment is less than 2 hours,
-    // move to the next available slot
+    // move to the first calling slot of the next day
     if (timeDiffHours < 2) {
-      // Move to next business day 8 AM
-      nextRetryTime.setDate(nextRetryTime.getDate() + 1);
-      
-      // Find next valid business day (Monday to Saturday)
-      while (nextRetryTime.getDay() === 0) { // Skip Sundays
-        nextRetryTime.setDate(nextRetryTime.getDate() + 1);
-      }
-      
-      nextRetryTime.setHours(8, 0, 0, 0);
+      const nextDay = addDaysToKey(zonedParts(plan.at, timeZone).dateKey, 1);
+      plan.at = nextCallingTime(window, zonedTimeToUtc(nextDay, '00:00', timeZone), timeZone) || plan.at;
     }
   }
   
-  return nextRetryTime.toISOString();
+  return plan;
 }
 
 async function findAttemptByCallId(callId) {
@@ -113,15 +74,104 @@ async function findAttemptByCallId(callId) {
   return data?.[0] || null;
 }
 
-async function maxAttemptNo(leadId) {
+// Callbacks without a time the patient named go to the next day's window
+const DEFAULT_CALLBACK_HOURS = 24;
+
+/** Whether an appointment was created for the lead while this attempt was on */
+async function appointmentBookedDuringCall(attempt) {
+  const since = attempt.started_at || attempt.created_at;
+  if (!since) return false;
   const { data, error } = await supa
-    .from('call_attempts')
-    .select('attempt_no')
-    .eq('lead_id', leadId)
-    .order('attempt_no', { ascending: false })
+    .from('appointments')
+    .select('id')
+    .eq('lead_id', attempt.lead_id)
+    .gte('created_at', since)
     .limit(1);
   if (error) throw new Error(error.message);
-  return data?.[0]?.attempt_no || 1;
+  return Boolean(data?.length);
+}
+
+/**
+ * Move the lead according to the call's disposition (services/callOutcome.js).
+ * Nobody talked: retry policy (no_answer / call_failed), then the fallback.
+ * Someone talked: booked, qualified, reschedule (callback), not_interested or
+ * wrong_number; an identity mismatch makes it divergent.
+ * do_not_call puts the phone on the owner's suppression list, whoever answered.
+ */
+async function applyCallOutcome(lead, outcome, { callEvent, divergent }) {
+  const event = { ...callEvent, reason: `${outcome.disposition} (${outcome.signal})` };
+
+  if (outcome.disposition === 'do_not_call') {
+    // A booked appointment stays; the lead just won't be called or messaged again
+    if (!BOOKED_STATUSES.includes(lead.status)) {
+      await transitionLeadIfAllowed(lead, 'do_not_contact', { ...event, updates: { next_retry_at: null } });
+    }
+    const suppressed = await addSuppression({
+      ownerId: lead.owner_id,
+      phone: lead.phone,
+      source: 'call_disposition',
+      reason: outcome.signal,
+      leadId: lead.id,
+      callAttemptId: callEvent.callAttemptId
+    });
+    if (!suppressed.ok) log.warn(`Lead ${lead.id} asked not to be called but was not suppressed: ${suppressed.error}`);
+    return null;
+  }
+
+  if (outcome.retryReason) {
+    const plan = await computeNextRetry(Math.max(await countPolicyAttempts(lead), 1), { reason: outcome.retryReason, lead });
+
+    if (plan.action === 'retry') {
+      return transitionLeadIfAllowed(lead, outcome.disposition === 'technical_failure' ? 'call_failed' : 'no_answer', {
+        ...event,
+        updates: { next_retry_at: plan.at.toISOString() }
+      });
+    }
+    if (plan.channel === 'none') {
+      return transitionLeadIfAllowed(lead, 'unreachable', {
+        ...event,
+        reason: `${event.reason}, retries exhausted`,
+        updates: { next_retry_at: null }
+      });
+    }
+    // Fallback outreach asking preferred channel
+    return transitionLeadIfAllowed(lead, 'whatsapp_outreach', {
+      ...event,
+      reason: `${event.reason}, retries exhausted`,
+      updates: { preferred_channel: plan.channel, next_retry_at: null }
+    });
+  }
+
+  if (divergent) return transitionLeadIfAllowed(lead, 'divergent', { ...event, reason: 'identity_mismatch' });
+
+  switch (outcome.disposition) {
+    case 'booked':
+      if (BOOKED_STATUSES.includes(lead.status)) return null;
+      // The analysis says booked but no appointment was made: someone has to check
+      return transitionLeadIfAllowed(lead, outcome.signal === 'appointment' ? 'appointment_scheduled' : 'needs_human', event);
+    case 'callback_requested': {
+      const { window } = await retryContextForLead(lead);
+      const due = outcome.callbackAt || new Date(Date.now() + DEFAULT_CALLBACK_HOURS * 60 * 60 * 1000);
+      const at = (window && nextCallingTime(window, due, lead.timezone || DEFAULT_TIMEZONE)) || due;
+      return transitionLeadIfAllowed(lead, 'reschedule', { ...event, updates: { next_retry_at: at.toISOString() } });
+    }
+    case 'not_interested':
+    case 'wrong_number':
+      return transitionLeadIfAllowed(lead, outcome.disposition, { ...event, updates: { next_retry_at: null } });
+    default:
+      if (lead.status === 'qualified') return null;
+      return transitionLeadIfAllowed(lead, 'qualified', event);
+  }
+}
+
+async function loadLead(leadId) {
+  const { data: leadRows, error: leadErr } = await supa
+    .from('leads')
+    .select('*')
+    .eq('id', leadId)
+    .limit(1);
+  if (leadErr) throw new Error(leadErr.message);
+  return leadRows?.[0] || null;
 }
 
 // r.post('/retell/webhook', async (req, res) => {
@@ -193,6 +243,11 @@ r.post('/retell/webhook', async (req, res) => {
 
     log.info('retell evt', evt || 'no evt');
 
+    // Live call counts for the outbound governor
+    const slot = { slotId: c.metadata?.call_slot_id, retellCallId: c.call_id || evt.call_id };
+    if (type === 'call_started') await markCallLive(slot);
+    if (type === 'call_ended') await markCallEnded(slot);
+
     const attempt = await findAttemptByCallId(callId);
     if (!attempt) {
       // Not one of ours (or already cleaned up) — ack to avoid retries
@@ -208,37 +263,16 @@ r.post('/retell/webhook', async (req, res) => {
     }
 
     if (type === 'call_ended') {
-      // Persist raw outcome for debugging
-      const transcript = (c.transcript || '').toLowerCase();
-      const collected = JSON.stringify(c.collected_dynamic_variables || {});
-      const outcomeRaw = [
-        evt.outcome,
-        c.disconnection_reason,
-        c.call_status,
-        c.summary?.result,
-        c.summary?.call_outcome
-      ]
-        .filter(Boolean)
-        .join(' ')
-        .toLowerCase();
-
-      // Voicemail detection (PT/EN variants + Retell analysis)
-      const inVoicemail = c.disconnection_reason === 'voicemail_reached';
-
-      const NO_HUMAN =
-        inVoicemail ||
-        /(no ?answer|no[_-]?pickup|didn'?t pick|missed|timeout|busy|failed|cancelled|declined|unreachable|voicemail_reached)/i.test(
-          outcomeRaw
-        );
-      const DIVERGENT =
-        /(divergent|identity[_-]?fail|mismatch name|name mismatch)/i.test(outcomeRaw);
-
-      log.info('retell call_ended parsed', {
+      const outcome = classifyCallOutcome(c, { bookedDuringCall: await appointmentBookedDuringCall(attempt) });
+      // Set by /fn/check-identity during the call
+      const DIVERGENT = attempt.identity_status === 'mismatch';
+
+      log.info('retell call_ended classified', {
         call_id: callId,
-        inVoicemail,
-        NO_HUMAN,
+        disposition: outcome.disposition,
+        signal: outcome.signal,
         DIVERGENT,
-        outcomeRaw
+        disconnection_reason: c.disconnection_reason
       });
 
       // Update attempt outcome + timestamp
@@ -246,46 +280,20 @@ r.post('/retell/webhook', async (req, res) => {
         .from('call_attempts')
         .update({
           ended_at: new Date().toISOString(),
-          outcome: evt.outcome || c.disconnection_reason || (inVoicemail ? 'voicemail' : 'ended')
+          outcome: evt.outcome || c.disconnection_reason || outcome.disposition,
+          disposition: outcome.disposition,
+          disposition_signal: outcome.signal
         })
         .eq('id', attempt.id);
 
-      // Load lead
-      const { data: leadRows, error: leadErr } = await supa
-        .from('leads')
-        .select('*')
-        .eq('id', attempt.lead_id)
-        .limit(1);
-      if (leadErr) throw new Error(leadErr.message);
-      const lead = leadRows?.[0];
+      // Frees the dial queue slot held by this call
+      await completeDialJob(callId, outcome.retryReason || (DIVERGENT ? 'divergent' : outcome.disposition));
+
+      const lead = await loadLead(attempt.lead_id);
       if (!lead) return res.sendStatus(200);
 
-      if (inVoicemail) {
-        const nextN = (await maxAttemptNo(lead.id)) + 1;
-
-        if (nextN <= 3) {
-          const nextAt = await computeNextRetry(nextN, { inVoicemail, leadId: lead.id });
-          await supa
-            .from('leads')
-            .update({ status: 'no_answer', next_retry_at: nextAt })
-            .eq('id', lead.id);
-        } else {
-          // Fallback to WhatsApp outreach asking preferred channel
-          await supa
-            .from('leads')
-            .update({
-              status: 'whatsapp_outreach',
-              preferred_channel: 'whatsapp',
-              next_retry_at: null
-            })
-            .eq('id', lead.id);
-        }
-      } else if (DIVERGENT) {
-        await supa.from('leads').update({ status: 'divergent' }).eq('id', lead.id);
-      } else {
-        // Any other successful human conversation path you consider "qualified"
-        await supa.from('leads').update({ status: 'qualified' }).eq('id', lead.id);
-      }
+      const callEvent = { source: 'retell_webhook', callAttemptId: attempt.id, metadata: { retell_call_id: callId, disposition: outcome.disposition } };
+      await applyCallOutcome(lead, outcome, { callEvent, divergent: DIVERGENT });
 
       return res.sendStatus(200);
     }
@@ -297,13 +305,45 @@ r.post('/retell/webhook', async (req, res) => {
         evt.transcript ||
         (Array.isArray(c.transcript_object) ? JSON.stringify(c.transcript_object) : null);
       const call_analysis = c.call_analysis || null;
-      const total_call_duration = c.call_cost.total_duration_seconds || null;
+      const total_call_duration = c.call_cost?.total_duration_seconds || null;
 
       console.log('call_analysis', call_analysis, 'total_call_duration', total_call_duration);
       await supa
         .from('call_attempts')
         .update({ transcript, call_analysis, total_call_duration })
         .eq('id', attempt.id);
+
+      // What the call collected goes onto the lead (and into the next call's variables)
+      try {
+        await applyCallExtraction(attempt, c);
+      } catch (e) {
+        log.error(`Call extraction error for ${callId}:`, e.message);
+      }
+
+      // call_ended rarely has the analysis; classify again now that it's here
+      const outcome = classifyCallOutcome(c, { bookedDuringCall: await appointmentBookedDuringCall(attempt) });
+      const bothUnanswered = outcome.retryReason && RETRY_REASON_BY_DISPOSITION[attempt.disposition];
+      const doNotCall = outcome.disposition === 'do_not_call';
+      if (outcome.disposition !== attempt.disposition && !bothUnanswered && (attempt.identity_status !== 'mismatch' || doNotCall)) {
+        await supa
+          .from('call_attempts')
+          .update({ disposition: outcome.disposition, disposition_signal: outcome.signal })
+          .eq('id', attempt.id);
+
+        // Only the lead's latest call decides its status; a do-not-call request always holds
+        const { data: latest } = await supa
+          .from('call_attempts')
+          .select('id')
+          .eq('lead_id', attempt.lead_id)
+          .order('created_at', { ascending: false })
+          .limit(1);
+        const lead = latest?.[0]?.id === attempt.id || doNotCall ? await loadLead(attempt.lead_id) : null;
+        if (lead) {
+          log.info(`Call ${callId} reclassified ${attempt.disposition || 'none'} -> ${outcome.disposition} (${outcome.signal})`);
+          const callEvent = { source: 'retell_webhook', callAttemptId: attempt.id, metadata: { retell_call_id: callId, disposition: outcome.disposition, reclassified_from: attempt.disposition || null } };
+          await applyCallOutcome(lead, outcome, { callEvent, divergent: false });
+        }
+      }
       return res.sendStatus(200);
     }
 
@@ -0,0 +1,606 @@
+import { Router } from 'express';
+import { verifyJWT } from '../middleware/verifyJWT.js';
+import { supa } from '../lib/supabase.js';
+import { log } from '../config/logger.js';
+import {
+  HOLIDAY_CALENDAR_NAMES,
+  callingWindowFromSettings,
+  holidaysFor,
+  invalidateCallingWindow,
+  getCallingWindow
+} from '../services/callingWindow.js';
+import {
+  RETRY_REASONS,
+  DEFAULT_RETRY_POLICY,
+  normalizePolicy,
+  validatePolicy,
+  simulateSchedule
+} from '../services/retryPolicy.js';
+import { duplicateRulesFromSettings, validateDuplicateRules } from '../services/leadDuplicates.js';
+import { DEFAULT_TIMEZONE } from '../lib/datetime.js';
+
+const router = Router();
+
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+
+function validateCallingHours(hours){
+  if (typeof hours !== 'object' || Array.isArray(hours)) return 'calling_hours must be an object keyed by weekday';
+  for (const [day, config] of Object.entries(hours)) {
+    if (!WEEKDAYS.includes(day)) return `Unknown weekday: ${day}`;
+    for (const slot of config?.timeSlots || []) {
+      if (!TIME_RE.test(slot.start || '') || !TIME_RE.test(slot.end || '') || slot.start >= slot.end) {
+        return `Invalid time slot on ${day}: ${slot.start}-${slot.end}`;
+      }
+    }
+  }
+  return null;
+}
+
+function validateCustomHolidays(holidays){
+  if (!Array.isArray(holidays)) return 'custom_holidays must be an array';
+  for (const h of holidays) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(h.date || '').slice(0, 10))) return `Invalid holiday date: ${h.date}`;
+    if (h.type === 'modified_hours' && (!TIME_RE.test(h.start || '') || !TIME_RE.test(h.end || ''))) {
+      return `modified_hours on ${h.date} needs start and end (HH:MM)`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the owner's calling window and the holidays it skips this year
+ * GET /settings/calling-window?year=2025
+ */
+router.get('/calling-window', verifyJWT, async (req, res) => {
+  try {
+    const { data: user, error } = await supa
+      .from('users')
+      .select('calling_hours, holiday_calendars, custom_holidays')
+      .eq('id', req.user.id)
+      .single();
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    const window = callingWindowFromSettings(user);
+    const year = parseInt(req.query.year) || new Date().getFullYear();
+
+    res.json({
+      ok: true,
+      calling_window: {
+        calling_hours: window.hours,
+        holiday_calendars: window.calendars,
+        custom_holidays: window.customHolidays,
+        is_default: !user.calling_hours
+      },
+      available_calendars: HOLIDAY_CALENDAR_NAMES,
+      holidays: holidaysFor(year, window.calendars)
+    });
+
+  } catch (error) {
+    log.error('Get calling window error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to fetch calling window'
+    });
+  }
+});
+
+/**
+ * Update the owner's calling window
+ * PUT /settings/calling-window
+ *
+ * Body: {
+ *   calling_hours: { monday: { enabled: true, timeSlots: [{ start: "08:00", end: "12:00" }, { start: "14:00", end: "19:00" }] }, ... },
+ *   holiday_calendars: ["br_national", "br_optional"],
+ *   custom_holidays: [{ date: "2025-12-26", name: "Recesso", type: "closed" }]
+ * }
+ */
+router.put('/calling-window', verifyJWT, async (req, res) => {
+  try {
+    const { calling_hours, holiday_calendars, custom_holidays } = req.body;
+    const updates = {};
+
+    if (calling_hours !== undefined) {
+      const invalid = calling_hours && validateCallingHours(calling_hours);
+      if (invalid) return res.status(400).json({ ok: false, error: invalid });
+      // null resets to the default Mon-Sat 08:00-20:00
+      updates.calling_hours = calling_hours ? { ...Object.fromEntries(WEEKDAYS.map(d => [d, { enabled: false, timeSlots: [] }])), ...calling_hours } : null;
+    }
+    if (holiday_calendars !== undefined) {
+      const unknown = (holiday_calendars || []).filter(c => !HOLIDAY_CALENDAR_NAMES.includes(c));
+      if (unknown.length) {
+        return res.status(400).json({ ok: false, error: `Unknown holiday calendars: ${unknown.join(', ')}` });
+      }
+      updates.holiday_calendars = holiday_calendars || [];
+    }
+    if (custom_holidays !== undefined) {
+      const invalid = validateCustomHolidays(custom_holidays || []);
+      if (invalid) return res.status(400).json({ ok: false, error: invalid });
+      updates.custom_holidays = custom_holidays || [];
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        ok: false,
+        error: 'No valid fields to update'
+      });
+    }
+
+    const { data: user, error } = await supa
+      .from('users')
+      .update(updates)
+      .eq('id', req.user.id)
+      .select('calling_hours, holiday_calendars, custom_holidays')
+      .single();
+    if (error) {
+      throw new Error(error.message);
+    }
+    invalidateCallingWindow(req.user.id);
+
+    const window = callingWindowFromSettings(user);
+    res.json({
+      ok: true,
+      message: 'Calling window updated successfully',
+      calling_window: {
+        calling_hours: window.hours,
+        holiday_calendars: window.calendars,
+        custom_holidays: window.customHolidays,
+        is_default: !user.calling_hours
+      }
+    });
+
+  } catch (error) {
+    log.error('Update calling window error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to update calling window'
+    });
+  }
+});
+
+/**
+ * Get the owner's duplicate lead rules
+ * GET /settings/duplicate-rules
+ */
+router.get('/duplicate-rules', verifyJWT, async (req, res) => {
+  try {
+    const { data: user, error } = await supa
+      .from('users')
+      .select('duplicate_rules')
+      .eq('id', req.user.id)
+      .single();
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    res.json({
+      ok: true,
+      duplicate_rules: duplicateRulesFromSettings(user),
+      is_default: !user.duplicate_rules
+    });
+
+  } catch (error) {
+    log.error('Get duplicate rules error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to fetch duplicate rules'
+    });
+  }
+});
+
+/**
+ * Update the owner's duplicate lead rules; null resets to the defaults
+ * PUT /settings/duplicate-rules
+ *
+ * Body: { duplicate_rules: { enabled: true, match_phone: true, match_email: false, window_hours: 72 } }
+ */
+router.put('/duplicate-rules', verifyJWT, async (req, res) => {
+  try {
+    const { duplicate_rules } = req.body;
+    if (duplicate_rules === undefined) {
+      return res.status(400).json({ ok: false, error: 'duplicate_rules is required' });
+    }
+    const invalid = duplicate_rules && validateDuplicateRules(duplicate_rules);
+    if (invalid) return res.status(400).json({ ok: false, error: invalid });
+
+    const { data: user, error } = await supa
+      .from('users')
+      .update({ duplicate_rules: duplicate_rules ? duplicateRulesFromSettings({ duplicate_rules }) : null })
+      .eq('id', req.user.id)
+      .select('duplicate_rules')
+      .single();
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    res.json({
+      ok: true,
+      message: 'Duplicate rules updated successfully',
+      duplicate_rules: duplicateRulesFromSettings(user),
+      is_default: !user.duplicate_rules
+    });
+
+  } catch (error) {
+    log.error('Update duplicate rules error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to update duplicate rules'
+    });
+  }
+});
+
+/**
+ * Whether leads need recorded consent before they are called or messaged
+ * GET /settings/contact-consent
+ */
+router.get('/contact-consent', verifyJWT, async (req, res) => {
+  try {
+    const { data: user, error } = await supa
+      .from('users')
+      .select('require_contact_consent')
+      .eq('id', req.user.id)
+      .single();
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    res.json({ ok: true, require_contact_consent: Boolean(user.require_contact_consent) });
+
+  } catch (error) {
+    log.error('Get contact consent setting error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to fetch contact consent setting'
+    });
+  }
+});
+
+/**
+ * Require a granted lead_consents record before calling or messaging a lead
+ * PUT /settings/contact-consent
+ *
+ * Body: { require_contact_consent: true }
+ */
+router.put('/contact-consent', verifyJWT, async (req, res) => {
+  try {
+    const { require_contact_consent } = req.body;
+    if (typeof require_contact_consent !== 'boolean') {
+      return res.status(400).json({ ok: false, error: 'require_contact_consent must be true or false' });
+    }
+
+    const { data: user, error } = await supa
+      .from('users')
+      .update({ require_contact_consent })
+      .eq('id', req.user.id)
+      .select('require_contact_consent')
+      .single();
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    res.json({
+      ok: true,
+      message: 'Contact consent setting updated successfully',
+      require_contact_consent: user.require_contact_consent
+    });
+
+  } catch (error) {
+    log.error('Update contact consent setting error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to update contact consent setting'
+    });
+  }
+});
+
+/**
+ * The clinic's PIX key, matched against the payee of PIX receipts
+ * GET /settings/pix-key
+ */
+router.get('/pix-key', verifyJWT, async (req, res) => {
+  try {
+    const { data: user, error } = await supa
+      .from('users')
+      .select('pix_key')
+      .eq('id', req.user.id)
+      .single();
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    res.json({ ok: true, pix_key: user.pix_key || null });
+
+  } catch (error) {
+    log.error('Get PIX key error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to fetch PIX key'
+    });
+  }
+});
+
+/**
+ * Set the PIX key receipts must show as payee to be approved automatically
+ * PUT /settings/pix-key
+ *
+ * Body: { pix_key: "12.345.678/0001-90" }
+ */
+router.put('/pix-key', verifyJWT, async (req, res) => {
+  try {
+    const { pix_key } = req.body;
+    if (pix_key !== null && (typeof pix_key !== 'string' || !pix_key.trim() || pix_key.length > 100)) {
+      return res.status(400).json({ ok: false, error: 'pix_key must be a PIX key or null' });
+    }
+
+    const { data: user, error } = await supa
+      .from('users')
+      .update({ pix_key: pix_key ? pix_key.trim() : null })
+      .eq('id', req.user.id)
+      .select('pix_key')
+      .single();
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    res.json({
+      ok: true,
+      message: 'PIX key updated successfully',
+      pix_key: user.pix_key
+    });
+
+  } catch (error) {
+    log.error('Update PIX key error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to update PIX key'
+    });
+  }
+});
+
+const POLICY_FIELDS = ['name', 'max_attempts', 'backoff', 'jitter_minutes', 'min_gap_minutes', 'retry_error_minutes', 'fallback_channel', 'is_default'];
+
+function pickPolicyFields(body){
+  return Object.fromEntries(POLICY_FIELDS.filter(f => body[f] !== undefined).map(f => [f, body[f]]));
+}
+
+// Only one default policy per owner
+async function clearDefaultPolicy(ownerId, exceptId = null){
+  let query = supa
+    .from('retry_policies')
+    .update({ is_default: false })
+    .eq('owner_id', ownerId)
+    .eq('is_default', true);
+  if (exceptId) query = query.neq('id', exceptId);
+  const { error } = await query;
+  if (error) throw new Error(error.message);
+}
+
+/**
+ * List the owner's retry policies, with the agents using each
+ * GET /settings/retry-policies
+ */
+router.get('/retry-policies', verifyJWT, async (req, res) => {
+  try {
+    const { data: policies, error } = await supa
+      .from('retry_policies')
+      .select('*, agents(id, agent_name)')
+      .eq('owner_id', req.user.id)
+      .order('created_at', { ascending: true });
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    res.json({
+      ok: true,
+      policies: policies || [],
+      builtin_default: DEFAULT_RETRY_POLICY,
+      reasons: RETRY_REASONS
+    });
+
+  } catch (error) {
+    log.error('List retry policies error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to fetch retry policies'
+    });
+  }
+});
+
+/**
+ * Create a retry policy
+ * POST /settings/retry-policies
+ *
+ * Body: {
+ *   name: "Agressiva",
+ *   max_attempts: 5,
+ *   backoff: { voicemail: [10, 30, 120], busy: 20, no_answer: [60, 240], dial_failed: 15 },
+ *   jitter_minutes: 5,
+ *   min_gap_minutes: 10,
+ *   fallback_channel: "sms",
+ *   is_default: false
+ * }
+ */
+router.post('/retry-policies', verifyJWT, async (req, res) => {
+  try {
+    const fields = pickPolicyFields(req.body);
+    if (!fields.name) {
+      return res.status(400).json({ ok: false, error: 'name is required' });
+    }
+    const invalid = validatePolicy(fields);
+    if (invalid) return res.status(400).json({ ok: false, error: invalid });
+
+    if (fields.is_default) await clearDefaultPolicy(req.user.id);
+
+    const { id, ...values } = normalizePolicy(fields);
+    const { data: policy, error } = await supa
+      .from('retry_policies')
+      .insert({ ...values, owner_id: req.user.id, is_default: Boolean(fields.is_default) })
+      .select()
+      .single();
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    res.status(201).json({
+      ok: true,
+      message: 'Retry policy created successfully',
+      policy
+    });
+
+  } catch (error) {
+    log.error('Create retry policy error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to create retry policy'
+    });
+  }
+});
+
+/**
+ * Update a retry policy
+ * PUT /settings/retry-policies/:id
+ */
+router.put('/retry-policies/:id', verifyJWT, async (req, res) => {
+  try {
+    const updates = pickPolicyFields(req.body);
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        ok: false,
+        error: 'No valid fields to update'
+      });
+    }
+    const invalid = validatePolicy(updates);
+    if (invalid) return res.status(400).json({ ok: false, error: invalid });
+
+    if (updates.is_default) await clearDefaultPolicy(req.user.id, req.params.id);
+
+    const { data: policy, error } = await supa
+      .from('retry_policies')
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('id', req.params.id)
+      .eq('owner_id', req.user.id)
+      .select()
+      .maybeSingle();
+    if (error) {
+      throw new Error(error.message);
+    }
+    if (!policy) {
+      return res.status(404).json({ ok: false, error: 'Retry policy not found' });
+    }
+
+    res.json({
+      ok: true,
+      message: 'Retry policy updated successfully',
+      policy
+    });
+
+  } catch (error) {
+    log.error('Update retry policy error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to update retry policy'
+    });
+  }
+});
+
+/**
+ * Delete a retry policy; agents using it fall back to the owner default
+ * DELETE /settings/retry-policies/:id
+ */
+router.delete('/retry-policies/:id', verifyJWT, async (req, res) => {
+  try {
+    const { data: policy, error } = await supa
+      .from('retry_policies')
+      .delete()
+      .eq('id', req.params.id)
+      .eq('owner_id', req.user.id)
+      .select('id')
+      .maybeSingle();
+    if (error) {
+      throw new Error(error.message);
+    }
+    if (!policy) {
+      return res.status(404).json({ ok: false, error: 'Retry policy not found' });
+    }
+
+    res.json({
+      ok: true,
+      message: 'Retry policy deleted successfully'
+    });
+
+  } catch (error) {
+    log.error('Delete retry policy error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to delete retry policy'
+    });
+  }
+});
+
+/**
+ * Preview the call schedule a policy would produce, inside the owner's calling window
+ * POST /settings/retry-policies/simulate
+ *
+ * Body: {
+ *   policy_id: "uuid",              // or an inline `policy` object
+ *   outcomes: ["voicemail", "busy", "no_answer"],  // last one repeats
+ *   start_at: "2025-06-02T09:00:00-03:00",
+ *   timezone: "America/Sao_Paulo"
+ * }
+ */
+router.post('/retry-policies/simulate', verifyJWT, async (req, res) => {
+  try {
+    const { policy_id, policy: inline, outcomes = [], start_at, timezone = DEFAULT_TIMEZONE } = req.body;
+
+    if (!Array.isArray(outcomes) || outcomes.some(o => !RETRY_REASONS.includes(o))) {
+      return res.status(400).json({ ok: false, error: `outcomes must be a list of: ${RETRY_REASONS.join(', ')}` });
+    }
+    const start = start_at ? new Date(start_at) : new Date();
+    if (isNaN(start.getTime())) {
+      return res.status(400).json({ ok: false, error: 'Invalid start_at' });
+    }
+
+    let policy;
+    if (policy_id) {
+      const { data, error } = await supa
+        .from('retry_policies')
+        .select('*')
+        .eq('id', policy_id)
+        .eq('owner_id', req.user.id)
+        .maybeSingle();
+      if (error) {
+        throw new Error(error.message);
+      }
+      if (!data) {
+        return res.status(404).json({ ok: false, error: 'Retry policy not found' });
+      }
+      policy = normalizePolicy(data);
+    } else {
+      const invalid = inline && validatePolicy(inline);
+      if (invalid) return res.status(400).json({ ok: false, error: invalid });
+      policy = normalizePolicy(inline || {});
+    }
+
+    const window = await getCallingWindow(req.user.id);
+    // Jitter is left out so the preview is reproducible
+    const schedule = simulateSchedule(policy, { outcomes, start, window, timeZone: timezone, random: () => 0 });
+
+    res.json({
+      ok: true,
+      policy,
+      timezone,
+      schedule
+    });
+
+  } catch (error) {
+    log.error('Simulate retry policy error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to simulate retry policy'
+    });
+  }
+});
+
+export default router;
@@ -1,24 +1,49 @@
 import { Router } from 'express';
 import { stripe } from '../lib/stripe.js';
+import { log } from '../config/logger.js';
+import {
+  claimStripeEvent,
+  finishStripeEvent,
+  approveCheckoutSession,
+  expireCheckoutSession,
+  failCheckoutSession,
+  recordPaymentIntentFailure,
+  refundCharge
+} from '../services/payments.js';
 
 const r = Router();
 const getRawBody = (req) => req.rawBody || Buffer.from(JSON.stringify(req.body||{}));
 
-r.post('/webhook/stripe', (req,res)=>{
+const handlers = {
+  'checkout.session.completed': approveCheckoutSession,
+  'checkout.session.async_payment_succeeded': approveCheckoutSession,
+  'checkout.session.async_payment_failed': failCheckoutSession,
+  'checkout.session.expired': expireCheckoutSession,
+  'payment_intent.payment_failed': recordPaymentIntentFailure,
+  'charge.refunded': refundCharge
+};
+
+r.post('/webhook/stripe', async (req,res)=>{
   const sig = String(req.headers['stripe-signature']||'');
   let event;
   try{ event = stripe.webhooks.constructEvent(getRawBody(req), sig, process.env.STRIPE_WEBHOOK_SECRET || ''); }
   catch(e){ return res.status(400).send(`Webhook Error: ${e.message}`); }
 
-  switch(event.type){
-    case 'checkout.session.completed': {
-      const session = event.data.object;
-      const leadId = session.metadata?.lead_id;
-      const amount_total = session.amount_total;
-      // TODO: update payments for leadId, set status=approved
-      break;
+  const handler = handlers[event.type];
+  if (!handler) return res.json({ received:true });
+
+  try {
+    if (!(await claimStripeEvent(event))) {
+      log.info(`Stripe event ${event.id} already processed or in progress, skipping`);
+      return res.json({ received:true, duplicate:true });
     }
-    default: break;
+    await handler(event.data.object);
+    await finishStripeEvent(event.id);
+  } catch (e) {
+    log.error(`Stripe event ${event.id} (${event.type}) failed:`, e.message);
+    await finishStripeEvent(event.id, e.message).catch(() => {});
+    // Non-2xx makes Stripe redeliver the event
+    return res.status(500).json({ received:false, error: e.message });
   }
   res.json({ received:true });
 });
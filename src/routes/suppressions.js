@@ -0,0 +1,122 @@
+import { Router } from 'express';
+import { verifyJWT } from '../middleware/verifyJWT.js';
+import { supa } from '../lib/supabase.js';
+import { log } from '../config/logger.js';
+import { addSuppression, suppressionPhone } from '../services/suppression.js';
+
+const router = Router();
+
+/**
+ * The owner's do-not-contact list; admins get the global list with ?scope=global
+ * GET /suppressions?phone=11999998888&page=1&limit=50
+ */
+router.get('/suppressions', verifyJWT, async (req, res) => {
+  try {
+    const { scope = 'owner', phone, page = 1, limit = 50 } = req.query;
+    if (scope === 'global' && req.user.role !== 'admin') {
+      return res.status(403).json({ ok: false, error: 'Admin access required' });
+    }
+
+    const pageSize = Math.min(parseInt(limit) || 50, 500);
+    const offset = (Math.max(parseInt(page) || 1, 1) - 1) * pageSize;
+    let query = supa
+      .from('suppression_list')
+      .select('*', { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(offset, offset + pageSize - 1);
+    query = scope === 'global' ? query.is('owner_id', null) : query.eq('owner_id', req.user.id);
+    if (phone) {
+      const key = suppressionPhone(phone);
+      if (!key) return res.status(400).json({ ok: false, error: 'Invalid phone number' });
+      query = query.eq('phone', key);
+    }
+
+    const { data: suppressions, error, count } = await query;
+    if (error) throw new Error(error.message);
+
+    res.json({ ok: true, suppressions, total: count || 0 });
+
+  } catch (error) {
+    log.error('List suppressions error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to fetch suppressions'
+    });
+  }
+});
+
+/**
+ * Add a phone to the do-not-contact list (global: admins only, every owner)
+ * POST /suppressions
+ *
+ * Body: { phone: "(11) 99999-8888", reason: "Pediu por e-mail", global: false }
+ */
+router.post('/suppressions', verifyJWT, async (req, res) => {
+  try {
+    const { phone, reason, global = false } = req.body;
+    if (!phone) {
+      return res.status(400).json({ ok: false, error: 'phone is required' });
+    }
+    if (global && req.user.role !== 'admin') {
+      return res.status(403).json({ ok: false, error: 'Admin access required' });
+    }
+
+    const result = await addSuppression({
+      ownerId: global ? null : req.user.id,
+      phone,
+      source: 'manual',
+      reason: reason ? String(reason).slice(0, 500) : null,
+      createdBy: req.user.id
+    });
+    if (!result.ok) return res.status(400).json({ ok: false, error: result.error });
+
+    res.status(result.created ? 201 : 200).json({
+      ok: true,
+      message: result.created ? 'Phone added to the do-not-contact list' : 'Phone was already on the do-not-contact list',
+      suppression: result.entry,
+      leads_moved: result.leadsMoved
+    });
+
+  } catch (error) {
+    log.error('Add suppression error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to add suppression'
+    });
+  }
+});
+
+/**
+ * Take a phone off the list. Its leads stay in do_not_contact until moved by hand.
+ * DELETE /suppressions/:id
+ */
+router.delete('/suppressions/:id', verifyJWT, async (req, res) => {
+  try {
+    const { data: entry, error: findError } = await supa
+      .from('suppression_list')
+      .select('id, owner_id, phone')
+      .eq('id', req.params.id)
+      .maybeSingle();
+    if (findError) throw new Error(findError.message);
+
+    const allowed = entry && (entry.owner_id ? entry.owner_id === req.user.id : req.user.role === 'admin');
+    if (!allowed) {
+      return res.status(404).json({ ok: false, error: 'Suppression not found' });
+    }
+
+    const { error } = await supa.from('suppression_list').delete().eq('id', entry.id);
+    if (error) throw new Error(error.message);
+
+    log.info(`Suppression of ${entry.phone} for ${entry.owner_id || 'all owners'} removed by ${req.user.id}`);
+    res.json({ ok: true, message: 'Phone removed from the do-not-contact list' });
+
+  } catch (error) {
+    log.error('Remove suppression error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to remove suppression'
+    });
+  }
+});
+
+export default router;
@@ -3,8 +3,12 @@ import axios from 'axios';
 import pkg from 'twilio';
 const { twiml: Twiml } = pkg;
 import { verifyTwilio } from '../middleware/verifyTwilio.js';
-import { ocrReceiptAmount } from '../lib/ocr.js';
-import { expectedAmountForLead } from '../services/payments.js';
+import { parseReceipt } from '../lib/ocr.js';
+import { reconcilePixReceipt } from '../services/payments.js';
+import { findLeadAwaitingPreference, handlePreferenceReply } from '../services/preferenceCapture.js';
+import { recordTwilioMessage, parseTwilioAddress, ownerForTwilioNumber } from '../services/twilioMessages.js';
+import { isOptOutMessage, addSuppression, OPT_OUT_REPLY } from '../services/suppression.js';
+import { log } from '../config/logger.js';
 
 const r = Router();
 
@@ -19,26 +23,85 @@ r.post('/twilio/whatsapp/webhook', verifyTwilio, async (req, res) => {
   const message = (req.body.Body || '').trim();
   const tw = new Twiml.MessagingResponse();
 
+  // The clinic the patient wrote to, when the receiving number is its own
+  const ownerId = await ownerForTwilioNumber(req.body.To).catch(e => {
+    log.error('Twilio receiving owner lookup error:', e.message);
+    return null;
+  });
+
+  // Both sides of the exchange go on the lead timeline
+  const { channel, phone } = parseTwilioAddress(req.body.From);
+  await recordTwilioMessage({ ownerId, messageSid: req.body.MessageSid || null, channel, direction: 'inbound', phone, body: message || null, mediaUrl: mediaUrl || null });
+  const replies = [];
+  const respond = (text) => { tw.message(text); replies.push(text); };
+  const sendReplies = () => {
+    for (const text of replies) recordTwilioMessage({ ownerId, channel, direction: 'outbound', phone, body: text });
+    return res.type('text/xml').send(tw.toString());
+  };
+
+  // "parar", "sair"...: the Twilio sender is shared by every owner, so the opt-out is global
+  if (!mediaUrl && isOptOutMessage(message)) {
+    try {
+      const { created } = await addSuppression({
+        phone,
+        source: channel === 'whatsapp' ? 'whatsapp_keyword' : 'sms_keyword',
+        reason: message.slice(0, 200),
+        messageId: req.body.MessageSid || null
+      });
+      if (created) respond(OPT_OUT_REPLY);
+    } catch (e) {
+      log.error('Twilio opt-out error:', e.message);
+    }
+    return sendReplies();
+  }
+
   if (mediaUrl) {
-    const img = await axios.get(mediaUrl, { responseType: 'arraybuffer', auth:{ username: process.env.TWILIO_ACCOUNT_SID, password: process.env.TWILIO_AUTH_TOKEN } });
-    const amount = await ocrReceiptAmount(new Uint8Array(img.data));
-    if (!amount) tw.message('Não consegui ler o valor no comprovante. Pode enviar uma foto mais nítida?');
-    else {
-      const expected = await expectedAmountForLead('lead-id'); // TODO map WA -> lead
-      if (Math.abs(amount - expected) > 1) tw.message(`Recebi R$ ${amount.toFixed(2)} mas o valor esperado é R$ ${expected.toFixed(2)}. Pode verificar?`);
-      else tw.message('Pagamento confirmado ✅ Vamos agendar sua consulta. Prefere amanhã às 14h ou 16h?');
+    const contentType = req.body.MediaContentType0 || 'image/jpeg';
+    try {
+      const media = await axios.get(mediaUrl, { responseType: 'arraybuffer', auth:{ username: process.env.TWILIO_ACCOUNT_SID, password: process.env.TWILIO_AUTH_TOKEN } });
+      const parsed = await parseReceipt(new Uint8Array(media.data), { contentType });
+      const { status, payment, amountMismatch } = await reconcilePixReceipt({
+        fromPhone: req.body.From,
+        ownerId,
+        parsed,
+        mediaUrl,
+        contentType,
+        source: 'whatsapp_twilio'
+      });
+
+      if (status === 'unreadable') respond('Não consegui ler o valor no comprovante. Pode enviar uma foto mais nítida?');
+      else if (status === 'duplicate') respond('Este comprovante já foi enviado anteriormente. Se fez um novo pagamento, envie o comprovante correspondente.');
+      else if (status === 'no_pending_payment') respond('Recebi seu comprovante, mas não encontrei um pagamento pendente para este número. Nossa equipe vai verificar e retornar.');
+      else if (status === 'needs_review' && amountMismatch) respond(`Recebi R$ ${parsed.amount.toFixed(2)} mas o valor esperado é R$ ${Number(payment.expected_amount || 0).toFixed(2)}. Nossa equipe vai verificar e retornar em breve.`);
+      else if (status === 'needs_review') respond('Recebi seu comprovante. Nossa equipe vai conferir o pagamento e retornar em breve.');
+      else if (payment.appointment_id) respond('Pagamento confirmado ✅ Sua consulta está confirmada. Enviaremos os detalhes por aqui.');
+      else respond('Pagamento confirmado ✅ Vamos agendar sua consulta. Prefere amanhã às 14h ou 16h?');
+    } catch (e) {
+      log.error('WhatsApp receipt error:', e.message);
+      respond('Recebi seu comprovante, mas tive um problema ao processá-lo. Nossa equipe vai verificar e retornar.');
     }
-    return res.type('text/xml').send(tw.toString());
+    return sendReplies();
+  }
+
+  try {
+    const lead = await findLeadAwaitingPreference(req.body.From, ownerId);
+    if (lead) {
+      const { reply } = await handlePreferenceReply(lead, message, { channel: 'twilio_whatsapp', messageId: req.body.MessageSid || null });
+      respond(reply);
+      return sendReplies();
+    }
+  } catch (e) {
+    log.error('WhatsApp preference capture error:', e.message);
   }
 
   if (/\b(call|ligar|telefone)\b/i.test(message))
-    tw.message('Certo! Vou ligar para você. Se preferir um horário específico, diga: "ligar às 16:00".');
+    respond('Certo! Vou ligar para você. Se preferir um horário específico, diga: "ligar às 16:00".');
   else if (/\bwhats(app)?\b|aqui mesmo|mensagem/i.test(message))
-    tw.message('Perfeito, podemos continuar por aqui no WhatsApp. Como posso ajudar com sua consulta?');
+    respond('Perfeito, podemos continuar por aqui no WhatsApp. Como posso ajudar com sua consulta?');
   else
-    tw.message('Recebi sua mensagem. Se preferir ligação, diga "ligar". Se preferir continuar por aqui, diga "WhatsApp".');
+    respond('Recebi sua mensagem. Se preferir ligação, diga "ligar". Se preferir continuar por aqui, diga "WhatsApp".');
 
-  res.type('text/xml').send(tw.toString());
+  sendReplies();
 });
 
 export default r;
@@ -18,8 +18,9 @@ const requireAdmin = (req, res, next) => {
   next();
 };
 
-// Apply JWT verification to all routes
-router.use(verifyJWT);
+// Apply JWT verification to the /users routes only; this router is mounted at
+// the root, so a bare router.use() would also gate every router mounted after it
+router.use('/users', verifyJWT);
 
 // GET /api/users - Get all users (admin only)
 router.get('/users', requireAdmin, async (req, res) => {
@@ -1,6 +1,10 @@
 import { Router } from 'express';
 import { verifyJWT } from '../middleware/verifyJWT.js';
-import { whatsappBusinessService } from '../services/whatsappBusiness.js';
+import { getRawBody } from '../middleware/rawBody.js';
+import { whatsappBusinessService, contactId } from '../services/whatsappBusiness.js';
+import { parsePhone, PHONE_ERRORS } from '../lib/phone.js';
+import { findLeadAwaitingPreference, handlePreferenceReply } from '../services/preferenceCapture.js';
+import { ContactSuppressedError, isOptOutMessage, addSuppression, OPT_OUT_REPLY } from '../services/suppression.js';
 import { supa } from '../lib/supabase.js';
 import { log } from '../config/logger.js';
 import { env } from '../config/env.js';
@@ -148,7 +152,7 @@ router.post('/disconnect', verifyJWT, async (req, res) => {
  * POST /api/whatsapp/send
  * 
  * Body: {
- *   to: "+1234567890",
+ *   to: "+5511999998888",   // or "(11) 99999-8888"
  *   message: "Hello, this is a test message"
  * }
  */
@@ -165,15 +169,16 @@ router.post('/send', verifyJWT, async (req, res) => {
       });
     }
 
-    // Validate phone number format (basic check)
-    if (!to.match(/^\+?[1-9]\d{1,14}$/)) {
+    // Brazilian formats are accepted; other countries need the +country code
+    const parsed = parsePhone(to);
+    if (!parsed.valid) {
       return res.status(400).json({
         ok: false,
-        error: 'Invalid phone number format. Use E.164 format (+1234567890)'
+        error: PHONE_ERRORS[parsed.reason]
       });
     }
 
-    const result = await whatsappBusinessService.sendTextMessage(userId, to, message);
+    const result = await whatsappBusinessService.sendTextMessage(userId, parsed.whatsappId, message);
 
     res.json({
       ok: true,
@@ -182,6 +187,9 @@ router.post('/send', verifyJWT, async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof ContactSuppressedError) {
+      return res.status(409).json({ ok: false, error: error.message, reason: error.reason });
+    }
     log.error('Send WhatsApp message error:', error);
     
     if (error.message.includes('not connected')) {
@@ -247,6 +255,9 @@ router.post('/send-appointment-confirmation', verifyJWT, async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof ContactSuppressedError) {
+      return res.status(409).json({ ok: false, error: error.message, reason: error.reason });
+    }
     log.error('Send appointment confirmation error:', error);
     res.status(500).json({
       ok: false,
@@ -300,6 +311,9 @@ router.post('/send-meeting-link', verifyJWT, async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof ContactSuppressedError) {
+      return res.status(409).json({ ok: false, error: error.message, reason: error.reason });
+    }
     log.error('Send meeting link error:', error);
     res.status(500).json({
       ok: false,
@@ -308,6 +322,212 @@ router.post('/send-meeting-link', verifyJWT, async (req, res) => {
   }
 });
 
+/**
+ * List WhatsApp conversations, most recent first
+ * GET /api/whatsapp/conversations?limit=20&offset=0&unread=true
+ */
+router.get('/conversations', verifyJWT, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    let query = supa
+      .from('whatsapp_conversations')
+      .select('*', { count: 'exact' })
+      .eq('owner_id', userId)
+      .order('last_message_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+    if (req.query.unread === 'true') query = query.gt('unread_count', 0);
+
+    const { data: conversations, count, error } = await query;
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    const { count: totalUnread } = await supa
+      .from('whatsapp_messages')
+      .select('id', { count: 'exact', head: true })
+      .eq('owner_id', userId)
+      .eq('direction', 'inbound')
+      .is('read_at', null);
+
+    const leadIds = [...new Set((conversations || []).map(c => c.lead_id).filter(Boolean))];
+    const { data: leads } = leadIds.length
+      ? await supa.from('leads').select('id, name, status, email').in('id', leadIds)
+      : { data: [] };
+    const leadsById = new Map((leads || []).map(l => [l.id, l]));
+
+    res.json({
+      ok: true,
+      conversations: (conversations || []).map(c => ({
+        ...c,
+        unread_count: Number(c.unread_count) || 0,
+        lead: leadsById.get(c.lead_id) || null
+      })),
+      total: count || 0,
+      total_unread: totalUnread || 0,
+      limit,
+      offset
+    });
+
+  } catch (error) {
+    log.error('Get WhatsApp conversations error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to fetch WhatsApp conversations'
+    });
+  }
+});
+
+/**
+ * Messages of one conversation, newest first; pass next_before to page back
+ * GET /api/whatsapp/conversations/:contactPhone/messages?limit=50&before=ISO
+ */
+router.get('/conversations/:contactPhone/messages', verifyJWT, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const contactPhone = contactId(req.params.contactPhone);
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    let query = supa
+      .from('whatsapp_messages')
+      .select('id, wa_message_id, lead_id, direction, type, body, media_id, media_mime_type, template_name, context_message_id, status, error, sent_at, delivered_at, read_at, failed_at, created_at')
+      .eq('owner_id', userId)
+      .eq('contact_phone', contactPhone)
+      .order('created_at', { ascending: false })
+      .limit(limit + 1);
+    if (req.query.before) query = query.lt('created_at', req.query.before);
+
+    const { data, error } = await query;
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    const messages = (data || []).slice(0, limit);
+    const hasMore = (data || []).length > limit;
+    const window = await whatsappBusinessService.getServiceWindow(userId, contactPhone);
+
+    res.json({
+      ok: true,
+      contact_phone: contactPhone,
+      messages,
+      has_more: hasMore,
+      next_before: hasMore ? messages[messages.length - 1].created_at : null,
+      window: {
+        open: window.open,
+        last_inbound_at: window.lastInboundAt,
+        expires_at: window.expiresAt
+      }
+    });
+
+  } catch (error) {
+    log.error('Get WhatsApp thread error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to fetch WhatsApp messages'
+    });
+  }
+});
+
+/**
+ * Mark a conversation as read
+ * POST /api/whatsapp/conversations/:contactPhone/read
+ */
+router.post('/conversations/:contactPhone/read', verifyJWT, async (req, res) => {
+  try {
+    const marked = await whatsappBusinessService.markConversationRead(req.user.id, req.params.contactPhone);
+
+    res.json({
+      ok: true,
+      marked_read: marked
+    });
+
+  } catch (error) {
+    log.error('Mark WhatsApp conversation read error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to mark conversation as read'
+    });
+  }
+});
+
+/**
+ * Reply to a conversation from the dashboard
+ * POST /api/whatsapp/conversations/:contactPhone/reply
+ *
+ * Body: {
+ *   message: "Olá! ...",
+ *   template_name: "optional, used when the 24h window is closed",
+ *   template_language: "pt_BR",
+ *   template_params: ["Maria"]
+ * }
+ */
+router.post('/conversations/:contactPhone/reply', verifyJWT, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { message, template_name, template_language, template_params } = req.body;
+
+    if (!message) {
+      return res.status(400).json({
+        ok: false,
+        error: 'Missing required field: message'
+      });
+    }
+
+    const { data: conversation } = await supa
+      .from('whatsapp_conversations')
+      .select('lead_id')
+      .eq('owner_id', userId)
+      .eq('contact_phone', contactId(req.params.contactPhone))
+      .maybeSingle();
+
+    const result = await whatsappBusinessService.replyToContact(userId, req.params.contactPhone, message, {
+      leadId: conversation?.lead_id,
+      templateName: template_name,
+      languageCode: template_language,
+      templateParams: Array.isArray(template_params) ? template_params : []
+    });
+
+    res.json({
+      ok: true,
+      mode: result.mode,
+      template: result.template,
+      messageId: result.messageId,
+      window: {
+        open: result.window.open,
+        last_inbound_at: result.window.lastInboundAt,
+        expires_at: result.window.expiresAt
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof ContactSuppressedError) {
+      return res.status(409).json({ ok: false, error: error.message, reason: error.reason });
+    }
+    log.error('Reply WhatsApp conversation error:', error);
+
+    if (error.message.includes('not connected')) {
+      return res.status(400).json({
+        ok: false,
+        error: 'WhatsApp Business not connected. Please connect your account first.'
+      });
+    }
+    if (error.message.includes('window is closed')) {
+      return res.status(409).json({
+        ok: false,
+        error: 'The 24-hour WhatsApp window is closed. Choose an approved template to reach this contact.'
+      });
+    }
+
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to send WhatsApp reply',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 /**
  * WhatsApp webhook verification
  * GET /api/whatsapp/webhook
@@ -346,12 +566,11 @@ router.post('/webhook', async (req, res) => {
   try {
     const body = req.body;
 
-    // Verify webhook signature
-    const signature = req.headers['x-hub-signature-256'];
-    if (signature && env.WHATSAPP_APP_SECRET) {
+    // Meta signs the raw bytes; unsigned requests are rejected once the app secret is set
+    if (env.WHATSAPP_APP_SECRET) {
       const isValid = whatsappBusinessService.verifyWebhookSignature(
-        signature,
-        JSON.stringify(body),
+        req.headers['x-hub-signature-256'],
+        getRawBody(req),
         env.WHATSAPP_APP_SECRET
       );
 
@@ -359,6 +578,8 @@ router.post('/webhook', async (req, res) => {
         log.warn('WhatsApp webhook signature verification failed');
         return res.sendStatus(403);
       }
+    } else {
+      log.warn('WHATSAPP_APP_SECRET is not set; WhatsApp webhook accepted without a signature check');
     }
 
     // Process webhook payload
@@ -379,10 +600,45 @@ router.post('/webhook', async (req, res) => {
                       messageId: message.id
                     });
 
-                    // TODO: Process incoming messages
-                    // - Store in database
-                    // - Trigger appropriate responses
-                    // - Update conversation status
+                    let stored = null;
+                    try {
+                      stored = await whatsappBusinessService.storeInboundMessage(value, message);
+                    } catch (storeError) {
+                      log.error(`Failed to store WhatsApp message ${message.id}:`, storeError.message);
+                    }
+
+                    // "parar", "sair"...: the number goes on the owner's do-not-contact list
+                    if (stored?.owner_id && message.type === 'text' && isOptOutMessage(stored.body)) {
+                      try {
+                        const { created } = await addSuppression({
+                          ownerId: stored.owner_id,
+                          phone: message.from,
+                          source: 'whatsapp_keyword',
+                          reason: stored.body.slice(0, 200),
+                          leadId: stored.lead_id || null,
+                          messageId: message.id
+                        });
+                        if (created) {
+                          await whatsappBusinessService.sendTextMessage(stored.owner_id, message.from, OPT_OUT_REPLY, { leadId: stored.lead_id || undefined, allowSuppressed: true });
+                        }
+                      } catch (optOutError) {
+                        log.error(`Opt-out failed for WhatsApp message ${message.id}:`, optOutError.message);
+                      }
+                      continue;
+                    }
+
+                    // Replies to the "ligar ou WhatsApp?" question (skipped on redelivery)
+                    if (stored?.owner_id && stored.body && ['text', 'interactive', 'button'].includes(message.type)) {
+                      try {
+                        const lead = await findLeadAwaitingPreference(message.from, stored.owner_id);
+                        if (lead) {
+                          const { reply } = await handlePreferenceReply(lead, stored.body, { channel: 'meta_whatsapp', messageId: message.id });
+                          await whatsappBusinessService.sendTextMessage(stored.owner_id, message.from, reply, { leadId: lead.id });
+                        }
+                      } catch (preferenceError) {
+                        log.error(`Preference capture failed for WhatsApp message ${message.id}:`, preferenceError.message);
+                      }
+                    }
                   }
                 }
 
@@ -395,7 +651,11 @@ router.post('/webhook', async (req, res) => {
                       timestamp: status.timestamp
                     });
 
-                    // TODO: Update message delivery status in database
+                    try {
+                      await whatsappBusinessService.updateMessageStatus(status);
+                    } catch (statusError) {
+                      log.error(`Failed to update WhatsApp status for ${status.id}:`, statusError.message);
+                    }
                   }
                 }
               }
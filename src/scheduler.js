@@ -1,187 +1,64 @@
 import cron from 'node-cron';
 import { supa } from './lib/supabase.js';
-import { agentManager } from './services/agentManager.js';
 import { log } from './config/logger.js';
-import { twilio } from './lib/twilio.js';
+import { cancelAppointment } from './services/appointments.js';
+import { paymentDeadline, openPaymentForAppointment, expirePaymentsForAppointment } from './services/payments.js';
+import { notifyLead } from './services/notifications.js';
+import { sendTwilioMessage } from './services/twilioMessages.js';
+import { ContactSuppressedError } from './services/suppression.js';
+import { transitionLeadIfAllowed } from './services/leadLifecycle.js';
+import { startPreferenceCapture } from './services/preferenceCapture.js';
+import { canCallLead } from './services/callingWindow.js';
+import { enqueueDueLeads, runDialer } from './services/dialQueue.js';
+import { pruneCallSlots } from './services/callGovernor.js';
+import { runCampaigns } from './services/campaigns.js';
+import { resumeImports } from './services/leadImports.js';
+import { pruneRateLimits } from './services/intake.js';
+import { retryAdLeadEvents } from './services/adLeads.js';
+import { DEFAULT_TIMEZONE } from './lib/datetime.js';
+import { toE164, toTwilioWhatsApp } from './lib/phone.js';
 
-// Helper function to check if current time is within business hours
-function isWithinBusinessHours() {
-  const now = new Date();
-  const currentDay = now.getDay(); // 0 = Sunday, 1 = Monday, ..., 6 = Saturday
-  const currentHour = now.getHours();
-  
-  // Business hours: Monday to Saturday, 8 AM to 8 PM
-  return currentDay >= 1 && currentDay <= 6 && currentHour >= 8 && currentHour < 20;
-}
-
-// Helper function to check if enough time has passed since last attempt
-async function canRetryNow(leadId, minGapHours = 2) {
-  const { data: lastAttempt } = await supa
-    .from('call_attempts')
-    .select('started_at')
-    .eq('lead_id', leadId)
-    .order('started_at', { ascending: false })
-    .limit(1);
-  
-  if (!lastAttempt?.[0]?.started_at) {
-    return true; // No previous attempts
+/* Campaigns and retries: feed campaigns, queue due leads, then dial what this worker can lease within the caps */
+cron.schedule('* * * * *', async () => {
+  try {
+    await runCampaigns();
+    const queued = await enqueueDueLeads();
+    const { claimed = 0, expired = 0, skipped } = await runDialer();
+    if (skipped) return;
+    if (queued || claimed || expired) {
+      log.info(`Dialer: ${queued} queued, ${claimed} claimed, ${expired} expired`);
+    }
+  } catch (error) {
+    log.error('Dialer error:', error.message);
   }
-  
-  const lastAttemptTime = new Date(lastAttempt[0].started_at);
-  const now = new Date();
-  const hoursSinceLastAttempt = (now - lastAttemptTime) / (1000 * 60 * 60);
-  
-  return hoursSinceLastAttempt >= minGapHours;
-}
+});
 
-// Helper function to prevent duplicate retry attempts
-async function isLeadAlreadyBeingProcessed(leadId) {
-  const { data: existingCall } = await supa
-    .from('call_attempts')
-    .select('id')
-    .eq('lead_id', leadId)
-    .eq('outcome', 'initiated')
-    .is('ended_at', null)
-    .limit(1);
-  
-  return existingCall && existingCall.length > 0;
-}
+/* Lead imports queued while no request was around to start them, or left half-done by a restart */
+cron.schedule('*/5 * * * *', async () => {
+  try {
+    const resumed = await resumeImports();
+    if (resumed) log.info(`Lead imports: ${resumed} resumed`);
+  } catch (error) {
+    log.error('Lead import resume error:', error.message);
+  }
+});
 
-cron.schedule('*/10 * * * *', async () => {
+/* Ad lead webhook deliveries that failed or were interrupted */
+cron.schedule('*/5 * * * *', async () => {
   try {
-    const nowIso = new Date().toISOString();
-    
-    // Skip if outside business hours
-    if (!isWithinBusinessHours()) {
-      return;
-    }
-    
-    // Get leads ready for retry
-    const { data: leads, error } = await supa
-      .from('leads')
-      .select('*')
-      .lte('next_retry_at', nowIso)
-      .in('status', ['no_answer', 'reschedule', 'call_failed'])
-      .not('assigned_agent_id', 'is', null); // Only process leads with assigned agents
-    
-    if (error) {
-      log.error('Error querying leads for retry:', error.message);
-      return;
-    }
-    
-    if (!leads || leads.length === 0) {
-      return;
-    }
-    
-    
-    for (const lead of leads) {
-      try {
-        // Check if lead is already being processed
-        if (await isLeadAlreadyBeingProcessed(lead.id)) {
-          log.info(`Lead ${lead.id} already has an active call attempt, skipping`);
-          continue;
-        }
-        
-        // Get current attempt count
-        const { data: attempts } = await supa
-          .from('call_attempts')
-          .select('attempt_no, started_at')
-          .eq('lead_id', lead.id)
-          .order('attempt_no', { ascending: false })
-          .limit(1);
-        
-        const lastAttemptNo = attempts?.[0]?.attempt_no || 0;
-        const nextAttemptNo = lastAttemptNo + 1;
-        
-        // Check max attempts
-        if (nextAttemptNo > (lead.max_attempts || 3)) {
-          log.info(`Lead ${lead.id} has reached max attempts (${lead.max_attempts || 3}), switching to WhatsApp`);
-          await supa
-            .from('leads')
-            .update({ 
-              status: 'whatsapp_outreach', 
-              preferred_channel: 'whatsapp',
-              next_retry_at: null 
-            })
-            .eq('id', lead.id);
-          continue;
-        }
-        
-        // Check if enough time has passed since last attempt
-        if (!(await canRetryNow(lead.id, 2))) {
-          log.info(`Lead ${lead.id} - not enough time passed since last attempt, skipping`);
-          continue;
-        }
-        
-        // Ensure lead has an assigned agent
-        if (!lead.assigned_agent_id) {
-          log.info(`Lead ${lead.id} has no assigned agent, attempting to assign...`);
-          try {
-            const assignment = await agentManager.findDoctorAndAgentForLead(lead);
-            const updatedLead = await agentManager.assignDoctorAndAgentToLead(
-              lead.id,
-              assignment.doctor,
-              assignment.agent
-            );
-            lead.assigned_agent_id = assignment.agent.id;
-            lead.assigned_doctor_id = assignment.doctor.id;
-            lead.agent_variables = updatedLead.agent_variables;
-            log.info(`Lead ${lead.id} assigned to agent ${assignment.agent.id}`);
-          } catch (assignmentError) {
-            log.error(`Failed to assign doctor/agent for lead ${lead.id}:`, assignmentError.message);
-            continue;
-          }
-        }
-        
-        // Make the retry call
-        const callResponse = await agentManager.makeOutboundCall(lead);
-        
-        // Record the call attempt
-        await supa.from('call_attempts').insert({
-          lead_id: lead.id,
-          doctor_id: lead.assigned_doctor_id,
-          agent_id: lead.assigned_agent_id,
-          owner_id: lead.owner_id,
-          direction: 'outbound',
-          attempt_no: nextAttemptNo,
-          scheduled_at: new Date().toISOString(),
-          started_at: new Date().toISOString(),
-          retell_call_id: callResponse.call_id,
-          outcome: 'initiated'
-        });
-        
-        // Update lead status
-        await supa.from('leads')
-          .update({ 
-            status: 'calling', 
-            next_retry_at: null 
-          })
-          .eq('id', lead.id);
-        
-        log.info(`Retry call initiated for lead ${lead.id}: ${callResponse.call_id}`);
-        
-      } catch (leadError) {
-        log.error(`Error processing retry for lead ${lead.id}:`, leadError.message);
-        
-        // Update lead status to indicate retry failure
-        await supa
-          .from('leads')
-          .update({ 
-            status: 'retry_failed',
-            next_retry_at: new Date(Date.now() + 30 * 60 * 1000).toISOString() // Retry in 30 minutes
-          })
-          .eq('id', lead.id);
-      }
-    }
-    
-    log.info('Retry scheduler check completed');
-    
+    await retryAdLeadEvents();
   } catch (error) {
-    log.error('Retry scheduler error:', error.message);
+    log.error('Ad lead retry error:', error.message);
   }
 });
 
-/* WhatsApp fallback after 3 failed attempts */
+/* Old call governor slots */
+cron.schedule('30 3 * * *', () => pruneCallSlots());
+
+/* Old intake rate limit windows */
+cron.schedule('40 3 * * *', () => pruneRateLimits());
+
+/* WhatsApp (or SMS) fallback once the retry policy runs out of attempts */
 cron.schedule('5 * * * *', async () => {
   const { data: leads, error } = await supa
     .from('leads')
@@ -191,27 +68,104 @@ cron.schedule('5 * * * *', async () => {
   if (error) return log.error('whatsapp query', error.message);
 
   for (const lead of leads || []) {
-    const to =
-      lead.whatsapp ||
-      (String(lead.phone || '').startsWith('whatsapp:')
-        ? lead.phone
-        : `whatsapp:${lead.phone}`);
+    // Retry policies may fall back to SMS instead of WhatsApp
+    const viaSms = lead.preferred_channel === 'sms';
+    const to = viaSms
+      ? toE164(lead.phone)
+      : toTwilioWhatsApp(lead.whatsapp || lead.phone);
+
+    if (!to) {
+      log.warn(`Lead ${lead.id} has no valid ${viaSms ? 'SMS' : 'WhatsApp'} number for the fallback`);
+      continue;
+    }
 
-    if (!to) continue;
+    // Don't message patients at night or on holidays either
+    if (!(await canCallLead(lead)).ok) continue;
 
     try {
-      await twilio.messages.create({
+      await sendTwilioMessage({
+        ownerId: lead.owner_id,
+        leadId: lead.id,
         to,
-        messagingServiceSid: process.env.TWILIO_MESSAGING_SERVICE_SID,
         body: `Olá ${String(lead.name || '').split(' ')[0]}! Tentamos falar por telefone. Você prefere continuar por *ligação* ou *WhatsApp*? Responda "ligar" ou "WhatsApp".`
       });
-      await supa
-        .from('leads')
-        .update({ status: 'waiting_preference' })
-        .eq('id', lead.id);
+      await startPreferenceCapture(lead, viaSms ? 'twilio_sms' : 'twilio_whatsapp');
     } catch (e) {
+      // sendTwilioMessage checks the do-not-contact list; take the lead out of the hourly fallback
+      if (e instanceof ContactSuppressedError) {
+        await transitionLeadIfAllowed(lead, e.leadStatus, { source: 'whatsapp_fallback', reason: e.message });
+        continue;
+      }
       log.error('whatsapp outreach error', e.message);
     }
   }
 });
 
+
+/* Payment deadline for appointments booked with a payment link (status 'pending') */
+function formatDayTime(date, timeZone = DEFAULT_TIMEZONE){
+  const d = new Date(date);
+  return `${d.toLocaleDateString('pt-BR', { timeZone, day: '2-digit', month: '2-digit' })} às ${d.toLocaleTimeString('pt-BR', { timeZone, hour: '2-digit', minute: '2-digit' })}`;
+}
+
+cron.schedule('*/15 * * * *', async () => {
+  const { data: appointments, error } = await supa
+    .from('appointments')
+    .select('*, leads(id, name, phone, whatsapp, assigned_agent_id), doctors(name)')
+    .eq('status', 'pending')
+    .neq('payment_status', 'paid');
+
+  if (error) return log.error('payment deadline query', error.message);
+  if (!appointments?.length) return;
+
+  const agentIds = [...new Set(appointments.map(a => a.leads?.assigned_agent_id).filter(Boolean))];
+  const { data: agents } = agentIds.length
+    ? await supa
+        .from('agents')
+        .select('id, confirmation_channel, payment_deadline_hours, payment_reminder_hours_before')
+        .in('id', agentIds)
+    : { data: [] };
+  const agentsById = new Map((agents || []).map(a => [a.id, a]));
+
+  const now = new Date();
+  for (const appt of appointments) {
+    const lead = appt.leads;
+    const agent = agentsById.get(lead?.assigned_agent_id) || {};
+    const channel = agent.confirmation_channel || 'whatsapp';
+    const { deadline, remindAt } = paymentDeadline(appt, agent);
+    const firstName = String(lead?.name || '').split(' ')[0];
+
+    try {
+      if (now >= deadline) {
+        // Null when it was cancelled meanwhile: its payments are still closed, without a second message
+        const cancelled = await cancelAppointment(appt, 'payment_deadline');
+        await expirePaymentsForAppointment(appt.id);
+        if (cancelled && lead) {
+          await notifyLead({
+            ownerId: appt.owner_id,
+            lead,
+            channel,
+            message: `Olá ${firstName}. Como não identificamos o pagamento, sua consulta${appt.doctors?.name ? ` com ${appt.doctors.name}` : ''} de ${formatDayTime(appt.start_at, appt.timezone || undefined)} foi cancelada e o horário liberado. Se quiser remarcar, é só responder esta mensagem.`
+          });
+        }
+        continue;
+      }
+
+      if (remindAt && now >= remindAt && !appt.payment_reminder_sent_at && lead) {
+        const payment = await openPaymentForAppointment(appt.id);
+        await notifyLead({
+          ownerId: appt.owner_id,
+          lead,
+          channel,
+          message: `Olá ${firstName}! Sua consulta de ${formatDayTime(appt.start_at, appt.timezone || undefined)} ainda aguarda o pagamento. ${payment?.checkout_url ? `Você pode pagar por este link: ${payment.checkout_url}` : 'Responda esta mensagem para receber um novo link de pagamento.'} Sem o pagamento até ${formatDayTime(deadline, appt.timezone || undefined)}, a consulta será cancelada automaticamente.`
+        });
+        await supa
+          .from('appointments')
+          .update({ payment_reminder_sent_at: now.toISOString() })
+          .eq('id', appt.id);
+      }
+    } catch (e) {
+      log.error(`Payment deadline error for appointment ${appt.id}:`, e.message);
+    }
+  }
+});
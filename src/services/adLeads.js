@@ -0,0 +1,320 @@
+import crypto from 'crypto';
+import { supa } from '../lib/supabase.js';
+import { env } from '../config/env.js';
+import { log } from '../config/logger.js';
+import { IMPORT_FIELDS, suggestMapping } from './leadImports.js';
+import { submitLead } from './leadSubmission.js';
+
+/*
+ * Lead ads webhooks (Meta Lead Ads, Google Ads lead forms).
+ *
+ * Each delivery is stored in ad_lead_events (unique per platform lead id, so
+ * redeliveries are no-ops), acknowledged, then turned into a lead through the
+ * same submitLead() pipeline as /lead/submit: dedupe, assignment and the
+ * immediate first call. Events that fail are retried by retryAdLeadEvents().
+ */
+
+export const AD_PROVIDERS = ['meta', 'google'];
+
+const GRAPH_URL = 'https://graph.facebook.com/v18.0';
+const MAX_ATTEMPTS = 5;
+const STALE_MINUTES = 10;
+
+const META_LEAD_FIELDS = 'created_time,field_data,ad_id,ad_name,adset_id,adset_name,campaign_id,campaign_name,form_id,platform,is_organic';
+
+// Standard questions of both platforms (Google sends them upper case)
+const STANDARD_QUESTIONS = {
+  name: ['full_name'],
+  phone: ['phone_number'],
+  email: ['email'],
+  city: ['city'],
+  whatsapp: ['whatsapp_number']
+};
+
+const META_PLATFORMS = { fb: 'facebook', ig: 'instagram' };
+
+/** Meta's X-Hub-Signature-256 over the raw body */
+export function verifyMetaSignature(rawBody, signature){
+  if (!env.META_APP_SECRET || !signature) return false;
+  const expected = `sha256=${crypto.createHmac('sha256', env.META_APP_SECRET).update(rawBody).digest('hex')}`;
+  const given = Buffer.from(String(signature));
+  return given.length === expected.length && crypto.timingSafeEqual(given, Buffer.from(expected));
+}
+
+/** Google sends the key configured on the lead form webhook in the body */
+export function googleKeyMatches(source, key){
+  if (!source?.webhook_key || !key) return false;
+  const a = Buffer.from(String(key));
+  const b = Buffer.from(source.webhook_key);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+export function generateWebhookKey(){
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+/** Returns an error message, or null when a source's field_mapping can be used */
+export function validateFieldMapping(mapping){
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) return 'field_mapping must be an object of { field: question }';
+  for (const [field, question] of Object.entries(mapping)) {
+    if (!IMPORT_FIELDS.includes(field) && !/^custom_fields\.[\w-]+$/.test(field)) return `Unknown lead field: ${field}`;
+    if (typeof question !== 'string' || !question.trim()) return `Question key for ${field} must be a non-empty string`;
+  }
+  return null;
+}
+
+/** Built-in mapping for the questions of a lead, before the source's own */
+function defaultMapping(keys){
+  const mapping = suggestMapping(keys);
+  const byLowerKey = new Map(keys.map(k => [k.toLowerCase(), k]));
+  for (const [field, aliases] of Object.entries(STANDARD_QUESTIONS)) {
+    const key = aliases.map(a => byLowerKey.get(a)).find(Boolean);
+    if (key) mapping[field] = key;
+  }
+  return mapping;
+}
+
+/**
+ * /lead/submit input for a set of form answers ({ question key: value }).
+ * Mapped answers beat the source's defaults, which beat the tracking values
+ * derived from the ad; unmapped answers go to custom_fields.
+ */
+export function buildAdLeadInput(source, answers, tracking = {}){
+  const keys = Object.keys(answers);
+  const mapping = { ...defaultMapping(keys), ...(source.field_mapping || {}) };
+  const { custom_fields: defaultCustomFields = {}, ...defaults } = source.defaults || {};
+
+  const input = { ...tracking, ...defaults };
+  const customFields = { ...defaultCustomFields };
+  const used = new Set();
+  for (const [field, key] of Object.entries(mapping)) {
+    const value = String(answers[key] ?? '').trim();
+    if (!(key in answers)) continue;
+    used.add(key);
+    if (value === '') continue;
+    if (field.startsWith('custom_fields.')) customFields[field.slice('custom_fields.'.length)] = value;
+    else input[field] = value;
+  }
+
+  if (!input.name) {
+    const byLowerKey = new Map(keys.map(k => [k.toLowerCase(), k]));
+    const parts = ['first_name', 'last_name'].map(k => byLowerKey.get(k)).filter(Boolean);
+    parts.forEach(k => used.add(k));
+    const name = parts.map(k => String(answers[k] ?? '').trim()).filter(Boolean).join(' ');
+    if (name) input.name = name;
+  }
+
+  for (const key of keys) {
+    if (!used.has(key) && String(answers[key] ?? '').trim() !== '') customFields[key] = String(answers[key]).trim();
+  }
+  input.custom_fields = customFields;
+  return input;
+}
+
+/** { key: value } from Meta field_data ([{ name, values: [] }]) */
+export function metaAnswers(fieldData = []){
+  return Object.fromEntries(fieldData.map(f => [f.name, (f.values || []).join(', ')]));
+}
+
+/** { key: value } from Google user_column_data ([{ column_id, column_name, string_value }]) */
+export function googleAnswers(columns = []){
+  return Object.fromEntries(columns.map(c => [c.column_id || c.column_name, c.string_value ?? '']));
+}
+
+/** Source that receives leads from a Meta page's form */
+export async function findMetaSource(pageId, formId){
+  const { data, error } = await supa
+    .from('ad_lead_sources')
+    .select('*')
+    .eq('provider', 'meta')
+    .eq('page_id', String(pageId))
+    .eq('enabled', true)
+    .order('created_at', { ascending: true });
+  if (error) throw new Error(error.message);
+  const sources = data || [];
+  return sources.find(s => s.form_ids?.includes(String(formId)))
+    || sources.find(s => !s.form_ids?.length)
+    || null;
+}
+
+export async function getAdLeadSource(id){
+  const { data, error } = await supa.from('ad_lead_sources').select('*').eq('id', id).maybeSingle();
+  if (error) throw new Error(error.message);
+  return data;
+}
+
+/** Subscribe the app to a page's leadgen webhooks (also checks the page token) */
+export async function subscribeMetaPage(pageId, accessToken){
+  const response = await fetch(`${GRAPH_URL}/${encodeURIComponent(pageId)}/subscribed_apps`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({ subscribed_fields: 'leadgen', access_token: accessToken })
+  });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok || !result.success) {
+    throw new Error(result.error?.message || `Graph API error ${response.status}`);
+  }
+}
+
+async function fetchMetaLead(leadgenId, accessToken){
+  const url = `${GRAPH_URL}/${encodeURIComponent(leadgenId)}?fields=${META_LEAD_FIELDS}&access_token=${encodeURIComponent(accessToken)}`;
+  const response = await fetch(url);
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(result.error?.message || `Graph API error ${response.status}`);
+  return result;
+}
+
+/**
+ * Store a webhook delivery. Returns the new event, or null when the platform
+ * lead was already received (redelivery).
+ */
+export async function recordAdLeadEvent({ provider, externalLeadId, source, payload, status = 'received', error = null }){
+  const { data, error: insertError } = await supa
+    .from('ad_lead_events')
+    .insert({
+      provider,
+      external_lead_id: String(externalLeadId),
+      source_id: source?.id || null,
+      owner_id: source?.owner_id || null,
+      payload,
+      status,
+      error
+    })
+    .select()
+    .single();
+  if (insertError?.code === '23505') return null;
+  if (insertError) throw new Error(insertError.message);
+  return data;
+}
+
+/** Lead input and tracking columns for an event, fetching the lead from Meta when needed */
+async function resolveEventLead(event, source){
+  if (event.provider === 'meta') {
+    if (!source.access_token) throw new Error('Lead source has no page access token');
+    const lead = await fetchMetaLead(event.external_lead_id, source.access_token);
+    const platform = META_PLATFORMS[lead.platform] || 'facebook';
+    return {
+      input: buildAdLeadInput(source, metaAnswers(lead.field_data), {
+        source: 'meta_lead_ads',
+        campaign: lead.campaign_name,
+        utm_source: platform,
+        utm_medium: lead.is_organic ? 'social' : 'paid_social',
+        utm_campaign: lead.campaign_name || lead.campaign_id
+      }),
+      columns: {
+        ad_lead_source_id: source.id,
+        ad_platform: platform,
+        ad_lead_id: event.external_lead_id,
+        ad_form_id: lead.form_id || event.payload.form_id || null,
+        ad_campaign_id: lead.campaign_id || null,
+        ad_adset_id: lead.adset_id || event.payload.adgroup_id || null,
+        ad_id: lead.ad_id || event.payload.ad_id || null
+      }
+    };
+  }
+
+  const body = event.payload;
+  return {
+    input: buildAdLeadInput(source, googleAnswers(body.user_column_data), {
+      source: 'google_lead_form',
+      utm_source: 'google',
+      utm_medium: 'cpc',
+      utm_campaign: body.campaign_id ? String(body.campaign_id) : undefined
+    }),
+    columns: {
+      ad_lead_source_id: source.id,
+      ad_platform: 'google',
+      ad_lead_id: event.external_lead_id,
+      ad_form_id: body.form_id ? String(body.form_id) : null,
+      ad_campaign_id: body.campaign_id ? String(body.campaign_id) : null,
+      ad_adset_id: body.adgroup_id ? String(body.adgroup_id) : null,
+      ad_id: body.creative_id ? String(body.creative_id) : null,
+      gclid: body.gcl_id || null
+    }
+  };
+}
+
+async function finishEvent(event, fields){
+  const now = new Date().toISOString();
+  const { error } = await supa
+    .from('ad_lead_events')
+    .update({ ...fields, updated_at: now, ...(fields.status === 'failed' ? {} : { processed_at: now }) })
+    .eq('id', event.id);
+  if (error) log.error(`Ad lead event ${event.id} update error:`, error.message);
+}
+
+/**
+ * Turn one event into a lead. Claims the event first so concurrent workers
+ * (webhook and scheduler) don't both submit it. Returns false if not claimed.
+ */
+export async function processAdLeadEvent(event){
+  const { data: claimed, error: claimError } = await supa
+    .from('ad_lead_events')
+    .update({ status: 'processing', attempts: event.attempts + 1, updated_at: new Date().toISOString() })
+    .eq('id', event.id)
+    .eq('updated_at', event.updated_at)
+    .in('status', ['received', 'processing', 'failed'])
+    .select()
+    .maybeSingle();
+  if (claimError) throw new Error(claimError.message);
+  if (!claimed) return false;
+
+  try {
+    const source = claimed.source_id ? await getAdLeadSource(claimed.source_id) : null;
+    if (!source || !source.enabled) {
+      await finishEvent(claimed, { status: 'ignored', error: 'Lead source missing or disabled' });
+      return true;
+    }
+
+    const { input, columns } = await resolveEventLead(claimed, source);
+    const { status, body } = await submitLead(
+      {
+        ownerId: source.owner_id,
+        dial: source.auto_dial,
+        eventSource: `${claimed.provider}_lead_ads`,
+        // Submitting the platform's lead form is the consent; the platform keeps the text
+        consent: { granted: true, text_version: `${claimed.provider}_lead_form`, captured_at: claimed.created_at }
+      },
+      input,
+      { columns }
+    );
+
+    if (status >= 500) throw new Error(body.error);
+    if (status === 400) {
+      await finishEvent(claimed, { status: 'invalid', error: body.error });
+      log.warn(`Ad lead ${claimed.provider}:${claimed.external_lead_id} rejected: ${body.error}`);
+      return true;
+    }
+
+    await finishEvent(claimed, { status: body.duplicate ? 'duplicate' : 'processed', error: null, lead_id: body.lead?.id || null });
+    await supa.from('ad_lead_sources').update({ last_lead_at: new Date().toISOString() }).eq('id', source.id);
+    log.info(`Ad lead ${claimed.provider}:${claimed.external_lead_id} -> lead ${body.lead?.id}${body.duplicate ? ' (duplicate)' : ''}`);
+    return true;
+
+  } catch (error) {
+    log.error(`Ad lead event ${claimed.id} failed (attempt ${claimed.attempts}):`, error.message);
+    await finishEvent(claimed, { status: 'failed', error: error.message });
+    return true;
+  }
+}
+
+/** Retry failed events and pick up ones a restart interrupted */
+export async function retryAdLeadEvents(){
+  const staleBefore = new Date(Date.now() - STALE_MINUTES * 60 * 1000).toISOString();
+  const { data: events, error } = await supa
+    .from('ad_lead_events')
+    .select('*')
+    .in('status', ['received', 'processing', 'failed'])
+    .lt('updated_at', staleBefore)
+    .lt('attempts', MAX_ATTEMPTS)
+    .order('created_at', { ascending: true })
+    .limit(50);
+  if (error) throw new Error(error.message);
+
+  let retried = 0;
+  for (const event of events || []) {
+    if (await processAdLeadEvent(event)) retried++;
+  }
+  if (retried) log.info(`Retried ${retried} ad lead events`);
+  return retried;
+}
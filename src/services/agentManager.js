@@ -1,9 +1,12 @@
 import { supa } from '../lib/supabase.js';
 import { retellCreatePhoneCall } from '../lib/retell.js';
+import { toE164, phoneLast4 } from '../lib/phone.js';
 import { Retell } from 'retell-sdk';
 import { env } from '../config/env.js';
 import { log } from '../config/logger.js';
 import { pickDoctorForLead } from './doctors.js';
+import { CallThrottledError, reserveCallSlot, attachCallToSlot, releaseCallSlot } from './callGovernor.js';
+import { ContactSuppressedError, assertContactAllowed } from './suppression.js';
 import fs from 'fs/promises';
 import path from 'path';
 
@@ -45,6 +48,9 @@ class AgentManager {
         sent_paymentlink = false,
         apply_discount_consultancy_pix = false,
         discount_percentage_pix = 0,
+        payment_deadline_hours = 24,
+        payment_reminder_hours_before = 4,
+        retry_policy_id = null,
       } = agentData;
 
       // Validation
@@ -107,6 +113,9 @@ class AgentManager {
           sent_paymentlink,
           apply_discount_consultancy_pix,
           discount_percentage_pix,
+          payment_deadline_hours,
+          payment_reminder_hours_before,
+          retry_policy_id,
           retell_agent_id: agentResponse.agent_id,
           conversation_flow_id: conversationFlowResponse.conversation_flow_id,
           language,
@@ -368,7 +377,7 @@ class AgentManager {
         lead_id: String(lead.id),
         name: String(lead.name || ''),
         phone: String(lead.phone || ''),
-        phone_last4: String(lead.phone || '').slice(-4),
+        phone_last4: phoneLast4(lead.phone),
         city: String(lead.city || ''),
         specialty: String(lead.specialty || ''),
         reason: String(lead.reason || ''),
@@ -395,21 +404,40 @@ class AgentManager {
       if (!lead.phone) {
         throw new Error('Lead phone number is required');
       }
+      const toNumber = toE164(lead.phone);
+      if (!toNumber) {
+        throw new Error(`Lead phone number is invalid: ${lead.phone}`);
+      }
+
+      // Do-not-contact list and consent; throws ContactSuppressedError
+      await assertContactAllowed({ ownerId: lead.owner_id || agent.owner_id, phone: toNumber, leadId: lead.id });
+
+      // Concurrency caps and pacing; throws CallThrottledError with an ETA when full
+      const fromNumber = agent.users?.phone_number || env.RETELL_FROM_NUMBER;
+      const slotId = await reserveCallSlot({ ownerId: agent.owner_id, fromNumber });
 
       // Make the call using Retell
-      const callResponse = await retellCreatePhoneCall({
-        agent_id: agent.retell_agent_id,
-        to_number: lead.phone,
-        from_number: agent.users?.phone_number, // Use owner's phone number as from_number
-        customer_name: lead.name,
-        metadata: callVariables,
-        retell_llm_dynamic_variables: callVariables
-      });
+      let callResponse;
+      try {
+        callResponse = await retellCreatePhoneCall({
+          agent_id: agent.retell_agent_id,
+          to_number: toNumber,
+          from_number: agent.users?.phone_number, // Use owner's phone number as from_number
+          customer_name: lead.name,
+          metadata: { ...callVariables, call_slot_id: slotId },
+          retell_llm_dynamic_variables: callVariables
+        });
+      } catch (error) {
+        await releaseCallSlot(slotId);
+        throw error;
+      }
+      await attachCallToSlot(slotId, callResponse.call_id);
 
       log.info(`Outbound call initiated: ${callResponse.call_id} for lead ${lead.id}`);
       return callResponse;
 
     } catch (error) {
+      if (error instanceof CallThrottledError || error instanceof ContactSuppressedError) throw error;
       log.error('Error making outbound call:', error);
       throw error;
     }
@@ -1,5 +1,302 @@
-import { gcalCreateEvent } from '../lib/gcal.js';
-export async function bookAppointment({ start, durationMin=30, timezone='America/Sao_Paulo', doctorName='' }){
-  const end = new Date(new Date(start).getTime() + durationMin*60000).toISOString();
-  return gcalCreateEvent({ start, end, timezone, summary: `Consulta Geniumed${doctorName? ' - '+doctorName : ''}` });
+import { supa } from '../lib/supabase.js';
+import { log } from '../config/logger.js';
+import { googleCalendarService } from './googleCalendar.js';
+import { DEFAULT_TIMEZONE, zonedParts, toZonedIso, formatSpokenPtBr } from '../lib/datetime.js';
+
+// Don't offer slots the patient could not realistically make
+const MIN_NOTICE_MINUTES = 60;
+
+const DOCTOR_BOOKING_FIELDS = 'id, name, owner_id, office_address, consultation_price, consultation_duration, working_hours, date_specific_availability, timezone, google_calendar_id, google_refresh_token';
+
+export async function getDoctorForBooking(doctorId, ownerId = null){
+  let query = supa.from('doctors').select(DOCTOR_BOOKING_FIELDS).eq('id', doctorId);
+  if (ownerId) query = query.eq('owner_id', ownerId);
+  const { data, error } = await query.single();
+  if (error || !data) return null;
+  return data;
+}
+
+function hasCalendar(doctor){
+  return Boolean(doctor.google_calendar_id && doctor.google_refresh_token);
+}
+
+/**
+ * Appointments already held in our DB for a doctor, as busy intervals.
+ * Covers bookings whose calendar event failed or that were made without a calendar.
+ */
+export async function bookedIntervals(doctorId, from, to){
+  const { data, error } = await supa
+    .from('appointments')
+    .select('start_at, end_at')
+    .eq('doctor_id', doctorId)
+    .neq('status', 'cancelled')
+    .lt('start_at', new Date(to).toISOString())
+    .gt('end_at', new Date(from).toISOString());
+  if (error) throw new Error(error.message);
+  return (data || []).map(a => ({ start: a.start_at, end: a.end_at }));
+}
+
+/**
+ * Next bookable slots for a doctor, in the doctor's timezone.
+ * Uses Google Calendar free/busy when connected, otherwise working_hours and
+ * date_specific_availability only. Returned slots never overlap each other so
+ * they can be offered as alternatives.
+ */
+export async function getNextAvailableSlots(doctorId, { count = 3, days = 14, from = new Date() } = {}){
+  const { data: doctor, error } = await supa
+    .from('doctors')
+    .select('id, name, working_hours, date_specific_availability, consultation_duration, timezone, google_calendar_id, google_refresh_token')
+    .eq('id', doctorId)
+    .single();
+  if (error || !doctor) throw new Error('Doctor not found');
+
+  const timezone = doctor.timezone || DEFAULT_TIMEZONE;
+  const start = new Date(Math.max(new Date(from).getTime(), Date.now() + MIN_NOTICE_MINUTES * 60000));
+  const end = new Date(start.getTime() + days * 24 * 60 * 60 * 1000);
+  const booked = await bookedIntervals(doctorId, start, end);
+
+  let candidates = null;
+  let source = 'working_hours';
+  if (doctor.google_calendar_id && doctor.google_refresh_token) {
+    try {
+      const availability = await googleCalendarService.getAvailableSlots(doctorId, start.toISOString(), end.toISOString());
+      candidates = availability.availableSlots.filter(s =>
+        !booked.some(b => new Date(s.start) < new Date(b.end) && new Date(s.end) > new Date(b.start))
+      );
+      source = 'google_calendar';
+    } catch (calendarError) {
+      log.warn(`Google Calendar availability failed for doctor ${doctorId}, using working hours:`, calendarError.message);
+    }
+  }
+  if (!candidates) {
+    candidates = googleCalendarService.generateAvailableSlots(
+      start.toISOString(),
+      end.toISOString(),
+      doctor.working_hours || {},
+      doctor.date_specific_availability || [],
+      booked,
+      doctor.consultation_duration || 90,
+      timezone
+    );
+  }
+
+  const slots = [];
+  for (const s of candidates) {
+    if (slots.length >= count) break;
+    const prev = slots[slots.length - 1];
+    if (prev && new Date(s.start) < new Date(prev.endAt)) continue;
+    slots.push({ startAt: s.start, endAt: s.end });
+  }
+
+  return {
+    doctor,
+    timezone,
+    source,
+    slots: slots.map(s => ({
+      start: toZonedIso(s.startAt, timezone),
+      end: toZonedIso(s.endAt, timezone),
+      spoken: formatSpokenPtBr(s.startAt, timezone)
+    }))
+  };
+}
+
+/**
+ * Whether [start, end) falls inside the doctor's hours on that day, evaluated in the doctor's timezone.
+ * Doctors with no working hours configured accept any time.
+ */
+export function checkWorkingHours(doctor, startTime, endTime){
+  const workingHours = doctor.working_hours || {};
+  const configured = Object.values(workingHours).some(d => d?.enabled);
+  const timezone = doctor.timezone || DEFAULT_TIMEZONE;
+  const startParts = zonedParts(startTime, timezone);
+  const endParts = zonedParts(endTime, timezone);
+
+  const dateSpecific = (doctor.date_specific_availability || [])
+    .find(entry => String(entry.date || '').split('T')[0] === startParts.dateKey);
+  if (dateSpecific?.type === 'unavailable') {
+    return { ok: false, error: `Doctor is not available on ${startParts.dateKey}` };
+  }
+
+  let timeSlots;
+  if (dateSpecific?.type === 'modified_hours' && dateSpecific.start && dateSpecific.end) {
+    timeSlots = [{ start: dateSpecific.start, end: dateSpecific.end }];
+  } else {
+    if (!configured) return { ok: true };
+    const day = workingHours[startParts.weekday];
+    if (!day || !day.enabled) {
+      return { ok: false, error: `Doctor is not available on ${startParts.weekday}` };
+    }
+    timeSlots = day.timeSlots || [];
+  }
+
+  const sameDay = endParts.dateKey === startParts.dateKey || endParts.time === '00:00';
+  const endTimeStr = endParts.dateKey === startParts.dateKey ? endParts.time : '24:00';
+  const inside = sameDay && timeSlots.some(slot => startParts.time >= slot.start && endTimeStr <= slot.end);
+  return inside ? { ok: true } : { ok: false, error: 'The requested time is outside doctor\'s working hours' };
+}
+
+/**
+ * Validate that a doctor can take an appointment at [startTime, endTime).
+ * Checks the future constraint, our own appointments, Google Calendar busy times
+ * and working hours. Returns { ok: true } or { ok: false, status, error, availableSlots }.
+ */
+export async function checkSlotAvailability(doctor, startTime, endTime){
+  const start = new Date(startTime);
+  const end = new Date(endTime);
+  if (isNaN(start.getTime()) || isNaN(end.getTime()) || end <= start) {
+    return { ok: false, status: 400, error: 'Invalid appointment time range' };
+  }
+  if (start <= new Date()) {
+    return { ok: false, status: 400, error: 'Appointment time must be in the future' };
+  }
+
+  const suggestions = async () => {
+    try {
+      return (await getNextAvailableSlots(doctor.id, { count: 10 })).slots;
+    } catch (e) {
+      log.warn(`Could not compute alternative slots for doctor ${doctor.id}:`, e.message);
+      return [];
+    }
+  };
+
+  const booked = await bookedIntervals(doctor.id, start, end);
+  if (booked.length) {
+    return { ok: false, status: 409, error: 'The requested time slot conflicts with existing appointments', availableSlots: await suggestions() };
+  }
+
+  if (hasCalendar(doctor)) {
+    try {
+      const availability = await googleCalendarService.getAvailableSlots(doctor.id, start.toISOString(), end.toISOString());
+      const hasConflict = availability.busySlots.some(busySlot =>
+        start < new Date(busySlot.end) && end > new Date(busySlot.start)
+      );
+      if (hasConflict) {
+        return { ok: false, status: 409, error: 'The requested time slot conflicts with existing appointments', availableSlots: await suggestions() };
+      }
+    } catch (availabilityError) {
+      log.warn('Failed to check Google Calendar availability for appointment:', availabilityError);
+      // Continue with appointment creation if availability check fails
+    }
+  }
+
+  const hours = checkWorkingHours(doctor, start, end);
+  if (!hours.ok) {
+    return { ok: false, status: 400, error: hours.error, availableSlots: await suggestions() };
+  }
+
+  return { ok: true };
+}
+
+/**
+ * Persist an appointment and mirror it to the doctor's Google Calendar when connected.
+ * A calendar failure never fails the booking; the row is kept without gcal_event_id.
+ */
+export async function createAppointmentRecord({
+  ownerId,
+  doctor,
+  leadId = null,
+  startTime,
+  endTime,
+  timezone,
+  appointmentType = 'consultation',
+  status = 'scheduled',
+  isTelemedicine = false,
+  meetingLink,
+  officeAddress,
+  price,
+  notes,
+  title,
+  patientName,
+  patientEmail
+}){
+  const tz = timezone || doctor.timezone || DEFAULT_TIMEZONE;
+
+  const { data: appointment, error: appointmentError } = await supa
+    .from('appointments')
+    .insert({
+      owner_id: ownerId,
+      lead_id: leadId,
+      doctor_id: doctor.id,
+      appointment_type: appointmentType,
+      start_at: startTime,
+      end_at: endTime,
+      timezone: tz,
+      status,
+      is_telemedicine: isTelemedicine,
+      meeting_link: meetingLink,
+      office_address: officeAddress,
+      price: price ? parseFloat(price) : null,
+      notes
+    })
+    .select()
+    .single();
+
+  if (appointmentError) {
+    throw new Error(appointmentError.message);
+  }
+
+  let googleEvent = null;
+  if (hasCalendar(doctor)) {
+    try {
+      googleEvent = await googleCalendarService.createAppointment(doctor.id, {
+        summary: title || `${appointmentType} - ${patientName || 'Paciente'}`,
+        description: notes || `Appointment with ${patientName || 'Paciente'}`,
+        start: { dateTime: startTime, timeZone: tz },
+        end: { dateTime: endTime, timeZone: tz },
+        attendees: patientEmail ? [{ email: patientEmail }] : [],
+        location: officeAddress || undefined,
+        conferenceData: isTelemedicine && meetingLink ? {
+          createRequest: {
+            requestId: `appointment-${appointment.id}`,
+            conferenceSolutionKey: { type: 'hangoutsMeet' }
+          }
+        } : undefined
+      });
+
+      await supa
+        .from('appointments')
+        .update({ gcal_event_id: googleEvent.id })
+        .eq('id', appointment.id);
+      appointment.gcal_event_id = googleEvent.id;
+
+      log.info(`Google Calendar event created: ${googleEvent.id} for appointment ${appointment.id}`);
+    } catch (calendarError) {
+      log.warn(`Failed to create Google Calendar event for appointment ${appointment.id}:`, calendarError);
+    }
+  }
+
+  log.info(`Appointment created: ${appointment.id} for doctor ${doctor.id}`);
+  return { appointment, googleEvent };
+}
+
+/**
+ * Cancel an appointment and free the slot: the row stops blocking availability
+ * and the doctor's Google Calendar event is removed when there is one.
+ * Returns null when it was already cancelled; the calendar cleanup still runs.
+ */
+export async function cancelAppointment(appointment, reason){
+  const { data: cancelled, error } = await supa
+    .from('appointments')
+    .update({
+      status: 'cancelled',
+      cancelled_at: new Date().toISOString(),
+      cancellation_reason: reason || null
+    })
+    .eq('id', appointment.id)
+    .neq('status', 'cancelled')
+    .select()
+    .maybeSingle();
+  if (error) throw new Error(error.message);
+
+  if (appointment.gcal_event_id && appointment.doctor_id) {
+    try {
+      await googleCalendarService.deleteAppointment(appointment.doctor_id, appointment.gcal_event_id);
+      await supa.from('appointments').update({ gcal_event_id: null }).eq('id', appointment.id);
+    } catch (calendarError) {
+      log.warn(`Failed to delete Google Calendar event ${appointment.gcal_event_id} for appointment ${appointment.id}:`, calendarError.message);
+    }
+  }
+
+  if (cancelled) log.info(`Appointment cancelled: ${appointment.id} (${reason || 'no reason'})`);
+  return cancelled;
 }
@@ -0,0 +1,225 @@
+import { supa } from '../lib/supabase.js';
+import { log } from '../config/logger.js';
+import { normalizeBirthdate } from './identity.js';
+
+/*
+ * Post-call extraction. An agent's extraction_mappings copy values the call
+ * collected (Retell custom_analysis_data or collected_dynamic_variables) into
+ * lead fields:
+ *
+ *   { "from": "custom_analysis_data.convenio", "to": "insurance", "overwrite": true, "variable": "convenio" }
+ *
+ * Every value written gets a lead_field_extractions row (call, source key, raw,
+ * previous and new value), and is also stored in leads.agent_variables under
+ * `variable` (default: the field name) so the next call starts from it.
+ * When several mappings target the same field, the first one with a value wins.
+ */
+
+export const EXTRACTION_SOURCES = ['custom_analysis_data', 'collected_dynamic_variables'];
+
+// Lead columns a call may set, with how the raw value is read
+export const EXTRACTION_FIELDS = {
+  specialty: 'text',
+  reason: 'text',
+  symptoms: 'text',
+  urgency_level: 'urgency',
+  preferred_time: 'text',
+  insurance: 'text',
+  objections: 'list',
+  agreed_to_book: 'boolean',
+  city: 'text',
+  birth_date: 'date'
+};
+
+const MAX_MAPPINGS = 50;
+const MAX_TEXT = 2000;
+const VARIABLE_RE = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const CUSTOM_FIELD_RE = /^custom_fields\.([A-Za-z0-9_]+)$/;
+
+const URGENCY_WORDS = {
+  baixa: 1, low: 1, normal: 2, media: 3, medium: 3, moderada: 3, alta: 4, high: 4, urgente: 5, urgent: 5, emergencia: 5, emergency: 5
+};
+const TRUE_WORDS = ['true', 'yes', 'y', 'sim', 's', '1', 'aceitou', 'agreed'];
+const FALSE_WORDS = ['false', 'no', 'n', 'nao', '0', 'recusou', 'declined'];
+
+const plain = (s) => String(s).normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+
+function isBlank(value){
+  if (value === null || value === undefined) return true;
+  if (typeof value === 'string') return value.trim() === '' || ['null', 'none', 'n/a', 'unknown', 'desconhecido'].includes(plain(value));
+  if (Array.isArray(value)) return value.every(isBlank);
+  return false;
+}
+
+/** Raw Retell value -> { value } as stored on the lead, or { error } */
+export function coerceExtractedValue(kind, raw){
+  switch (kind) {
+    case 'text':
+      if (typeof raw === 'object' && !Array.isArray(raw)) return { error: 'expected text' };
+      return { value: (Array.isArray(raw) ? raw.filter(v => !isBlank(v)).join(', ') : String(raw).trim()).slice(0, MAX_TEXT) };
+    case 'list':
+      if (typeof raw === 'object' && !Array.isArray(raw)) return { error: 'expected a list or text' };
+      return { value: (Array.isArray(raw) ? raw.filter(v => !isBlank(v)).map(v => String(v).trim()).join('; ') : String(raw).trim()).slice(0, MAX_TEXT) };
+    case 'boolean': {
+      if (typeof raw === 'boolean') return { value: raw };
+      const word = plain(raw);
+      if (TRUE_WORDS.includes(word)) return { value: true };
+      if (FALSE_WORDS.includes(word)) return { value: false };
+      return { error: `expected yes/no, got "${raw}"` };
+    }
+    case 'urgency': {
+      const n = typeof raw === 'number' ? raw : /^\d+(\.\d+)?$/.test(String(raw).trim()) ? Number(raw) : URGENCY_WORDS[plain(raw)];
+      if (!Number.isFinite(n) || n < 1 || n > 5) return { error: `expected urgency 1-5 or baixa/media/alta/urgente, got "${raw}"` };
+      return { value: Math.round(n) };
+    }
+    case 'date': {
+      const date = normalizeBirthdate(raw);
+      return date ? { value: date } : { error: `expected a date, got "${raw}"` };
+    }
+    default:
+      // custom_fields keep numbers and booleans as they came
+      if (typeof raw === 'object') return { value: raw };
+      return { value: typeof raw === 'string' ? raw.trim().slice(0, MAX_TEXT) : raw };
+  }
+}
+
+const fieldKind = (field) => EXTRACTION_FIELDS[field] || 'any';
+
+/**
+ * Check an agent's extraction_mappings.
+ * Returns { ok: true, mappings } (normalized) or { ok: false, error }.
+ */
+export function validateExtractionMappings(mappings){
+  if (!Array.isArray(mappings)) return { ok: false, error: 'extraction_mappings must be an array' };
+  if (mappings.length > MAX_MAPPINGS) return { ok: false, error: `At most ${MAX_MAPPINGS} extraction mappings` };
+
+  const normalized = [];
+  for (const [i, m] of mappings.entries()) {
+    const at = `extraction_mappings[${i}]`;
+    if (!m || typeof m !== 'object') return { ok: false, error: `${at} must be an object` };
+
+    const from = String(m.from || '');
+    const dot = from.indexOf('.');
+    if (dot < 0 || !EXTRACTION_SOURCES.includes(from.slice(0, dot)) || !from.slice(dot + 1).trim()) {
+      return { ok: false, error: `${at}.from must be ${EXTRACTION_SOURCES.map(s => `${s}.<key>`).join(' or ')}` };
+    }
+
+    const to = String(m.to || '');
+    if (!EXTRACTION_FIELDS[to] && !CUSTOM_FIELD_RE.test(to)) {
+      return { ok: false, error: `${at}.to must be one of ${Object.keys(EXTRACTION_FIELDS).join(', ')} or custom_fields.<key>` };
+    }
+
+    const variable = m.variable === undefined ? to.replace(CUSTOM_FIELD_RE, '$1') : m.variable;
+    if (variable !== null && !VARIABLE_RE.test(String(variable))) {
+      return { ok: false, error: `${at}.variable must be a variable name (letters, digits, _) or null` };
+    }
+    if (m.overwrite !== undefined && typeof m.overwrite !== 'boolean') {
+      return { ok: false, error: `${at}.overwrite must be true or false` };
+    }
+
+    normalized.push({ from, to, overwrite: m.overwrite !== false, variable });
+  }
+  return { ok: true, mappings: normalized };
+}
+
+function readSource(call, from){
+  const dot = from.indexOf('.');
+  const source = from.slice(0, dot) === 'custom_analysis_data'
+    ? call.call_analysis?.custom_analysis_data
+    : call.collected_dynamic_variables;
+  return source?.[from.slice(dot + 1)];
+}
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Apply the agent's mappings to the attempt's lead from a call_analyzed `call`.
+ * Values equal to what the lead already has are left alone, so a repeated
+ * webhook changes nothing. Returns { applied, invalid }.
+ */
+export async function applyCallExtraction(attempt, call){
+  if (!attempt.agent_id || !attempt.lead_id) return { applied: 0, invalid: 0 };
+
+  const { data: agent, error: agentError } = await supa
+    .from('agents')
+    .select('id, extraction_mappings')
+    .eq('id', attempt.agent_id)
+    .maybeSingle();
+  if (agentError) throw new Error(agentError.message);
+  if (!agent?.extraction_mappings?.length) return { applied: 0, invalid: 0 };
+  const { ok, mappings, error: mappingError } = validateExtractionMappings(agent.extraction_mappings);
+  if (!ok) {
+    log.warn(`Agent ${agent.id} has invalid extraction_mappings (${mappingError}); call ${attempt.retell_call_id} not extracted`);
+    return { applied: 0, invalid: 0 };
+  }
+
+  const { data: lead, error: leadError } = await supa
+    .from('leads')
+    .select(`id, owner_id, custom_fields, agent_variables, ${Object.keys(EXTRACTION_FIELDS).join(', ')}`)
+    .eq('id', attempt.lead_id)
+    .maybeSingle();
+  if (leadError) throw new Error(leadError.message);
+  if (!lead) return { applied: 0, invalid: 0 };
+
+  const updates = {};
+  const customFields = { ...(lead.custom_fields || {}) };
+  const agentVariables = { ...(lead.agent_variables || {}) };
+  const handled = new Set();
+  const rows = [];
+
+  for (const mapping of mappings) {
+    if (handled.has(mapping.to)) continue;
+    const raw = readSource(call, mapping.from);
+    if (isBlank(raw)) continue;
+
+    const customKey = mapping.to.match(CUSTOM_FIELD_RE)?.[1];
+    const previous = customKey ? customFields[customKey] : lead[mapping.to];
+    const row = {
+      lead_id: lead.id,
+      owner_id: lead.owner_id,
+      agent_id: agent.id,
+      call_attempt_id: attempt.id,
+      retell_call_id: attempt.retell_call_id || call.call_id || null,
+      field: mapping.to,
+      source_path: mapping.from,
+      raw_value: raw,
+      previous_value: previous ?? null
+    };
+
+    const { value, error } = coerceExtractedValue(fieldKind(mapping.to), raw);
+    if (error) {
+      rows.push({ ...row, status: 'invalid', error });
+      continue;
+    }
+    handled.add(mapping.to);
+    if (!mapping.overwrite && !isBlank(previous)) continue;
+
+    if (mapping.variable && value !== null && value !== undefined) {
+      agentVariables[mapping.variable] = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+    if (sameValue(previous, value)) continue;
+
+    if (customKey) customFields[customKey] = value;
+    else updates[mapping.to] = value;
+    rows.push({ ...row, value, status: 'applied' });
+  }
+
+  if (!sameValue(customFields, lead.custom_fields || {})) updates.custom_fields = customFields;
+  if (!sameValue(agentVariables, lead.agent_variables || {})) updates.agent_variables = agentVariables;
+
+  if (Object.keys(updates).length) {
+    const { error } = await supa.from('leads').update(updates).eq('id', lead.id);
+    if (error) throw new Error(error.message);
+  }
+  if (rows.length) {
+    const { error } = await supa.from('lead_field_extractions').insert(rows);
+    if (error) log.error(`Failed to record field extractions for lead ${lead.id}:`, error.message);
+  }
+
+  const applied = rows.filter(r => r.status === 'applied');
+  const invalid = rows.length - applied.length;
+  if (applied.length || invalid) {
+    log.info(`Lead ${lead.id}: ${applied.length} fields from call ${attempt.retell_call_id || call.call_id}${applied.length ? ` (${applied.map(r => r.field).join(', ')})` : ''}${invalid ? `, ${invalid} invalid` : ''}`);
+  }
+  return { applied: applied.length, invalid };
+}
@@ -0,0 +1,154 @@
+import { supa } from '../lib/supabase.js';
+import { env } from '../config/env.js';
+import { log } from '../config/logger.js';
+
+/*
+ * Outbound call governor. Every call placed through agentManager takes a
+ * call_slots row via the acquire_call_slot() RPC, which enforces the global,
+ * per-owner and per-from-number concurrency caps plus per-number pacing.
+ * Slots follow the Retell webhooks: reserved -> live (call_started) -> ended
+ * (call_ended). The slot id travels in the call metadata so call_started can
+ * find it even before the call id was written back.
+ */
+
+/** Thrown by makeOutboundCall when no slot is free; `eta` is when to try again */
+export class CallThrottledError extends Error {
+  constructor(reason, eta){
+    super(`Outbound call throttled (${reason})`);
+    this.name = 'CallThrottledError';
+    this.reason = reason;
+    this.eta = eta;
+  }
+}
+
+/** Take a slot for a call from `fromNumber`. Returns { granted, slotId, reason, retryAt } */
+export async function acquireCallSlot({ ownerId, fromNumber }){
+  const { data, error } = await supa.rpc('acquire_call_slot', {
+    p_owner: ownerId || null,
+    p_from_number: fromNumber || null,
+    p_owner_cap: env.DIAL_MAX_CONCURRENT_PER_OWNER,
+    p_number_cap: env.DIAL_MAX_CONCURRENT_PER_NUMBER,
+    p_global_cap: env.CALL_MAX_CONCURRENT_GLOBAL,
+    p_min_interval_ms: Math.ceil(1000 / env.CALL_MAX_CPS_PER_NUMBER),
+    p_reserve_seconds: env.CALL_RESERVATION_SECONDS
+  });
+  if (error) throw new Error(`Call governor unavailable: ${error.message}`);
+
+  const row = Array.isArray(data) ? data[0] : data;
+  return {
+    granted: Boolean(row?.granted),
+    slotId: row?.slot_id || null,
+    reason: row?.reason || null,
+    retryAt: row?.retry_at ? new Date(row.retry_at) : null
+  };
+}
+
+/** Link a granted slot to the Retell call it was used for */
+export async function attachCallToSlot(slotId, retellCallId){
+  const { error } = await supa
+    .from('call_slots')
+    .update({ retell_call_id: retellCallId })
+    .eq('id', slotId);
+  if (error) log.error(`Failed to attach call ${retellCallId} to slot ${slotId}:`, error.message);
+}
+
+/** Give back a slot whose call was never placed */
+export async function releaseCallSlot(slotId){
+  const now = new Date().toISOString();
+  const { error } = await supa
+    .from('call_slots')
+    .update({ status: 'ended', ended_at: now, expires_at: now })
+    .eq('id', slotId);
+  if (error) log.error(`Failed to release call slot ${slotId}:`, error.message);
+}
+
+function slotQuery(query, { slotId, retellCallId }){
+  return slotId ? query.eq('id', slotId) : query.eq('retell_call_id', retellCallId);
+}
+
+/** call_started: the slot is held for the length of a call */
+export async function markCallLive({ slotId, retellCallId }){
+  if (!slotId && !retellCallId) return;
+  const now = new Date();
+  const { error } = await slotQuery(
+    supa.from('call_slots').update({
+      status: 'live',
+      retell_call_id: retellCallId,
+      started_at: now.toISOString(),
+      expires_at: new Date(now.getTime() + env.DIAL_CALL_TIMEOUT_MINUTES * 60 * 1000).toISOString()
+    }),
+    { slotId, retellCallId }
+  ).neq('status', 'ended');
+  if (error) log.error(`Failed to mark call ${retellCallId} live:`, error.message);
+}
+
+/** call_ended: frees the slot */
+export async function markCallEnded({ slotId, retellCallId }){
+  if (!slotId && !retellCallId) return;
+  const now = new Date().toISOString();
+  const { error } = await slotQuery(
+    supa.from('call_slots').update({ status: 'ended', retell_call_id: retellCallId, ended_at: now, expires_at: now }),
+    { slotId, retellCallId }
+  );
+  if (error) log.error(`Failed to mark call ${retellCallId} ended:`, error.message);
+}
+
+// Mean length of the owner's recent calls, in seconds
+async function averageCallSeconds(ownerId){
+  if (!ownerId) return env.CALL_AVG_DURATION_SECONDS;
+  const { data } = await supa
+    .from('call_attempts')
+    .select('total_call_duration')
+    .eq('owner_id', ownerId)
+    .not('total_call_duration', 'is', null)
+    .order('started_at', { ascending: false })
+    .limit(50);
+  const durations = (data || []).map(r => Number(r.total_call_duration)).filter(d => d > 0);
+  if (!durations.length) return env.CALL_AVG_DURATION_SECONDS;
+  return durations.reduce((a, b) => a + b, 0) / durations.length;
+}
+
+/**
+ * When a throttled call is likely to get a slot: the pacing instant, or
+ * one average call length per full "wave" of calls already waiting.
+ */
+export async function estimateEta({ ownerId, reason, retryAt }){
+  if (reason === 'pacing' && retryAt) return retryAt;
+
+  let cap = env.DIAL_MAX_CONCURRENT_PER_NUMBER;
+  if (reason === 'global_cap') cap = env.CALL_MAX_CONCURRENT_GLOBAL;
+  if (reason === 'owner_cap' && ownerId) {
+    const { data: owner } = await supa.from('users').select('max_concurrent_calls').eq('id', ownerId).maybeSingle();
+    cap = owner?.max_concurrent_calls || env.DIAL_MAX_CONCURRENT_PER_OWNER;
+  }
+
+  let waiting = supa
+    .from('dial_jobs')
+    .select('id', { count: 'exact', head: true })
+    .eq('status', 'queued')
+    .lte('run_at', new Date().toISOString());
+  if (reason !== 'global_cap' && ownerId) waiting = waiting.eq('owner_id', ownerId);
+  const { count: ahead } = await waiting;
+
+  const waves = Math.floor((ahead || 0) / Math.max(cap, 1)) + 1;
+  return new Date(Date.now() + waves * (await averageCallSeconds(ownerId)) * 1000);
+}
+
+/** Take a slot or throw CallThrottledError with an ETA */
+export async function reserveCallSlot({ ownerId, fromNumber }){
+  const slot = await acquireCallSlot({ ownerId, fromNumber });
+  if (slot.granted) return slot.slotId;
+
+  const eta = await estimateEta({ ownerId, reason: slot.reason, retryAt: slot.retryAt });
+  log.info(`Outbound call for owner ${ownerId} throttled (${slot.reason}), ETA ${eta.toISOString()}`);
+  throw new CallThrottledError(slot.reason, eta);
+}
+
+/** Drop ended slots older than a day */
+export async function pruneCallSlots(){
+  const { error } = await supa
+    .from('call_slots')
+    .delete()
+    .lt('expires_at', new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString());
+  if (error) log.error('Failed to prune call slots:', error.message);
+}
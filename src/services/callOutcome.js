@@ -0,0 +1,185 @@
+/*
+ * Call outcome classifier. Turns what Retell reports about a call into one
+ * disposition, which decides what happens to the lead:
+ *
+ *   booked              an appointment was made during the call
+ *   interested          the patient talked and wants to go on (no booking yet)
+ *   callback_requested  the patient asked to be called another time
+ *   not_interested      the patient refused
+ *   do_not_call         the patient asked not to be called again (suppression.js)
+ *   wrong_number        the person who answered is not the patient
+ *   voicemail           voicemail or an answering machine
+ *   no_answer           nobody picked up, or hung up before saying anything
+ *   busy                line busy
+ *   technical_failure   the call couldn't be placed or broke (telephony, LLM, Retell)
+ *
+ * Signals, strongest first: a do-not-call request in the analysis (it must hold
+ * even when something was booked), a booking made during the call, the no-contact
+ * disconnection reasons, custom_analysis_data (an explicit `disposition`, then
+ * yes/no fields), call_analysis.call_successful, and finally whether the
+ * patient spoke at all. Pure functions only, so test-call-outcome.js can run
+ * them without a database.
+ */
+
+export const CALL_DISPOSITIONS = [
+  'booked', 'interested', 'callback_requested', 'not_interested', 'do_not_call', 'wrong_number',
+  'voicemail', 'no_answer', 'busy', 'technical_failure'
+];
+
+// Dispositions where nobody talked; they go through the retry policy with this reason
+export const RETRY_REASON_BY_DISPOSITION = {
+  voicemail: 'voicemail',
+  no_answer: 'no_answer',
+  busy: 'busy',
+  technical_failure: 'dial_failed'
+};
+
+// Retell disconnection_reason values that mean nobody talked
+const NO_CONTACT_REASONS = {
+  voicemail_reached: 'voicemail',
+  machine_detected: 'voicemail',
+  ivr_reached: 'voicemail',
+  dial_busy: 'busy',
+  dial_no_answer: 'no_answer',
+  registered_call_timeout: 'no_answer',
+  error_user_not_joined: 'no_answer',
+  dial_failed: 'technical_failure',
+  concurrency_limit_reached: 'technical_failure',
+  no_valid_payment: 'technical_failure'
+};
+
+// Free-text dispositions (custom_analysis_data.disposition and friends), PT and EN
+const DISPOSITION_WORDS = {
+  booked: ['booked', 'scheduled', 'appointment_booked', 'agendado', 'agendou', 'consulta_agendada', 'marcado'],
+  interested: ['interested', 'qualified', 'interessado', 'interessada', 'qualificado'],
+  callback_requested: ['callback', 'callback_requested', 'call_back', 'retornar', 'retorno', 'ligar_depois', 'pediu_retorno'],
+  not_interested: ['not_interested', 'refused', 'declined', 'sem_interesse', 'nao_interessado', 'recusou', 'desistiu'],
+  do_not_call: ['do_not_call', 'dnc', 'opt_out', 'nao_ligar', 'nao_ligue_mais', 'nao_me_ligue', 'nao_me_ligue_mais', 'nao_contatar'],
+  wrong_number: ['wrong_number', 'wrong_person', 'numero_errado', 'pessoa_errada', 'engano'],
+  voicemail: ['voicemail', 'caixa_postal', 'secretaria_eletronica'],
+  no_answer: ['no_answer', 'nao_atendeu', 'sem_resposta'],
+  busy: ['busy', 'ocupado'],
+  technical_failure: ['technical_failure', 'error', 'failed', 'falha', 'erro']
+};
+const DISPOSITION_KEYS = ['disposition', 'call_disposition', 'call_outcome', 'outcome', 'resultado', 'desfecho'];
+
+// Yes/no custom analysis fields, checked in this order
+const FLAG_KEYS = [
+  ['booked', ['appointment_booked', 'booked', 'agendou', 'consulta_agendada']],
+  ['wrong_number', ['wrong_number', 'numero_errado', 'pessoa_errada']],
+  ['callback_requested', ['callback_requested', 'pediu_retorno', 'ligar_depois']],
+  ['not_interested', ['not_interested', 'sem_interesse', 'recusou']],
+  ['interested', ['interested', 'agreed_to_book', 'aceitou_agendar', 'interessado']]
+];
+// Yes/no fields for a do-not-call request, checked before anything else
+const DO_NOT_CALL_KEYS = ['do_not_call', 'opt_out', 'nao_ligar', 'nao_ligue_mais', 'pediu_para_nao_ligar'];
+const CALLBACK_TIME_KEYS = ['callback_time', 'callback_at', 'horario_retorno', 'retornar_em'];
+
+// A pickup this short with nothing said by the patient counts as no answer
+const EARLY_HANGUP_MS = 10000;
+
+const word = (v) => String(v ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+function flag(value){
+  if (typeof value === 'boolean') return value;
+  const w = word(value);
+  if (['true', 'yes', 'sim', 's', 'y', '1'].includes(w)) return true;
+  if (['false', 'no', 'nao', 'n', '0'].includes(w)) return false;
+  return null;
+}
+
+/** Disposition named by a free-text value, or null */
+export function dispositionFromText(value){
+  const w = word(value);
+  if (!w) return null;
+  for (const [disposition, words] of Object.entries(DISPOSITION_WORDS)) {
+    if (words.includes(w)) return disposition;
+  }
+  return null;
+}
+
+function callDurationMs(call){
+  if (Number.isFinite(call.duration_ms)) return call.duration_ms;
+  if (call.start_timestamp && call.end_timestamp) return call.end_timestamp - call.start_timestamp;
+  return null;
+}
+
+/** true / false when the transcript tells whether the patient spoke, null when unknown */
+function patientSpoke(call){
+  if (Array.isArray(call.transcript_object)) {
+    return call.transcript_object.some(t => t.role === 'user' && String(t.content || '').trim());
+  }
+  if (typeof call.transcript === 'string' && call.transcript.trim()) {
+    return /^\s*user\s*:/im.test(call.transcript);
+  }
+  return null;
+}
+
+function callbackTime(data, now){
+  for (const key of CALLBACK_TIME_KEYS) {
+    if (!data[key]) continue;
+    const at = new Date(data[key]);
+    if (!isNaN(at) && at > now) return at;
+  }
+  return null;
+}
+
+/**
+ * Classify a Retell call object (call_ended or call_analyzed payload).
+ * `bookedDuringCall` is true when an appointment was created for the lead
+ * while the call was on. Returns
+ *   { disposition, retryReason, signal, callbackAt }
+ * where retryReason is set for the no-contact dispositions, signal names what
+ * decided it, and callbackAt is the time the patient asked for, when given.
+ */
+export function classifyCallOutcome(call = {}, { bookedDuringCall = false, now = new Date() } = {}){
+  const reason = call.disconnection_reason || '';
+  const analysis = call.call_analysis || {};
+  const data = analysis.custom_analysis_data || {};
+  const result = (disposition, signal, extra = {}) => ({
+    disposition,
+    retryReason: RETRY_REASON_BY_DISPOSITION[disposition] || null,
+    signal,
+    callbackAt: null,
+    ...extra
+  });
+
+  const doNotCallKey = DO_NOT_CALL_KEYS.find(k => flag(data[k]) === true)
+    || DISPOSITION_KEYS.find(k => dispositionFromText(data[k]) === 'do_not_call');
+  if (doNotCallKey) return result('do_not_call', `custom_analysis_data.${doNotCallKey}`);
+
+  if (bookedDuringCall) return result('booked', 'appointment');
+
+  if (NO_CONTACT_REASONS[reason]) return result(NO_CONTACT_REASONS[reason], `disconnection_reason:${reason}`);
+  if (analysis.in_voicemail === true) return result('voicemail', 'in_voicemail');
+  if (call.call_status === 'not_connected') return result('technical_failure', 'call_status:not_connected');
+
+  const spoke = patientSpoke(call);
+  const technical = /^error_/.test(reason) || call.call_status === 'error';
+  // A call that broke after the patient talked is judged on what was said
+  if (technical && spoke !== true) return result('technical_failure', reason ? `disconnection_reason:${reason}` : 'call_status:error');
+
+  for (const key of DISPOSITION_KEYS) {
+    const disposition = dispositionFromText(data[key]);
+    if (disposition) {
+      return result(disposition, `custom_analysis_data.${key}`, disposition === 'callback_requested' ? { callbackAt: callbackTime(data, now) } : {});
+    }
+  }
+  for (const [disposition, keys] of FLAG_KEYS) {
+    const key = keys.find(k => flag(data[k]) === true);
+    if (key) {
+      return result(disposition, `custom_analysis_data.${key}`, disposition === 'callback_requested' ? { callbackAt: callbackTime(data, now) } : {});
+    }
+  }
+
+  if (spoke === false) return result('no_answer', 'patient_silent');
+  const duration = callDurationMs(call);
+  if (reason === 'user_hangup' && spoke !== true && duration !== null && duration < EARLY_HANGUP_MS) {
+    return result('no_answer', 'early_hangup');
+  }
+
+  if (analysis.call_successful === true) return result('interested', 'call_successful');
+  if (analysis.call_successful === false) return result('not_interested', 'call_successful');
+  if (technical) return result('technical_failure', `disconnection_reason:${reason || call.call_status}`);
+  return result('interested', 'answered');
+}
@@ -0,0 +1,189 @@
+import { supa } from '../lib/supabase.js';
+import { log } from '../config/logger.js';
+import { DEFAULT_TIMEZONE, zonedParts, zonedTimeToUtc, addDaysToKey, weekdayOfKey } from '../lib/datetime.js';
+
+/*
+ * When a lead may be called. Each owner sets allowed hours per weekday
+ * (users.calling_hours, same shape as doctors.working_hours), the holiday
+ * calendars to skip (users.holiday_calendars) and their own closed days
+ * (users.custom_holidays). Everything is evaluated in the lead's timezone.
+ */
+
+// Previous hardcoded rule: Monday to Saturday, 8h to 20h
+export const DEFAULT_CALLING_HOURS = {
+  monday: { enabled: true, timeSlots: [{ start: '08:00', end: '20:00' }] },
+  tuesday: { enabled: true, timeSlots: [{ start: '08:00', end: '20:00' }] },
+  wednesday: { enabled: true, timeSlots: [{ start: '08:00', end: '20:00' }] },
+  thursday: { enabled: true, timeSlots: [{ start: '08:00', end: '20:00' }] },
+  friday: { enabled: true, timeSlots: [{ start: '08:00', end: '20:00' }] },
+  saturday: { enabled: true, timeSlots: [{ start: '08:00', end: '20:00' }] },
+  sunday: { enabled: false, timeSlots: [] }
+};
+
+export const DEFAULT_HOLIDAY_CALENDARS = ['br_national'];
+
+// Look this many days ahead for the next open slot
+const SEARCH_DAYS = 21;
+
+const CACHE_TTL_MS = 60 * 1000;
+const windowCache = new Map();
+
+// Anonymous Gregorian algorithm
+function easterKey(year){
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+const HOLIDAY_CALENDARS = {
+  // Feriados nacionais (Lei 662/1949 and later laws)
+  br_national(year){
+    const easter = easterKey(year);
+    const days = [
+      [`${year}-01-01`, 'Confraternização Universal'],
+      [addDaysToKey(easter, -2), 'Sexta-feira Santa'],
+      [`${year}-04-21`, 'Tiradentes'],
+      [`${year}-05-01`, 'Dia do Trabalho'],
+      [`${year}-09-07`, 'Independência do Brasil'],
+      [`${year}-10-12`, 'Nossa Senhora Aparecida'],
+      [`${year}-11-02`, 'Finados'],
+      [`${year}-11-15`, 'Proclamação da República'],
+      [`${year}-12-25`, 'Natal']
+    ];
+    if (year >= 2024) days.push([`${year}-11-20`, 'Dia Nacional de Zumbi e da Consciência Negra']);
+    return days;
+  },
+  // Pontos facultativos most clinics also close on
+  br_optional(year){
+    const easter = easterKey(year);
+    return [
+      [addDaysToKey(easter, -48), 'Carnaval (segunda-feira)'],
+      [addDaysToKey(easter, -47), 'Carnaval (terça-feira)'],
+      [addDaysToKey(easter, 60), 'Corpus Christi'],
+      [`${year}-12-24`, 'Véspera de Natal'],
+      [`${year}-12-31`, 'Véspera de Ano Novo']
+    ];
+  }
+};
+
+export const HOLIDAY_CALENDAR_NAMES = Object.keys(HOLIDAY_CALENDARS);
+
+/** { 'YYYY-MM-DD': name } for the given calendars and year */
+export function holidaysFor(year, calendars = DEFAULT_HOLIDAY_CALENDARS){
+  const out = {};
+  for (const name of calendars) {
+    const calendar = HOLIDAY_CALENDARS[name];
+    if (!calendar) continue;
+    for (const [key, label] of calendar(year)) out[key] = label;
+  }
+  return out;
+}
+
+/** Build a window from a users row; missing settings fall back to the defaults */
+export function callingWindowFromSettings(settings = {}){
+  const hours = settings.calling_hours && Object.keys(settings.calling_hours).length
+    ? settings.calling_hours
+    : DEFAULT_CALLING_HOURS;
+  return {
+    hours,
+    calendars: Array.isArray(settings.holiday_calendars) ? settings.holiday_calendars : DEFAULT_HOLIDAY_CALENDARS,
+    customHolidays: Array.isArray(settings.custom_holidays) ? settings.custom_holidays : []
+  };
+}
+
+/** Calling window of an owner (cached briefly); defaults when ownerId is null */
+export async function getCallingWindow(ownerId){
+  if (!ownerId) return callingWindowFromSettings();
+
+  const cached = windowCache.get(ownerId);
+  if (cached && cached.expiresAt > Date.now()) return cached.window;
+
+  const { data, error } = await supa
+    .from('users')
+    .select('calling_hours, holiday_calendars, custom_holidays')
+    .eq('id', ownerId)
+    .single();
+  if (error) log.warn(`Could not load calling window for owner ${ownerId}, using defaults:`, error.message);
+
+  const window = callingWindowFromSettings(data || {});
+  windowCache.set(ownerId, { window, expiresAt: Date.now() + CACHE_TTL_MS });
+  return window;
+}
+
+export function invalidateCallingWindow(ownerId){
+  windowCache.delete(ownerId);
+}
+
+/**
+ * Time slots open on a calendar day, plus the holiday that closes it if any.
+ * custom_holidays entries: { date, name, type: 'closed' | 'modified_hours', start, end }
+ */
+export function slotsForDay(window, dateKey){
+  const custom = window.customHolidays.find(h => String(h.date || '').slice(0, 10) === dateKey);
+  if (custom) {
+    if (custom.type === 'modified_hours' && custom.start && custom.end) {
+      return { slots: [{ start: custom.start, end: custom.end }], holiday: null };
+    }
+    return { slots: [], holiday: custom.name || 'Closed' };
+  }
+
+  const holiday = holidaysFor(Number(dateKey.slice(0, 4)), window.calendars)[dateKey];
+  if (holiday) return { slots: [], holiday };
+
+  const day = window.hours[weekdayOfKey(dateKey)];
+  return { slots: day?.enabled ? (day.timeSlots || []) : [], holiday: null };
+}
+
+/** Whether `at` falls inside the window in `timeZone`. Returns { ok, reason } */
+export function isWithinCallingWindow(window, at = new Date(), timeZone = DEFAULT_TIMEZONE){
+  const p = zonedParts(at, timeZone);
+  const { slots, holiday } = slotsForDay(window, p.dateKey);
+  if (holiday) return { ok: false, reason: `Holiday: ${holiday}` };
+  if (!slots.length) return { ok: false, reason: `No calling hours on ${p.weekday}` };
+  const inside = slots.some(s => p.time >= s.start && p.time < s.end);
+  return inside ? { ok: true } : { ok: false, reason: `Outside calling hours (${p.time} ${timeZone})` };
+}
+
+/** Earliest instant at or after `from` inside the window, or null if none within SEARCH_DAYS */
+export function nextCallingTime(window, from = new Date(), timeZone = DEFAULT_TIMEZONE){
+  const start = new Date(from);
+  if (isWithinCallingWindow(window, start, timeZone).ok) return start;
+
+  const p = zonedParts(start, timeZone);
+  for (let i = 0; i <= SEARCH_DAYS; i++) {
+    const dateKey = addDaysToKey(p.dateKey, i);
+    const { slots } = slotsForDay(window, dateKey);
+    const sorted = [...slots].sort((a, b) => a.start.localeCompare(b.start));
+    for (const slot of sorted) {
+      const slotStart = zonedTimeToUtc(dateKey, slot.start, timeZone);
+      const slotEnd = zonedTimeToUtc(dateKey, slot.end, timeZone);
+      if (slotEnd <= start) continue;
+      return slotStart > start ? slotStart : start;
+    }
+  }
+  return null;
+}
+
+/** Whether a lead may be called now, using its owner's window and its own timezone */
+export async function canCallLead(lead, at = new Date()){
+  const window = await getCallingWindow(lead.owner_id);
+  return isWithinCallingWindow(window, at, lead.timezone || DEFAULT_TIMEZONE);
+}
+
+/** Next time a lead may be called at or after `from` */
+export async function nextCallTimeForLead(lead, from = new Date()){
+  const window = await getCallingWindow(lead.owner_id);
+  return nextCallingTime(window, from, lead.timezone || DEFAULT_TIMEZONE);
+}
@@ -0,0 +1,335 @@
+import { supa } from '../lib/supabase.js';
+import { env } from '../config/env.js';
+import { log } from '../config/logger.js';
+import { agentManager } from './agentManager.js';
+import { LEAD_STATUSES, transitionLead, transitionLeadIfAllowed } from './leadLifecycle.js';
+
+/*
+ * Outbound calling campaigns. Starting a campaign snapshots its lead segment
+ * into campaign_leads; while it runs, runCampaigns() enrolls pending leads in
+ * batches (CAMPAIGN_FEED_SIZE at a time) by giving them the campaign's agent,
+ * leads.campaign_id and a due next_retry_at. From there the dial queue places
+ * the calls and retries them under the campaign's retry policy.
+ *
+ *   draft -> scheduled -> running <-> paused
+ *   draft | scheduled | running | paused -> stopped
+ *   running -> completed (everyone dialed and settled, or ends_at passed)
+ */
+
+export const CAMPAIGN_STATUSES = ['draft', 'scheduled', 'running', 'paused', 'stopped', 'completed'];
+const OPEN_STATUSES = ['scheduled', 'running', 'paused'];
+
+const PAGE_SIZE = 1000;
+
+/** Returns an error message, or null when the segment is valid */
+export function validateSegment(segment){
+  if (!segment || typeof segment !== 'object' || Array.isArray(segment)) return 'segment must be an object';
+  for (const field of ['statuses', 'specialties', 'sources']) {
+    if (segment[field] !== undefined && !(Array.isArray(segment[field]) && segment[field].every(v => typeof v === 'string'))) {
+      return `segment.${field} must be a list of strings`;
+    }
+  }
+  const unknown = (segment.statuses || []).filter(s => !LEAD_STATUSES.includes(s));
+  if (unknown.length) return `Unknown lead status in segment: ${unknown.join(', ')}`;
+  for (const field of ['created_from', 'created_to']) {
+    if (segment[field] !== undefined && isNaN(new Date(segment[field]).getTime())) return `Invalid segment.${field}`;
+  }
+  return null;
+}
+
+/** Leads of an owner matching a segment */
+export function segmentQuery(ownerId, segment = {}, select = 'id', options = {}){
+  let query = supa.from('leads').select(select, options).eq('owner_id', ownerId);
+  if (segment.statuses?.length) query = query.in('status', segment.statuses);
+  if (segment.specialties?.length) query = query.in('specialty', segment.specialties);
+  if (segment.sources?.length) query = query.in('source', segment.sources);
+  if (segment.created_from) query = query.gte('created_at', new Date(segment.created_from).toISOString());
+  if (segment.created_to) query = query.lte('created_at', new Date(segment.created_to).toISOString());
+  return query;
+}
+
+/** How many leads a segment matches, with a few examples */
+export async function previewSegment(ownerId, segment){
+  const { data, count, error } = await segmentQuery(ownerId, segment, 'id, name, phone, status, specialty, source, created_at', { count: 'exact' })
+    .order('created_at', { ascending: false })
+    .limit(10);
+  if (error) throw new Error(error.message);
+  return { count: count || 0, sample: data || [] };
+}
+
+async function setCampaignStatus(campaign, status, fields = {}){
+  const { data, error } = await supa
+    .from('campaigns')
+    .update({ status, ...fields, updated_at: new Date().toISOString() })
+    .eq('id', campaign.id)
+    .select()
+    .single();
+  if (error) throw new Error(error.message);
+  log.info(`Campaign ${campaign.id} ${campaign.status} -> ${status}`);
+  return data;
+}
+
+// Drop the campaign's queued first calls and retries that haven't been leased yet
+async function cancelQueuedJobs(campaignId, outcome){
+  const { error } = await supa
+    .from('dial_jobs')
+    .update({ status: 'cancelled', outcome, completed_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+    .eq('campaign_id', campaignId)
+    .eq('status', 'queued');
+  if (error) log.error(`Failed to cancel dial jobs of campaign ${campaignId}:`, error.message);
+}
+
+/** Snapshot the segment and start (or schedule) the campaign */
+export async function startCampaign(campaign){
+  let total = 0;
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data: leads, error } = await segmentQuery(campaign.owner_id, campaign.segment)
+      .order('created_at', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+    if (error) throw new Error(error.message);
+    if (!leads?.length) break;
+
+    const { error: insertError } = await supa
+      .from('campaign_leads')
+      .upsert(leads.map(l => ({ campaign_id: campaign.id, lead_id: l.id })), { onConflict: 'campaign_id,lead_id', ignoreDuplicates: true });
+    if (insertError) throw new Error(insertError.message);
+
+    total += leads.length;
+    if (leads.length < PAGE_SIZE) break;
+  }
+
+  const now = new Date();
+  const scheduled = campaign.starts_at && new Date(campaign.starts_at) > now;
+  return setCampaignStatus(campaign, scheduled ? 'scheduled' : 'running', {
+    leads_total: total,
+    started_at: scheduled ? null : now.toISOString()
+  });
+}
+
+export async function pauseCampaign(campaign){
+  const updated = await setCampaignStatus(campaign, 'paused', { paused_at: new Date().toISOString() });
+  await cancelQueuedJobs(campaign.id, 'campaign_paused');
+  return updated;
+}
+
+export async function resumeCampaign(campaign){
+  const scheduled = campaign.starts_at && new Date(campaign.starts_at) > new Date();
+  return setCampaignStatus(campaign, scheduled ? 'scheduled' : 'running', { paused_at: null });
+}
+
+/**
+ * Stop or complete a campaign: nothing more is dialed for it. Leads enrolled
+ * but never dialed get their previous status back.
+ */
+export async function finishCampaign(campaign, status = 'stopped'){
+  const updated = await setCampaignStatus(campaign, status, { finished_at: new Date().toISOString() });
+  await cancelQueuedJobs(campaign.id, `campaign_${status}`);
+
+  const { data: waiting } = await supa
+    .from('campaign_leads')
+    .select('lead_id, previous_status, leads!inner(status)')
+    .eq('campaign_id', campaign.id)
+    .eq('status', 'enrolled')
+    .eq('leads.status', 'campaign_queued');
+  for (const row of waiting || []) {
+    await transitionLeadIfAllowed({ id: row.lead_id, status: 'campaign_queued' }, row.previous_status || 'new', {
+      source: 'campaigns',
+      reason: `campaign_${status}`,
+      metadata: { campaign_id: campaign.id }
+    });
+  }
+
+  // Pending campaign retries are dropped; a live call finishes normally
+  const { error } = await supa
+    .from('leads')
+    .update({ campaign_id: null, next_retry_at: null })
+    .eq('campaign_id', campaign.id)
+    .neq('status', 'calling');
+  if (error) log.error(`Failed to release leads of campaign ${campaign.id}:`, error.message);
+  await supa
+    .from('leads')
+    .update({ campaign_id: null })
+    .eq('campaign_id', campaign.id);
+
+  return updated;
+}
+
+async function skipLead(campaignId, leadId, reason){
+  await supa
+    .from('campaign_leads')
+    .update({ status: 'skipped', skip_reason: reason })
+    .eq('campaign_id', campaignId)
+    .eq('lead_id', leadId);
+}
+
+// Hand one lead to the dial queue under this campaign
+async function enrollLead(campaign, agent, lead){
+  if (lead.status === 'calling') return skipLead(campaign.id, lead.id, 'call_in_progress');
+  if (lead.campaign_id && lead.campaign_id !== campaign.id) {
+    const { data: other } = await supa.from('campaigns').select('status').eq('id', lead.campaign_id).maybeSingle();
+    if (OPEN_STATUSES.includes(other?.status)) return skipLead(campaign.id, lead.id, 'in_other_campaign');
+  }
+
+  let agentVariables = lead.agent_variables;
+  if (lead.assigned_agent_id !== agent.id) {
+    try {
+      let doctor = null;
+      if (lead.assigned_doctor_id) {
+        const { data } = await supa.from('doctors').select('*').eq('id', lead.assigned_doctor_id).maybeSingle();
+        doctor = data;
+      }
+      if (!doctor) doctor = (await agentManager.findDoctorAndAgentForLead(lead)).doctor;
+      agentVariables = (await agentManager.assignDoctorAndAgentToLead(lead.id, doctor, agent)).agent_variables;
+    } catch (error) {
+      return skipLead(campaign.id, lead.id, `assignment_failed: ${error.message}`);
+    }
+  }
+
+  try {
+    await transitionLead(lead, 'campaign_queued', {
+      source: 'campaigns',
+      reason: 'enrolled',
+      metadata: { campaign_id: campaign.id },
+      updates: {
+        campaign_id: campaign.id,
+        next_retry_at: new Date().toISOString(),
+        agent_variables: agentVariables
+      }
+    });
+  } catch (error) {
+    return skipLead(campaign.id, lead.id, error.message);
+  }
+
+  await supa
+    .from('campaign_leads')
+    .update({ status: 'enrolled', previous_status: lead.status, enrolled_at: new Date().toISOString() })
+    .eq('campaign_id', campaign.id)
+    .eq('lead_id', lead.id);
+}
+
+// Keep up to CAMPAIGN_FEED_SIZE of the campaign's leads waiting for their first call
+async function feedCampaign(campaign){
+  const { count: waiting } = await supa
+    .from('leads')
+    .select('id', { count: 'exact', head: true })
+    .eq('campaign_id', campaign.id)
+    .eq('status', 'campaign_queued');
+  const room = env.CAMPAIGN_FEED_SIZE - (waiting || 0);
+  if (room <= 0) return 0;
+
+  const { data: rows, error } = await supa
+    .from('campaign_leads')
+    .select('lead_id, leads(*)')
+    .eq('campaign_id', campaign.id)
+    .eq('status', 'pending')
+    .order('added_at', { ascending: true })
+    .limit(room);
+  if (error) throw new Error(error.message);
+  if (!rows?.length) return 0;
+
+  const { data: agent } = await supa.from('agents').select('*').eq('id', campaign.agent_id).maybeSingle();
+  if (!agent?.is_active) {
+    log.warn(`Campaign ${campaign.id} agent ${campaign.agent_id} is not active, pausing`);
+    await pauseCampaign(campaign);
+    return 0;
+  }
+
+  for (const row of rows) {
+    if (!row.leads) await skipLead(campaign.id, row.lead_id, 'lead_deleted');
+    else await enrollLead(campaign, agent, row.leads);
+  }
+  return rows.length;
+}
+
+// Nothing pending, nothing waiting for a call or retry
+async function isCampaignSettled(campaign){
+  const { count: pending } = await supa
+    .from('campaign_leads')
+    .select('lead_id', { count: 'exact', head: true })
+    .eq('campaign_id', campaign.id)
+    .eq('status', 'pending');
+  if (pending) return false;
+
+  const { count: active } = await supa
+    .from('leads')
+    .select('id', { count: 'exact', head: true })
+    .eq('campaign_id', campaign.id)
+    .or('status.eq.calling,next_retry_at.not.is.null');
+  return !active;
+}
+
+/** Scheduler tick: start due campaigns, feed running ones, close finished ones */
+export async function runCampaigns(){
+  const now = new Date();
+  const { data: campaigns, error } = await supa
+    .from('campaigns')
+    .select('*')
+    .in('status', ['scheduled', 'running']);
+  if (error) throw new Error(error.message);
+
+  for (let campaign of campaigns || []) {
+    try {
+      if (campaign.ends_at && new Date(campaign.ends_at) <= now) {
+        await finishCampaign(campaign, 'completed');
+        continue;
+      }
+      if (campaign.status === 'scheduled') {
+        if (new Date(campaign.starts_at) > now) continue;
+        campaign = await setCampaignStatus(campaign, 'running', { started_at: now.toISOString() });
+      }
+
+      const fed = await feedCampaign(campaign);
+      if (!fed && await isCampaignSettled(campaign)) {
+        await finishCampaign(campaign, 'completed');
+      }
+    } catch (e) {
+      log.error(`Campaign ${campaign.id} tick failed:`, e.message);
+    }
+  }
+}
+
+// All rows of a query, PAGE_SIZE at a time
+async function fetchAll(buildQuery){
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(from, from + PAGE_SIZE - 1);
+    if (error) throw new Error(error.message);
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) return rows;
+  }
+}
+
+function countBy(rows, key){
+  return rows.reduce((acc, row) => {
+    const value = key(row) || 'unknown';
+    acc[value] = (acc[value] || 0) + 1;
+    return acc;
+  }, {});
+}
+
+/** Progress of a campaign, from campaign_leads and its call_attempts */
+export async function campaignStats(campaignId){
+  const [members, attempts] = await Promise.all([
+    fetchAll(() => supa.from('campaign_leads').select('status, leads(status)').eq('campaign_id', campaignId)),
+    fetchAll(() => supa.from('call_attempts').select('lead_id, outcome, ended_at, total_call_duration').eq('campaign_id', campaignId))
+  ]);
+
+  const durations = attempts.map(a => Number(a.total_call_duration)).filter(d => d > 0);
+  const talkTime = durations.reduce((a, b) => a + b, 0);
+
+  return {
+    leads: {
+      total: members.length,
+      ...Object.fromEntries(['pending', 'enrolled', 'skipped'].map(s => [s, members.filter(m => m.status === s).length])),
+      dialed: new Set(attempts.map(a => a.lead_id)).size,
+      by_status: countBy(members.filter(m => m.status === 'enrolled'), m => m.leads?.status)
+    },
+    calls: {
+      total: attempts.length,
+      in_progress: attempts.filter(a => !a.ended_at).length,
+      by_outcome: countBy(attempts.filter(a => a.ended_at), a => a.outcome),
+      talk_time_seconds: talkTime,
+      avg_duration_seconds: durations.length ? Math.round(talkTime / durations.length) : 0
+    }
+  };
+}
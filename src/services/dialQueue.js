@@ -0,0 +1,389 @@
+import os from 'os';
+import { randomUUID } from 'crypto';
+import { supa } from '../lib/supabase.js';
+import { env } from '../config/env.js';
+import { log } from '../config/logger.js';
+import { agentManager } from './agentManager.js';
+import { CallThrottledError, markCallEnded } from './callGovernor.js';
+import { ContactSuppressedError } from './suppression.js';
+import { canCallLead, nextCallTimeForLead } from './callingWindow.js';
+import { DEFAULT_RETRY_POLICY, retryPolicyForLead, retryContextForLead, planNextAttempt, countPolicyAttempts, maxAttemptsFor } from './retryPolicy.js';
+import { transitionLeadIfAllowed } from './leadLifecycle.js';
+
+/*
+ * Dial queue. Due leads are enqueued as dial_jobs (one open job per lead);
+ * workers lease jobs through the claim_dial_jobs() RPC, which enforces the
+ * per-owner and per-from-number caps, then dial them.
+ *
+ *   queued -> leased -> dialing -> completed   (call_ended webhook)
+ *                    \          \-> expired     (no call_ended within the call timeout)
+ *                     \-> queued (deferred, or throttled by the call governor) | cancelled | failed
+ *
+ * A leased job whose worker died is claimable again once its lease runs out.
+ * Every write a worker makes is conditioned on still holding the lease.
+ */
+
+export const WORKER_ID = `${os.hostname()}:${process.pid}:${randomUUID().slice(0, 8)}`;
+
+// Lead statuses the retry job dials; campaign_queued is a lead fed in by a campaign
+export const DIALABLE_STATUSES = ['no_answer', 'reschedule', 'call_failed', 'retry_failed', 'campaign_queued'];
+
+async function fromNumberForAgent(agentId){
+  if (!agentId) return null;
+  const { data: agent } = await supa
+    .from('agents')
+    .select('users!agents_owner_id_fkey(phone_number)')
+    .eq('id', agentId)
+    .maybeSingle();
+  return agent?.users?.phone_number || null;
+}
+
+/** Queue a call to a lead. Returns the job, or null when one is already open */
+export async function enqueueDial(lead, { runAt = new Date(), priority = 0 } = {}){
+  const { data: job, error } = await supa
+    .from('dial_jobs')
+    .insert({
+      owner_id: lead.owner_id,
+      lead_id: lead.id,
+      agent_id: lead.assigned_agent_id,
+      campaign_id: lead.campaign_id || null,
+      from_number: await fromNumberForAgent(lead.assigned_agent_id),
+      priority,
+      run_at: new Date(runAt).toISOString()
+    })
+    .select()
+    .single();
+
+  if (error?.code === '23505') return null;
+  if (error) throw new Error(error.message);
+  return job;
+}
+
+/** Enqueue every lead whose next_retry_at has passed */
+export async function enqueueDueLeads(){
+  const { data: leads, error } = await supa
+    .from('leads')
+    .select('id, owner_id, assigned_agent_id, campaign_id, next_retry_at, campaigns(status)')
+    .lte('next_retry_at', new Date().toISOString())
+    .in('status', DIALABLE_STATUSES)
+    .not('assigned_agent_id', 'is', null);
+  if (error) throw new Error(error.message);
+
+  let queued = 0;
+  for (const lead of leads || []) {
+    // Leads of a paused or scheduled campaign wait for it to run
+    if (lead.campaign_id && lead.campaigns?.status !== 'running') continue;
+    try {
+      if (await enqueueDial(lead, { runAt: lead.next_retry_at })) queued++;
+    } catch (e) {
+      log.error(`Failed to enqueue lead ${lead.id}:`, e.message);
+    }
+  }
+  return queued;
+}
+
+/** Lease up to `limit` due jobs to this worker */
+export async function claimDialJobs(limit = env.DIAL_BATCH_SIZE){
+  const { data, error } = await supa.rpc('claim_dial_jobs', {
+    p_worker: WORKER_ID,
+    p_limit: limit,
+    p_lease_seconds: env.DIAL_LEASE_SECONDS,
+    p_owner_cap: env.DIAL_MAX_CONCURRENT_PER_OWNER,
+    p_number_cap: env.DIAL_MAX_CONCURRENT_PER_NUMBER
+  });
+  if (error) throw new Error(error.message);
+  return data || [];
+}
+
+// Update a job this worker leased; false when the lease was lost to another worker
+async function updateLeasedJob(job, fields){
+  const { data, error } = await supa
+    .from('dial_jobs')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', job.id)
+    .eq('leased_by', WORKER_ID)
+    .in('status', ['leased', 'dialing'])
+    .select('id');
+  if (error) throw new Error(error.message);
+  return Boolean(data?.length);
+}
+
+function closeJob(job, status, fields = {}){
+  return updateLeasedJob(job, { status, completed_at: new Date().toISOString(), lease_expires_at: null, ...fields });
+}
+
+// Put the job back in the queue for later, releasing the lease
+function deferJob(job, runAt, outcome){
+  return updateLeasedJob(job, {
+    status: 'queued',
+    run_at: new Date(runAt).toISOString(),
+    leased_by: null,
+    lease_expires_at: null,
+    outcome
+  });
+}
+
+/**
+ * Bookkeeping once the call was placed. Failures are only logged: the job stays
+ * dialing, so call_ended or the reaper closes it instead of a retry dialing again.
+ */
+async function recordPlacedCall(job, lead, callResponse, attemptNo){
+  const { data: attempt, error } = await supa
+    .from('call_attempts')
+    .insert({
+      lead_id: lead.id,
+      doctor_id: lead.assigned_doctor_id,
+      agent_id: lead.assigned_agent_id,
+      owner_id: lead.owner_id,
+      direction: 'outbound',
+      attempt_no: attemptNo,
+      scheduled_at: job.run_at,
+      started_at: new Date().toISOString(),
+      retell_call_id: callResponse.call_id,
+      outcome: 'initiated',
+      dial_job_id: job.id,
+      campaign_id: lead.campaign_id || null
+    })
+    .select('id')
+    .single();
+  if (error) log.error(`Dial job ${job.id}: call ${callResponse.call_id} placed but its call attempt was not recorded:`, error.message);
+
+  try {
+    await updateLeasedJob(job, { retell_call_id: callResponse.call_id, call_attempt_id: attempt?.id || null });
+    await transitionLeadIfAllowed(lead, 'calling', {
+      source: 'dial_queue',
+      reason: `attempt ${attemptNo}`,
+      callAttemptId: attempt?.id || null,
+      metadata: { dial_job_id: job.id },
+      updates: { next_retry_at: null }
+    });
+    log.info(`Dial job ${job.id}: call ${callResponse.call_id} placed for lead ${lead.id} (attempt ${attemptNo})`);
+  } catch (e) {
+    log.error(`Dial job ${job.id}: call ${callResponse.call_id} placed but not recorded for lead ${lead.id}:`, e.message);
+  }
+}
+
+/** Place the call for a leased job, or defer/cancel it when the lead may not be called now */
+export async function processDialJob(job){
+  const { data: lead, error: leadError } = await supa
+    .from('leads')
+    .select('*')
+    .eq('id', job.lead_id)
+    .maybeSingle();
+  if (leadError) throw new Error(leadError.message);
+
+  if (!lead || !DIALABLE_STATUSES.includes(lead.status)) {
+    await closeJob(job, 'cancelled', { outcome: `lead_${lead?.status || 'missing'}` });
+    return;
+  }
+
+  if (lead.campaign_id) {
+    const { data: campaign } = await supa.from('campaigns').select('status').eq('id', lead.campaign_id).maybeSingle();
+    if (campaign?.status !== 'running') {
+      await closeJob(job, 'cancelled', { outcome: `campaign_${campaign?.status || 'missing'}` });
+      return;
+    }
+  }
+
+  let policy = DEFAULT_RETRY_POLICY;
+  try {
+    // Owner's calling hours and holidays, in the lead's timezone
+    const window = await canCallLead(lead);
+    if (!window.ok) {
+      const nextAt = await nextCallTimeForLead(lead);
+      if (!nextAt) {
+        await closeJob(job, 'cancelled', { outcome: 'no_calling_window' });
+        return;
+      }
+      await supa.from('leads').update({ next_retry_at: nextAt.toISOString() }).eq('id', lead.id);
+      await deferJob(job, nextAt, 'outside_window');
+      log.info(`Lead ${lead.id} outside calling window (${window.reason}), next try ${nextAt.toISOString()}`);
+      return;
+    }
+
+    // A call started outside the queue (e.g. /lead/submit) is still live
+    const { data: liveCall } = await supa
+      .from('call_attempts')
+      .select('id')
+      .eq('lead_id', lead.id)
+      .eq('outcome', 'initiated')
+      .is('ended_at', null)
+      .limit(1);
+    if (liveCall?.length) {
+      await closeJob(job, 'cancelled', { outcome: 'call_in_progress' });
+      return;
+    }
+
+    const { data: attempts } = await supa
+      .from('call_attempts')
+      .select('attempt_no, started_at')
+      .eq('lead_id', lead.id)
+      .order('attempt_no', { ascending: false })
+      .limit(1);
+    const nextAttemptNo = (attempts?.[0]?.attempt_no || 0) + 1;
+
+    // Retry policy of the lead's campaign or agent (or owner default)
+    policy = await retryPolicyForLead(lead);
+    const maxAttempts = maxAttemptsFor(policy, lead);
+
+    if ((await countPolicyAttempts(lead)) + 1 > maxAttempts) {
+      log.info(`Lead ${lead.id} has reached max attempts (${maxAttempts}), falling back to ${policy.fallback_channel}`);
+      await transitionLeadIfAllowed(lead, policy.fallback_channel === 'none' ? 'unreachable' : 'whatsapp_outreach', {
+        source: 'dial_queue',
+        reason: `max_attempts: ${maxAttempts}`,
+        updates: policy.fallback_channel === 'none'
+          ? { next_retry_at: null }
+          : { preferred_channel: policy.fallback_channel, next_retry_at: null }
+      });
+      await closeJob(job, 'cancelled', { outcome: 'max_attempts' });
+      return;
+    }
+
+    // Keep the policy's minimum gap between two attempts
+    const lastStartedAt = attempts?.[0]?.started_at ? new Date(attempts[0].started_at) : null;
+    const earliest = lastStartedAt && new Date(lastStartedAt.getTime() + policy.min_gap_minutes * 60 * 1000);
+    if (earliest && earliest > new Date()) {
+      await deferJob(job, earliest, 'min_gap');
+      return;
+    }
+
+    // From here on the call may be placed: hold the slot for the length of a call
+    const stillOurs = await updateLeasedJob(job, {
+      status: 'dialing',
+      lease_expires_at: new Date(Date.now() + env.DIAL_CALL_TIMEOUT_MINUTES * 60 * 1000).toISOString()
+    });
+    if (!stillOurs) {
+      log.warn(`Dial job ${job.id} lease lost before dialing, skipping`);
+      return;
+    }
+
+    const callResponse = await agentManager.makeOutboundCall(lead);
+    // The call is out: nothing below may fail the job into a second dial
+    await recordPlacedCall(job, lead, callResponse, nextAttemptNo);
+
+  } catch (error) {
+    if (error instanceof CallThrottledError) {
+      await deferJob(job, error.eta, `throttled_${error.reason}`);
+      return;
+    }
+    if (error instanceof ContactSuppressedError) {
+      await closeJob(job, 'cancelled', { outcome: error.reason });
+      await transitionLeadIfAllowed(lead, error.leadStatus, {
+        source: 'dial_queue',
+        reason: error.message,
+        metadata: { dial_job_id: job.id },
+        updates: { next_retry_at: null }
+      });
+      return;
+    }
+    log.error(`Dial job ${job.id} failed for lead ${lead.id}:`, error.message);
+    await closeJob(job, 'failed', { outcome: 'error', last_error: error.message });
+    await transitionLeadIfAllowed(lead, 'retry_failed', {
+      source: 'dial_queue',
+      reason: error.message,
+      metadata: { dial_job_id: job.id },
+      updates: { next_retry_at: new Date(Date.now() + policy.retry_error_minutes * 60 * 1000).toISOString() }
+    });
+  }
+}
+
+/** Record the outcome of a dialed job when its call ends */
+export async function completeDialJob(retellCallId, outcome){
+  const { error } = await supa
+    .from('dial_jobs')
+    .update({
+      status: 'completed',
+      outcome,
+      lease_expires_at: null,
+      completed_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    })
+    .eq('retell_call_id', retellCallId)
+    .eq('status', 'dialing');
+  if (error) log.error(`Failed to complete dial job for call ${retellCallId}:`, error.message);
+}
+
+/**
+ * A dialing job expired without call_ended: end its call attempt, free its
+ * governor slot and take the lead out of calling, retrying it as a failed dial
+ * per its retry policy (or falling back once attempts run out).
+ */
+async function releaseExpiredJob(job){
+  if (job.retell_call_id) await markCallEnded({ retellCallId: job.retell_call_id });
+
+  const now = new Date();
+  if (job.call_attempt_id) {
+    await supa
+      .from('call_attempts')
+      .update({ ended_at: now.toISOString(), outcome: 'no_call_ended' })
+      .eq('id', job.call_attempt_id)
+      .is('ended_at', null);
+  }
+
+  const { data: lead, error } = await supa
+    .from('leads')
+    .select('*')
+    .eq('id', job.lead_id)
+    .maybeSingle();
+  if (error) throw new Error(error.message);
+  if (lead?.status !== 'calling') return;
+
+  const { policy, window } = await retryContextForLead(lead);
+  const plan = planNextAttempt(policy, { reason: 'dial_failed', attemptNo: Math.max(await countPolicyAttempts(lead), 1), lead, from: now, window });
+  const event = {
+    source: 'dial_queue',
+    reason: 'no_call_ended',
+    callAttemptId: job.call_attempt_id || null,
+    metadata: { dial_job_id: job.id, retell_call_id: job.retell_call_id || null }
+  };
+  if (plan.action === 'retry') {
+    await transitionLeadIfAllowed(lead, 'call_failed', { ...event, updates: { next_retry_at: plan.at.toISOString() } });
+  } else if (plan.channel === 'none') {
+    await transitionLeadIfAllowed(lead, 'unreachable', { ...event, reason: 'no_call_ended, retries exhausted', updates: { next_retry_at: null } });
+  } else {
+    await transitionLeadIfAllowed(lead, 'whatsapp_outreach', {
+      ...event,
+      reason: 'no_call_ended, retries exhausted',
+      updates: { preferred_channel: plan.channel, next_retry_at: null }
+    });
+  }
+}
+
+/** Expire dialing jobs whose call_ended never arrived and release their leads and slots */
+export async function reapExpiredDialJobs(){
+  const now = new Date().toISOString();
+  const { data, error } = await supa
+    .from('dial_jobs')
+    .update({ status: 'expired', outcome: 'no_call_ended', completed_at: now, updated_at: now })
+    .eq('status', 'dialing')
+    .lt('lease_expires_at', now)
+    .select('id, lead_id, retell_call_id, call_attempt_id');
+  if (error) throw new Error(error.message);
+
+  for (const job of data || []) {
+    try {
+      await releaseExpiredJob(job);
+    } catch (e) {
+      log.error(`Failed to release expired dial job ${job.id}:`, e.message);
+    }
+  }
+  return data?.length || 0;
+}
+
+let running = false;
+
+/** One dialer pass: reap, claim a batch within the caps and dial it */
+export async function runDialer(){
+  if (running) return { skipped: true };
+  running = true;
+  try {
+    const expired = await reapExpiredDialJobs();
+    const jobs = await claimDialJobs();
+    await Promise.all(jobs.map(job => processDialJob(job).catch(e => {
+      log.error(`Dial job ${job.id} crashed:`, e.message);
+    })));
+    return { claimed: jobs.length, expired };
+  } finally {
+    running = false;
+  }
+}
@@ -1,13 +1,15 @@
 import { retellCreatePhoneCall } from '../lib/retell.js';
 import { env } from '../config/env.js';
+import { toE164, phoneLast4 } from '../lib/phone.js';
 
 export async function dialOutbound({ to, vars }){
   if(!env.RETELL_FROM_NUMBER) throw new Error('RETELL_FROM_NUMBER not set');
-  const phoneLast4 = String(to).replace(/\D/g,'').slice(-4);  
-  const payloadVars = { phone_last4: phoneLast4, ...(vars||{}) };
+  const toNumber = toE164(to);
+  if(!toNumber) throw new Error(`Invalid phone number: ${to}`);
+  const payloadVars = { phone_last4: phoneLast4(toNumber), ...(vars||{}) };
   const r = await retellCreatePhoneCall({
     from_number: env.RETELL_FROM_NUMBER,
-    to_number: to,
+    to_number: toNumber,
     retell_llm_dynamic_variables: payloadVars
   });
   return r;
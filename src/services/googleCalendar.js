@@ -2,6 +2,7 @@ import { google } from 'googleapis';
 import { supa } from '../lib/supabase.js';
 import { log } from '../config/logger.js';
 import { env } from '../config/env.js';
+import { zonedParts, zonedTimeToUtc, addDaysToKey, weekdayOfKey } from '../lib/datetime.js';
 
 class GoogleCalendarService {
   constructor() {
@@ -360,10 +361,11 @@ class GoogleCalendarService {
       dateSpecificMap[dateKey] = entry;
     });
 
-    // Generate slots for each day in the range
-    for (let currentDate = new Date(start); currentDate <= end; currentDate.setDate(currentDate.getDate() + 1)) {
-      const dateKey = currentDate.toISOString().split('T')[0];
-      const dayName = currentDate.toLocaleDateString('en-US', { weekday: 'lowercase' });
+    // Generate slots for each day in the range, on the doctor's wall clock
+    const tz = timezone || 'America/Sao_Paulo';
+    const lastDateKey = zonedParts(end, tz).dateKey;
+    for (let dateKey = zonedParts(start, tz).dateKey; dateKey <= lastDateKey; dateKey = addDaysToKey(dateKey, 1)) {
+      const dayName = weekdayOfKey(dateKey);
       
       // Check if this date has specific availability rules
       const dateSpecific = dateSpecificMap[dateKey];
@@ -391,15 +393,9 @@ class GoogleCalendarService {
 
       // Generate time slots for this day
       dayWorkingHours.forEach(timeSlot => {
-        const slotStart = new Date(currentDate);
-        const slotEnd = new Date(currentDate);
-        
-        // Parse time strings (HH:MM format)
-        const [startHour, startMinute] = timeSlot.start.split(':').map(Number);
-        const [endHour, endMinute] = timeSlot.end.split(':').map(Number);
-        
-        slotStart.setHours(startHour, startMinute, 0, 0);
-        slotEnd.setHours(endHour, endMinute, 0, 0);
+        // Time strings (HH:MM) are wall-clock times in the doctor's timezone
+        const slotStart = zonedTimeToUtc(dateKey, timeSlot.start, tz);
+        const slotEnd = zonedTimeToUtc(dateKey, timeSlot.end, tz);
 
         // Generate consultation slots within this time range
         let currentSlotStart = new Date(slotStart);
@@ -417,7 +413,7 @@ class GoogleCalendarService {
             return (currentSlotStart < busyTime.end && currentSlotEnd > busyTime.start);
           });
 
-          if (!isBusy) {
+          if (!isBusy && currentSlotStart >= start) {
             availableSlots.push({
               start: currentSlotStart.toISOString(),
               end: currentSlotEnd.toISOString(),
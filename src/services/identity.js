@@ -0,0 +1,113 @@
+import { supa } from '../lib/supabase.js';
+
+const NAME_PARTICLES = new Set(['de', 'da', 'do', 'das', 'dos', 'e']);
+
+function nameTokens(name){
+  return String(name || '')
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z]+/)
+    .filter(t => t && !NAME_PARTICLES.has(t));
+}
+
+// Accepts YYYY-MM-DD, DD/MM/YYYY, DD-MM-YYYY and DD.MM.YYYY; returns YYYY-MM-DD or null
+export function normalizeBirthdate(value){
+  const s = String(value || '').trim();
+  let m = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (m) return `${m[1]}-${m[2].padStart(2,'0')}-${m[3].padStart(2,'0')}`;
+  m = s.match(/^(\d{1,2})[\/.-](\d{1,2})[\/.-](\d{4})$/);
+  if (m) return `${m[3]}-${m[2].padStart(2,'0')}-${m[1].padStart(2,'0')}`;
+  return null;
+}
+
+export function compareName(expected, given){
+  const exp = nameTokens(expected);
+  const got = nameTokens(given);
+  if (!got.length) return 'skipped';
+  if (!exp.length) return 'unavailable';
+  const overlap = got.filter(t => exp.includes(t));
+  if (overlap.length === got.length && (got.length >= 2 || exp.length === 1) && got[0] === exp[0]) return 'match';
+  if (overlap.length) return 'partial';
+  return 'mismatch';
+}
+
+export function comparePhoneLast4(phone, given){
+  const got = String(given || '').replace(/\D/g, '');
+  if (!got) return 'skipped';
+  const digits = String(phone || '').replace(/\D/g, '');
+  if (digits.length < 4) return 'unavailable';
+  return digits.slice(-4) === got.slice(-4) ? 'match' : 'mismatch';
+}
+
+export function compareBirthdate(expected, given){
+  if (!String(given || '').trim()) return 'skipped';
+  const exp = normalizeBirthdate(expected);
+  if (!exp) return 'unavailable';
+  const got = normalizeBirthdate(given);
+  if (!got) return 'mismatch';
+  return exp === got ? 'match' : 'mismatch';
+}
+
+/**
+ * Compare what the patient told the agent with the lead row.
+ * Returns { verdict: 'match'|'partial'|'mismatch', reason, checks }.
+ */
+export function verifyLeadIdentity(lead, { name, phone_last4, birthdate, mismatched_reason } = {}){
+  const checks = {
+    name: compareName(lead.name, name),
+    phone_last4: comparePhoneLast4(lead.phone, phone_last4),
+    birthdate: compareBirthdate(lead.birth_date || lead.custom_fields?.birthdate, birthdate)
+  };
+  const patientReason = String(mismatched_reason || '').trim();
+
+  const failed = Object.keys(checks).filter(k => checks[k] === 'mismatch');
+  if (failed.length) {
+    return { verdict: 'mismatch', reason: `Does not match our records: ${failed.join(', ')}`, checks };
+  }
+
+  const compared = Object.keys(checks).filter(k => ['match', 'partial'].includes(checks[k]));
+  if (!compared.length) {
+    return patientReason
+      ? { verdict: 'mismatch', reason: `Patient reported: ${patientReason}`, checks }
+      : { verdict: 'partial', reason: 'No identity data could be compared', checks };
+  }
+
+  const partial = compared.filter(k => checks[k] === 'partial');
+  if (partial.length) {
+    return { verdict: 'partial', reason: `Partial match on: ${partial.join(', ')}`, checks };
+  }
+  if (patientReason) {
+    return { verdict: 'partial', reason: `Data matches but patient reported: ${patientReason}`, checks };
+  }
+  return { verdict: 'match', reason: `Confirmed: ${compared.join(', ')}`, checks };
+}
+
+/**
+ * Store the verdict on the call attempt. Falls back to the lead's most recent
+ * attempt when the Retell call id is not available.
+ */
+export async function recordIdentityCheck({ leadId, callId, verification, mismatchedReason }){
+  let query = supa.from('call_attempts').select('id');
+  query = callId
+    ? query.eq('retell_call_id', callId)
+    : query.eq('lead_id', leadId).order('created_at', { ascending: false });
+  const { data, error } = await query.limit(1);
+  if (error) throw new Error(error.message);
+  const attempt = data?.[0];
+  if (!attempt) return null;
+
+  const { error: updErr } = await supa
+    .from('call_attempts')
+    .update({
+      identity_status: verification.verdict,
+      identity_verification: {
+        checks: verification.checks,
+        reason: verification.reason,
+        mismatched_reason: mismatchedReason || null
+      },
+      identity_checked_at: new Date().toISOString()
+    })
+    .eq('id', attempt.id);
+  if (updErr) throw new Error(updErr.message);
+  return attempt.id;
+}
@@ -0,0 +1,160 @@
+import crypto from 'crypto';
+import { supa } from '../lib/supabase.js';
+import { log } from '../config/logger.js';
+
+export const INTAKE_SCOPES = ['leads:submit', 'leads:dial'];
+export const CAPTCHA_PROVIDERS = ['none', 'turnstile', 'hcaptcha', 'recaptcha'];
+
+// Rotated keys keep working this long so callers can switch over
+export const ROTATION_GRACE_HOURS = 24;
+
+const KEY_PREFIX = 'gmk_';
+
+const CAPTCHA_VERIFY_URLS = {
+  turnstile: 'https://challenges.cloudflare.com/turnstile/v0/siteverify',
+  hcaptcha: 'https://api.hcaptcha.com/siteverify',
+  recaptcha: 'https://www.google.com/recaptcha/api/siteverify'
+};
+
+// Form field each widget posts its token in
+const CAPTCHA_TOKEN_FIELDS = {
+  turnstile: 'cf-turnstile-response',
+  hcaptcha: 'h-captcha-response',
+  recaptcha: 'g-recaptcha-response'
+};
+
+export function hashApiKey(key){
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+/** Insert a new key; the plain key is only returned here */
+export async function createApiKey(ownerId, { name, scopes = INTAKE_SCOPES, rate_limit_per_minute, rotated_from_id = null }){
+  const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  const { data, error } = await supa
+    .from('intake_api_keys')
+    .insert({
+      owner_id: ownerId,
+      name,
+      key_prefix: key.slice(0, KEY_PREFIX.length + 6),
+      key_hash: hashApiKey(key),
+      scopes,
+      ...(rate_limit_per_minute ? { rate_limit_per_minute } : {}),
+      rotated_from_id
+    })
+    .select('id, name, key_prefix, scopes, rate_limit_per_minute, expires_at, revoked_at, created_at')
+    .single();
+  if (error) throw new Error(error.message);
+  return { apiKey: data, key };
+}
+
+/** New key with the same settings; the old one expires after the grace period */
+export async function rotateApiKey(apiKey, { graceHours = ROTATION_GRACE_HOURS } = {}){
+  const created = await createApiKey(apiKey.owner_id, {
+    name: apiKey.name,
+    scopes: apiKey.scopes,
+    rate_limit_per_minute: apiKey.rate_limit_per_minute,
+    rotated_from_id: apiKey.id
+  });
+  const expiresAt = new Date(Date.now() + graceHours * 60 * 60 * 1000);
+  const { error } = await supa
+    .from('intake_api_keys')
+    .update({ expires_at: expiresAt.toISOString() })
+    .eq('id', apiKey.id)
+    .or(`expires_at.is.null,expires_at.gt.${expiresAt.toISOString()}`);
+  if (error) throw new Error(error.message);
+  return created;
+}
+
+/** Active key row for a plain key, or null */
+export async function findActiveApiKey(key){
+  if (!String(key || '').startsWith(KEY_PREFIX)) return null;
+  const { data, error } = await supa
+    .from('intake_api_keys')
+    .select('*')
+    .eq('key_hash', hashApiKey(key))
+    .maybeSingle();
+  if (error) throw new Error(error.message);
+  if (!data || data.revoked_at) return null;
+  if (data.expires_at && new Date(data.expires_at) <= new Date()) return null;
+
+  supa.from('intake_api_keys').update({ last_used_at: new Date().toISOString() }).eq('id', data.id)
+    .then(({ error: touchError }) => touchError && log.warn('Could not update API key last_used_at:', touchError.message));
+  return data;
+}
+
+/** Count a request against a bucket. Returns { allowed, used, reset_at } */
+export async function hitRateLimit(bucket, limit, windowSeconds = 60){
+  const { data, error } = await supa.rpc('hit_rate_limit', {
+    p_bucket: bucket,
+    p_limit: limit,
+    p_window_seconds: windowSeconds
+  });
+  if (error) throw new Error(error.message);
+  return data?.[0] || { allowed: true, used: 0, reset_at: null };
+}
+
+/** Old rate limit windows */
+export async function pruneRateLimits(){
+  const { error } = await supa
+    .from('intake_rate_limits')
+    .delete()
+    .lt('window_start', new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString());
+  if (error) log.error('Prune intake rate limits error:', error.message);
+}
+
+export async function findFormBySlug(slug){
+  const { data, error } = await supa
+    .from('intake_forms')
+    .select('*')
+    .eq('slug', String(slug || '').toLowerCase())
+    .maybeSingle();
+  if (error) throw new Error(error.message);
+  return data;
+}
+
+/** Whether a browser Origin (or Referer) may post to the form */
+export function originAllowed(form, origin){
+  if (!form.allowed_origins?.length) return true;
+  if (!origin) return false;
+  let normalized;
+  try {
+    normalized = new URL(origin).origin;
+  } catch {
+    return false;
+  }
+  return form.allowed_origins.some(allowed => allowed.replace(/\/+$/, '').toLowerCase() === normalized.toLowerCase());
+}
+
+export function captchaToken(form, body){
+  return body?.captcha_token || body?.[CAPTCHA_TOKEN_FIELDS[form.captcha_provider]] || null;
+}
+
+/** Check a CAPTCHA token with the form's provider. Forms without one always pass */
+export async function verifyCaptcha(form, token, remoteIp){
+  if (!form.captcha_provider || form.captcha_provider === 'none') return true;
+  if (!token || !form.captcha_secret) return false;
+
+  const response = await fetch(CAPTCHA_VERIFY_URLS[form.captcha_provider], {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({ secret: form.captcha_secret, response: token, ...(remoteIp ? { remoteip: remoteIp } : {}) })
+  });
+  const result = await response.json().catch(() => ({}));
+  // reCAPTCHA v3 also scores the request; treat low scores as bots
+  if (typeof result.score === 'number' && result.score < 0.5) return false;
+  return result.success === true;
+}
+
+/** What a public page needs to render the form (no secrets) */
+export function publicFormConfig(form){
+  return {
+    slug: form.slug,
+    name: form.name,
+    honeypot_field: form.honeypot_field,
+    captcha: form.captcha_provider === 'none'
+      ? null
+      : { provider: form.captcha_provider, site_key: form.captcha_site_key, token_field: CAPTCHA_TOKEN_FIELDS[form.captcha_provider] },
+    // Shown next to a checkbox posted as `consent: true`
+    consent: form.consent_version ? { version: form.consent_version, text: form.consent_text, field: 'consent' } : null
+  };
+}
@@ -0,0 +1,136 @@
+import { supa } from '../lib/supabase.js';
+import { toE164 } from '../lib/phone.js';
+
+// Used when the owner hasn't set users.duplicate_rules
+export const DEFAULT_DUPLICATE_RULES = {
+  enabled: true,
+  match_phone: true,
+  match_email: true,
+  window_hours: 168
+};
+
+export function duplicateRulesFromSettings(user){
+  return { ...DEFAULT_DUPLICATE_RULES, ...(user?.duplicate_rules || {}) };
+}
+
+/** Returns an error message, or null when the rules are valid */
+export function validateDuplicateRules(rules){
+  if (typeof rules !== 'object' || Array.isArray(rules)) return 'duplicate_rules must be an object';
+  const unknown = Object.keys(rules).filter(k => !(k in DEFAULT_DUPLICATE_RULES));
+  if (unknown.length) return `Unknown duplicate rule: ${unknown.join(', ')}`;
+  for (const flag of ['enabled', 'match_phone', 'match_email']) {
+    if (rules[flag] !== undefined && typeof rules[flag] !== 'boolean') return `${flag} must be true or false`;
+  }
+  if (rules.window_hours !== undefined && (!Number.isInteger(rules.window_hours) || rules.window_hours < 1 || rules.window_hours > 24 * 365)) {
+    return 'window_hours must be a whole number of hours between 1 and 8760';
+  }
+  return null;
+}
+
+export async function getDuplicateRules(ownerId){
+  if (!ownerId) return DEFAULT_DUPLICATE_RULES;
+  const { data: user } = await supa.from('users').select('duplicate_rules').eq('id', ownerId).maybeSingle();
+  return duplicateRulesFromSettings(user);
+}
+
+/**
+ * Most recent lead of the owner created within the rules' window with the
+ * same phone (E.164) or email. Leads without an owner are only compared
+ * with other leads without an owner.
+ */
+export async function findDuplicateLead({ ownerId, phone, email }, rules = DEFAULT_DUPLICATE_RULES){
+  if (!rules.enabled) return null;
+
+  const conditions = [];
+  const e164 = rules.match_phone ? toE164(phone) : null;
+  if (e164) conditions.push(`phone.eq."${e164}"`);
+  const normalizedEmail = rules.match_email ? String(email || '').trim().toLowerCase() : '';
+  if (normalizedEmail) conditions.push(`email.eq."${normalizedEmail}"`);
+  if (!conditions.length) return null;
+
+  const since = new Date(Date.now() - rules.window_hours * 60 * 60 * 1000).toISOString();
+  let query = supa
+    .from('leads')
+    .select('*')
+    .or(conditions.join(','))
+    .neq('status', 'merged')
+    .gte('created_at', since)
+    .order('created_at', { ascending: false })
+    .limit(1);
+  query = ownerId ? query.eq('owner_id', ownerId) : query.is('owner_id', null);
+
+  const { data, error } = await query;
+  if (error) throw new Error(error.message);
+  return data?.[0] || null;
+}
+
+/** Record a repeat submission on the lead it duplicates */
+export async function recordTouch(lead, { source, campaign, utm_source, utm_medium, utm_campaign, ...data }){
+  const now = new Date().toISOString();
+  const { error } = await supa.from('lead_touches').insert({
+    lead_id: lead.id,
+    owner_id: lead.owner_id,
+    kind: 'submission',
+    source,
+    campaign,
+    utm_source,
+    utm_medium,
+    utm_campaign,
+    data
+  });
+  if (error) throw new Error(error.message);
+
+  await supa
+    .from('leads')
+    .update({ touch_count: (lead.touch_count || 1) + 1, last_touch_at: now })
+    .eq('id', lead.id);
+}
+
+/**
+ * Groups of the owner's leads sharing a phone or an email, newest group first:
+ * [{ match: 'phone'|'email', value, leads: [...] }]
+ */
+export async function listSuspectedDuplicates(ownerId, { limit = 50 } = {}){
+  const byKey = new Map();
+  const pageSize = 1000;
+  for (let from = 0; ; from += pageSize) {
+    const { data, error } = await supa
+      .from('leads')
+      .select('id, name, phone, email, status, source, created_at, touch_count')
+      .eq('owner_id', ownerId)
+      .neq('status', 'merged')
+      .order('created_at', { ascending: false })
+      .range(from, from + pageSize - 1);
+    if (error) throw new Error(error.message);
+
+    for (const lead of data || []) {
+      const keys = [['phone', toE164(lead.phone)], ['email', lead.email?.trim().toLowerCase()]];
+      for (const [match, value] of keys) {
+        if (!value) continue;
+        const key = `${match}:${value}`;
+        if (!byKey.has(key)) byKey.set(key, { match, value, leads: [] });
+        byKey.get(key).leads.push(lead);
+      }
+    }
+    if (!data || data.length < pageSize) break;
+  }
+
+  // A pair matching on both phone and email is listed once, under phone
+  const seen = new Set();
+  const groups = [];
+  for (const group of byKey.values()) {
+    if (group.leads.length < 2) continue;
+    const ids = group.leads.map(l => l.id).sort().join(',');
+    if (seen.has(ids)) continue;
+    seen.add(ids);
+    groups.push(group);
+  }
+  return groups.slice(0, limit);
+}
+
+/** Merge `mergeId` into `keepId` (both the owner's); returns the surviving lead */
+export async function mergeLeads(keepId, mergeId){
+  const { data, error } = await supa.rpc('merge_leads', { p_keep: keepId, p_merge: mergeId });
+  if (error) throw new Error(error.message);
+  return data;
+}
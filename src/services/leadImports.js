@@ -0,0 +1,487 @@
+import { supa } from '../lib/supabase.js';
+import { env } from '../config/env.js';
+import { log } from '../config/logger.js';
+import { readSpreadsheet, toCsv, SpreadsheetError } from '../lib/spreadsheet.js';
+import { toE164 } from '../lib/phone.js';
+import { leadPhoneFields } from './leads.js';
+import { agentManager } from './agentManager.js';
+import { getRetryPolicy } from './retryPolicy.js';
+import { transitionLead, recordLeadsCreated } from './leadLifecycle.js';
+
+/*
+ * Bulk lead import. An upload is parsed into lead_import_rows right away;
+ * once the owner confirms a column mapping the import runs in the background:
+ *
+ *   uploaded -> queued -> processing -> completed | failed
+ *           \-> cancelled (any time before completion)
+ *
+ * Rows are handled in chunks and only while 'pending', so an import
+ * interrupted by a restart is picked up again by resumeImports().
+ */
+
+/** A problem with the uploaded file itself, reported back to the user */
+export class ImportError extends Error {}
+
+// Lead columns an import may fill; anything else goes to custom_fields.<key>
+export const IMPORT_FIELDS = [
+  'name', 'phone', 'email', 'city', 'specialty', 'reason', 'urgency_level', 'whatsapp',
+  'preferred_channel', 'preferred_language', 'timezone',
+  'source', 'campaign', 'utm_source', 'utm_medium', 'utm_campaign', 'notes'
+];
+
+// Header names (accents and punctuation ignored) recognised for each field
+const HEADER_ALIASES = {
+  name: ['nome', 'nome completo', 'paciente', 'name', 'full name', 'cliente'],
+  phone: ['telefone', 'celular', 'fone', 'tel', 'phone', 'mobile', 'telefone celular', 'numero'],
+  email: ['email', 'e mail', 'mail'],
+  city: ['cidade', 'city', 'municipio'],
+  specialty: ['especialidade', 'specialty', 'area'],
+  reason: ['motivo', 'queixa', 'reason', 'motivo da consulta'],
+  urgency_level: ['urgencia', 'urgency', 'urgency level', 'prioridade'],
+  whatsapp: ['whatsapp', 'zap', 'whats'],
+  preferred_channel: ['canal', 'canal preferido', 'preferred channel'],
+  preferred_language: ['idioma', 'language', 'preferred language'],
+  timezone: ['fuso', 'fuso horario', 'timezone'],
+  source: ['origem', 'fonte', 'source'],
+  campaign: ['campanha', 'campaign'],
+  utm_source: ['utm source'],
+  utm_medium: ['utm medium'],
+  utm_campaign: ['utm campaign'],
+  notes: ['observacoes', 'observacao', 'obs', 'notas', 'notes', 'comentarios']
+};
+
+const CHANNELS = ['call', 'whatsapp', 'sms'];
+const CHUNK_SIZE = 200;
+// A processing import not touched for this long is considered abandoned
+const STALE_MINUTES = 10;
+
+function headerKey(header){
+  return String(header || '')
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/** Best-guess mapping { field: header } from the file's headers */
+export function suggestMapping(headers){
+  const mapping = {};
+  const used = new Set();
+  for (const [field, aliases] of Object.entries(HEADER_ALIASES)) {
+    const header = headers.find(h => !used.has(h) && aliases.includes(headerKey(h)));
+    if (header) {
+      mapping[field] = header;
+      used.add(header);
+    }
+  }
+  return mapping;
+}
+
+/** Returns an error message, or null when the mapping can be used */
+export function validateMapping(mapping, headers){
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) return 'mapping must be an object of { field: header }';
+  for (const [field, header] of Object.entries(mapping)) {
+    if (!IMPORT_FIELDS.includes(field) && !/^custom_fields\.[\w-]+$/.test(field)) return `Unknown lead field: ${field}`;
+    if (!headers.includes(header)) return `Column not found in file: ${header}`;
+  }
+  if (!mapping.name || !mapping.phone) return 'name and phone must be mapped';
+  return null;
+}
+
+/**
+ * Lead fields for one spreadsheet row, validated the way /lead/submit
+ * stores them. Returns { lead, errors }.
+ */
+export function buildLeadFromRow(data, mapping, defaults = {}){
+  const values = { ...defaults };
+  const customFields = { ...(defaults.custom_fields || {}) };
+  delete values.custom_fields;
+  for (const [field, header] of Object.entries(mapping)) {
+    const value = String(data[header] ?? '').trim();
+    if (value === '') continue;
+    if (field.startsWith('custom_fields.')) customFields[field.slice('custom_fields.'.length)] = value;
+    else values[field] = value;
+  }
+
+  const errors = [];
+  if (!values.name) errors.push('name is required');
+
+  let phoneFields = {};
+  if (!values.phone) errors.push('phone is required');
+  else {
+    const parsed = leadPhoneFields(values.phone, values.whatsapp);
+    if (parsed.error) errors.push(`${parsed.error}: ${values[parsed.field]}`);
+    else phoneFields = parsed.fields;
+  }
+
+  const email = values.email ? String(values.email).toLowerCase() : null;
+  if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) errors.push(`invalid email: ${values.email}`);
+
+  const urgency = values.urgency_level === undefined ? 1 : Number(values.urgency_level);
+  if (!Number.isInteger(urgency) || urgency < 1 || urgency > 5) errors.push(`urgency_level must be 1-5: ${values.urgency_level}`);
+
+  const channel = values.preferred_channel ? String(values.preferred_channel).toLowerCase() : 'call';
+  if (!CHANNELS.includes(channel)) errors.push(`preferred_channel must be one of ${CHANNELS.join(', ')}`);
+
+  if (values.timezone) {
+    try { new Intl.DateTimeFormat('en-US', { timeZone: values.timezone }); }
+    catch { errors.push(`invalid timezone: ${values.timezone}`); }
+  }
+
+  const lead = {
+    ...values,
+    name: values.name,
+    ...phoneFields,
+    email,
+    urgency_level: urgency,
+    preferred_channel: channel,
+    preferred_language: values.preferred_language || 'Português',
+    timezone: values.timezone || 'America/Sao_Paulo',
+    source: values.source || 'import',
+    custom_fields: customFields
+  };
+  return { lead, phoneE164: phoneFields.phone || null, errors };
+}
+
+/** Phones (E.164) and emails of the owner's leads -> lead id, for dedupe */
+async function loadOwnerContacts(ownerId){
+  const phones = new Map();
+  const emails = new Map();
+  const pageSize = 1000;
+  for (let from = 0; ; from += pageSize) {
+    const { data, error } = await supa
+      .from('leads')
+      .select('id, phone, whatsapp, email')
+      .eq('owner_id', ownerId)
+      .order('created_at', { ascending: true })
+      .range(from, from + pageSize - 1);
+    if (error) throw new Error(error.message);
+
+    for (const lead of data || []) {
+      for (const phone of [lead.phone, lead.whatsapp]) {
+        const e164 = toE164(phone);
+        if (e164 && !phones.has(e164)) phones.set(e164, lead.id);
+      }
+      if (lead.email) {
+        const email = lead.email.trim().toLowerCase();
+        if (!emails.has(email)) emails.set(email, lead.id);
+      }
+    }
+    if (!data || data.length < pageSize) break;
+  }
+  return { phones, emails };
+}
+
+// Existing lead (or earlier row of the file) a row duplicates, as { reason, leadId }
+function findDuplicate(contacts, lead, phoneE164){
+  if (contacts.phones.has(phoneE164)) return { reason: 'phone', leadId: contacts.phones.get(phoneE164) };
+  if (lead.email && contacts.emails.has(lead.email)) return { reason: 'email', leadId: contacts.emails.get(lead.email) };
+  return null;
+}
+
+function remember(contacts, lead, phoneE164, ref){
+  contacts.phones.set(phoneE164, ref);
+  if (lead.email) contacts.emails.set(lead.email, ref);
+}
+
+// Checks one row against the mapping and everything seen so far
+function classifyRow(row, imp, contacts){
+  const { lead, phoneE164, errors } = buildLeadFromRow(row.data, imp.mapping, imp.defaults || {});
+  if (errors.length) return { status: 'invalid', errors };
+
+  const duplicate = findDuplicate(contacts, lead, phoneE164);
+  if (duplicate) {
+    const existing = typeof duplicate.leadId === 'number'
+      ? `row ${duplicate.leadId}`
+      : `lead ${duplicate.leadId}`;
+    return {
+      status: 'duplicate',
+      errors: [`same ${duplicate.reason} as ${existing}`],
+      leadId: typeof duplicate.leadId === 'number' ? null : duplicate.leadId
+    };
+  }
+  return { status: 'valid', lead, phoneE164 };
+}
+
+async function* pendingRows(importId){
+  let after = 0;
+  for (;;) {
+    const { data, error } = await supa
+      .from('lead_import_rows')
+      .select('row_no, data')
+      .eq('import_id', importId)
+      .eq('status', 'pending')
+      .gt('row_no', after)
+      .order('row_no', { ascending: true })
+      .limit(CHUNK_SIZE);
+    if (error) throw new Error(error.message);
+    if (!data?.length) return;
+    yield data;
+    after = data[data.length - 1].row_no;
+  }
+}
+
+/**
+ * Parse an upload and store its rows. Returns the import with the
+ * detected headers, a suggested mapping and the first rows as a sample.
+ */
+export async function createImport(ownerId, buffer, { filename, contentType } = {}){
+  let sheet;
+  try {
+    sheet = readSpreadsheet(buffer, { filename, contentType, maxBytes: env.LEAD_IMPORT_MAX_UNZIPPED_BYTES });
+  } catch (e) {
+    if (e instanceof SpreadsheetError) throw new ImportError(e.message);
+    throw e;
+  }
+  const { type, headers, rows } = sheet;
+  if (!headers.length || !rows.length) throw new ImportError('The file has no data rows');
+  if (rows.length > env.LEAD_IMPORT_MAX_ROWS) throw new ImportError(`The file has ${rows.length} rows; the limit is ${env.LEAD_IMPORT_MAX_ROWS}`);
+
+  const { data: imp, error } = await supa
+    .from('lead_imports')
+    .insert({ owner_id: ownerId, filename, file_type: type, headers, total_rows: rows.length })
+    .select()
+    .single();
+  if (error) throw new Error(error.message);
+
+  for (let i = 0; i < rows.length; i += 1000) {
+    const { error: rowsError } = await supa
+      .from('lead_import_rows')
+      .insert(rows.slice(i, i + 1000).map((data, j) => ({ import_id: imp.id, row_no: i + j + 2, data })));
+    if (rowsError) {
+      await supa.from('lead_imports').delete().eq('id', imp.id);
+      throw new Error(rowsError.message);
+    }
+  }
+
+  return { import: imp, suggested_mapping: suggestMapping(headers), sample: rows.slice(0, 5) };
+}
+
+/** Validation and dedupe of every row without writing anything (dry run) */
+export async function previewImport(imp, { mapping, defaults = {} }){
+  const contacts = await loadOwnerContacts(imp.owner_id);
+  const settings = { mapping, defaults };
+  const counts = { valid: 0, duplicate: 0, invalid: 0 };
+  const issues = [];
+  const sample = [];
+
+  for await (const rows of pendingRows(imp.id)) {
+    for (const row of rows) {
+      const result = classifyRow(row, settings, contacts);
+      counts[result.status]++;
+      if (result.status === 'valid') {
+        remember(contacts, result.lead, result.phoneE164, row.row_no);
+        if (sample.length < 5) sample.push(result.lead);
+      } else if (issues.length < 100) {
+        issues.push({ row: row.row_no, status: result.status, errors: result.errors });
+      }
+    }
+  }
+  return { counts, issues, sample };
+}
+
+/** Queue a mapped import for the background job */
+export async function startImport(imp, { mapping, defaults = {}, dial = 'hold' }){
+  const { data, error } = await supa
+    .from('lead_imports')
+    .update({ mapping, defaults, dial_mode: dial, status: 'queued', updated_at: new Date().toISOString() })
+    .eq('id', imp.id)
+    .eq('status', 'uploaded')
+    .select()
+    .maybeSingle();
+  if (error) throw new Error(error.message);
+  return data;
+}
+
+export async function cancelImport(imp){
+  const { data, error } = await supa
+    .from('lead_imports')
+    .update({ status: 'cancelled', finished_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+    .eq('id', imp.id)
+    .in('status', ['uploaded', 'queued', 'processing'])
+    .select()
+    .maybeSingle();
+  if (error) throw new Error(error.message);
+  return data;
+}
+
+// Assign doctor and agent and queue the first call for the dial queue
+async function releaseToDialer(lead){
+  try {
+    const assignment = await agentManager.findDoctorAndAgentForLead(lead);
+    await agentManager.assignDoctorAndAgentToLead(lead.id, assignment.doctor, assignment.agent);
+    await transitionLead(lead, 'reschedule', {
+      source: 'lead_import',
+      reason: 'queued_by_import',
+      updates: { next_retry_at: new Date().toISOString() }
+    });
+  } catch (error) {
+    log.warn(`Imported lead ${lead.id} could not be assigned:`, error.message);
+    const policy = await getRetryPolicy({ ownerId: lead.owner_id });
+    await transitionLead(lead, 'assignment_failed', {
+      source: 'lead_import',
+      reason: error.message,
+      updates: { next_retry_at: new Date(Date.now() + policy.retry_error_minutes * 60 * 1000).toISOString() }
+    });
+  }
+}
+
+// Inserts the valid rows of a chunk; returns row_no -> { leadId } or { error }
+async function insertLeads(imp, valid){
+  const records = valid.map(({ lead }) => ({ ...lead, owner_id: imp.owner_id, import_id: imp.id, status: 'new' }));
+  const created = { source: 'lead_import', actorType: 'user', actorId: imp.owner_id, metadata: { import_id: imp.id } };
+  const { data, error } = await supa.from('leads').insert(records).select('id, owner_id, status, specialty, city');
+  const results = new Map();
+  if (!error) {
+    valid.forEach((v, i) => results.set(v.row_no, { lead: data[i] }));
+    await recordLeadsCreated(data, created);
+    return results;
+  }
+
+  // One bad row fails the whole batch; retry one by one to find it
+  for (const [i, v] of valid.entries()) {
+    const { data: lead, error: rowError } = await supa.from('leads').insert(records[i]).select('id, owner_id, status, specialty, city').single();
+    results.set(v.row_no, rowError ? { error: rowError.message } : { lead });
+  }
+  await recordLeadsCreated([...results.values()].map(r => r.lead).filter(Boolean), created);
+  return results;
+}
+
+async function currentStatus(importId){
+  const { data } = await supa.from('lead_imports').select('status').eq('id', importId).maybeSingle();
+  return data?.status;
+}
+
+/**
+ * Run an import to completion. Claims it by its updated_at so two workers
+ * never process the same import; returns false when someone else has it.
+ */
+export async function processImport(imp){
+  const now = new Date().toISOString();
+  const { data: claimed, error: claimError } = await supa
+    .from('lead_imports')
+    .update({ status: 'processing', started_at: imp.started_at || now, updated_at: now })
+    .eq('id', imp.id)
+    .eq('updated_at', imp.updated_at)
+    .in('status', ['queued', 'processing'])
+    .select()
+    .maybeSingle();
+  if (claimError) throw new Error(claimError.message);
+  if (!claimed) return false;
+
+  const counters = {
+    processed_rows: claimed.processed_rows,
+    imported_rows: claimed.imported_rows,
+    duplicate_rows: claimed.duplicate_rows,
+    invalid_rows: claimed.invalid_rows
+  };
+
+  try {
+    const contacts = await loadOwnerContacts(claimed.owner_id);
+
+    for await (const rows of pendingRows(claimed.id)) {
+      if (await currentStatus(claimed.id) === 'cancelled') {
+        log.info(`Lead import ${claimed.id} cancelled at ${counters.processed_rows}/${claimed.total_rows}`);
+        return true;
+      }
+
+      const outcomes = new Map();
+      const valid = [];
+      for (const row of rows) {
+        const result = classifyRow(row, claimed, contacts);
+        if (result.status === 'valid') {
+          remember(contacts, result.lead, result.phoneE164, row.row_no);
+          valid.push({ ...result, row_no: row.row_no });
+        } else {
+          outcomes.set(row.row_no, { status: result.status, errors: result.errors, lead_id: result.leadId || null });
+        }
+      }
+
+      const inserted = valid.length ? await insertLeads(claimed, valid) : new Map();
+      for (const v of valid) {
+        const { lead, error } = inserted.get(v.row_no);
+        if (lead) {
+          remember(contacts, v.lead, v.phoneE164, lead.id);
+          if (claimed.dial_mode === 'enqueue') await releaseToDialer(lead);
+        }
+        outcomes.set(v.row_no, lead
+          ? { status: 'imported', errors: null, lead_id: lead.id }
+          : { status: 'failed', errors: [error], lead_id: null });
+      }
+
+      const { error: rowsError } = await supa
+        .from('lead_import_rows')
+        .upsert(rows.map(row => ({ import_id: claimed.id, row_no: row.row_no, data: row.data, ...outcomes.get(row.row_no) })), {
+          onConflict: 'import_id,row_no'
+        });
+      if (rowsError) throw new Error(rowsError.message);
+
+      for (const outcome of outcomes.values()) {
+        counters.processed_rows++;
+        if (outcome.status === 'imported') counters.imported_rows++;
+        else if (outcome.status === 'duplicate') counters.duplicate_rows++;
+        else counters.invalid_rows++;
+      }
+      await supa
+        .from('lead_imports')
+        .update({ ...counters, updated_at: new Date().toISOString() })
+        .eq('id', claimed.id);
+    }
+
+    await supa
+      .from('lead_imports')
+      .update({ status: 'completed', finished_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+      .eq('id', claimed.id)
+      .eq('status', 'processing');
+    log.info(`Lead import ${claimed.id} completed: ${counters.imported_rows} imported, ${counters.duplicate_rows} duplicates, ${counters.invalid_rows} invalid`);
+
+  } catch (error) {
+    log.error(`Lead import ${claimed.id} failed:`, error);
+    await supa
+      .from('lead_imports')
+      .update({ status: 'failed', error: error.message, finished_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+      .eq('id', claimed.id);
+  }
+  return true;
+}
+
+/** Pick up queued imports and ones left half-done by a restarted worker */
+export async function resumeImports(){
+  const staleBefore = new Date(Date.now() - STALE_MINUTES * 60 * 1000).toISOString();
+  const { data: imports, error } = await supa
+    .from('lead_imports')
+    .select('*')
+    .or(`status.eq.queued,and(status.eq.processing,updated_at.lt.${staleBefore})`)
+    .order('created_at', { ascending: true });
+  if (error) throw new Error(error.message);
+
+  let resumed = 0;
+  for (const imp of imports || []) {
+    if (await processImport(imp)) resumed++;
+  }
+  return resumed;
+}
+
+/** CSV of the rows that were not imported, with the reason and the original columns */
+export async function importErrorReport(imp){
+  const rows = [];
+  for (let from = 0; ; from += 1000) {
+    const { data, error } = await supa
+      .from('lead_import_rows')
+      .select('row_no, status, errors, lead_id, data')
+      .eq('import_id', imp.id)
+      .in('status', ['invalid', 'duplicate', 'failed'])
+      .order('row_no', { ascending: true })
+      .range(from, from + 999);
+    if (error) throw new Error(error.message);
+    rows.push(...(data || []));
+    if (!data || data.length < 1000) break;
+  }
+
+  const columns = ['row', 'status', 'errors', 'existing_lead_id', ...imp.headers];
+  return toCsv(columns, rows.map(r => ({
+    ...r.data,
+    row: r.row_no,
+    status: r.status,
+    errors: (r.errors || []).join('; '),
+    existing_lead_id: r.status === 'duplicate' ? r.lead_id : ''
+  })));
+}
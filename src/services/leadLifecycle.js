@@ -0,0 +1,174 @@
+import { supa } from '../lib/supabase.js';
+import { log } from '../config/logger.js';
+
+/*
+ * Lead lifecycle. Every change of leads.status goes through transitionLead(),
+ * which rejects transitions not listed below and writes a lead_events row.
+ *
+ *   new -> calling -> no_answer | unreachable | whatsapp_outreach | call_failed | qualified | divergent
+ *                     | not_interested | wrong_number | reschedule (callback) | appointment_scheduled
+ *   no_answer / reschedule / *_failed -> calling (dial queue) ...
+ *   whatsapp_outreach -> waiting_preference -> reschedule | whatsapp_conversation | needs_human
+ *   any open lead -> appointment_scheduled, campaign_queued, merged
+ *   any lead -> do_not_contact (opt-out, see suppression.js)
+ *
+ * merged is final.
+ */
+
+/** A status change the lifecycle doesn't allow */
+export class LeadTransitionError extends Error {
+  constructor(leadId, from, to){
+    super(`Lead ${leadId} cannot go from ${from || 'none'} to ${to}`);
+    this.from = from;
+    this.to = to;
+  }
+}
+
+export const BOOKED_STATUSES = ['appointment_scheduled', 'consultation_scheduled'];
+const BOOKED = BOOKED_STATUSES;
+// What a call can end in (the call outcome classifier picks one, see callOutcome.js)
+const CALL_ENDED = ['no_answer', 'unreachable', 'whatsapp_outreach', 'call_failed', 'qualified', 'divergent', 'not_interested', 'wrong_number'];
+const DIAL_AGAIN = ['calling', 'reschedule', 'retry_failed', 'whatsapp_outreach', 'unreachable', 'needs_human', ...BOOKED];
+
+const TRANSITIONS = {
+  // Calls placed before leads were moved to calling still end from new
+  new: ['calling', 'reschedule', 'call_failed', 'assignment_failed', 'needs_human', ...CALL_ENDED, ...BOOKED],
+  calling: ['reschedule', ...CALL_ENDED, ...BOOKED],
+  no_answer: ['no_answer', ...DIAL_AGAIN],
+  reschedule: ['reschedule', 'assignment_failed', ...DIAL_AGAIN],
+  call_failed: ['call_failed', ...DIAL_AGAIN],
+  retry_failed: DIAL_AGAIN,
+  assignment_failed: ['assignment_failed', 'reschedule', 'calling', 'call_failed', 'needs_human', ...BOOKED],
+  // Leads a stopped campaign never dialed get their previous status back
+  campaign_queued: ['new', 'calling', 'no_answer', 'reschedule', 'call_failed', 'retry_failed', 'assignment_failed',
+    'whatsapp_outreach', 'waiting_preference', 'whatsapp_conversation', 'needs_human', 'unreachable',
+    'qualified', 'divergent', 'not_interested', 'wrong_number', ...BOOKED],
+  whatsapp_outreach: ['waiting_preference', 'whatsapp_conversation', 'reschedule', 'calling', 'unreachable', 'needs_human', ...BOOKED],
+  waiting_preference: ['waiting_preference', 'reschedule', 'whatsapp_conversation', 'needs_human', 'calling', ...BOOKED],
+  whatsapp_conversation: ['waiting_preference', 'reschedule', 'calling', 'needs_human', 'qualified', ...BOOKED],
+  needs_human: ['reschedule', 'calling', 'whatsapp_conversation', 'qualified', 'divergent', 'unreachable', 'not_interested', 'wrong_number', ...BOOKED],
+  // Patients may change their mind; a wrong number needs the phone fixed first
+  not_interested: ['reschedule', 'calling', 'whatsapp_conversation', 'needs_human', 'qualified', ...BOOKED],
+  wrong_number: ['calling', 'needs_human'],
+  // Only left by hand, once the phone is off the suppression list
+  do_not_contact: ['needs_human', 'qualified', ...BOOKED],
+  unreachable: ['reschedule', 'calling', 'whatsapp_outreach', 'needs_human', ...BOOKED],
+  // call_analyzed refines the provisional 'qualified' that call_ended sets for answered calls
+  qualified: ['reschedule', 'calling', 'whatsapp_conversation', 'needs_human', ...CALL_ENDED, ...BOOKED],
+  divergent: ['reschedule', 'calling', 'qualified', 'needs_human'],
+  // A call that ends after booking stays booked
+  appointment_scheduled: ['reschedule', 'calling', 'needs_human', ...BOOKED],
+  consultation_scheduled: ['reschedule', 'calling', 'needs_human', ...BOOKED],
+  merged: []
+};
+
+export const LEAD_STATUSES = Object.keys(TRANSITIONS);
+
+export function canTransition(from, to){
+  if (!LEAD_STATUSES.includes(to) || from === 'merged') return false;
+  // An opt-out applies whatever the lead was doing
+  if (to === 'do_not_contact') return true;
+  // Campaigns take any lead that isn't on a call or opted out; duplicates can be merged
+  if (to === 'campaign_queued') return from !== 'calling' && from !== 'do_not_contact';
+  if (to === 'merged') return from !== 'calling';
+  // Statuses written before the lifecycle existed can always be corrected
+  if (!LEAD_STATUSES.includes(from)) return true;
+  return TRANSITIONS[from].includes(to);
+}
+
+/**
+ * Write a lead_events row. Used by transitionLead(), and directly when the
+ * status was set elsewhere (lead creation, the merge_leads function).
+ */
+export async function recordLeadEvent(lead, { from = null, to, reason = null, source, actorType = 'system', actorId = null, callAttemptId = null, messageId = null, metadata = null }){
+  const { error } = await supa
+    .from('lead_events')
+    .insert({
+      lead_id: lead.id,
+      owner_id: lead.owner_id || null,
+      from_status: from,
+      to_status: to,
+      reason,
+      source,
+      actor_type: actorType,
+      actor_id: actorId,
+      call_attempt_id: callAttemptId,
+      message_id: messageId,
+      metadata
+    });
+  if (error) log.error(`Failed to record lead event for lead ${lead.id}:`, error.message);
+}
+
+/** Creation events for newly inserted leads (one insert for a whole batch) */
+export async function recordLeadsCreated(leads, { source, reason = null, actorType = 'system', actorId = null, metadata = null }){
+  if (!leads?.length) return;
+  const { error } = await supa
+    .from('lead_events')
+    .insert(leads.map(lead => ({
+      lead_id: lead.id,
+      owner_id: lead.owner_id || null,
+      from_status: null,
+      to_status: lead.status || 'new',
+      reason,
+      source,
+      actor_type: actorType,
+      actor_id: actorId,
+      metadata
+    })));
+  if (error) log.error(`Failed to record creation of ${leads.length} leads:`, error.message);
+}
+
+async function currentLead(leadId){
+  const { data, error } = await supa.from('leads').select('id, owner_id, status').eq('id', leadId).maybeSingle();
+  if (error) throw new Error(error.message);
+  if (!data) throw new Error(`Lead ${leadId} not found`);
+  return data;
+}
+
+/**
+ * Move a lead to `to`, applying `updates` in the same write. The update only
+ * lands if the status is still the one checked; if another process changed it
+ * first, the transition is checked again against the new status.
+ * `lead` needs id (and status/owner_id, fetched when missing).
+ * Throws LeadTransitionError when the transition isn't allowed.
+ * Returns the lead with the updates applied.
+ */
+export async function transitionLead(lead, to, { reason = null, source, actorType = 'system', actorId = null, callAttemptId = null, messageId = null, metadata = null, updates = {} } = {}){
+  let current = lead.status === undefined || lead.owner_id === undefined ? { ...lead, ...(await currentLead(lead.id)) } : lead;
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const from = current.status;
+    if (!canTransition(from, to)) throw new LeadTransitionError(lead.id, from, to);
+
+    const { data: changed, error } = await supa
+      .from('leads')
+      .update({ ...updates, status: to })
+      .eq('id', lead.id)
+      .eq('status', from)
+      .select('id');
+    if (error) throw new Error(error.message);
+
+    if (changed?.length) {
+      await recordLeadEvent(current, { from, to, reason, source, actorType, actorId, callAttemptId, messageId, metadata });
+      log.info(`Lead ${lead.id} ${from} -> ${to}${reason ? ` (${reason})` : ''}`);
+      return { ...current, ...updates, status: to };
+    }
+
+    current = { ...current, ...(await currentLead(lead.id)) };
+  }
+  throw new LeadTransitionError(lead.id, current.status, to);
+}
+
+/**
+ * transitionLead() for callers that can't do anything about a rejected
+ * transition (webhooks, background jobs): logs it and returns null.
+ */
+export async function transitionLeadIfAllowed(lead, to, options = {}){
+  try {
+    return await transitionLead(lead, to, options);
+  } catch (error) {
+    if (!(error instanceof LeadTransitionError)) throw error;
+    log.warn(`${error.message} (${options.source}${options.reason ? `: ${options.reason}` : ''}), left unchanged`);
+    return null;
+  }
+}
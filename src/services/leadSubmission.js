@@ -0,0 +1,384 @@
+import { supa } from '../lib/supabase.js';
+import { log } from '../config/logger.js';
+import { agentManager } from './agentManager.js';
+import { canCallLead, nextCallTimeForLead } from './callingWindow.js';
+import { getRetryPolicy, backoffMinutes } from './retryPolicy.js';
+import { CallThrottledError } from './callGovernor.js';
+import { ContactSuppressedError, recordLeadConsent } from './suppression.js';
+import { enqueueDial } from './dialQueue.js';
+import { leadPhoneFields } from './leads.js';
+import { getDuplicateRules, findDuplicateLead, recordTouch } from './leadDuplicates.js';
+import { transitionLead, transitionLeadIfAllowed, recordLeadsCreated } from './leadLifecycle.js';
+
+/**
+ * Create a lead and run it through assignment and the immediate first call,
+ * for /lead/submit, public forms and ad platform webhooks. `intake` is
+ * { ownerId, keyId, formId, dial, defaults, eventSource, ip, userAgent,
+ * consentVersion, consentText, consent }; `columns` are extra lead columns set
+ * by the caller (e.g. ad ids). Returns the HTTP { status, body } to send.
+ */
+export async function submitLead(intake, input, { columns = {} } = {}){
+  const { ownerId: owner_id, keyId, formId, dial, defaults = {} } = intake;
+  const eventSource = intake.eventSource || (formId ? 'lead_form' : 'lead_submit');
+  const {
+    name,
+    phone,
+    email,
+    city,
+    specialty,
+    reason,
+    urgency_level = 1,
+    whatsapp,
+    preferred_channel = 'call',
+    preferred_language = 'Português',
+    timezone = 'America/Sao_Paulo',
+    // Source tracking
+    source,
+    campaign,
+    utm_source,
+    utm_medium,
+    utm_campaign,
+    notes,
+    custom_fields = {},
+    // true/false or { granted, text_version, text, captured_at, ip, user_agent }
+    consent = intake.consent,
+    // Test mode
+    test_mode = false
+  } = { ...defaults, ...input };
+
+  // Validation
+  if (!name || !phone) {
+    return { status: 400, body: {
+      ok: false,
+      error: 'Name and phone are required'
+    } };
+  }
+
+  // Canonical E.164 phone (and WhatsApp ID); rejects numbers that can't be dialed
+  const phoneFields = leadPhoneFields(phone, whatsapp);
+  if (phoneFields.error) {
+    return { status: 400, body: {
+      ok: false,
+      error: phoneFields.error,
+      reason: phoneFields.reason
+    } };
+  }
+  const cleanPhone = phoneFields.fields.phone;
+
+  // Forms with a consent text only take submissions that accept it
+  const consentGranted = consent === true || consent === 'true' || consent?.granted === true || consent?.granted === 'true';
+  if (intake.consentVersion && !consentGranted) {
+    return { status: 400, body: {
+      ok: false,
+      error: 'Consent is required'
+    } };
+  }
+  const consentOptions = {
+    source: eventSource,
+    ip: intake.ip || null,
+    userAgent: intake.userAgent || null,
+    keyId: keyId || null,
+    formId: formId || null,
+    textVersion: intake.consentVersion || null,
+    text: intake.consentText || null
+  };
+
+  // Repeat submissions (same phone or email within the owner's window) are
+  // recorded as a touch on the existing lead and don't start another call sequence
+  const existingLead = await findDuplicateLead(
+    { ownerId: owner_id, phone: cleanPhone, email },
+    await getDuplicateRules(owner_id)
+  );
+  if (existingLead) {
+    await recordTouch(existingLead, {
+      source, campaign, utm_source, utm_medium, utm_campaign,
+      name, email, city, specialty, reason, notes, custom_fields
+    });
+    if (consent !== undefined) await recordLeadConsent(existingLead, consent, consentOptions);
+    log.info(`Duplicate lead detected: ${existingLead.id} for phone ${cleanPhone}`);
+    return { status: 200, body: {
+      ok: true,
+      duplicate: true,
+      message: 'Lead already submitted recently; recorded as a new touch',
+      lead: {
+        id: existingLead.id,
+        name: existingLead.name,
+        phone: existingLead.phone,
+        status: existingLead.status
+      }
+    } };
+  }
+
+  // Create lead record
+  const { data: newLead, error: leadError } = await supa
+    .from('leads')
+    .insert({
+      owner_id,
+      intake_key_id: keyId || null,
+      intake_form_id: formId || null,
+      ...columns,
+      name: name.trim(),
+      ...phoneFields.fields,
+      email: email?.trim().toLowerCase(),
+      city: city?.trim(),
+      specialty: specialty?.trim(),
+      reason: reason?.trim(),
+      urgency_level: parseInt(urgency_level),
+      preferred_channel,
+      preferred_language,
+      timezone,
+      source,
+      campaign,
+      utm_source,
+      utm_medium,
+      utm_campaign,
+      notes,
+      custom_fields,
+      status: 'new',
+    })
+    .select()
+    .single();
+
+  if (leadError) {
+    log.error('Lead creation error:', leadError);
+    return { status: 500, body: {
+      ok: false,
+      error: 'Failed to create lead'
+    } };
+  }
+
+  log.info(`Lead created: ${newLead.id} - ${name} (${cleanPhone})`);
+  if (consent !== undefined) await recordLeadConsent(newLead, consent, consentOptions);
+  await recordLeadsCreated([newLead], { source: eventSource, actorType: 'integration', metadata: { intake_key_id: keyId || null, intake_form_id: formId || null } });
+
+  // Keys without leads:dial (and forms with auto_dial off) only create the lead
+  if (!dial) {
+    return { status: 201, body: {
+      ok: true,
+      message: 'Lead submitted successfully',
+      lead: {
+        id: newLead.id,
+        name: newLead.name,
+        phone: newLead.phone,
+        status: newLead.status
+      }
+    } };
+  }
+
+  try {
+    let assignment;
+    
+    // Find appropriate doctor and agent based on owner_id
+    assignment = await agentManager.findDoctorAndAgentForLead(newLead);
+    
+    // Assign doctor and agent to lead
+    const updatedLead = await agentManager.assignDoctorAndAgentToLead(
+      newLead.id,
+      assignment.doctor,
+      assignment.agent
+    );
+
+
+    log.info(`Lead ${newLead.id} assigned to doctor ${assignment.doctor.id} (${assignment.doctor.name}) with agent ${assignment.agent.id}`);
+
+    // Outside the owner's calling window the first call waits for the scheduler
+    const callingLead = { ...updatedLead, owner_id: updatedLead.owner_id || assignment.doctor.owner_id };
+    const window = await canCallLead(callingLead);
+    if (!window.ok) {
+      const nextAt = await nextCallTimeForLead(callingLead);
+      await transitionLead(newLead, 'reschedule', {
+        source: eventSource,
+        reason: `outside_calling_window: ${window.reason}`,
+        updates: { next_retry_at: nextAt?.toISOString() || null }
+      });
+
+      log.info(`Lead ${newLead.id} outside calling window (${window.reason}), first call at ${nextAt?.toISOString()}`);
+
+      return { status: 201, body: {
+        ok: true,
+        message: 'Lead submitted successfully, call scheduled for the next calling window',
+        lead: {
+          id: newLead.id,
+          name: newLead.name,
+          phone: newLead.phone,
+          status: 'reschedule',
+          assigned_to: {
+            doctor_name: assignment.doctor.name,
+            doctor_specialty: assignment.doctor.specialty,
+            agent_name: assignment.agent.name,
+            business_owner: assignment.doctor.owner_id
+          }
+        },
+        call: {
+          status: 'scheduled',
+          scheduled_at: nextAt?.toISOString() || null,
+          reason: window.reason
+        }
+      } };
+    }
+
+    // Attempt immediate outbound call
+    try {
+      const callResponse = await agentManager.makeOutboundCall(updatedLead);
+      
+      // Record call attempt
+      const { data: attempt } = await supa
+        .from('call_attempts')
+        .insert({
+          lead_id: newLead.id,
+          doctor_id: assignment.doctor.id,
+          agent_id: assignment.agent.id,
+          owner_id: assignment.doctor.owner_id,
+          direction: 'outbound',
+          attempt_no: 1,
+          scheduled_at: new Date().toISOString(),
+          started_at: new Date().toISOString(),
+          retell_call_id: callResponse.call_id,
+          outcome: 'initiated',
+          meta: {
+            agent_assignment: {
+              doctor_id: assignment.doctor.id,
+              doctor_name: assignment.doctor.name,
+              doctor_specialty: assignment.doctor.specialty,
+              agent_id: assignment.agent.id,
+              agent_name: assignment.agent.name,
+              business_owner: assignment.doctor.owner_id
+            }
+          }
+        })
+        .select('id')
+        .single();
+      await transitionLeadIfAllowed(newLead, 'calling', { source: eventSource, reason: 'first_call', callAttemptId: attempt?.id || null });
+
+      log.info(`Outbound call initiated for lead ${newLead.id}: ${callResponse.call_id}`);
+
+      return { status: 201, body: {
+        ok: true,
+        message: 'Lead submitted successfully and call initiated',
+        lead: {
+          id: newLead.id,
+          name: newLead.name,
+          phone: newLead.phone,
+          status: 'calling',
+          assigned_to: {
+            doctor_name: assignment.doctor.name,
+            doctor_specialty: assignment.doctor.specialty,
+            agent_name: assignment.agent.name,
+            business_owner: assignment.doctor.owner_id
+          }
+        },
+        call: {
+          call_id: callResponse.call_id,
+          status: 'initiated'
+        }
+      } };
+
+    } catch (callError) {
+      // Over the concurrency caps: queue the first call and tell the caller when
+      if (callError instanceof CallThrottledError) {
+        await transitionLead(newLead, 'reschedule', {
+          source: eventSource,
+          reason: `call_throttled: ${callError.reason}`,
+          updates: { next_retry_at: callError.eta.toISOString() }
+        });
+        await enqueueDial(callingLead, { runAt: callError.eta, priority: 10 });
+
+        return { status: 201, body: {
+          ok: true,
+          message: 'Lead submitted successfully, call queued',
+          lead: {
+            id: newLead.id,
+            name: newLead.name,
+            phone: newLead.phone,
+            status: 'reschedule',
+            assigned_to: {
+              doctor_name: assignment.doctor.name,
+              doctor_specialty: assignment.doctor.specialty,
+              agent_name: assignment.agent.name,
+              business_owner: assignment.doctor.owner_id
+            }
+          },
+          call: {
+            status: 'queued',
+            eta: callError.eta.toISOString(),
+            reason: callError.reason
+          }
+        } };
+      }
+
+      // Opted out (or no consent while the owner requires it): don't call, don't retry
+      if (callError instanceof ContactSuppressedError) {
+        await transitionLead(newLead, callError.leadStatus, {
+          source: eventSource,
+          reason: callError.message
+        });
+
+        return { status: 201, body: {
+          ok: true,
+          message: 'Lead submitted successfully, not called',
+          lead: {
+            id: newLead.id,
+            name: newLead.name,
+            phone: newLead.phone,
+            status: callError.leadStatus
+          },
+          call: {
+            status: 'blocked',
+            reason: callError.reason
+          }
+        } };
+      }
+
+      log.error(`Failed to initiate call for lead ${newLead.id}:`, callError);
+      
+      // Update lead status to indicate call failure
+      const policy = await getRetryPolicy({ agentId: assignment.agent.id });
+      await transitionLead(newLead, 'call_failed', {
+        source: eventSource,
+        reason: callError.message,
+        updates: { next_retry_at: new Date(Date.now() + backoffMinutes(policy, 'dial_failed', 1) * 60 * 1000).toISOString() }
+      });
+
+      return { status: 201, body: {
+        ok: true,
+        message: 'Lead submitted successfully but call initiation failed',
+        lead: {
+          id: newLead.id,
+          name: newLead.name,
+          phone: newLead.phone,
+          status: 'call_failed',
+          assigned_to: {
+            doctor_name: assignment.doctor.name,
+            doctor_specialty: assignment.doctor.specialty,
+            agent_name: assignment.agent.name,
+            business_owner: assignment.doctor.owner_id
+          }
+        },
+        error: 'Call initiation failed - will retry later'
+      } };
+    }
+
+  } catch (assignmentError) {
+    log.error(`Failed to assign doctor/agent for lead ${newLead.id}:`, assignmentError);
+    
+    // Update lead status to indicate assignment failure
+    const policy = await getRetryPolicy({ ownerId: newLead.owner_id });
+    await transitionLead(newLead, 'assignment_failed', {
+      source: eventSource,
+      reason: assignmentError.message,
+      updates: { next_retry_at: new Date(Date.now() + policy.retry_error_minutes * 60 * 1000).toISOString() }
+    });
+
+    return { status: 201, body: {
+      ok: true,
+      message: 'Lead submitted but doctor/agent assignment failed',
+      lead: {
+        id: newLead.id,
+        name: newLead.name,
+        phone: newLead.phone,
+        status: 'assignment_failed'
+      },
+      error: 'No available doctor/agent for this specialty - will retry later'
+    } };
+  }
+}
@@ -0,0 +1,237 @@
+import { supa } from '../lib/supabase.js';
+import { renderTextPdf } from '../lib/pdf.js';
+import { DEFAULT_TIMEZONE } from '../lib/datetime.js';
+
+/*
+ * Lead activity timeline: calls, messages, status changes, appointments,
+ * payments and notes merged newest first. Each source is read in the same
+ * (created_at, id) order and the page is cut from the merged list, so the
+ * cursor of the last entry continues every source where it stopped.
+ */
+
+export const TIMELINE_TYPES = ['call', 'whatsapp', 'sms', 'status_change', 'appointment', 'payment', 'note'];
+
+export const MAX_PAGE_SIZE = 200;
+const MAX_EXPORT_ENTRIES = 5000;
+
+const SOURCES = [
+  {
+    type: 'call',
+    table: 'call_attempts',
+    select: 'id, direction, attempt_no, started_at, ended_at, total_call_duration, outcome, disposition, sentiment_score, call_analysis, retell_call_id, created_at'
+  },
+  {
+    type: 'whatsapp',
+    table: 'whatsapp_messages',
+    select: 'id, direction, type, body, template_name, media_mime_type, status, error, created_at',
+    data: (row) => ({ ...row, provider: 'whatsapp_cloud' })
+  },
+  {
+    type: 'whatsapp',
+    table: 'twilio_messages',
+    select: 'id, direction, body, media_url, status, error, message_sid, created_at',
+    filter: (query) => query.eq('channel', 'whatsapp'),
+    data: (row) => ({ ...row, provider: 'twilio' })
+  },
+  {
+    type: 'sms',
+    table: 'twilio_messages',
+    select: 'id, direction, body, media_url, status, error, message_sid, created_at',
+    filter: (query) => query.eq('channel', 'sms')
+  },
+  {
+    type: 'status_change',
+    table: 'lead_events',
+    select: 'id, from_status, to_status, reason, source, actor_type, actor_id, call_attempt_id, message_id, metadata, created_at'
+  },
+  {
+    type: 'appointment',
+    table: 'appointments',
+    select: 'id, appointment_type, start_at, end_at, timezone, status, is_telemedicine, meeting_link, office_address, price, payment_status, cancelled_at, cancellation_reason, doctors(id, name), created_at'
+  },
+  {
+    type: 'payment',
+    table: 'payments',
+    select: 'id, appointment_id, expected_amount, paid_amount, currency, payment_method, status, paid_at, checkout_url, created_at'
+  },
+  {
+    type: 'note',
+    table: 'lead_notes',
+    select: 'id, body, author_id, created_at'
+  }
+];
+
+/** Opaque cursor of an entry: its timestamp and id */
+export function encodeCursor(entry){
+  return Buffer.from(JSON.stringify([entry.at, entry.id])).toString('base64url');
+}
+
+export function decodeCursor(cursor){
+  try {
+    const [at, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (typeof at !== 'string' || typeof id !== 'string' || isNaN(new Date(at))) return null;
+    return { at, id };
+  } catch {
+    return null;
+  }
+}
+
+// Same order as the queries: created_at, then id, both descending
+const newestFirst = (a, b) => (a.at < b.at ? 1 : a.at > b.at ? -1 : a.id < b.id ? 1 : a.id > b.id ? -1 : 0);
+
+async function readSource(source, leadId, { limit, after }){
+  let query = supa
+    .from(source.table)
+    .select(source.select)
+    .eq('lead_id', leadId);
+  if (source.filter) query = source.filter(query);
+  if (after) query = query.or(`created_at.lt."${after.at}",and(created_at.eq."${after.at}",id.lt.${after.id})`);
+
+  const { data, error } = await query
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: false })
+    .limit(limit);
+  if (error) throw new Error(`${source.table}: ${error.message}`);
+
+  return (data || []).map(row => ({
+    id: row.id,
+    type: source.type,
+    at: row.created_at,
+    data: source.data ? source.data(row) : row
+  }));
+}
+
+/**
+ * One page of the lead's timeline, newest first.
+ * Returns { entries, next_cursor } (next_cursor is null on the last page).
+ */
+export async function listLeadTimeline(leadId, { types = TIMELINE_TYPES, limit = 50, cursor = null } = {}){
+  const after = cursor ? decodeCursor(cursor) : null;
+  const sources = SOURCES.filter(s => types.includes(s.type));
+
+  const lists = await Promise.all(sources.map(s => readSource(s, leadId, { limit: limit + 1, after })));
+  const merged = lists.flat().sort(newestFirst);
+  const entries = merged.slice(0, limit);
+
+  return {
+    entries,
+    next_cursor: merged.length > limit ? encodeCursor(entries[entries.length - 1]) : null
+  };
+}
+
+const CALL_OUTCOMES = {
+  completed: 'atendida', no_answer: 'não atendida', voicemail: 'caixa postal', busy: 'ocupado', failed: 'falhou'
+};
+const TYPE_LABELS = {
+  call: 'Ligação', whatsapp: 'WhatsApp', sms: 'SMS', status_change: 'Status', appointment: 'Consulta', payment: 'Pagamento', note: 'Nota'
+};
+
+function formatDateTime(value, timeZone){
+  if (!value) return '';
+  const d = new Date(value);
+  return `${d.toLocaleDateString('pt-BR', { timeZone })} ${d.toLocaleTimeString('pt-BR', { timeZone, hour: '2-digit', minute: '2-digit' })}`;
+}
+
+const formatMoney = (amount, currency = 'BRL') =>
+  amount == null ? '' : Number(amount).toLocaleString('pt-BR', { style: 'currency', currency: currency || 'BRL' });
+
+function formatDuration(value){
+  const seconds = Math.round(Number(value) || 0);
+  if (!seconds) return null;
+  const m = Math.floor(seconds / 60);
+  return m ? `${m}min ${seconds % 60}s` : `${seconds}s`;
+}
+
+/** Heading and detail lines of one entry, as printed in the PDF */
+function describeEntry(entry, timeZone){
+  const d = entry.data;
+  const inbound = d.direction === 'inbound';
+  switch (entry.type) {
+    case 'call':
+      return {
+        heading: [
+          inbound ? 'recebida' : `tentativa ${d.attempt_no || 1}`,
+          CALL_OUTCOMES[d.outcome] || d.outcome,
+          formatDuration(d.total_call_duration),
+          d.disposition
+        ].filter(Boolean).join(' - '),
+        details: [d.call_analysis?.call_summary && `Resumo: ${d.call_analysis.call_summary}`].filter(Boolean)
+      };
+    case 'whatsapp':
+    case 'sms':
+      return {
+        heading: `${inbound ? 'recebido do paciente' : 'enviado'}${d.status === 'failed' ? ' (falhou)' : ''}`,
+        details: [d.body || (d.template_name && `Modelo: ${d.template_name}`) || (d.media_url || d.media_mime_type ? '[anexo]' : '')].filter(Boolean)
+      };
+    case 'status_change':
+      return {
+        heading: d.from_status ? `${d.from_status} -> ${d.to_status}` : `lead criado (${d.to_status})`,
+        details: [[d.reason, `origem: ${d.source}`].filter(Boolean).join(' - ')]
+      };
+    case 'appointment':
+      return {
+        heading: `agendada para ${formatDateTime(d.start_at, d.timezone || timeZone)}${d.doctors?.name ? ` com ${d.doctors.name}` : ''}`,
+        details: [
+          `Situação: ${d.status}${d.cancelled_at ? ` em ${formatDateTime(d.cancelled_at, timeZone)}${d.cancellation_reason ? ` (${d.cancellation_reason})` : ''}` : ''}`,
+          d.is_telemedicine ? 'Teleconsulta' : d.office_address
+        ].filter(Boolean)
+      };
+    case 'payment':
+      return {
+        heading: `${formatMoney(d.expected_amount, d.currency)} - ${d.status}`,
+        details: [
+          d.paid_at && `Pago ${formatMoney(d.paid_amount ?? d.expected_amount, d.currency)} em ${formatDateTime(d.paid_at, timeZone)}${d.payment_method ? ` (${d.payment_method})` : ''}`
+        ].filter(Boolean)
+      };
+    case 'note':
+      return { heading: '', details: [d.body] };
+    default:
+      return { heading: entry.type, details: [] };
+  }
+}
+
+/**
+ * The whole timeline (oldest first) of `lead` as a PDF for the doctor's record.
+ * `lead` is the leads row, with doctors(name) when assigned.
+ */
+export async function leadTimelinePdf(lead, { types = TIMELINE_TYPES } = {}){
+  const timeZone = lead.timezone || DEFAULT_TIMEZONE;
+
+  const entries = [];
+  let cursor = null;
+  do {
+    const page = await listLeadTimeline(lead.id, { types, limit: MAX_PAGE_SIZE, cursor });
+    entries.push(...page.entries);
+    cursor = page.next_cursor;
+  } while (cursor && entries.length < MAX_EXPORT_ENTRIES);
+  entries.reverse();
+
+  const blocks = [
+    { text: `Histórico do paciente - ${lead.name}`, size: 16, bold: true },
+    {
+      text: [
+        `Telefone: ${lead.phone}${lead.email ? `   E-mail: ${lead.email}` : ''}`,
+        lead.birth_date && `Data de nascimento: ${lead.birth_date.split('-').reverse().join('/')}`,
+        [lead.specialty && `Especialidade: ${lead.specialty}`, lead.doctors?.name && `Médico: ${lead.doctors.name}`].filter(Boolean).join('   '),
+        lead.reason && `Motivo: ${lead.reason}`,
+        `Status atual: ${lead.status}   Cadastrado em ${formatDateTime(lead.created_at, timeZone)}`,
+        lead.notes && `Observações: ${lead.notes}`
+      ].filter(Boolean).join('\n'),
+      size: 9,
+      spaceBefore: 6
+    }
+  ];
+
+  if (!entries.length) blocks.push({ text: 'Nenhuma atividade registrada.', spaceBefore: 14 });
+  for (const entry of entries) {
+    const { heading, details } = describeEntry(entry, timeZone);
+    blocks.push({ text: `${formatDateTime(entry.at, timeZone)}  ${TYPE_LABELS[entry.type]}${heading ? `: ${heading}` : ''}`, bold: true, spaceBefore: 10 });
+    for (const detail of details) blocks.push({ text: detail, size: 9, indent: 12 });
+  }
+  if (cursor) blocks.push({ text: `Exportação limitada às ${MAX_EXPORT_ENTRIES} atividades mais recentes.`, size: 8, spaceBefore: 14 });
+
+  return renderTextPdf(blocks, {
+    title: `Histórico - ${lead.name}`,
+    footer: `${lead.name} - gerado em ${formatDateTime(new Date(), timeZone)}`
+  });
+}
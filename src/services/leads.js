@@ -0,0 +1,55 @@
+import { supa } from '../lib/supabase.js';
+import { parsePhone, PHONE_ERRORS } from '../lib/phone.js';
+
+/**
+ * Phone columns of a lead from the submitted phone (and optional WhatsApp
+ * number): canonical E.164, mobile/landline, and the WhatsApp ID, which
+ * landlines only get when a separate WhatsApp number is given.
+ * Returns { fields } or { error, reason, field } when a number is invalid.
+ */
+export function leadPhoneFields(phone, whatsapp){
+  const parsed = parsePhone(phone);
+  if (!parsed.valid) return { error: PHONE_ERRORS[parsed.reason], reason: parsed.reason, field: 'phone' };
+
+  const separateWhatsapp = Boolean(String(whatsapp ?? '').trim());
+  let wa = parsed.type === 'landline' ? null : parsed;
+  if (separateWhatsapp) {
+    // A WhatsApp number without DDD is taken to share the phone's
+    wa = parsePhone(whatsapp, { defaultAreaCode: parsed.areaCode });
+    if (!wa.valid) return { error: `Invalid WhatsApp number: ${PHONE_ERRORS[wa.reason]}`, reason: wa.reason, field: 'whatsapp' };
+  }
+
+  return {
+    fields: {
+      phone: parsed.e164,
+      phone_type: parsed.type,
+      whatsapp: separateWhatsapp ? wa.e164 : null,
+      whatsapp_id: wa?.whatsappId || null
+    }
+  };
+}
+
+/**
+ * Leads with exactly this number as phone, whatsapp or whatsapp_id (the
+ * canonical forms leadPhoneFields() writes), newest first, so
+ * "+55 11 9xxxx-xxxx", "whatsapp:+55..." and "5511..." agree. Pass the owner
+ * whenever it is known: the same number may be a lead of several owners.
+ */
+export async function findLeadsByPhone(phone, { ownerId = null, fields = 'id, owner_id, name, phone, whatsapp' } = {}){
+  const parsed = parsePhone(phone);
+  // WhatsApp IDs of other countries come without the +
+  const digits = String(phone || '').replace(/\D/g, '');
+  const e164 = parsed.valid ? parsed.e164 : digits.length >= 8 && digits.length <= 15 ? `+${digits}` : null;
+  if (!e164) return [];
+  const whatsappId = parsed.valid ? parsed.whatsappId : digits;
+
+  let query = supa
+    .from('leads')
+    .select(fields)
+    .or(`phone.eq."${e164}",whatsapp.eq."${e164}",whatsapp_id.eq.${whatsappId}`)
+    .order('created_at', { ascending: false });
+  if (ownerId) query = query.eq('owner_id', ownerId);
+  const { data, error } = await query;
+  if (error) throw new Error(error.message);
+  return data || [];
+}
@@ -0,0 +1,41 @@
+import { supa } from '../lib/supabase.js';
+import { log } from '../config/logger.js';
+import { toE164, toWhatsAppId } from '../lib/phone.js';
+import { whatsappBusinessService } from './whatsappBusiness.js';
+import { sendTwilioMessage } from './twilioMessages.js';
+
+/**
+ * Send a free-text message to a lead on the agent's confirmation_channel
+ * ('whatsapp' | 'sms' | 'email'). There is no email provider yet, so email
+ * falls back to WhatsApp. Returns the channel actually used.
+ */
+export async function notifyLead({ ownerId, lead, channel = 'whatsapp', message }){
+  if (channel === 'sms') {
+    const to = toE164(lead.phone);
+    if (!to) throw new Error(`Lead ${lead.id} has no valid phone for SMS`);
+    await sendTwilioMessage({ ownerId, leadId: lead.id, to, body: message });
+    return 'sms';
+  }
+
+  if (channel === 'email') {
+    log.warn(`Email notifications are not configured; sending to lead ${lead.id} on WhatsApp instead`);
+  }
+  const to = lead.whatsapp_id || toWhatsAppId(lead.whatsapp || lead.phone);
+  if (!to) throw new Error(`Lead ${lead.id} has no valid WhatsApp or phone number`);
+  await whatsappBusinessService.sendTextMessage(ownerId, to, message, { leadId: lead.id });
+  return 'whatsapp';
+}
+
+/**
+ * Tell the owner about something that needs a person. There is no owner
+ * channel yet, so it becomes a note on the lead's timeline (no author).
+ * Never throws.
+ */
+export async function notifyOwner({ ownerId, leadId = null, message }){
+  log.warn(`Owner ${ownerId} notified${leadId ? ` about lead ${leadId}` : ''}: ${message}`);
+  if (!leadId) return;
+  const { error } = await supa
+    .from('lead_notes')
+    .insert({ lead_id: leadId, owner_id: ownerId, author_id: null, body: message });
+  if (error) log.error(`Failed to notify owner ${ownerId}:`, error.message);
+}
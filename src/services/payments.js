@@ -1 +1,619 @@
-export async function expectedAmountForLead(_leadId){ return 280; }
+import { supa } from '../lib/supabase.js';
+import { stripe, currency } from '../lib/stripe.js';
+import { env } from '../config/env.js';
+import { log } from '../config/logger.js';
+import { whatsappBusinessService } from './whatsappBusiness.js';
+import { DEFAULT_TIMEZONE } from '../lib/datetime.js';
+import { findLeadsByPhone } from './leads.js';
+import { notifyOwner } from './notifications.js';
+
+// Stripe allows Checkout Sessions to live between 30 minutes and 24 hours
+const CHECKOUT_TTL_HOURS = 24;
+// A claimed Stripe event whose handler never finished may be taken over after this
+const STRIPE_CLAIM_TIMEOUT_MINUTES = 5;
+
+/** "R$ 1.280,50" / "280" / 280 -> 1280.5 / 280 / 280 */
+export function parseAmount(value){
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  let s = String(value || '').replace(/[^\d,.]/g, '');
+  if (!s) return null;
+  if (s.includes(',')) s = s.replace(/\./g, '').replace(',', '.');
+  const n = Number(s);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+/**
+ * Price and Checkout options for a payment method, from the agent's settings.
+ * method: 'pix' | 'credit_card' | undefined (patient chooses; no discount)
+ */
+export function pricingForMethod(baseAmount, agent = {}, method){
+  const paymentMethods = agent.payment_methods || {};
+  const pixEnabled = paymentMethods.pix_enabled ?? true;
+  const maxInstallments = parseInt(paymentMethods.credit_card_installments) || 1;
+
+  if (method === 'pix' && pixEnabled) {
+    const discount = agent.apply_discount_consultancy_pix
+      ? Math.min(Math.max(parseInt(agent.discount_percentage_pix) || 0, 0), 100)
+      : 0;
+    return {
+      method: 'pix',
+      amount: Math.round(baseAmount * (100 - discount)) / 100,
+      discountPercentage: discount,
+      paymentMethodTypes: ['pix'],
+      maxInstallments: null
+    };
+  }
+
+  const types = method === 'credit_card' || !pixEnabled ? ['card'] : ['card', 'pix'];
+  return {
+    method: types.length === 1 ? 'credit_card' : null,
+    amount: baseAmount,
+    discountPercentage: 0,
+    paymentMethodTypes: types,
+    maxInstallments
+  };
+}
+
+/**
+ * Create a Stripe Checkout Session for a lead (and appointment, when booked)
+ * and record it in the payments ledger.
+ */
+export async function createCheckoutLink({ lead, appointment = null, agent = null, baseAmount, description, method }){
+  const pricing = pricingForMethod(baseAmount, agent || {}, method);
+  const expiresAt = new Date(Date.now() + CHECKOUT_TTL_HOURS * 60 * 60 * 1000);
+
+  const { data: payment, error } = await supa
+    .from('payments')
+    .insert({
+      owner_id: lead.owner_id,
+      lead_id: lead.id,
+      appointment_id: appointment?.id || null,
+      agent_id: agent?.id || null,
+      base_amount: baseAmount,
+      expected_amount: pricing.amount,
+      discount_percentage: pricing.discountPercentage,
+      max_installments: pricing.maxInstallments,
+      currency: currency.toUpperCase(),
+      payment_method: pricing.method,
+      description,
+      expires_at: expiresAt.toISOString(),
+      status: 'pending'
+    })
+    .select()
+    .single();
+  if (error) throw new Error(`Payment record error: ${error.message}`);
+
+  const metadata = {
+    payment_id: String(payment.id),
+    lead_id: String(lead.id),
+    appointment_id: String(appointment?.id || ''),
+    owner_id: String(lead.owner_id || '')
+  };
+
+  let session;
+  try {
+    session = await stripe.checkout.sessions.create({
+      mode: 'payment',
+      payment_method_types: pricing.paymentMethodTypes,
+      line_items: [{
+        price_data: {
+          currency,
+          product_data: { name: description || 'Consulta médica - Geniumed' },
+          unit_amount: Math.round(pricing.amount * 100)
+        },
+        quantity: 1
+      }],
+      ...(pricing.maxInstallments > 1
+        ? { payment_method_options: { card: { installments: { enabled: true } } } }
+        : {}),
+      customer_email: lead.email || undefined,
+      client_reference_id: String(payment.id),
+      metadata,
+      payment_intent_data: { metadata },
+      expires_at: Math.floor(expiresAt.getTime() / 1000),
+      success_url: `${env.APP_BASE_URL}/pay/success?session_id={CHECKOUT_SESSION_ID}`,
+      cancel_url: `${env.APP_BASE_URL}/pay/cancel`
+    });
+  } catch (e) {
+    await supa.from('payments').update({ status: 'failed' }).eq('id', payment.id);
+    throw new Error(`Stripe checkout error: ${e.message}`);
+  }
+
+  const { data: updated, error: updErr } = await supa
+    .from('payments')
+    .update({ stripe_checkout_session_id: session.id, checkout_url: session.url })
+    .eq('id', payment.id)
+    .select()
+    .single();
+  if (updErr) log.error(`Failed to store checkout session ${session.id} on payment ${payment.id}:`, updErr.message);
+
+  log.info(`Checkout session ${session.id} created for lead ${lead.id} (payment ${payment.id})`);
+  return { payment: updated || payment, session, pricing };
+}
+
+/** Latest pending payment for a lead, or null */
+export async function pendingPaymentForLead(leadId){
+  const { data, error } = await supa
+    .from('payments')
+    .select('*')
+    .eq('lead_id', leadId)
+    .eq('status', 'pending')
+    .order('created_at', { ascending: false })
+    .limit(1);
+  if (error) throw new Error(error.message);
+  return data?.[0] || null;
+}
+
+/**
+ * When an unpaid appointment gets a reminder and when it is cancelled, from the
+ * agent's payment_deadline_hours / payment_reminder_hours_before. The deadline
+ * never falls after the appointment start; remindAt is null when disabled.
+ */
+export function paymentDeadline(appointment, agent = {}){
+  const hours = parseInt(agent.payment_deadline_hours) || 24;
+  const reminderHours = parseInt(agent.payment_reminder_hours_before ?? 4) || 0;
+  const booked = new Date(appointment.created_at).getTime();
+  const deadline = new Date(Math.min(booked + hours * 3600000, new Date(appointment.start_at).getTime()));
+  const remindAt = reminderHours > 0 ? new Date(deadline.getTime() - reminderHours * 3600000) : null;
+  return { deadline, remindAt: remindAt && remindAt.getTime() > booked ? remindAt : null };
+}
+
+/** Latest payment link the patient can still use for an appointment, or null */
+export async function openPaymentForAppointment(appointmentId){
+  const { data, error } = await supa
+    .from('payments')
+    .select('*')
+    .eq('appointment_id', appointmentId)
+    .eq('status', 'pending')
+    .gt('expires_at', new Date().toISOString())
+    .order('created_at', { ascending: false })
+    .limit(1);
+  if (error) throw new Error(error.message);
+  return data?.[0] || null;
+}
+
+/**
+ * Close every pending payment of a cancelled appointment so its links can no
+ * longer be paid. Stripe confirms with checkout.session.expired.
+ */
+export async function expirePaymentsForAppointment(appointmentId){
+  const { data: pending } = await supa
+    .from('payments')
+    .select('id, stripe_checkout_session_id')
+    .eq('appointment_id', appointmentId)
+    .eq('status', 'pending');
+
+  for (const payment of pending || []) {
+    if (payment.stripe_checkout_session_id) {
+      try {
+        await stripe.checkout.sessions.expire(payment.stripe_checkout_session_id);
+      } catch (e) {
+        // Already expired or completed sessions cannot be expired
+        log.warn(`Could not expire checkout session ${payment.stripe_checkout_session_id}:`, e.message);
+      }
+    }
+    await supa
+      .from('payments')
+      .update({ status: 'expired' })
+      .eq('id', payment.id)
+      .eq('status', 'pending');
+  }
+}
+
+/**
+ * Claim a Stripe event for processing. Returns false when the same event id
+ * was already processed, or is being processed by a concurrent delivery whose
+ * claim is not stale yet; true when this delivery should handle it.
+ */
+export async function claimStripeEvent(event){
+  const now = new Date();
+  const { error } = await supa
+    .from('stripe_events')
+    .insert({ id: event.id, type: event.type, payload: event.data?.object || null, claimed_at: now.toISOString() });
+  if (!error) return true;
+  if (error.code !== '23505') throw new Error(error.message);
+
+  // Only one delivery can win the conditional update
+  const staleBefore = new Date(now.getTime() - STRIPE_CLAIM_TIMEOUT_MINUTES * 60 * 1000).toISOString();
+  const { data, error: claimError } = await supa
+    .from('stripe_events')
+    .update({ claimed_at: now.toISOString() })
+    .eq('id', event.id)
+    .is('processed_at', null)
+    .or(`claimed_at.is.null,claimed_at.lt."${staleBefore}"`)
+    .select('id');
+  if (claimError) throw new Error(claimError.message);
+  return Boolean(data?.length);
+}
+
+/** Mark a claimed event processed, or record its error and release the claim for a redelivery */
+export async function finishStripeEvent(eventId, errorMessage = null){
+  await supa
+    .from('stripe_events')
+    .update(errorMessage ? { error: errorMessage, claimed_at: null } : { processed_at: new Date().toISOString(), error: null })
+    .eq('id', eventId);
+}
+
+async function findPaymentForSession(session){
+  let { data } = await supa
+    .from('payments')
+    .select('*')
+    .eq('stripe_checkout_session_id', session.id)
+    .limit(1);
+  if (!data?.[0] && session.metadata?.payment_id) {
+    ({ data } = await supa.from('payments').select('*').eq('id', session.metadata.payment_id).limit(1));
+  }
+  return data?.[0] || null;
+}
+
+async function findPaymentForIntent(paymentIntentId, metadata = {}){
+  let { data } = await supa
+    .from('payments')
+    .select('*')
+    .eq('stripe_payment_intent_id', paymentIntentId)
+    .limit(1);
+  if (!data?.[0] && metadata.payment_id) {
+    ({ data } = await supa.from('payments').select('*').eq('id', metadata.payment_id).limit(1));
+  }
+  return data?.[0] || null;
+}
+
+/**
+ * Send the patient the confirmation for a paid appointment on the owner's WhatsApp.
+ */
+async function sendPaidAppointmentConfirmation(appointmentId){
+  const { data: appt } = await supa
+    .from('appointments')
+    .select('id, owner_id, start_at, timezone, office_address, is_telemedicine, confirmation_sent_at, leads(name, phone, whatsapp), doctors(name, office_address)')
+    .eq('id', appointmentId)
+    .single();
+  if (!appt || appt.confirmation_sent_at || !appt.leads) return;
+
+  const tz = appt.timezone || DEFAULT_TIMEZONE;
+  const start = new Date(appt.start_at);
+  try {
+    await whatsappBusinessService.sendAppointmentConfirmation(appt.owner_id, appt.leads.whatsapp || appt.leads.phone, {
+      patientName: appt.leads.name,
+      doctorName: appt.doctors?.name || '',
+      appointmentDate: start.toLocaleDateString('pt-BR', { timeZone: tz, day: 'numeric', month: 'long', year: 'numeric' }),
+      appointmentTime: start.toLocaleTimeString('pt-BR', { timeZone: tz, hour: '2-digit', minute: '2-digit' }),
+      location: appt.is_telemedicine ? 'Telemedicina' : (appt.office_address || appt.doctors?.office_address || '')
+    });
+    await supa
+      .from('appointments')
+      .update({ confirmation_sent_at: new Date().toISOString() })
+      .eq('id', appt.id);
+  } catch (e) {
+    log.warn(`Could not send WhatsApp confirmation for appointment ${appt.id}:`, e.message);
+  }
+}
+
+/**
+ * A payment that arrived after its appointment was cancelled (e.g. a late PIX
+ * after the payment deadline): kept as 'needs_refund' for the owner to refund
+ * or rebook, with no confirmation to the patient.
+ */
+async function holdLatePayment(payment, appointment, fields = {}){
+  const { data: updated, error } = await supa
+    .from('payments')
+    .update({
+      status: 'needs_refund',
+      paid_at: new Date().toISOString(),
+      failure_reason: 'appointment_cancelled',
+      ...fields
+    })
+    .eq('id', payment.id)
+    .not('status', 'in', '(approved,needs_refund)')
+    .select()
+    .maybeSingle();
+  if (error) throw new Error(error.message);
+  if (!updated) return null;
+
+  const amount = Number(updated.paid_amount ?? payment.expected_amount ?? 0).toFixed(2);
+  await notifyOwner({
+    ownerId: payment.owner_id || appointment.owner_id,
+    leadId: payment.lead_id,
+    message: `Payment of R$ ${amount} received after appointment ${appointment.id} was cancelled (${appointment.cancellation_reason || 'no reason'}). Refund it or book a new appointment.`
+  });
+  log.warn(`Payment ${payment.id} received for cancelled appointment ${appointment.id}; held for refund`);
+  return updated;
+}
+
+/**
+ * Approve a payment and confirm its appointment (pending -> confirmed, paid),
+ * then send the patient the WhatsApp confirmation. When the appointment was
+ * already cancelled the payment is held instead (holdLatePayment); callers
+ * check the returned status. Returns null, without notifying anyone again,
+ * when a concurrent delivery already settled the payment.
+ */
+async function markPaymentApproved(payment, fields = {}){
+  if (payment.appointment_id) {
+    const { data: appointment, error: apptError } = await supa
+      .from('appointments')
+      .select('id, owner_id, status, cancellation_reason')
+      .eq('id', payment.appointment_id)
+      .maybeSingle();
+    if (apptError) throw new Error(apptError.message);
+    if (appointment?.status === 'cancelled') return holdLatePayment(payment, appointment, fields);
+  }
+
+  const { data: updated, error } = await supa
+    .from('payments')
+    .update({
+      status: 'approved',
+      paid_at: new Date().toISOString(),
+      failure_reason: null,
+      ...fields
+    })
+    .eq('id', payment.id)
+    .neq('status', 'approved')
+    .select()
+    .maybeSingle();
+  if (error) throw new Error(error.message);
+  if (!updated) return null;
+
+  if (payment.appointment_id) {
+    await supa
+      .from('appointments')
+      .update({ payment_status: 'paid' })
+      .eq('id', payment.appointment_id);
+    await supa
+      .from('appointments')
+      .update({ status: 'confirmed' })
+      .eq('id', payment.appointment_id)
+      .in('status', ['pending', 'scheduled']);
+    await sendPaidAppointmentConfirmation(payment.appointment_id);
+  }
+  return updated;
+}
+
+/**
+ * checkout.session.completed / checkout.session.async_payment_succeeded.
+ * PIX sessions complete with payment_status "unpaid" and only pay later, so
+ * those stay pending until the async event arrives.
+ */
+export async function approveCheckoutSession(session){
+  const payment = await findPaymentForSession(session);
+  if (!payment) {
+    log.warn(`No payment found for checkout session ${session.id}`);
+    return null;
+  }
+
+  const paymentIntentId = typeof session.payment_intent === 'string' ? session.payment_intent : session.payment_intent?.id;
+  if (session.payment_status !== 'paid') {
+    await supa
+      .from('payments')
+      .update({ stripe_payment_intent_id: paymentIntentId || payment.stripe_payment_intent_id })
+      .eq('id', payment.id);
+    return payment;
+  }
+  if (payment.status === 'approved') return payment;
+
+  const updated = await markPaymentApproved(payment, {
+    paid_amount: session.amount_total != null ? session.amount_total / 100 : payment.expected_amount,
+    stripe_payment_intent_id: paymentIntentId || payment.stripe_payment_intent_id
+  });
+
+  if (!updated) return payment;
+  if (updated.status === 'approved') log.info(`Payment ${payment.id} approved via checkout session ${session.id}`);
+  return updated;
+}
+
+/** checkout.session.expired: the link can no longer be paid */
+export async function expireCheckoutSession(session){
+  const payment = await findPaymentForSession(session);
+  if (!payment || payment.status !== 'pending') return payment;
+  await supa.from('payments').update({ status: 'expired' }).eq('id', payment.id);
+  log.info(`Payment ${payment.id} expired (checkout session ${session.id})`);
+  return payment;
+}
+
+/** checkout.session.async_payment_failed */
+export async function failCheckoutSession(session){
+  const payment = await findPaymentForSession(session);
+  if (!payment || payment.status !== 'pending') return payment;
+  await supa
+    .from('payments')
+    .update({ status: 'failed', failure_reason: 'async_payment_failed' })
+    .eq('id', payment.id);
+  return payment;
+}
+
+/**
+ * payment_intent.payment_failed: the patient can still retry inside the same
+ * Checkout Session, so the payment stays pending and only the reason is kept.
+ */
+export async function recordPaymentIntentFailure(paymentIntent){
+  const payment = await findPaymentForIntent(paymentIntent.id, paymentIntent.metadata);
+  if (!payment) return null;
+  await supa
+    .from('payments')
+    .update({
+      stripe_payment_intent_id: paymentIntent.id,
+      failure_reason: paymentIntent.last_payment_error?.message || paymentIntent.last_payment_error?.code || 'payment_failed'
+    })
+    .eq('id', payment.id);
+  return payment;
+}
+
+/** charge.refunded: full or partial refund of an approved payment */
+export async function refundCharge(charge){
+  const paymentIntentId = typeof charge.payment_intent === 'string' ? charge.payment_intent : charge.payment_intent?.id;
+  const payment = await findPaymentForIntent(paymentIntentId, charge.metadata);
+  if (!payment) return null;
+
+  const fullyRefunded = charge.refunded || charge.amount_refunded >= charge.amount;
+  await supa
+    .from('payments')
+    .update({
+      status: fullyRefunded ? 'refunded' : 'partially_refunded',
+      refunded_amount: charge.amount_refunded / 100,
+      refunded_at: new Date().toISOString(),
+      stripe_charge_id: charge.id
+    })
+    .eq('id', payment.id);
+
+  if (fullyRefunded && payment.appointment_id) {
+    await supa
+      .from('appointments')
+      .update({ payment_status: 'refunded' })
+      .eq('id', payment.appointment_id);
+  }
+  log.info(`Payment ${payment.id} ${fullyRefunded ? 'refunded' : 'partially refunded'} (charge ${charge.id})`);
+  return payment;
+}
+
+/**
+ * Latest pending payment of the lead with exactly this number, limited to the
+ * owner of the receiving channel when known. `ambiguous` is set when several
+ * leads have the number, so nobody's payment is approved on a guess.
+ */
+export async function pendingPaymentForPhone(phone, { ownerId = null } = {}){
+  const leads = (await findLeadsByPhone(phone, { ownerId, fields: 'id, owner_id, name, phone, whatsapp, status' }))
+    .filter(l => l.status !== 'merged');
+  if (!leads.length) return { lead: null, payment: null, ambiguous: false };
+
+  const { data: payments } = await supa
+    .from('payments')
+    .select('*')
+    .in('lead_id', leads.map(l => l.id))
+    .eq('status', 'pending')
+    .order('created_at', { ascending: false })
+    .limit(1);
+  const payment = payments?.[0] || null;
+  const lead = payment ? leads.find(l => l.id === payment.lead_id) : leads[0];
+  return { lead, payment, ambiguous: leads.length > 1 };
+}
+
+const digitsOf = (s) => String(s || '').replace(/\D/g, '');
+
+/** Whether the receipt names the clinic's PIX key as the payee */
+function receiptHasPixKey(text, pixKey){
+  if (!text || !pixKey) return false;
+  const key = String(pixKey).trim().toLowerCase();
+  if (/[a-z@]/.test(key)) return String(text).toLowerCase().includes(key);
+  const digits = digitsOf(key);
+  return digits.length >= 8 && digitsOf(text).includes(digits);
+}
+
+/**
+ * Why a receipt whose amount matches can't be approved without a person, or
+ * null. Only a real parser's reading is trusted, and the receipt needs its
+ * end-to-end id, the owner's PIX key as payee and a date after the payment was opened.
+ */
+function autoApprovalBlocker(parsed, payment, pixKey){
+  if (!parsed.parser) return 'No receipt parser is configured';
+  if (!parsed.endToEndId) return 'Receipt has no PIX end-to-end id';
+  if (!pixKey) return 'Owner has no PIX key configured';
+  if (!receiptHasPixKey(parsed.text, pixKey)) return 'Receipt does not show the clinic\'s PIX key as payee';
+
+  const paidAt = parsed.paidAt ? new Date(parsed.paidAt) : null;
+  if (!paidAt || isNaN(paidAt)) return 'Receipt has no payment date';
+  const now = Date.now();
+  // Receipts without a time read as midnight, so the day the payment was opened counts
+  const openedAt = new Date(payment.created_at).getTime() - 24 * 60 * 60 * 1000;
+  if (paidAt.getTime() > now + 10 * 60 * 1000 || paidAt.getTime() < openedAt || now - paidAt.getTime() > env.RECEIPT_MAX_AGE_HOURS * 60 * 60 * 1000) {
+    return `Receipt date ${paidAt.toISOString()} is not recent`;
+  }
+  return null;
+}
+
+/**
+ * Store a parsed PIX receipt sent by a patient and reconcile it against their
+ * pending payment. Approves only when the amount is within tolerance and the
+ * receipt checks out (autoApprovalBlocker); otherwise the receipt is kept as
+ * 'needs_review' for the owner. `ownerId` is the owner of the channel the
+ * receipt came in on, when known.
+ * Returns { status, receipt, payment, lead, amountMismatch }, status being one of
+ * approved | needs_review | unreadable | no_pending_payment | duplicate.
+ */
+export async function reconcilePixReceipt({ fromPhone, ownerId = null, parsed, mediaUrl, contentType, source = 'whatsapp' }){
+  const { lead, payment, ambiguous } = await pendingPaymentForPhone(fromPhone, { ownerId });
+  const expected = payment?.expected_amount != null ? Number(payment.expected_amount) : null;
+  const tolerance = env.RECEIPT_AMOUNT_TOLERANCE;
+  const amountMismatch = Boolean(parsed.amount && expected != null && Math.abs(parsed.amount - expected) > tolerance);
+
+  let status;
+  let reviewReason = null;
+  if (parsed.endToEndId) {
+    const { data: seen } = await supa
+      .from('payment_receipts')
+      .select('id')
+      .eq('end_to_end_id', parsed.endToEndId)
+      .limit(1);
+    if (seen?.length) status = 'duplicate';
+  }
+  if (!status) {
+    if (!parsed.parser) {
+      status = 'needs_review';
+      reviewReason = 'No receipt parser is configured';
+    } else if (!parsed.amount) status = 'unreadable';
+    else if (!payment) status = 'no_pending_payment';
+    else if (expected == null || amountMismatch) {
+      status = 'needs_review';
+      reviewReason = expected == null
+        ? 'Payment has no expected amount'
+        : `Receipt amount ${parsed.amount.toFixed(2)} differs from expected ${expected.toFixed(2)}`;
+    } else if (ambiguous) {
+      status = 'needs_review';
+      reviewReason = `Several leads have the number ${fromPhone}`;
+    } else {
+      const { data: owner } = await supa.from('users').select('pix_key').eq('id', payment.owner_id || lead.owner_id).maybeSingle();
+      reviewReason = autoApprovalBlocker(parsed, payment, owner?.pix_key);
+      status = reviewReason ? 'needs_review' : 'approved';
+    }
+  }
+
+  const { data: receipt, error } = await supa
+    .from('payment_receipts')
+    .insert({
+      owner_id: lead?.owner_id || null,
+      lead_id: lead?.id || null,
+      payment_id: payment?.id || null,
+      source,
+      from_phone: fromPhone,
+      media_url: mediaUrl,
+      content_type: contentType,
+      parser: parsed.parser,
+      amount: parsed.amount,
+      expected_amount: expected,
+      payer_name: parsed.payerName,
+      paid_at: parsed.paidAt,
+      // A duplicate keeps the id out of the unique index
+      end_to_end_id: status === 'duplicate' ? null : parsed.endToEndId,
+      raw_text: parsed.text || null,
+      raw: parsed.raw || null,
+      status,
+      review_reason: reviewReason || (status === 'duplicate' ? `Receipt ${parsed.endToEndId} was already submitted` : null)
+    })
+    .select()
+    .single();
+  if (error) throw new Error(`Receipt record error: ${error.message}`);
+
+  if (status === 'approved') {
+    const updated = await markPaymentApproved(payment, {
+      paid_amount: parsed.amount,
+      payment_method: 'pix',
+      receipt_id: receipt.id
+    });
+    if (updated?.status === 'needs_refund') {
+      status = 'needs_review';
+      reviewReason = 'Appointment was cancelled before the payment';
+      await supa.from('payment_receipts').update({ status, review_reason: reviewReason }).eq('id', receipt.id);
+    }
+    // The Stripe link is no longer needed once the PIX was paid directly
+    if (payment.stripe_checkout_session_id) {
+      try {
+        await stripe.checkout.sessions.expire(payment.stripe_checkout_session_id);
+      } catch (e) {
+        log.warn(`Could not expire checkout session ${payment.stripe_checkout_session_id}:`, e.message);
+      }
+    }
+    if (status === 'approved') log.info(`Payment ${payment.id} approved from PIX receipt ${receipt.id}`);
+  }
+  if (status === 'needs_review') {
+    log.warn(`PIX receipt ${receipt.id} flagged for review: ${reviewReason}`);
+  }
+
+  return { status, receipt, payment, lead, amountMismatch };
+}
@@ -0,0 +1,251 @@
+import { supa } from '../lib/supabase.js';
+import { log } from '../config/logger.js';
+import { DEFAULT_TIMEZONE, zonedParts, zonedTimeToUtc, addDaysToKey, weekdayOfKey } from '../lib/datetime.js';
+import { findLeadsByPhone } from './leads.js';
+import { retryPolicyForLead, countPolicyAttempts, maxAttemptsFor } from './retryPolicy.js';
+import { transitionLead } from './leadLifecycle.js';
+
+/*
+ * WhatsApp fallback flow: after the retries run out the lead is asked
+ * "ligar ou WhatsApp?" and each reply moves it through
+ *
+ *   awaiting_reply -> call_scheduled | whatsapp_selected | clarifying
+ *   clarifying     -> call_scheduled | whatsapp_selected | clarifying | needs_human
+ *
+ * Every transition is written to lead_preference_transitions.
+ */
+
+// Unclear replies tolerated before a person takes over
+const MAX_CLARIFICATIONS = 2;
+
+const OPEN_STATES = ['awaiting_reply', 'clarifying'];
+
+// Lead status each preference state maps to
+const LEAD_STATUS = {
+  awaiting_reply: 'waiting_preference',
+  clarifying: 'waiting_preference',
+  call_scheduled: 'reschedule',
+  whatsapp_selected: 'whatsapp_conversation',
+  needs_human: 'needs_human'
+};
+
+const WEEKDAYS_PT = {
+  domingo: 'sunday', segunda: 'monday', terca: 'tuesday', quarta: 'wednesday',
+  quinta: 'thursday', sexta: 'friday', sabado: 'saturday'
+};
+
+const WHATSAPP_RE = /\b(whats\s?app|whats|wpp|zap|zapzap|mensagem|mensagens|texto|aqui mesmo|por aqui|escrito)\b/;
+const CALL_RE = /\b(ligar|liga|ligue|ligacao|ligacoes|telefone|telefonema|chamada|call)\b/;
+const NO_CALL_RE = /\b(nao|sem)\s+(me\s+)?(ligar|liga|ligue|ligacao|ligacoes|telefone)/;
+const NOW_RE = /\b(agora|ja|imediatamente|pode ligar)\b/;
+const TIME_RE = /\b(?:as\s+|a\s+partir\s+das\s+|depois\s+das\s+)?(\d{1,2})(?::(\d{2})|h(\d{2})?|\s*horas?\b)|\bas\s+(\d{1,2})\b/;
+
+function normalize(text){
+  return String(text || '')
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Read a free-text reply. Returns one of
+ *   { intent: 'whatsapp' }
+ *   { intent: 'call', at: Date }            time resolved in the lead's timezone
+ *   { intent: 'call', needs: 'time', dateKey }  day given without a time
+ *   { intent: 'unclear' }
+ * `context.dateKey` carries a day from a previous "ligar amanhã" reply.
+ */
+export function parsePreferenceReply(text, { now = new Date(), timeZone = DEFAULT_TIMEZONE, context = {} } = {}){
+  const t = normalize(text);
+  if (!t) return { intent: 'unclear' };
+
+  const noCall = NO_CALL_RE.test(t);
+  const wantsWhatsapp = WHATSAPP_RE.test(t);
+  const timeMatch = t.match(TIME_RE);
+  const wantsCall = !noCall && (CALL_RE.test(t) || Boolean(timeMatch) || (NOW_RE.test(t) && !wantsWhatsapp));
+
+  if (wantsWhatsapp && (!wantsCall || noCall)) return { intent: 'whatsapp' };
+  if (noCall && !wantsCall) return { intent: 'whatsapp' };
+  if (!wantsCall || (wantsWhatsapp && wantsCall)) return { intent: 'unclear' };
+
+  const today = zonedParts(now, timeZone).dateKey;
+  let dateKey = null;
+  if (/\bdepois de amanha\b/.test(t)) dateKey = addDaysToKey(today, 2);
+  else if (/\bamanha\b/.test(t)) dateKey = addDaysToKey(today, 1);
+  else if (/\bhoje\b/.test(t)) dateKey = today;
+  else {
+    const day = Object.keys(WEEKDAYS_PT).find(d => new RegExp(`\\b${d}\\b`).test(t));
+    if (day) {
+      for (let i = 1; i <= 7; i++) {
+        const key = addDaysToKey(today, i);
+        if (weekdayOfKey(key) === WEEKDAYS_PT[day]) { dateKey = key; break; }
+      }
+    }
+  }
+  dateKey = dateKey || context.dateKey || null;
+
+  if (!timeMatch) {
+    if (dateKey && dateKey !== today) return { intent: 'call', needs: 'time', dateKey };
+    return { intent: 'call', at: now };
+  }
+
+  let hour = Number(timeMatch[1] ?? timeMatch[4]);
+  const minute = Number(timeMatch[2] ?? timeMatch[3] ?? 0);
+  if (/\b(da tarde|da noite|pm)\b/.test(t) && hour < 12) hour += 12;
+  if (hour > 23 || minute > 59) return { intent: 'unclear' };
+
+  const time = `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+  let at = zonedTimeToUtc(dateKey || today, time, timeZone);
+  // "ligar às 9" after 9h means tomorrow
+  if (!dateKey && at <= now) at = zonedTimeToUtc(addDaysToKey(today, 1), time, timeZone);
+  if (at <= now) return { intent: 'unclear' };
+  return { intent: 'call', at };
+}
+
+function formatCallTime(at, timeZone){
+  const date = new Date(at);
+  const today = zonedParts(new Date(), timeZone).dateKey;
+  const p = zonedParts(date, timeZone);
+  const time = date.toLocaleTimeString('pt-BR', { timeZone, hour: '2-digit', minute: '2-digit' });
+  if (p.dateKey === today) return `hoje às ${time}`;
+  if (p.dateKey === addDaysToKey(today, 1)) return `amanhã às ${time}`;
+  return `${date.toLocaleDateString('pt-BR', { timeZone, weekday: 'long', day: '2-digit', month: '2-digit' })} às ${time}`;
+}
+
+async function recordTransition(lead, { from, to, event, channel, message, parsed }){
+  const { error } = await supa
+    .from('lead_preference_transitions')
+    .insert({
+      lead_id: lead.id,
+      owner_id: lead.owner_id,
+      from_state: from,
+      to_state: to,
+      event,
+      channel,
+      message: message ?? null,
+      parsed: parsed ?? null
+    });
+  if (error) log.error(`Failed to audit preference transition for lead ${lead.id}:`, error.message);
+}
+
+/** Move a lead into a preference state, updating the lead row and both audit logs */
+export async function transitionPreference(lead, to, { event, channel = null, message = null, messageId = null, parsed = null, updates = {} } = {}){
+  const from = lead.preference_state || null;
+  const updated = await transitionLead(lead, LEAD_STATUS[to], {
+    source: 'preference_capture',
+    reason: event,
+    actorType: message === null ? 'system' : 'patient',
+    messageId,
+    metadata: { preference_state: to, channel },
+    updates: { ...updates, preference_state: to }
+  });
+
+  await recordTransition(lead, { from, to, event, channel, message, parsed });
+  log.info(`Lead ${lead.id} preference ${from || 'none'} -> ${to} (${event})`);
+  return updated;
+}
+
+/** Called once the "ligar ou WhatsApp?" question has been sent */
+export async function startPreferenceCapture(lead, channel){
+  return transitionPreference(lead, 'awaiting_reply', {
+    event: 'question_sent',
+    channel,
+    updates: { preference_clarifications: 0, preference_context: {} }
+  });
+}
+
+/**
+ * The lead in the preference flow who owns this number, or null. Without the
+ * owner, a number waiting on several owners is answered by none of them.
+ */
+export async function findLeadAwaitingPreference(phone, ownerId = null){
+  const leads = await findLeadsByPhone(phone, {
+    ownerId,
+    fields: 'id, owner_id, assigned_agent_id, campaign_id, name, phone, whatsapp, status, timezone, max_attempts, preference_state, preference_clarifications, preference_context'
+  });
+  const waiting = leads.filter(l => OPEN_STATES.includes(l.preference_state) || l.status === 'waiting_preference');
+  if (!ownerId && new Set(waiting.map(l => l.owner_id)).size > 1) return null;
+  return waiting[0] || null;
+}
+
+/**
+ * Apply an inbound reply to the lead's state machine.
+ * Returns { state, reply } where reply is the text to send back.
+ */
+export async function handlePreferenceReply(lead, text, { channel, messageId = null, now = new Date() } = {}){
+  const timeZone = lead.timezone || DEFAULT_TIMEZONE;
+  const parsed = parsePreferenceReply(text, { now, timeZone, context: lead.preference_context || {} });
+  const firstName = String(lead.name || '').split(' ')[0];
+  const audit = { channel, messageId, message: text, parsed: { ...parsed, at: parsed.at?.toISOString?.() } };
+
+  if (parsed.intent === 'whatsapp') {
+    await transitionPreference(lead, 'whatsapp_selected', {
+      ...audit,
+      event: 'chose_whatsapp',
+      updates: { preferred_channel: 'whatsapp', next_retry_at: null, preference_context: {} }
+    });
+    return {
+      state: 'whatsapp_selected',
+      reply: `Perfeito${firstName ? `, ${firstName}` : ''}! Vamos continuar por aqui no WhatsApp. Como posso ajudar com sua consulta?`
+    };
+  }
+
+  if (parsed.intent === 'call' && parsed.at) {
+    // The retry job stops at max_attempts; a requested call must still go out
+    const count = await countPolicyAttempts(lead);
+    const policy = await retryPolicyForLead(lead);
+    await transitionPreference(lead, 'call_scheduled', {
+      ...audit,
+      event: 'chose_call',
+      updates: {
+        preferred_channel: 'call',
+        next_retry_at: parsed.at.toISOString(),
+        max_attempts: Math.max(maxAttemptsFor(policy, lead), count + 1),
+        preference_context: {}
+      }
+    });
+    const soon = parsed.at.getTime() - now.getTime() < 15 * 60 * 1000;
+    return {
+      state: 'call_scheduled',
+      reply: soon
+        ? 'Certo! Vamos ligar para você em instantes.'
+        : `Combinado! Vamos ligar para você ${formatCallTime(parsed.at, timeZone)}.`
+    };
+  }
+
+  const clarifications = (lead.preference_clarifications || 0) + 1;
+  if (clarifications > MAX_CLARIFICATIONS) {
+    await transitionPreference(lead, 'needs_human', {
+      ...audit,
+      event: 'too_many_unclear_replies',
+      updates: { preference_clarifications: clarifications }
+    });
+    return {
+      state: 'needs_human',
+      reply: 'Obrigado! Um membro da nossa equipe vai continuar o atendimento com você em breve.'
+    };
+  }
+
+  if (parsed.needs === 'time') {
+    await transitionPreference(lead, 'clarifying', {
+      ...audit,
+      event: 'call_time_missing',
+      updates: { preference_clarifications: clarifications, preference_context: { dateKey: parsed.dateKey } }
+    });
+    return {
+      state: 'clarifying',
+      reply: 'Claro! Qual horário fica melhor para ligarmos? Por exemplo: "ligar às 16:00".'
+    };
+  }
+
+  await transitionPreference(lead, 'clarifying', {
+    ...audit,
+    event: 'unclear_reply',
+    updates: { preference_clarifications: clarifications }
+  });
+  return {
+    state: 'clarifying',
+    reply: 'Desculpe, não entendi. Você prefere que a gente *ligue* (ex.: "ligar às 16:00") ou continuar por *WhatsApp*?'
+  };
+}
@@ -0,0 +1,173 @@
+import { supa } from '../lib/supabase.js';
+import { log } from '../config/logger.js';
+import { DEFAULT_TIMEZONE } from '../lib/datetime.js';
+import { getCallingWindow, nextCallingTime } from './callingWindow.js';
+
+/*
+ * Retry cadence. A policy (retry_policies row, or the built-in default) sets
+ *   max_attempts       calls before giving up on the phone
+ *   backoff            minutes to wait per reason; a number, or a list indexed
+ *                      by the attempt that just failed (last entry repeats)
+ *   jitter_minutes     random 0..N minutes added to every delay
+ *   min_gap_minutes    floor between two attempts, enforced by the scheduler
+ *   retry_error_minutes wait after the scheduler itself failed to place a call
+ *   fallback_channel   whatsapp | sms | none once attempts run out
+ * Policies are picked campaign -> agent.retry_policy_id -> owner default -> built-in.
+ */
+
+export const RETRY_REASONS = ['voicemail', 'busy', 'no_answer', 'dial_failed'];
+export const FALLBACK_CHANNELS = ['whatsapp', 'sms', 'none'];
+
+// The cadence that used to be hardcoded across retell.js, scheduler.js and leads.js
+export const DEFAULT_RETRY_POLICY = {
+  id: null,
+  name: 'Padrão',
+  max_attempts: 3,
+  backoff: { voicemail: 15, busy: 120, no_answer: 120, dial_failed: 15 },
+  jitter_minutes: 10,
+  min_gap_minutes: 15,
+  retry_error_minutes: 30,
+  fallback_channel: 'whatsapp'
+};
+
+/** Fill missing fields from the default so partial policies are usable */
+export function normalizePolicy(row = {}){
+  return {
+    ...DEFAULT_RETRY_POLICY,
+    ...Object.fromEntries(Object.entries(row || {}).filter(([, v]) => v !== null && v !== undefined)),
+    backoff: { ...DEFAULT_RETRY_POLICY.backoff, ...(row?.backoff || {}) }
+  };
+}
+
+/** Returns an error message, or null when the policy is valid */
+export function validatePolicy(policy){
+  if (policy.max_attempts !== undefined && !(Number.isInteger(policy.max_attempts) && policy.max_attempts >= 1 && policy.max_attempts <= 20)) {
+    return 'max_attempts must be an integer between 1 and 20';
+  }
+  for (const [reason, value] of Object.entries(policy.backoff || {})) {
+    if (!RETRY_REASONS.includes(reason)) return `Unknown backoff reason: ${reason}`;
+    const list = Array.isArray(value) ? value : [value];
+    if (!list.length || list.some(m => !Number.isFinite(m) || m < 0)) return `Invalid backoff for ${reason}`;
+  }
+  for (const field of ['jitter_minutes', 'min_gap_minutes', 'retry_error_minutes']) {
+    if (policy[field] !== undefined && !(Number.isFinite(policy[field]) && policy[field] >= 0)) return `${field} must be a non-negative number`;
+  }
+  if (policy.fallback_channel !== undefined && !FALLBACK_CHANNELS.includes(policy.fallback_channel)) {
+    return `fallback_channel must be one of ${FALLBACK_CHANNELS.join(', ')}`;
+  }
+  return null;
+}
+
+/** Delay in minutes after attempt `attemptNo` failed for `reason`, jitter included */
+export function backoffMinutes(policy, reason, attemptNo, random = Math.random){
+  const value = policy.backoff[reason] ?? policy.backoff.no_answer;
+  const list = Array.isArray(value) ? value : [value];
+  const base = list[Math.min(Math.max(attemptNo, 1), list.length) - 1];
+  const jitter = policy.jitter_minutes ? Math.floor(random() * (policy.jitter_minutes + 1)) : 0;
+  return base + jitter;
+}
+
+/** Effective attempt limit for a lead; a per-lead max_attempts overrides the policy */
+export function maxAttemptsFor(policy, lead = {}){
+  return lead.max_attempts || policy.max_attempts;
+}
+
+/**
+ * What to do after attempt `attemptNo` ended without a person:
+ *   { action: 'retry', at: Date, delayMinutes } or { action: 'fallback', channel }
+ * The retry time is moved into the calling window when one is given.
+ */
+export function planNextAttempt(policy, { reason, attemptNo, lead = {}, from = new Date(), window = null, random = Math.random }){
+  if (attemptNo >= maxAttemptsFor(policy, lead)) {
+    return { action: 'fallback', channel: policy.fallback_channel };
+  }
+  const delayMinutes = backoffMinutes(policy, reason, attemptNo, random);
+  const due = new Date(new Date(from).getTime() + delayMinutes * 60 * 1000);
+  const at = window ? (nextCallingTime(window, due, lead.timezone || DEFAULT_TIMEZONE) || due) : due;
+  return { action: 'retry', at, delayMinutes };
+}
+
+/**
+ * Preview the schedule a policy produces for a sequence of failed outcomes,
+ * starting with the first call at `start`.
+ */
+export function simulateSchedule(policy, { outcomes = [], start = new Date(), window = null, timeZone = DEFAULT_TIMEZONE, random = Math.random }){
+  const lead = { timezone: timeZone };
+  const steps = [];
+  let at = window ? (nextCallingTime(window, start, timeZone) || new Date(start)) : new Date(start);
+
+  for (let attemptNo = 1; ; attemptNo++) {
+    const reason = outcomes[attemptNo - 1] || outcomes[outcomes.length - 1] || 'no_answer';
+    steps.push({ attempt_no: attemptNo, call_at: at.toISOString(), assumed_outcome: reason });
+
+    const plan = planNextAttempt(policy, { reason, attemptNo, lead, from: at, window, random });
+    if (plan.action === 'fallback') {
+      steps.push({ fallback: plan.channel, at: at.toISOString() });
+      break;
+    }
+    const gapFloor = new Date(at.getTime() + policy.min_gap_minutes * 60 * 1000);
+    at = plan.at < gapFloor ? (window ? nextCallingTime(window, gapFloor, timeZone) || gapFloor : gapFloor) : plan.at;
+  }
+  return steps;
+}
+
+/** Policy for a campaign or agent, falling back to the owner's default and then the built-in one */
+export async function getRetryPolicy({ campaignId = null, agentId = null, ownerId = null } = {}){
+  try {
+    if (campaignId) {
+      const { data: campaign } = await supa
+        .from('campaigns')
+        .select('retry_policies(*)')
+        .eq('id', campaignId)
+        .maybeSingle();
+      if (campaign?.retry_policies) return normalizePolicy(campaign.retry_policies);
+    }
+    if (agentId) {
+      const { data: agent } = await supa
+        .from('agents')
+        .select('owner_id, retry_policies(*)')
+        .eq('id', agentId)
+        .maybeSingle();
+      if (agent?.retry_policies) return normalizePolicy(agent.retry_policies);
+      ownerId = ownerId || agent?.owner_id;
+    }
+    if (ownerId) {
+      const { data: policies } = await supa
+        .from('retry_policies')
+        .select('*')
+        .eq('owner_id', ownerId)
+        .eq('is_default', true)
+        .limit(1);
+      if (policies?.[0]) return normalizePolicy(policies[0]);
+    }
+  } catch (error) {
+    log.warn('Could not load retry policy, using default:', error.message);
+  }
+  return normalizePolicy();
+}
+
+/** Policy that applies to a lead: its campaign's, its agent's, or the owner default */
+export function retryPolicyForLead(lead){
+  return getRetryPolicy({ campaignId: lead.campaign_id, agentId: lead.assigned_agent_id, ownerId: lead.owner_id });
+}
+
+/** Attempts that count against the policy: those of the lead's current campaign, or all of them */
+export async function countPolicyAttempts(lead){
+  let query = supa
+    .from('call_attempts')
+    .select('id', { count: 'exact', head: true })
+    .eq('lead_id', lead.id);
+  if (lead.campaign_id) query = query.eq('campaign_id', lead.campaign_id);
+  const { count, error } = await query;
+  if (error) throw new Error(error.message);
+  return count || 0;
+}
+
+/** Policy and calling window that apply to a lead */
+export async function retryContextForLead(lead){
+  const [policy, window] = await Promise.all([
+    retryPolicyForLead(lead),
+    getCallingWindow(lead.owner_id)
+  ]);
+  return { policy, window };
+}
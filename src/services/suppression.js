@@ -0,0 +1,227 @@
+import { supa } from '../lib/supabase.js';
+import { log } from '../config/logger.js';
+import { toE164 } from '../lib/phone.js';
+import { findLeadsByPhone } from './leads.js';
+import { transitionLeadIfAllowed, BOOKED_STATUSES } from './leadLifecycle.js';
+
+/*
+ * Do-not-contact (LGPD). suppression_list holds phones that must not be called
+ * or messaged, per owner or for everyone (owner_id NULL). makeOutboundCall and
+ * every sender (WhatsApp Cloud API, Twilio SMS/WhatsApp) call
+ * assertContactAllowed() first. Owners with require_contact_consent also need a
+ * granted lead_consents row before a lead is contacted.
+ *
+ * Entries come from a do_not_call call disposition, opt-out keywords in
+ * WhatsApp/SMS replies and manual entry; adding one moves the phone's open
+ * leads to do_not_contact.
+ */
+
+export const SUPPRESSION_SOURCES = ['call_disposition', 'whatsapp_keyword', 'sms_keyword', 'manual'];
+
+// Whole-message keywords, and phrases anywhere in the message (accents and punctuation ignored)
+const OPT_OUT_WORDS = ['parar', 'pare', 'sair', 'stop', 'descadastrar', 'unsubscribe', 'nao me ligue'];
+const OPT_OUT_PHRASES = [
+  'nao me ligue mais', 'nao ligue mais', 'pare de me ligar', 'parem de me ligar',
+  'nao quero mais receber', 'nao me mande mais', 'nao mande mais', 'nao mandem mais',
+  'pare de me mandar', 'parem de me mandar', 'parem de mandar',
+  'me tire da lista', 'me tirem da lista', 'remova meu numero', 'removam meu numero'
+];
+
+export const OPT_OUT_REPLY = 'Pronto, você não vai mais receber nossas mensagens nem ligações. Se mudar de ideia, fale com a clínica.';
+
+/** Thrown by makeOutboundCall and the senders; `reason` is 'suppressed' or 'no_consent' */
+export class ContactSuppressedError extends Error {
+  constructor(phone, reason){
+    super(reason === 'no_consent'
+      ? `No recorded consent to contact ${phone}`
+      : `${phone} is on the do-not-contact list`);
+    this.name = 'ContactSuppressedError';
+    this.phone = phone;
+    this.reason = reason;
+  }
+
+  /** Where the lead goes when it was blocked: opt-outs are final, missing consent needs a person */
+  get leadStatus(){
+    return this.reason === 'no_consent' ? 'needs_human' : 'do_not_contact';
+  }
+}
+
+/** Suppression key for a phone: E.164, also for bare WhatsApp IDs of other countries */
+export function suppressionPhone(input){
+  const e164 = toE164(input);
+  if (e164) return e164;
+  const digits = String(input ?? '').replace(/\D/g, '');
+  return digits.length >= 8 && digits.length <= 15 ? `+${digits}` : null;
+}
+
+const plainText = (s) => String(s ?? '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+/** Whether an inbound WhatsApp/SMS message asks to stop being contacted */
+export function isOptOutMessage(text){
+  const plain = plainText(text);
+  if (!plain) return false;
+  if (OPT_OUT_WORDS.includes(plain)) return true;
+  return OPT_OUT_PHRASES.some(phrase => ` ${plain} `.includes(` ${phrase} `));
+}
+
+/** The entry blocking `phone` for the owner (theirs or a global one), or null */
+export async function findSuppression(ownerId, phone){
+  const key = suppressionPhone(phone);
+  if (!key) return null;
+
+  let query = supa
+    .from('suppression_list')
+    .select('*')
+    .eq('phone', key);
+  query = ownerId ? query.or(`owner_id.is.null,owner_id.eq.${ownerId}`) : query.is('owner_id', null);
+  const { data, error } = await query.limit(1);
+  if (error) throw new Error(`Suppression list unavailable: ${error.message}`);
+  return data?.[0] || null;
+}
+
+/** Whether the lead's latest consent record is a granted one */
+export async function hasContactConsent(leadId){
+  const { data, error } = await supa
+    .from('lead_consents')
+    .select('granted')
+    .eq('lead_id', leadId)
+    .order('captured_at', { ascending: false })
+    .limit(1);
+  if (error) throw new Error(error.message);
+  return data?.[0]?.granted === true;
+}
+
+async function requiresConsent(ownerId){
+  const { data, error } = await supa
+    .from('users')
+    .select('require_contact_consent')
+    .eq('id', ownerId)
+    .maybeSingle();
+  if (error) throw new Error(error.message);
+  return Boolean(data?.require_contact_consent);
+}
+
+/**
+ * Throw ContactSuppressedError unless `phone` may be contacted for the owner.
+ * The consent requirement is only checked when the lead is known.
+ * Lookup errors are thrown too: when in doubt, nobody is contacted.
+ */
+export async function assertContactAllowed({ ownerId = null, phone, leadId = null }){
+  const entry = await findSuppression(ownerId, phone);
+  if (entry) throw new ContactSuppressedError(suppressionPhone(phone), 'suppressed');
+
+  if (leadId && ownerId && (await requiresConsent(ownerId)) && !(await hasContactConsent(leadId))) {
+    throw new ContactSuppressedError(suppressionPhone(phone) || phone, 'no_consent');
+  }
+}
+
+/** Move the phone's open leads (of the owner, or everyone's for a global entry) to do_not_contact */
+async function suppressLeads(entry, { actorType, actorId }){
+  const leads = await findLeadsByPhone(entry.phone, { ownerId: entry.owner_id, fields: 'id, owner_id, status, phone, whatsapp' });
+  let moved = 0;
+  for (const lead of leads) {
+    if (suppressionPhone(lead.phone) !== entry.phone && suppressionPhone(lead.whatsapp) !== entry.phone) continue;
+    // Booked appointments stay; messages about them are blocked all the same
+    if (['merged', 'do_not_contact', ...BOOKED_STATUSES].includes(lead.status)) continue;
+    const changed = await transitionLeadIfAllowed(lead, 'do_not_contact', {
+      source: 'suppression',
+      reason: `${entry.source}${entry.reason ? `: ${entry.reason}` : ''}`,
+      actorType,
+      actorId,
+      callAttemptId: entry.call_attempt_id || null,
+      messageId: entry.message_id || null,
+      metadata: { suppression_id: entry.id },
+      updates: { next_retry_at: null }
+    });
+    if (changed) moved++;
+  }
+  return moved;
+}
+
+async function findExactSuppression(ownerId, phone){
+  let query = supa
+    .from('suppression_list')
+    .select('*')
+    .eq('phone', phone);
+  query = ownerId ? query.eq('owner_id', ownerId) : query.is('owner_id', null);
+  const { data, error } = await query.maybeSingle();
+  if (error) throw new Error(error.message);
+  return data;
+}
+
+/**
+ * Put a phone on the owner's list (or the global one with ownerId null).
+ * Adding a phone that is already there is not an error.
+ * Returns { ok: true, entry, created, leadsMoved } or { ok: false, error }.
+ */
+export async function addSuppression({ ownerId = null, phone, source, reason = null, leadId = null, callAttemptId = null, messageId = null, createdBy = null }){
+  const key = suppressionPhone(phone);
+  if (!key) return { ok: false, error: `Invalid phone number: ${phone}` };
+  if (!SUPPRESSION_SOURCES.includes(source)) return { ok: false, error: `source must be one of ${SUPPRESSION_SOURCES.join(', ')}` };
+
+  const { data: inserted, error } = await supa
+    .from('suppression_list')
+    .insert({
+      owner_id: ownerId,
+      phone: key,
+      source,
+      reason,
+      lead_id: leadId,
+      call_attempt_id: callAttemptId,
+      message_id: messageId,
+      created_by: createdBy
+    })
+    .select()
+    .single();
+
+  let entry = inserted;
+  if (error?.code === '23505') {
+    entry = await findExactSuppression(ownerId, key);
+  } else if (error) {
+    throw new Error(error.message);
+  }
+  if (inserted) log.info(`Suppressed ${key} for ${ownerId || 'all owners'} (${source}${reason ? `: ${reason}` : ''})`);
+
+  const leadsMoved = entry
+    ? await suppressLeads(entry, { actorType: createdBy ? 'user' : 'system', actorId: createdBy })
+    : 0;
+  return { ok: true, entry, created: Boolean(inserted), leadsMoved };
+}
+
+/**
+ * Record the consent that came with a lead (or was given later, recordedBy a
+ * user). `consent` is true/false or { granted, text_version, text, captured_at, ip, user_agent }.
+ * The IP and user agent of the request are used unless an API key passed the
+ * patient's own. Never throws: the lead is already created.
+ */
+export async function recordLeadConsent(lead, consent, { source, ip = null, userAgent = null, keyId = null, formId = null, textVersion = null, text = null, recordedBy = null } = {}){
+  const given = typeof consent === 'object' && consent !== null ? consent : { granted: consent };
+  const capturedAt = given.captured_at && !isNaN(new Date(given.captured_at)) ? new Date(given.captured_at) : new Date();
+  try {
+    const { error } = await supa
+      .from('lead_consents')
+      .insert({
+        lead_id: lead.id,
+        owner_id: lead.owner_id,
+        phone: lead.phone,
+        granted: given.granted === true || given.granted === 'true',
+        source,
+        text_version: textVersion || (given.text_version ? String(given.text_version) : null),
+        consent_text: text || (given.text ? String(given.text) : null),
+        ip: (keyId && given.ip) || ip,
+        user_agent: (keyId && given.user_agent) || userAgent,
+        intake_key_id: keyId,
+        intake_form_id: formId,
+        recorded_by: recordedBy,
+        captured_at: capturedAt.toISOString()
+      });
+    if (error) log.error(`Failed to record consent for lead ${lead.id}:`, error.message);
+  } catch (e) {
+    log.error(`Failed to record consent for lead ${lead.id}:`, e.message);
+  }
+}
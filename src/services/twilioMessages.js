@@ -0,0 +1,87 @@
+import { supa } from '../lib/supabase.js';
+import { twilio } from '../lib/twilio.js';
+import { env } from '../config/env.js';
+import { log } from '../config/logger.js';
+import { toE164 } from '../lib/phone.js';
+import { findLeadsByPhone } from './leads.js';
+import { assertContactAllowed } from './suppression.js';
+
+/** 'whatsapp:+5511...' -> { channel: 'whatsapp', phone: '+5511...' } */
+export function parseTwilioAddress(address){
+  const value = String(address || '');
+  const whatsapp = value.startsWith('whatsapp:');
+  const raw = whatsapp ? value.slice('whatsapp:'.length) : value;
+  return { channel: whatsapp ? 'whatsapp' : 'sms', phone: toE164(raw) || raw };
+}
+
+/**
+ * Owner whose own number (users.phone_number) received a Twilio message, or
+ * null for the shared TWILIO_FROM_NUMBER / messaging service.
+ */
+export async function ownerForTwilioNumber(address){
+  const { phone } = parseTwilioAddress(address);
+  if (!phone) return null;
+  const { data, error } = await supa
+    .from('users')
+    .select('id')
+    .eq('phone_number', phone)
+    .limit(2);
+  if (error) throw new Error(error.message);
+  // A number shared by several accounts identifies nobody
+  return data?.length === 1 ? data[0].id : null;
+}
+
+/**
+ * Store an SMS / Twilio WhatsApp message for the lead timeline.
+ * Never throws: a storage problem must not fail the send or the webhook.
+ */
+export async function recordTwilioMessage({ ownerId = null, leadId = null, messageSid = null, channel, direction, phone, body = null, mediaUrl = null, error = null }){
+  try {
+    let lead = { id: leadId, owner_id: ownerId };
+    if (!leadId) {
+      const leads = await findLeadsByPhone(phone, { ownerId, fields: 'id, owner_id, status' });
+      lead = leads.find(l => l.status !== 'merged') || lead;
+    }
+    const { error: dbError } = await supa
+      .from('twilio_messages')
+      .insert({
+        owner_id: ownerId || lead.owner_id || null,
+        lead_id: lead.id || null,
+        message_sid: messageSid,
+        channel,
+        direction,
+        contact_phone: phone,
+        body,
+        media_url: mediaUrl,
+        status: direction === 'inbound' ? 'received' : error ? 'failed' : 'accepted',
+        error
+      });
+    if (dbError) log.error('Failed to record Twilio message:', dbError.message);
+  } catch (e) {
+    log.error('Failed to record Twilio message:', e.message);
+  }
+}
+
+/**
+ * Send an SMS (or Twilio WhatsApp message when `to` starts with 'whatsapp:')
+ * and record it. Throws when Twilio rejects the send, and ContactSuppressedError
+ * (before sending) when the number opted out.
+ */
+export async function sendTwilioMessage({ ownerId = null, leadId = null, to, body }){
+  const { channel, phone } = parseTwilioAddress(to);
+  await assertContactAllowed({ ownerId, phone, leadId });
+  try {
+    const message = await twilio.messages.create({
+      to,
+      ...(env.TWILIO_MESSAGING_SERVICE_SID
+        ? { messagingServiceSid: env.TWILIO_MESSAGING_SERVICE_SID }
+        : { from: env.TWILIO_FROM_NUMBER }),
+      body
+    });
+    await recordTwilioMessage({ ownerId, leadId, messageSid: message?.sid || null, channel, direction: 'outbound', phone, body });
+    return message;
+  } catch (error) {
+    await recordTwilioMessage({ ownerId, leadId, channel, direction: 'outbound', phone, body, error: error.message });
+    throw error;
+  }
+}
@@ -2,6 +2,19 @@ import { supa } from '../lib/supabase.js';
 import { log } from '../config/logger.js';
 import { env } from '../config/env.js';
 import crypto from 'crypto';
+import { findLeadsByPhone } from './leads.js';
+import { toWhatsAppId } from '../lib/phone.js';
+import { assertContactAllowed } from './suppression.js';
+
+// Outbound statuses only move forward; Meta may deliver them out of order
+const STATUS_RANK = { accepted: 0, sent: 1, delivered: 2, read: 3, failed: 4 };
+
+// Contacts are keyed by WhatsApp ID (E.164 digits), so "(11) 9999-8888" and the
+// wa_id Meta sends for it land in the same conversation
+export const contactId = (phone) => toWhatsAppId(phone) || String(phone || '').replace(/\D/g, '');
+
+// Free-form messages are only allowed this long after the patient's last message
+const CUSTOMER_SERVICE_WINDOW_HOURS = 24;
 
 /**
  * WhatsApp Business API Service
@@ -49,9 +62,13 @@ class WhatsAppBusinessService {
   }
 
   /**
-   * Send a text message via WhatsApp Business API
+   * Send a text message via WhatsApp Business API.
+   * Throws ContactSuppressedError for opted-out numbers, unless `allowSuppressed`
+   * (the confirmation of the opt-out itself).
    */
-  async sendTextMessage(userId, toNumber, message) {
+  async sendTextMessage(userId, toNumber, message, { leadId, allowSuppressed = false } = {}) {
+    toNumber = contactId(toNumber);
+    if (!allowSuppressed) await assertContactAllowed({ ownerId: userId, phone: toNumber, leadId });
     try {
       const credentials = await this.getWhatsAppCredentials(userId);
 
@@ -78,6 +95,14 @@ class WhatsAppBusinessService {
 
       const data = await response.json();
 
+      await this.recordOutboundMessage(userId, credentials.phoneId, toNumber, {
+        leadId,
+        waMessageId: data.messages?.[0]?.id,
+        type: 'text',
+        body: message,
+        error: response.ok ? null : data.error?.message || 'Unknown error'
+      });
+
       if (!response.ok) {
         throw new Error(`WhatsApp API error: ${data.error?.message || 'Unknown error'}`);
       }
@@ -100,9 +125,11 @@ class WhatsAppBusinessService {
   }
 
   /**
-   * Send a template message via WhatsApp Business API
+   * Send a template message via WhatsApp Business API (same do-not-contact check as sendTextMessage)
    */
-  async sendTemplateMessage(userId, toNumber, templateName, languageCode = 'en', components = []) {
+  async sendTemplateMessage(userId, toNumber, templateName, languageCode = 'en', components = [], { leadId } = {}) {
+    toNumber = contactId(toNumber);
+    await assertContactAllowed({ ownerId: userId, phone: toNumber, leadId });
     try {
       const credentials = await this.getWhatsAppCredentials(userId);
 
@@ -131,6 +158,16 @@ class WhatsAppBusinessService {
 
       const data = await response.json();
 
+      await this.recordOutboundMessage(userId, credentials.phoneId, toNumber, {
+        leadId,
+        waMessageId: data.messages?.[0]?.id,
+        type: 'template',
+        body: templateName,
+        templateName,
+        payload: { template: { name: templateName, language: languageCode, components } },
+        error: response.ok ? null : data.error?.message || 'Unknown error'
+      });
+
       if (!response.ok) {
         throw new Error(`WhatsApp API error: ${data.error?.message || 'Unknown error'}`);
       }
@@ -316,19 +353,276 @@ class WhatsAppBusinessService {
     }
   }
 
+  /**
+   * Lead of an owner matching a patient's phone number, or null
+   */
+  async findLeadIdForPhone(ownerId, phone) {
+    if (!ownerId) return null;
+    try {
+      const leads = await findLeadsByPhone(phone, { ownerId, fields: 'id' });
+      return leads[0]?.id || null;
+    } catch (error) {
+      log.warn('Could not match WhatsApp contact to a lead:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Record a message we sent (or failed to send) so it shows in the thread.
+   * Never throws: a storage problem must not fail the send itself.
+   */
+  async recordOutboundMessage(userId, phoneNumberId, toNumber, { leadId, waMessageId, type, body, templateName, payload, error }) {
+    const now = new Date().toISOString();
+    const { error: dbError } = await supa
+      .from('whatsapp_messages')
+      .insert({
+        owner_id: userId,
+        lead_id: leadId || await this.findLeadIdForPhone(userId, toNumber),
+        wa_message_id: waMessageId || null,
+        phone_number_id: phoneNumberId,
+        contact_phone: contactId(toNumber),
+        direction: 'outbound',
+        type,
+        body,
+        template_name: templateName || null,
+        payload: payload || null,
+        status: error ? 'failed' : 'accepted',
+        error: error || null,
+        failed_at: error ? now : null,
+        created_at: now
+      });
+    if (dbError) log.error('Failed to record outbound WhatsApp message:', dbError.message);
+  }
+
+  /**
+   * Text shown for a message in the inbox, and its media reference when any
+   */
+  describeMessage(message) {
+    const media = message[message.type];
+    switch (message.type) {
+      case 'text':
+        return { body: message.text?.body };
+      case 'image':
+      case 'video':
+      case 'audio':
+      case 'sticker':
+      case 'document':
+        return {
+          body: media?.caption || media?.filename || null,
+          mediaId: media?.id,
+          mediaMimeType: media?.mime_type
+        };
+      case 'interactive': {
+        const reply = message.interactive?.button_reply || message.interactive?.list_reply;
+        return { body: reply?.title || null };
+      }
+      case 'button':
+        return { body: message.button?.text || message.button?.payload || null };
+      case 'location':
+        return { body: [message.location?.name, message.location?.address].filter(Boolean).join(' - ') || `${message.location?.latitude},${message.location?.longitude}` };
+      case 'reaction':
+        return { body: message.reaction?.emoji || null };
+      case 'contacts':
+        return { body: (message.contacts || []).map(c => c.name?.formatted_name).filter(Boolean).join(', ') || null };
+      default:
+        return { body: null };
+    }
+  }
+
+  /**
+   * Store an inbound message from the Cloud API webhook. The owner is found by
+   * the receiving phone_number_id, the lead by the sender's number.
+   * Redeliveries of the same message id are ignored.
+   */
+  async storeInboundMessage(value, message) {
+    const phoneNumberId = value.metadata?.phone_number_id;
+    const { data: owner } = await supa
+      .from('users')
+      .select('id')
+      .eq('whatsapp_phone_id', phoneNumberId)
+      .limit(1)
+      .maybeSingle();
+    if (!owner) {
+      log.warn(`WhatsApp message ${message.id} for unknown phone_number_id ${phoneNumberId}`);
+    }
+
+    const contact = (value.contacts || []).find(c => c.wa_id === message.from);
+    const { body, mediaId, mediaMimeType } = this.describeMessage(message);
+
+    const row = {
+      owner_id: owner?.id || null,
+      lead_id: await this.findLeadIdForPhone(owner?.id, message.from),
+      wa_message_id: message.id,
+      phone_number_id: phoneNumberId,
+      contact_phone: contactId(`+${message.from}`), // wa_id is already international
+      contact_name: contact?.profile?.name || null,
+      direction: 'inbound',
+      type: message.type,
+      body,
+      media_id: mediaId || null,
+      media_mime_type: mediaMimeType || null,
+      context_message_id: message.context?.id || null,
+      payload: message,
+      status: 'received',
+      created_at: message.timestamp ? new Date(Number(message.timestamp) * 1000).toISOString() : new Date().toISOString()
+    };
+
+    const { data, error } = await supa
+      .from('whatsapp_messages')
+      .upsert(row, { onConflict: 'wa_message_id', ignoreDuplicates: true })
+      .select();
+    if (error) throw new Error(`Failed to store WhatsApp message: ${error.message}`);
+    return data?.[0] || null;
+  }
+
+  /**
+   * Apply a sent/delivered/read/failed status to the outbound message it refers to
+   */
+  async updateMessageStatus(status) {
+    const { data: existing } = await supa
+      .from('whatsapp_messages')
+      .select('id, status')
+      .eq('wa_message_id', status.id)
+      .limit(1)
+      .maybeSingle();
+    if (!existing) {
+      log.warn(`WhatsApp status ${status.status} for unknown message ${status.id}`);
+      return null;
+    }
+
+    const at = status.timestamp ? new Date(Number(status.timestamp) * 1000).toISOString() : new Date().toISOString();
+    const update = {};
+    if (status.status === 'sent') update.sent_at = at;
+    if (status.status === 'delivered') update.delivered_at = at;
+    if (status.status === 'read') update.read_at = at;
+    if (status.status === 'failed') {
+      update.failed_at = at;
+      update.error = (status.errors || []).map(e => e.title || e.message).filter(Boolean).join('; ') || 'failed';
+    }
+    if ((STATUS_RANK[status.status] ?? -1) > (STATUS_RANK[existing.status] ?? -1)) {
+      update.status = status.status;
+    }
+
+    const { error } = await supa
+      .from('whatsapp_messages')
+      .update(update)
+      .eq('id', existing.id);
+    if (error) throw new Error(`Failed to update WhatsApp message status: ${error.message}`);
+    return existing.id;
+  }
+
+  /**
+   * 24-hour customer-service window for a contact: open while the patient's
+   * last inbound message is less than 24h old.
+   */
+  async getServiceWindow(userId, contactPhone) {
+    const { data } = await supa
+      .from('whatsapp_messages')
+      .select('created_at')
+      .eq('owner_id', userId)
+      .eq('contact_phone', contactId(contactPhone))
+      .eq('direction', 'inbound')
+      .order('created_at', { ascending: false })
+      .limit(1);
+
+    const lastInboundAt = data?.[0]?.created_at || null;
+    const expiresAt = lastInboundAt
+      ? new Date(new Date(lastInboundAt).getTime() + CUSTOMER_SERVICE_WINDOW_HOURS * 60 * 60 * 1000)
+      : null;
+    return {
+      open: Boolean(expiresAt && expiresAt > new Date()),
+      lastInboundAt,
+      expiresAt: expiresAt?.toISOString() || null
+    };
+  }
+
+  /**
+   * Reply to a contact from the inbox. Sends free text inside the service
+   * window; once it has closed, sends the approved template instead (the
+   * request's or WHATSAPP_FALLBACK_TEMPLATE).
+   */
+  async replyToContact(userId, contactPhone, message, { leadId, templateName, languageCode, templateParams = [] } = {}) {
+    const to = contactId(contactPhone);
+    const window = await this.getServiceWindow(userId, to);
+
+    if (window.open) {
+      const result = await this.sendTextMessage(userId, to, message, { leadId });
+      return { mode: 'text', messageId: result.messageId, window };
+    }
+
+    const template = templateName || env.WHATSAPP_FALLBACK_TEMPLATE;
+    if (!template) {
+      throw new Error('WhatsApp customer-service window is closed and no fallback template is configured');
+    }
+    const components = templateParams.length
+      ? [{ type: 'body', parameters: templateParams.map(text => ({ type: 'text', text: String(text) })) }]
+      : [];
+    const result = await this.sendTemplateMessage(
+      userId,
+      to,
+      template,
+      languageCode || env.WHATSAPP_FALLBACK_TEMPLATE_LANGUAGE,
+      components,
+      { leadId }
+    );
+    return { mode: 'template', template, messageId: result.messageId, window };
+  }
+
+  /**
+   * Mark a contact's inbound messages as read, in our store and on the
+   * patient's phone (Meta marks earlier messages read with the latest one).
+   */
+  async markConversationRead(userId, contactPhone) {
+    const now = new Date().toISOString();
+    const { data: updated, error } = await supa
+      .from('whatsapp_messages')
+      .update({ status: 'read', read_at: now })
+      .eq('owner_id', userId)
+      .eq('contact_phone', contactId(contactPhone))
+      .eq('direction', 'inbound')
+      .is('read_at', null)
+      .select('wa_message_id, created_at');
+    if (error) throw new Error(`Failed to mark conversation read: ${error.message}`);
+
+    const latest = (updated || [])
+      .filter(m => m.wa_message_id)
+      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))[0];
+    if (latest) {
+      try {
+        const credentials = await this.getWhatsAppCredentials(userId);
+        await fetch(`${this.baseUrl}/${this.apiVersion}/${credentials.phoneId}/messages`, {
+          method: 'POST',
+          headers: {
+            'Authorization': `Bearer ${credentials.accessToken}`,
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({
+            messaging_product: 'whatsapp',
+            status: 'read',
+            message_id: latest.wa_message_id
+          })
+        });
+      } catch (receiptError) {
+        log.warn('Could not send WhatsApp read receipt:', receiptError.message);
+      }
+    }
+
+    return updated?.length || 0;
+  }
+
   /**
    * Verify webhook signature from Meta
    */
   verifyWebhookSignature(signature, body, appSecret) {
+    if (!signature) return false;
     const expectedSignature = crypto
       .createHmac('sha256', appSecret)
       .update(body)
       .digest('hex');
 
-    return crypto.timingSafeEqual(
-      Buffer.from(signature),
-      Buffer.from(`sha256=${expectedSignature}`)
-    );
+    const given = Buffer.from(String(signature));
+    const expected = Buffer.from(`sha256=${expectedSignature}`);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
   }
 }
 
@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+
+// Table-driven checks for the call outcome classifier (src/services/callOutcome.js).
+// Runs without a server or database: node test-call-outcome.js
+
+import { classifyCallOutcome, CALL_DISPOSITIONS } from './src/services/callOutcome.js';
+
+const NOW = new Date('2026-10-19T15:00:00Z');
+
+const talked = [
+  { role: 'agent', content: 'Olá, aqui é a Clara da clínica.' },
+  { role: 'user', content: 'Oi, pode falar.' }
+];
+const silent = [{ role: 'agent', content: 'Olá, aqui é a Clara da clínica.' }];
+const analysis = (custom_analysis_data, extra = {}) => ({ call_analysis: { custom_analysis_data, ...extra } });
+
+const cases = [
+  // Nobody talked: Retell disconnection reasons
+  { name: 'voicemail reached', call: { disconnection_reason: 'voicemail_reached' }, expect: { disposition: 'voicemail', retryReason: 'voicemail' } },
+  { name: 'answering machine detected', call: { disconnection_reason: 'machine_detected' }, expect: { disposition: 'voicemail', retryReason: 'voicemail' } },
+  { name: 'line busy', call: { disconnection_reason: 'dial_busy' }, expect: { disposition: 'busy', retryReason: 'busy' } },
+  { name: 'no pickup', call: { disconnection_reason: 'dial_no_answer' }, expect: { disposition: 'no_answer', retryReason: 'no_answer' } },
+  { name: 'registered call never connected', call: { disconnection_reason: 'registered_call_timeout' }, expect: { disposition: 'no_answer' } },
+  { name: 'dial failed', call: { disconnection_reason: 'dial_failed' }, expect: { disposition: 'technical_failure', retryReason: 'dial_failed' } },
+  { name: 'concurrency limit', call: { disconnection_reason: 'concurrency_limit_reached' }, expect: { disposition: 'technical_failure' } },
+  { name: 'call_status not_connected', call: { call_status: 'not_connected' }, expect: { disposition: 'technical_failure' } },
+  { name: 'LLM websocket error before anyone spoke', call: { disconnection_reason: 'error_llm_websocket_open', transcript_object: silent }, expect: { disposition: 'technical_failure', retryReason: 'dial_failed' } },
+  { name: 'Twilio error with no transcript', call: { disconnection_reason: 'error_twilio' }, expect: { disposition: 'technical_failure' } },
+  { name: 'analysis says voicemail', call: { disconnection_reason: 'agent_hangup', ...analysis({}, { in_voicemail: true }) }, expect: { disposition: 'voicemail' } },
+  { name: 'voicemail wins over a successful analysis', call: { disconnection_reason: 'voicemail_reached', ...analysis({ disposition: 'interested' }, { call_successful: true }) }, expect: { disposition: 'voicemail' } },
+
+  // Picked up but nobody talked
+  { name: 'user hung up after 4s without speaking', call: { disconnection_reason: 'user_hangup', duration_ms: 4000 }, expect: { disposition: 'no_answer', signal: 'early_hangup' } },
+  { name: 'inactivity with a silent patient', call: { disconnection_reason: 'inactivity', transcript_object: silent }, expect: { disposition: 'no_answer', signal: 'patient_silent' } },
+  { name: 'plain transcript with only the agent', call: { disconnection_reason: 'user_hangup', transcript: 'Agent: Olá, aqui é a Clara.' }, expect: { disposition: 'no_answer' } },
+
+  // Booking
+  { name: 'appointment created during the call', call: { disconnection_reason: 'agent_hangup', transcript_object: talked }, options: { bookedDuringCall: true }, expect: { disposition: 'booked', signal: 'appointment' } },
+  { name: 'booking beats a no-contact reason', call: { disconnection_reason: 'dial_no_answer' }, options: { bookedDuringCall: true }, expect: { disposition: 'booked' } },
+  { name: 'analysis says booked', call: { disconnection_reason: 'agent_hangup', ...analysis({ appointment_booked: true }) }, expect: { disposition: 'booked', signal: 'custom_analysis_data.appointment_booked' } },
+
+  // Explicit disposition from custom analysis (PT and EN)
+  { name: 'disposition "not_interested"', call: { disconnection_reason: 'user_hangup', transcript_object: talked, ...analysis({ disposition: 'not_interested' }) }, expect: { disposition: 'not_interested' } },
+  { name: 'resultado "Sem interesse"', call: { disconnection_reason: 'user_hangup', transcript_object: talked, ...analysis({ resultado: 'Sem interesse' }) }, expect: { disposition: 'not_interested', signal: 'custom_analysis_data.resultado' } },
+  { name: 'resultado "número errado"', call: { disconnection_reason: 'agent_hangup', transcript_object: talked, ...analysis({ resultado: 'número errado' }) }, expect: { disposition: 'wrong_number' } },
+  { name: 'call_outcome "callback" with a time', call: { disconnection_reason: 'agent_hangup', transcript_object: talked, ...analysis({ call_outcome: 'callback', callback_time: '2026-10-20T21:00:00Z' }) }, expect: { disposition: 'callback_requested', callbackAt: '2026-10-20T21:00:00.000Z' } },
+  { name: 'callback time in the past is ignored', call: { disconnection_reason: 'agent_hangup', transcript_object: talked, ...analysis({ disposition: 'retornar', callback_time: '2026-10-18T21:00:00Z' }) }, expect: { disposition: 'callback_requested', callbackAt: null } },
+  { name: 'unknown disposition text falls through to flags', call: { disconnection_reason: 'agent_hangup', transcript_object: talked, ...analysis({ disposition: 'talvez', pediu_retorno: 'sim' }) }, expect: { disposition: 'callback_requested', signal: 'custom_analysis_data.pediu_retorno' } },
+
+  // Do not call
+  { name: 'disposition "não me ligue mais"', call: { disconnection_reason: 'user_hangup', transcript_object: talked, ...analysis({ resultado: 'Não me ligue mais' }) }, expect: { disposition: 'do_not_call', signal: 'custom_analysis_data.resultado', retryReason: null } },
+  { name: 'do_not_call flag beats not_interested text', call: { disconnection_reason: 'user_hangup', transcript_object: talked, ...analysis({ disposition: 'not_interested', nao_ligar: 'sim' }) }, expect: { disposition: 'do_not_call', signal: 'custom_analysis_data.nao_ligar' } },
+  { name: 'do_not_call holds even with a booking', call: { disconnection_reason: 'agent_hangup', transcript_object: talked, ...analysis({ do_not_call: true }) }, options: { bookedDuringCall: true }, expect: { disposition: 'do_not_call' } },
+  { name: 'do_not_call false is not a signal', call: { disconnection_reason: 'agent_hangup', transcript_object: talked, ...analysis({ do_not_call: false }, { call_successful: true }) }, expect: { disposition: 'interested' } },
+
+  // Yes/no analysis fields
+  { name: 'wrong_number flag', call: { disconnection_reason: 'user_hangup', transcript_object: talked, ...analysis({ wrong_number: true }) }, expect: { disposition: 'wrong_number' } },
+  { name: 'wrong number beats interested', call: { disconnection_reason: 'user_hangup', transcript_object: talked, ...analysis({ interested: true, numero_errado: 'Sim' }) }, expect: { disposition: 'wrong_number' } },
+  { name: 'not_interested flag', call: { disconnection_reason: 'user_hangup', transcript_object: talked, ...analysis({ not_interested: 'yes' }) }, expect: { disposition: 'not_interested' } },
+  { name: 'aceitou_agendar flag', call: { disconnection_reason: 'agent_hangup', transcript_object: talked, ...analysis({ aceitou_agendar: 'sim' }) }, expect: { disposition: 'interested' } },
+  { name: 'false flags are not signals', call: { disconnection_reason: 'agent_hangup', transcript_object: talked, ...analysis({ wrong_number: false, not_interested: 'não' }, { call_successful: true }) }, expect: { disposition: 'interested', signal: 'call_successful' } },
+
+  // call_successful and the fallback
+  { name: 'call_successful true', call: { disconnection_reason: 'agent_hangup', transcript_object: talked, ...analysis({}, { call_successful: true }) }, expect: { disposition: 'interested', signal: 'call_successful' } },
+  { name: 'patient refused (call_successful false)', call: { disconnection_reason: 'user_hangup', transcript_object: talked, duration_ms: 45000, ...analysis({}, { call_successful: false }) }, expect: { disposition: 'not_interested' } },
+  { name: 'answered, no analysis yet', call: { disconnection_reason: 'agent_hangup', transcript_object: talked }, expect: { disposition: 'interested', signal: 'answered', retryReason: null } },
+  { name: 'long user hangup with no transcript', call: { disconnection_reason: 'user_hangup', duration_ms: 60000 }, expect: { disposition: 'interested', signal: 'answered' } },
+  { name: 'error after the patient talked, no analysis', call: { disconnection_reason: 'error_llm_websocket_lost_connection', transcript_object: talked }, expect: { disposition: 'technical_failure' } },
+  { name: 'error after the patient talked, analysis says callback', call: { disconnection_reason: 'error_llm_websocket_lost_connection', transcript_object: talked, ...analysis({ callback_requested: true }) }, expect: { disposition: 'callback_requested' } },
+  { name: 'empty payload', call: {}, expect: { disposition: 'interested', signal: 'answered' } }
+];
+
+console.log('🧪 Testing call outcome classification...\n');
+
+let failed = 0;
+for (const [i, t] of cases.entries()) {
+  const result = classifyCallOutcome(t.call, { now: NOW, ...(t.options || {}) });
+  const actual = { ...result, callbackAt: result.callbackAt ? result.callbackAt.toISOString() : null };
+  const mismatches = Object.entries(t.expect).filter(([key, value]) => actual[key] !== value);
+
+  if (!CALL_DISPOSITIONS.includes(actual.disposition)) {
+    mismatches.push(['disposition', `one of ${CALL_DISPOSITIONS.join(', ')}`]);
+  }
+
+  if (mismatches.length) {
+    failed++;
+    console.log(`❌ ${i + 1}. ${t.name}`);
+    for (const [key, value] of mismatches) console.log(`   ${key}: expected ${JSON.stringify(value)}, got ${JSON.stringify(actual[key])}`);
+  } else {
+    console.log(`✅ ${i + 1}. ${t.name} -> ${actual.disposition} (${actual.signal})`);
+  }
+}
+
+console.log(`\n${failed ? '❌' : '✅'} ${cases.length - failed}/${cases.length} passed`);
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+
+// Table-driven checks for the calling window (src/services/callingWindow.js):
+// hour boundaries, holidays and the next open slot, in timezones other than São Paulo.
+// Runs without a server or database: node test-calling-window.js
+
+// The module creates the Supabase client on import; these checks never query it
+process.env.SUPABASE_URL ||= 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_ROLE_KEY ||= 'unused';
+
+const { callingWindowFromSettings, isWithinCallingWindow, nextCallingTime } = await import('./src/services/callingWindow.js');
+
+const MANAUS = 'America/Manaus'; // UTC-4, no DST
+const RIO_BRANCO = 'America/Rio_Branco'; // UTC-5, no DST
+
+const split = {
+  calling_hours: {
+    monday: { enabled: true, timeSlots: [{ start: '14:00', end: '18:00' }, { start: '08:00', end: '12:00' }] },
+    tuesday: { enabled: true, timeSlots: [{ start: '08:00', end: '12:00' }] }
+  }
+};
+const closedAllWeek = { calling_hours: { monday: { enabled: false, timeSlots: [] } } };
+
+const cases = [
+  // Hour boundaries (Mon 2026-10-19): start is inclusive, end is exclusive
+  { name: '08:00 in Manaus opens', at: '2026-10-19T12:00:00Z', tz: MANAUS, expect: { ok: true } },
+  { name: '07:59 in Manaus is too early', at: '2026-10-19T11:59:00Z', tz: MANAUS, expect: { ok: false, reason: 'Outside calling hours (07:59 America/Manaus)' } },
+  { name: '08:30 in São Paulo is 07:30 in Manaus', at: '2026-10-19T11:30:00Z', tz: MANAUS, expect: { ok: false } },
+  { name: '19:59 in Manaus is still open', at: '2026-10-19T23:59:00Z', tz: MANAUS, expect: { ok: true } },
+  { name: '20:00 in Manaus closes', at: '2026-10-20T00:00:00Z', tz: MANAUS, expect: { ok: false, reason: 'Outside calling hours (20:00 America/Manaus)' } },
+  { name: '19:30 in Rio Branco is open while São Paulo is past 20:00', at: '2026-10-20T00:30:00Z', tz: RIO_BRANCO, expect: { ok: true } },
+  { name: '07:00 in Rio Branco is too early', at: '2026-10-19T12:00:00Z', tz: RIO_BRANCO, expect: { ok: false } },
+  { name: 'Sunday is closed by default', at: '2026-10-18T14:00:00Z', tz: MANAUS, expect: { ok: false, reason: 'No calling hours on sunday' } },
+
+  // Holidays, by the date in the lead's timezone
+  { name: 'Finados', at: '2026-11-02T14:00:00Z', tz: MANAUS, expect: { ok: false, reason: 'Holiday: Finados' } },
+  { name: 'Finados 23:30 in Manaus is already Nov 3 in UTC', at: '2026-11-03T03:30:00Z', tz: MANAUS, expect: { ok: false, reason: 'Holiday: Finados' } },
+  { name: 'Sexta-feira Santa (Easter 2026-04-05)', at: '2026-04-03T14:00:00Z', tz: MANAUS, expect: { ok: false, reason: 'Holiday: Sexta-feira Santa' } },
+  { name: 'Consciência Negra (since 2024)', at: '2026-11-20T14:00:00Z', tz: RIO_BRANCO, expect: { ok: false, reason: 'Holiday: Dia Nacional de Zumbi e da Consciência Negra' } },
+  { name: 'Carnaval is open with national holidays only', at: '2026-02-17T14:00:00Z', tz: MANAUS, expect: { ok: true } },
+  { name: 'Carnaval is closed with br_optional', at: '2026-02-17T14:00:00Z', tz: MANAUS, settings: { holiday_calendars: ['br_national', 'br_optional'] }, expect: { ok: false, reason: 'Holiday: Carnaval (terça-feira)' } },
+  { name: 'no holiday calendars', at: '2026-11-02T14:00:00Z', tz: MANAUS, settings: { holiday_calendars: [] }, expect: { ok: true } },
+  { name: 'custom closed day', at: '2026-10-21T14:00:00Z', tz: MANAUS, settings: { custom_holidays: [{ date: '2026-10-21', name: 'Aniversário da clínica', type: 'closed' }] }, expect: { ok: false, reason: 'Holiday: Aniversário da clínica' } },
+  { name: 'custom modified hours, before opening', at: '2026-10-21T13:59:00Z', tz: MANAUS, settings: { custom_holidays: [{ date: '2026-10-21', type: 'modified_hours', start: '10:00', end: '14:00' }] }, expect: { ok: false } },
+  { name: 'custom modified hours, at opening', at: '2026-10-21T14:00:00Z', tz: MANAUS, settings: { custom_holidays: [{ date: '2026-10-21', type: 'modified_hours', start: '10:00', end: '14:00' }] }, expect: { ok: true } },
+
+  // Owner hours
+  { name: 'lunch break between two slots', at: '2026-10-19T16:30:00Z', tz: MANAUS, settings: split, expect: { ok: false } },
+  { name: 'afternoon slot listed first', at: '2026-10-19T18:00:00Z', tz: MANAUS, settings: split, expect: { ok: true } },
+  { name: 'day missing from calling_hours', at: '2026-10-21T14:00:00Z', tz: MANAUS, settings: split, expect: { ok: false, reason: 'No calling hours on wednesday' } },
+
+  // Next open slot
+  { name: 'inside the window: now', at: '2026-10-19T15:00:00Z', tz: MANAUS, next: '2026-10-19T15:00:00.000Z' },
+  { name: 'before opening: 08:00 same day', at: '2026-10-19T10:00:00Z', tz: MANAUS, next: '2026-10-19T12:00:00.000Z' },
+  { name: 'Friday night: Saturday 08:00', at: '2026-10-24T00:30:00Z', tz: MANAUS, next: '2026-10-24T12:00:00.000Z' },
+  { name: 'Saturday 20:00: skips Sunday', at: '2026-10-25T00:00:00Z', tz: MANAUS, next: '2026-10-26T12:00:00.000Z' },
+  { name: 'Sunday before Finados: Tuesday', at: '2026-11-01T16:00:00Z', tz: MANAUS, next: '2026-11-03T12:00:00.000Z' },
+  { name: 'Thursday night before Sexta-feira Santa: Saturday', at: '2026-04-03T01:00:00Z', tz: MANAUS, next: '2026-04-04T12:00:00.000Z' },
+  { name: 'Rio Branco before opening', at: '2026-10-19T12:00:00Z', tz: RIO_BRANCO, next: '2026-10-19T13:00:00.000Z' },
+  { name: 'lunch break: afternoon slot', at: '2026-10-19T16:30:00Z', tz: MANAUS, settings: split, next: '2026-10-19T18:00:00.000Z' },
+  { name: 'after Monday hours: Tuesday morning', at: '2026-10-19T22:30:00Z', tz: MANAUS, settings: split, next: '2026-10-20T12:00:00.000Z' },
+  { name: 'no open day at all', at: '2026-10-19T15:00:00Z', tz: MANAUS, settings: closedAllWeek, next: null }
+];
+
+console.log('🧪 Testing calling window...\n');
+
+let failed = 0;
+for (const [i, t] of cases.entries()) {
+  const window = callingWindowFromSettings(t.settings);
+  const at = new Date(t.at);
+  let actual;
+  let expect;
+  if ('next' in t) {
+    const next = nextCallingTime(window, at, t.tz);
+    actual = { next: next ? next.toISOString() : null };
+    expect = { next: t.next };
+  } else {
+    actual = isWithinCallingWindow(window, at, t.tz);
+    expect = t.expect;
+  }
+  const mismatches = Object.entries(expect).filter(([key, value]) => actual[key] !== value);
+
+  if (mismatches.length) {
+    failed++;
+    console.log(`❌ ${i + 1}. ${t.name}`);
+    for (const [key, value] of mismatches) console.log(`   ${key}: expected ${JSON.stringify(value)}, got ${JSON.stringify(actual[key])}`);
+  } else {
+    console.log(`✅ ${i + 1}. ${t.name} -> ${'next' in actual ? actual.next : (actual.ok ? 'open' : actual.reason)}`);
+  }
+}
+
+console.log(`\n${failed ? '❌' : '✅'} ${cases.length - failed}/${cases.length} passed`);
+process.exit(failed ? 1 : 0);
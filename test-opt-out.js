@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+
+// Table-driven checks for opt-out detection in WhatsApp/SMS replies (isOptOutMessage in src/services/suppression.js).
+// Runs without a server or database: node test-opt-out.js
+
+// The module creates the Supabase client on import; these checks never query it
+process.env.SUPABASE_URL ||= 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_ROLE_KEY ||= 'unused';
+
+const { isOptOutMessage } = await import('./src/services/suppression.js');
+
+const cases = [
+  // Whole-message keywords, any case, accents and punctuation ignored
+  { text: 'PARAR', expect: true },
+  { text: 'Pare', expect: true },
+  { text: 'parar.', expect: true },
+  { text: '  Sair!', expect: true },
+  { text: 'STOP', expect: true },
+  { text: 'Descadastrar', expect: true },
+  { text: 'unsubscribe', expect: true },
+  { text: 'Não me ligue', expect: true },
+
+  // Phrases anywhere in the message
+  { text: 'não me ligue mais, obrigado', expect: true },
+  { text: 'Por favor parem de me ligar', expect: true },
+  { text: 'Não quero mais receber mensagens', expect: true },
+  { text: 'Não mande mais nada', expect: true },
+  { text: 'Não mandem mais', expect: true },
+  { text: 'pare de me mandar mensagem', expect: true },
+  { text: 'me tirem da lista por favor', expect: true },
+  { text: 'Remova meu número', expect: true },
+
+  // Keywords inside an ordinary message are not an opt-out
+  { text: 'não quero parar', expect: false },
+  { text: 'não quero parar o tratamento', expect: false },
+  { text: 'posso parar o remédio?', expect: false },
+  { text: 'não pare de me avisar', expect: false },
+  { text: 'vou sair do trabalho às 18h', expect: false },
+  { text: 'quero sair da lista de espera', expect: false },
+  { text: 'stop please', expect: false },
+  { text: 'não me ligue de manhã', expect: false },
+  { text: 'me liga mais tarde', expect: false },
+  { text: 'Pararrr', expect: false },
+  { text: 'Quero marcar consulta', expect: false },
+  { text: 'sim', expect: false },
+
+  // Nothing to read
+  { text: '', expect: false },
+  { text: '   ', expect: false },
+  { text: null, expect: false }
+];
+
+console.log('🧪 Testing opt-out detection...\n');
+
+let failed = 0;
+for (const [i, t] of cases.entries()) {
+  const actual = isOptOutMessage(t.text);
+  const label = `${JSON.stringify(t.text)} -> ${actual ? 'opt-out' : 'not an opt-out'}`;
+
+  if (actual !== t.expect) {
+    failed++;
+    console.log(`❌ ${i + 1}. ${label} (expected ${t.expect ? 'opt-out' : 'not an opt-out'})`);
+  } else {
+    console.log(`✅ ${i + 1}. ${label}`);
+  }
+}
+
+console.log(`\n${failed ? '❌' : '✅'} ${cases.length - failed}/${cases.length} passed`);
+process.exit(failed ? 1 : 0);
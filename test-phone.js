@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+
+// Table-driven checks for Brazilian phone parsing (src/lib/phone.js).
+// Runs without a server or database: node test-phone.js
+
+import { parsePhone, PHONE_ERRORS } from './src/lib/phone.js';
+
+const mobile = { valid: true, e164: '+5511999998888', whatsappId: '5511999998888', type: 'mobile', areaCode: '11' };
+const landline = { valid: true, e164: '+551133334444', whatsappId: '551133334444', type: 'landline', areaCode: '11' };
+
+const cases = [
+  // Mobile vs landline
+  { name: 'mobile with mask', input: '(11) 99999-8888', expect: mobile },
+  { name: 'landline with mask', input: '(11) 3333-4444', expect: landline },
+  { name: 'mobile with country code', input: '+55 11 99999-8888', expect: mobile },
+  { name: 'landline with country code', input: '+55 11 3333-4444', expect: landline },
+  { name: 'mobile digits only with 55', input: '5511999998888', expect: mobile },
+  { name: 'landline digits only with 55', input: '551133334444', expect: landline },
+  { name: 'WhatsApp address', input: 'whatsapp:+5511999998888', expect: mobile },
+
+  // Mobiles written before the ninth digit
+  { name: '8-digit mobile starting with 9', input: '11 9999-8888', expect: { ...mobile, national: '11999998888' } },
+  { name: '8-digit mobile starting with 8', input: '11 8888-7777', expect: { type: 'mobile', e164: '+5511988887777' } },
+  { name: '8-digit mobile without area code uses the default', input: '8888-7777', options: { defaultAreaCode: '21' }, expect: { type: 'mobile', e164: '+5521988887777' } },
+
+  // Trunk and carrier prefixes
+  { name: 'trunk 0 + carrier 15', input: '0 15 11 99999-8888', expect: mobile },
+  { name: '0xx + area code', input: '0xx11 99999-8888', expect: mobile },
+  { name: '0xx + carrier + landline', input: '0xx15 11 3333-4444', expect: landline },
+  { name: 'trunk 0 without carrier', input: '011 3333-4444', expect: landline },
+
+  // Extensions are not dialed
+  { name: 'landline with "ramal"', input: '(11) 3333-4444 ramal 21', expect: landline },
+  { name: 'mobile with "ext."', input: '11 99999-8888 ext. 3', expect: mobile },
+  { name: 'landline with "r."', input: '11 3333-4444 r. 200', expect: landline },
+
+  // Other countries
+  { name: 'US number', input: '+1 415 555 2671', expect: { valid: true, type: 'international', e164: '+14155552671', areaCode: null } },
+  { name: 'Portuguese mobile', input: '+351 912 345 678', expect: { valid: true, type: 'international', whatsappId: '351912345678' } },
+  { name: 'international 00 prefix', input: '00351912345678', expect: { valid: true, type: 'international', e164: '+351912345678' } },
+  { name: 'foreign number too short', input: '+1 234', expect: { valid: false, reason: 'invalid_length' } },
+
+  // Area code
+  { name: 'no area code and no default', input: '99999-8888', expect: { valid: false, reason: 'missing_area_code' } },
+  { name: 'default area code', input: '99999-8888', options: { defaultAreaCode: '21' }, expect: { valid: true, e164: '+5521999998888' } },
+  { name: 'default area code for a landline', input: '3333-4444', options: { defaultAreaCode: '31' }, expect: { type: 'landline', e164: '+553133334444' } },
+  { name: 'unused area code 20', input: '(20) 99999-8888', expect: { valid: false, reason: 'invalid_area_code' } },
+  { name: '0800 is not a patient phone', input: '0800 123 4567', expect: { valid: false, reason: 'invalid_area_code' } },
+
+  // Invalid numbers
+  { name: '9-digit number not starting with 9', input: '(11) 89999-8888', expect: { valid: false, reason: 'invalid_mobile' } },
+  { name: 'landline starting with 1', input: '(11) 1333-4444', expect: { valid: false, reason: 'invalid_number' } },
+  { name: 'repeated digits mobile', input: '(11) 99999-9999', expect: { valid: false, reason: 'invalid_number' } },
+  { name: 'repeated digits landline', input: '(11) 3333-3333', expect: { valid: false, reason: 'invalid_number' } },
+  { name: 'too short', input: '123', expect: { valid: false, reason: 'invalid_length' } },
+  { name: 'letters', input: 'abc', expect: { valid: false, reason: 'not_a_number' } },
+  { name: 'empty string', input: '', expect: { valid: false, reason: 'empty' } },
+  { name: 'null', input: null, expect: { valid: false, reason: 'empty' } }
+];
+
+console.log('🧪 Testing phone parsing...\n');
+
+let failed = 0;
+for (const [i, t] of cases.entries()) {
+  const actual = parsePhone(t.input, t.options);
+  const mismatches = Object.entries(t.expect).filter(([key, value]) => actual[key] !== value);
+
+  if (!actual.valid && !PHONE_ERRORS[actual.reason]) {
+    mismatches.push(['reason', `one of ${Object.keys(PHONE_ERRORS).join(', ')}`]);
+  }
+
+  if (mismatches.length) {
+    failed++;
+    console.log(`❌ ${i + 1}. ${t.name}`);
+    for (const [key, value] of mismatches) console.log(`   ${key}: expected ${JSON.stringify(value)}, got ${JSON.stringify(actual[key])}`);
+  } else {
+    console.log(`✅ ${i + 1}. ${t.name} -> ${actual.valid ? `${actual.e164} (${actual.type})` : actual.reason}`);
+  }
+}
+
+console.log(`\n${failed ? '❌' : '✅'} ${cases.length - failed}/${cases.length} passed`);
+process.exit(failed ? 1 : 0);